@@ -382,7 +382,18 @@ function onComplete() {
 
 	chunkUpdate();
 
-	textureManager = new TextureManager( citymodel );
+	// Files that are read by the workers only have a city model (without
+	// its geometry) once they are parsed
+	const dataset = loader.datasets[ loader.datasets.length - 1 ];
+
+	if ( dataset && dataset.citymodel ) {
+
+		citymodel = dataset.citymodel;
+
+	}
+
+	// The loader creates a texture manager when the file has textures
+	textureManager = loader.textureManager || new TextureManager( citymodel );
 	textureManager.onChange = _ => scene.traverse( c => {
 
 		if ( c.supportsMaterials ) {
@@ -515,6 +526,11 @@ function onComplete() {
 
 	} ).flat( 2 );
 
+	// Geometry templates have themes of their own
+	const templates = citymodel[ 'geometry-templates' ] ? citymodel[ 'geometry-templates' ].templates : [];
+
+	themes.push( ...templates.flatMap( template => Object.keys( template.material || {} ) ) );
+
 	const themeOptions = Object.assign( { "None": 'undefined' }, themes.reduce( ( a, v ) => ( { ...a, [ v ]: v } ), {} ) );
 
 	appearanceOptions.add( params.appearance, 'materialTheme', themeOptions ).onChange( value => {
@@ -560,6 +576,8 @@ function onComplete() {
 
 	} ).flat( 2 );
 
+	texThemes.push( ...templates.flatMap( template => Object.keys( template.texture || {} ) ) );
+
 	const texThemeOptions = Object.assign( { "None": 'undefined' }, texThemes.reduce( ( a, v ) => ( { ...a, [ v ]: v } ), {} ) );
 
 	appearanceOptions.add( params.appearance, 'textureTheme', texThemeOptions ).onChange( value => {
@@ -708,9 +726,12 @@ function onDrop( e ) {
 
 	if ( ! e.ctrlKey && hasJSON ) {
 
-		while ( loader.scene.children.length > 0 ) {
+		// Stops any file that is still loading
+		loader.abort();
 
-			loader.scene.remove( loader.scene.children[ 0 ] );
+		for ( const dataset of loader.datasets.slice() ) {
+
+			dataset.unload();
 
 		}
 
@@ -727,28 +748,14 @@ function onDrop( e ) {
 
 			statsContainer.innerHTML = "Oh, a file! Let me parse this...";
 
-			const reader = new FileReader();
-			reader.readAsText( file, "UTF-8" );
-			reader.onload = evt => {
-
-				const cm = JSON.parse( evt.target.result );
-
-				statsContainer.innerHTML = "Okay. Now I'll load it...";
-
-				citymodel = cm;
+			parser.resetMaterial();
 
-				parser.resetMaterial();
+			// The file is read and parsed by the workers of the parser
+			const dataset = loader.load( file );
 
-				loader.load( cm );
-
-				const bbox = loader.boundingBox.clone();
-				bbox.applyMatrix4( loader.matrix );
-
-				fitCameraToSelection( camera, controls, bbox );
-
-				modelgroup.add( loader.scene );
+			modelgroup.add( loader.scene );
 
-			};
+			dataset.ready.then( () => fitCameraToSelection( camera, controls, dataset.boundingBox.clone() ) );
 
 		} else {
 
@@ -224,6 +224,9 @@ function init() {
 
 	loader = new CityJSONLoader( parser );
 
+	// Use high anisotropy for better texture quality
+	loader.textureOptions = { anisotropy: 16 };
+
 	// Set the texture path for Railway data
 	loader.setTexturesPath( '/data/LoD3_Railway/' );
 
@@ -418,10 +421,8 @@ function onComplete() {
 
 	chunkUpdate();
 
-	// Initialize TextureManager with high anisotropy for better quality
-	textureManager = new TextureManager( citymodel, {
-		anisotropy: 16
-	} );
+	// The loader creates a texture manager when the file has textures
+	textureManager = loader.textureManager || new TextureManager( citymodel, loader.textureOptions );
 
 	textureManager.onChange = _ => {
 
@@ -1,9 +1,12 @@
-
 module.exports = {
     testEnvironment: 'jsdom',
     transform: {
-        '^.+\\.jsx?$': 'babel-jest',
+        // The options are given here rather than read from .babelrc, which
+        // does not apply to node_modules
+        '^.+\\.jsx?$': [ 'babel-jest', { presets: [ [ '@babel/preset-env', { targets: { node: 'current' } } ] ] } ],
     },
+    // The fat lines of three.js are ES modules
+    transformIgnorePatterns: [ '/node_modules/(?!three/examples/jsm/)' ],
     moduleNameMapper: {
         // Mock CSS/static files if needed, though likely not for this task
     },
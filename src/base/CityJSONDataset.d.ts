@@ -0,0 +1,160 @@
+import { Box3, Color, EventDispatcher, Group, Material, Matrix4, Object3D } from "three";
+import { TextureManager } from "../helpers/TextureManager";
+import { CityJSONMetadata } from "../helpers/CityJSONMetadata";
+import { CityJSONHierarchy } from "../helpers/CityJSONHierarchy";
+import { StateColors } from "../helpers/ObjectStates";
+import { ParseSummary } from "../parsers/helpers/ChunkParser";
+
+/**
+ * A handle to a dataset loaded by `CityJSONLoader`. Its objects are added to
+ * its own `group` (a child of the loader's `scene`), so that it can be
+ * unloaded independently of the other datasets.
+ *
+ * Dispatches an `unload` event when it is unloaded.
+ */
+export class CityJSONDataset extends EventDispatcher<{ unload: {} }> {
+
+    /**
+     * The URL the dataset was loaded from, if any.
+     */
+    url: string | null;
+
+    /**
+     * The CityJSON object (or the header of a CityJSONSeq stream).
+     */
+    citymodel: Object | null;
+
+    /**
+     * The metadata of the file, along with its version and extensions,
+     * normalized across CityJSON versions.
+     */
+    metadata: CityJSONMetadata;
+
+    /**
+     * The parents, children and groups of the city objects, which grows as
+     * the batches of a CityJSONSeq stream are parsed.
+     */
+    hierarchy: CityJSONHierarchy;
+
+    /**
+     * The group that holds the objects of the dataset. Its position places the
+     * dataset relative to the loader's `origin`.
+     */
+    group: Group;
+
+    /**
+     * Transforms the vertices of the file (as stored, i.e. quantized) to the
+     * coordinates of the loader's `scene`.
+     */
+    matrix: Matrix4;
+
+    /**
+     * Transforms the coordinates of `group` back to the coordinates of the
+     * file (or of the loader's `targetCRS`).
+     */
+    crsMatrix: Matrix4;
+
+    /**
+     * The bounding box of the dataset in the coordinates of the loader's
+     * `scene`.
+     */
+    boundingBox: Box3;
+
+    /**
+     * The objects added by the parser.
+     */
+    objects: Object3D[];
+
+    /**
+     * The texture manager of the dataset, if it has textures.
+     */
+    textureManager: TextureManager | null;
+
+    /**
+     * The summary of the parse once it is complete, with the objects skipped
+     * by the filters and the problems found in the polygons. It is null if
+     * the parser does not report one.
+     */
+    summary: ParseSummary | null;
+
+    /**
+     * The colors given to the objects with `colorObjects()`, with which the
+     * city object materials draw the objects of this dataset. They are
+     * released with the dataset.
+     */
+    stateColors: StateColors;
+
+    /**
+     * Materials shared with other datasets, which are not disposed on unload.
+     */
+    sharedMaterials: Material[];
+
+    /**
+     * Whether the outlines of the polygons of the dataset are shown, if the
+     * parser added them (see its `outlines`).
+     */
+    showOutlines: boolean;
+
+    /**
+     * Whether the dataset has finished loading.
+     */
+    loaded: boolean;
+
+    /**
+     * Whether the dataset was unloaded.
+     */
+    unloaded: boolean;
+
+    /**
+     * Resolves with the dataset once it is loaded.
+     */
+    ready: Promise<CityJSONDataset>;
+
+    constructor( url?: string | null );
+
+    setCityModel( citymodel: Object ) : void;
+
+    /**
+     * Adds the objects reported by the parser. Objects that arrive after the
+     * dataset was unloaded are disposed.
+     */
+    addObjects( objects: Object3D[] ) : void;
+
+    /**
+     * Adds the summary of a parse to `summary` (a CityJSONSeq stream is
+     * parsed in several batches).
+     */
+    addSummary( summary: ParseSummary ) : void;
+
+    /**
+     * Highlights the given city objects (by their ids) in the
+     * `highlightColor` of their materials, or stops highlighting them. A
+     * whole subtree can be highlighted with `hierarchy.getSubtree()`.
+     */
+    highlightObjects( objectIds: Iterable<string>, highlighted?: boolean ) : void;
+
+    /**
+     * Hides or shows the given city objects.
+     */
+    hideObjects( objectIds: Iterable<string>, hidden?: boolean ) : void;
+
+    /**
+     * Draws the given city objects in a color, or in their usual color if
+     * null. The objects of every dataset can be given up to 31 different
+     * colors.
+     */
+    colorObjects( objectIds: Iterable<string>, color: Color | string | number | null ) : void;
+
+    /**
+     * Changes the state of the given city objects in every object of the
+     * dataset (see `setObjectStates()`).
+     */
+    setObjectStates( objectIds: Iterable<string>, update: ( state: number ) => number ) : void;
+
+    /**
+     * Removes the dataset from the scene and disposes its geometries,
+     * materials and textures. A dataset that is still loading is aborted.
+     */
+    unload() : void;
+
+}
@@ -0,0 +1,277 @@
+import {
+	Box3,
+	EventDispatcher,
+	Group,
+	Matrix4 } from 'three';
+import { readMetadata } from '../helpers/CityJSONMetadata.js';
+import { CityJSONHierarchy } from '../helpers/CityJSONHierarchy.js';
+import { HIDDEN, HIGHLIGHTED, StateColors, setObjectStates, setStateBits, setStateColor } from '../helpers/ObjectStates.js';
+
+/**
+ * A handle to a dataset loaded by `CityJSONLoader`. Its objects are added to
+ * its own `group`, so that every dataset of a loader can be unloaded on its
+ * own.
+ */
+export class CityJSONDataset extends EventDispatcher {
+
+	constructor( url = null ) {
+
+		super();
+
+		this.url = url;
+
+		this.citymodel = null;
+
+		// The metadata of the file, normalized across CityJSON versions (see
+		// `readMetadata()`)
+		this.metadata = readMetadata( {} );
+
+		// The parents, children and groups of the city objects
+		this.hierarchy = new CityJSONHierarchy();
+
+		this.group = new Group();
+
+		// Transforms the (quantized) vertices of the dataset to the world
+		// coordinates of the loader
+		this.matrix = new Matrix4();
+		this.boundingBox = new Box3();
+
+		// Transforms the coordinates of `group` back to the coordinates of the
+		// file (or of the loader's target CRS)
+		this.crsMatrix = new Matrix4();
+
+		this.objects = [];
+		this.textureManager = null;
+
+		// The summary of the parse (see `ChunkParser.getSummary()`), with
+		// the problems found in the polygons, once it is complete
+		this.summary = null;
+
+		// Materials that are shared with other datasets (i.e. the parser's) and
+		// must not be disposed with this one
+		this.sharedMaterials = [];
+
+		// The colors given to the objects with `colorObjects()`
+		this.stateColors = new StateColors();
+
+		// Whether the outlines of the polygons are shown, if the parser
+		// added them (see `showOutlines`)
+		this.outlinesVisible = true;
+
+		this.loaded = false;
+		this.unloaded = false;
+
+		// Aborted when the dataset is unloaded, to stop its loading
+		this.abortController = new AbortController();
+
+	}
+
+	setCityModel( citymodel ) {
+
+		this.citymodel = citymodel;
+		this.metadata = readMetadata( citymodel );
+		this.hierarchy = new CityJSONHierarchy( citymodel.CityObjects );
+
+	}
+
+	/**
+	 * Highlights the given city objects (by their ids), e.g. a subtree of
+	 * `hierarchy`, or stops highlighting them.
+	 */
+	highlightObjects( objectIds, highlighted = true ) {
+
+		this.setObjectStates( objectIds, setStateBits( HIGHLIGHTED, highlighted ) );
+
+	}
+
+	/**
+	 * Hides or shows the given city objects.
+	 */
+	hideObjects( objectIds, hidden = true ) {
+
+		this.setObjectStates( objectIds, setStateBits( HIDDEN, hidden ) );
+
+	}
+
+	/**
+	 * Draws the given city objects in a color (anything that `Color.set()`
+	 * accepts), or in their usual color if null. Every dataset can use up to
+	 * `MAX_STATE_COLORS` colors.
+	 */
+	colorObjects( objectIds, color ) {
+
+		const colorIndex = color === null ? - 1 : this.stateColors.getIndex( color );
+
+		if ( color === null || colorIndex > - 1 ) {
+
+			this.setObjectStates( objectIds, setStateColor( colorIndex ) );
+
+		}
+
+	}
+
+	setObjectStates( objectIds, update ) {
+
+		// Every object looks the ids up in its own city model, as the objects
+		// of a CityJSONSeq stream are parsed in batches
+		const ids = new Set( objectIds );
+
+		for ( const object of this.objects ) {
+
+			if ( object.isCityObject ) {
+
+				setObjectStates( object, ids, update );
+
+			}
+
+		}
+
+	}
+
+	/**
+	 * Adds objects that were parsed into `group`. Objects that arrive after
+	 * the dataset was unloaded are disposed right away.
+	 */
+	addObjects( objects ) {
+
+		if ( this.unloaded ) {
+
+			this.disposeObjects( objects );
+			return;
+
+		}
+
+		for ( const object of objects ) {
+
+			// Lets the objects report intersections in the coordinates of
+			// the file
+			object.updateMatrix();
+			object.crsMatrix = this.crsMatrix.clone().multiply( object.matrix );
+
+			// Drawn by the city object materials with the colors of the
+			// dataset
+			object.stateColors = this.stateColors.colors;
+
+			if ( object.isCityObjectOutline ) {
+
+				object.visible = this.outlinesVisible;
+
+			}
+
+		}
+
+		this.objects.push( ...objects );
+
+	}
+
+	/**
+	 * Adds the summary of a parse to the summary of the dataset (a
+	 * CityJSONSeq stream is parsed in several batches).
+	 */
+	addSummary( summary ) {
+
+		if ( ! summary ) {
+
+			return;
+
+		}
+
+		if ( this.summary === null ) {
+
+			this.summary = {
+				objectCount: 0,
+				skippedObjects: [],
+				skippedGeometryCount: 0,
+				diagnostics: []
+			};
+
+		}
+
+		this.summary.objectCount += summary.objectCount;
+		this.summary.skippedObjects.push( ...summary.skippedObjects );
+		this.summary.skippedGeometryCount += summary.skippedGeometryCount;
+		this.summary.diagnostics.push( ...( summary.diagnostics || [] ) );
+
+	}
+
+	get showOutlines() {
+
+		return this.outlinesVisible;
+
+	}
+
+	/**
+	 * Shows or hides the outlines of the polygons of the dataset (see the
+	 * `outlines` of the parser).
+	 */
+	set showOutlines( value ) {
+
+		this.outlinesVisible = Boolean( value );
+
+		for ( const object of this.objects ) {
+
+			if ( object.isCityObjectOutline ) {
+
+				object.visible = this.outlinesVisible;
+
+			}
+
+		}
+
+	}
+
+	/**
+	 * Removes the dataset from the scene and disposes its geometries,
+	 * materials and textures. If it is still loading, the loading is aborted.
+	 */
+	unload() {
+
+		if ( this.unloaded ) {
+
+			return;
+
+		}
+
+		this.unloaded = true;
+		this.abortController.abort();
+
+		this.group.removeFromParent();
+
+		// The group also holds the objects of parsers that do not report them
+		this.disposeObjects( this.group.children.slice() );
+		this.objects = [];
+
+		if ( this.textureManager ) {
+
+			this.textureManager.dispose();
+
+		}
+
+		this.dispatchEvent( { type: 'unload' } );
+
+	}
+
+	disposeObjects( objects ) {
+
+		for ( const object of objects ) {
+
+			object.removeFromParent();
+			object.geometry.dispose();
+
+			const materials = Array.isArray( object.material ) ? object.material : [ object.material ];
+
+			for ( const material of materials ) {
+
+				if ( material && ! this.sharedMaterials.includes( material ) ) {
+
+					material.dispose();
+
+				}
+
+			}
+
+		}
+
+	}
+
+}
@@ -1,14 +1,222 @@
-import { Group, Matrix4, Box3 } from "three";
+import { Group, Matrix4, Box3, LoadingManager, Vector3 } from "three";
 import { CityJSONWorkerParser } from "../parsers/CityJSONWorkerParser";
 import { CityJSONParser } from "../parsers/CityJSONParser";
+import { TextureManager } from "../helpers/TextureManager";
+import { URLResolver } from "../helpers/URLResolver";
+import { CityJSONDataset } from "./CityJSONDataset";
+import { CRSRegistry, Reprojection } from "../helpers/CRSRegistry";
+import { CityJSONMetadata } from "../helpers/CityJSONMetadata";
+import { CityJSONSource } from "../parsers/helpers/CityJSONSource";
 
+/**
+ * Progress reported while loading. `stage` is `"download"` for bytes
+ * received, `"parse"` for city objects parsed and `"textures"` for textures
+ * loaded.
+ */
+export interface CityJSONLoaderProgress {
+    stage: "download" | "parse" | "textures";
+    loaded: number;
+    total: number;
+    lengthComputable: boolean;
+}
+
+/**
+ * A three.js `Loader`, with its `manager`, `path` and request settings. It
+ * is not declared as a subclass of `Loader`, as its progress callbacks get a
+ * `CityJSONLoaderProgress` rather than a `ProgressEvent` and `load()`
+ * returns the dataset.
+ */
 export class CityJSONLoader {
 
+    manager: LoadingManager;
+
+    /**
+     * Prepended to the URLs that are loaded.
+     */
+    path: string;
+    resourcePath: string;
+    crossOrigin: string;
+    withCredentials: boolean;
+
+    /**
+     * The headers of the requests for the files.
+     */
+    requestHeader: { [ header: string ]: string };
+
+    setPath( path: string ) : this;
+    setResourcePath( resourcePath: string ) : this;
+    setCrossOrigin( crossOrigin: string ) : this;
+    setWithCredentials( value: boolean ) : this;
+    setRequestHeader( requestHeader: { [ header: string ]: string } ) : this;
+
+    /**
+     * The group that holds the group of every dataset.
+     */
     scene: Group;
+
+    /**
+     * The matrix of the first loaded dataset. Setting it to `null` resets the
+     * `origin` for the next dataset.
+     */
     matrix: Matrix4;
     boundingBox: Box3 | null;
 
-    load( data : Object ) : void;
-    setTexturesPath( path: string ) : void;
-    constructor(parser: CityJSONWorkerParser | CityJSONParser);
-}
\ No newline at end of file
+    /**
+     * The metadata (and version) of the last dataset that was loaded.
+     */
+    metadata: CityJSONMetadata | null;
+
+    /**
+     * The datasets that are loaded or loading, in the order they were
+     * requested. Unloaded datasets are removed from it.
+     */
+    datasets: CityJSONDataset[];
+
+    /**
+     * The point (in the coordinates of the files) that is placed at the origin
+     * of `scene`. It is the translation of the first dataset, and every other
+     * dataset is positioned relative to it.
+     */
+    origin: Vector3 | null;
+
+    /**
+     * The CRS (e.g. `"EPSG:28992"`) that datasets are reprojected to, based
+     * on their `metadata.referenceSystem`. If `null` (default), datasets keep
+     * their coordinates.
+     */
+    targetCRS: string | null;
+
+    /**
+     * The definitions of the CRSs that datasets can be reprojected from and
+     * to.
+     */
+    crsRegistry: CRSRegistry;
+
+    /**
+     * The up axis of `scene`: `"Z"` (default, as in CityJSON) or `"Y"`.
+     */
+    upAxis: "Y" | "Z";
+
+    /**
+     * The number of scene units per unit of the files (default `1`).
+     */
+    unitScale: number;
+
+    /**
+     * The texture manager created for the textures of the last loaded file,
+     * if it had any. Every dataset also keeps its own.
+     */
+    textureManager: TextureManager | null;
+
+    /**
+     * Options passed to the `TextureManager` created by the loader.
+     */
+    textureOptions: Object;
+
+    constructor( parser?: CityJSONWorkerParser | CityJSONParser, manager?: LoadingManager );
+
+    /**
+     * Loads a CityJSON file from `url` as a new dataset and returns the
+     * dataset's handle right away. `onLoad` is called with the dataset once
+     * every chunk, template and texture is ready.
+     *
+     * A `Blob`/`File` can be given instead of a URL and, for backwards
+     * compatibility, an already parsed CityJSON object as well.
+     *
+     * If the parser can read files in a worker (i.e. `CityJSONWorkerParser`),
+     * the file is downloaded as bytes and never parsed on the main thread.
+     */
+    load(
+        url : string | Blob | Object,
+        onLoad? : ( dataset: CityJSONDataset ) => void,
+        onProgress? : ( event: CityJSONLoaderProgress ) => void,
+        onError? : ( err: unknown ) => void,
+        signal? : AbortSignal
+    ) : CityJSONDataset;
+
+    loadAsync( url : string | Blob | Object, onProgress? : ( event: CityJSONLoaderProgress ) => void, signal? : AbortSignal ) : Promise<CityJSONDataset>;
+
+    /**
+     * Parses an already loaded CityJSON object (or the content of a file) as
+     * a new dataset. `url` is the location the data came from, if any, and is
+     * used to resolve relative texture images. If `signal` is aborted (or
+     * `abort()` is called), the dataset is unloaded.
+     */
+    parse( data : Object | CityJSONSource, onProgress? : ( event: CityJSONLoaderProgress ) => void, signal? : AbortSignal, url? : string ) : Promise<CityJSONDataset>;
+
+    /**
+     * Loads a CityJSONSeq stream (JSON Lines with a CityJSON header followed
+     * by `CityJSONFeature` objects) as a new dataset. Features are parsed in
+     * batches while the stream is still arriving. Resolves with the dataset
+     * when the whole stream has been parsed. If `signal` is aborted, reading
+     * stops and the dataset is unloaded.
+     */
+    loadSequence( source : ReadableStream | Response | Blob | string | AsyncIterable<string | Uint8Array>, signal? : AbortSignal ) : Promise<CityJSONDataset>;
+
+    /**
+     * Aborts every load in progress. Their promises are rejected with an
+     * `AbortError`, and their datasets are unloaded.
+     */
+    abort() : this;
+
+    /**
+     * Sets the `targetCRS`.
+     */
+    setTargetCRS( crs: string | null ) : this;
+
+    /**
+     * Returns the parameters to reproject the vertices of `data` to the
+     * `targetCRS`, or `null` if they do not need to (or cannot) be reprojected.
+     */
+    createReprojection( data: Object ) : Reprojection | null;
+
+    /**
+     * Sets the `upAxis`. It has to be set before the first dataset is loaded.
+     */
+    setUpAxis( axis: "Y" | "Z" ) : this;
+
+    /**
+     * Sets the `unitScale`. It has to be set before the first dataset is
+     * loaded.
+     */
+    setUnitScale( scale: number ) : this;
+
+    /**
+     * Returns the matrix that converts CityJSON coordinates to the axes and
+     * units of `scene`.
+     */
+    getAxisMatrix() : Matrix4;
+
+    /**
+     * Converts a point in world coordinates (e.g. the point of a raycast
+     * intersection) to the coordinates of the datasets' CRS (or of the
+     * `targetCRS`, if set), in double precision.
+     */
+    toCRSCoordinates( point: Vector3, target?: Vector3 ) : Vector3;
+
+    /**
+     * Converts a point in the coordinates of the datasets' CRS to world
+     * coordinates.
+     */
+    fromCRSCoordinates( point: Vector3, target?: Vector3 ) : Vector3;
+
+    /**
+     * Sets the base path or URL that relative texture images are resolved
+     * against. If not set, `resourcePath` is used, or else the directory of
+     * the file loaded by `load()`.
+     */
+    setTexturesPath( path: string ) : this;
+
+    /**
+     * Sets a callback that resolves texture images. If it returns `null` or
+     * `undefined`, the default resolution is used.
+     */
+    setTextureResolver( resolver: ( url: string, basePath: string ) => string | null | undefined ) : this;
+
+    /**
+     * Creates the resolver used for the texture images of a file loaded from
+     * `url`.
+     */
+    createURLResolver( url?: string ) : URLResolver;
+
+}
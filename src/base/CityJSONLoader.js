@@ -1,125 +1,972 @@
 import { Vector3 } from 'three';
 import {
-	BufferAttribute,
-	BufferGeometry,
+	Box3,
 	Group,
+	Loader,
 	Matrix4 } from 'three';
 import { CityJSONWorkerParser } from '../parsers/CityJSONWorkerParser';
+import { CityJSONSeqReader, readChunks } from '../parsers/helpers/CityJSONSeqReader.js';
+import { isCityJSONSource, readCityJSON } from '../parsers/helpers/CityJSONSource.js';
+import { TextureManager } from '../helpers/TextureManager.js';
+import { URLResolver } from '../helpers/URLResolver.js';
+import { CityJSONDataset } from './CityJSONDataset.js';
+import { CRSRegistry, createCoordinateTransform, createVertexTransform } from '../helpers/CRSRegistry.js';
 
-export class CityJSONLoader {
+export class CityJSONLoader extends Loader {
 
-	constructor( parser ) {
+	constructor( parser, manager ) {
+
+		super( manager );
 
 		this.texturesPath = '';
 		this.scene = new Group();
 		this.matrix = null;
 		this.boundingBox = null;
+
+		// The metadata of the last dataset that was loaded
+		this.metadata = null;
+
 		this.parser = parser || new CityJSONWorkerParser();
 
+		// The datasets that are loaded (or still loading)
+		this.datasets = [];
+
+		// The point (in the coordinates of the files) that is placed at the
+		// origin of `scene`. It is set by the first dataset, so that all
+		// datasets share the same origin.
+		this.origin = null;
+
+		// The CRS (e.g. "EPSG:28992") to reproject datasets to, based on their
+		// `metadata.referenceSystem`. If `null`, datasets are not reprojected.
+		this.targetCRS = null;
+		this.crsRegistry = new CRSRegistry();
+
+		// The up axis ("Z" as in CityJSON, or "Y") and the number of scene units
+		// per unit of the files (e.g. 100 for centimetres). They have to be set
+		// before the first dataset is loaded.
+		this.upAxis = 'Z';
+		this.unitScale = 1;
+
+		this.textureOptions = {};
+		this.textureManager = null;
+		this.textureResolver = null;
+
+		// One controller per load in progress, so that `abort()` can stop them
+		this.abortControllers = new Set();
+
+	}
+
+	/**
+	 * Aborts every load in progress. Their promises are rejected with an
+	 * `AbortError` and their datasets are unloaded.
+	 */
+	abort() {
+
+		for ( const controller of this.abortControllers ) {
+
+			controller.abort();
+
+		}
+
+		return this;
+
+	}
+
+	/**
+	 * Returns a controller that is aborted by `abort()` or by `signal`, until
+	 * the returned `release` function is called.
+	 */
+	createAbortController( signal, controller = new AbortController() ) {
+
+		const onAbort = () => controller.abort();
+
+		if ( signal ) {
+
+			if ( signal.aborted ) {
+
+				controller.abort();
+
+			} else {
+
+				signal.addEventListener( 'abort', onAbort, { once: true } );
+
+			}
+
+		}
+
+		this.abortControllers.add( controller );
+
+		const release = () => {
+
+			this.abortControllers.delete( controller );
+
+			if ( signal ) {
+
+				signal.removeEventListener( 'abort', onAbort );
+
+			}
+
+		};
+
+		return { signal: controller.signal, release };
+
+	}
+
+	/**
+	 * Sets the CRS that datasets are reprojected to (e.g. `"EPSG:28992"`), or
+	 * `null` to keep their coordinates.
+	 */
+	setTargetCRS( crs ) {
+
+		this.targetCRS = crs;
+		return this;
+
+	}
+
+	/**
+	 * Returns the parameters to reproject the vertices of `data` to the
+	 * `targetCRS`, or `null` if they do not need to (or cannot) be
+	 * reprojected.
+	 */
+	createReprojection( data ) {
+
+		const referenceSystem = data.metadata && data.metadata.referenceSystem;
+
+		if ( ! this.targetCRS || ! referenceSystem || this.crsRegistry.isEquivalent( referenceSystem, this.targetCRS ) ) {
+
+			return null;
+
+		}
+
+		const source = this.crsRegistry.get( referenceSystem );
+		const target = this.crsRegistry.get( this.targetCRS );
+
+		if ( ! source || ! target ) {
+
+			console.warn( `CityJSONLoader: Cannot reproject from "${referenceSystem}" to "${this.targetCRS}".` );
+			return null;
+
+		}
+
+		const scale = data.transform ? data.transform.scale : [ 1, 1, 1 ];
+		const translate = data.transform ? data.transform.translate : [ 0, 0, 0 ];
+
+		return {
+			source,
+			target,
+			scale,
+			translate,
+			offset: createCoordinateTransform( source, target )( ...translate )
+		};
+
+	}
+
+	/**
+	 * Sets the up axis of `scene`: "Z" (default, as in CityJSON) or "Y".
+	 */
+	setUpAxis( axis ) {
+
+		if ( axis !== 'Y' && axis !== 'Z' ) {
+
+			throw new Error( `CityJSONLoader: Unsupported up axis "${axis}".` );
+
+		}
+
+		this.upAxis = axis;
+		return this;
+
+	}
+
+	/**
+	 * Sets the number of scene units per unit of the files (e.g. 0.001 to
+	 * have a scene in kilometres).
+	 */
+	setUnitScale( scale ) {
+
+		this.unitScale = scale;
+		return this;
+
+	}
+
+	/**
+	 * Returns the matrix that converts CityJSON coordinates (Z-up) to the
+	 * axes and units of `scene`.
+	 */
+	getAxisMatrix() {
+
+		const matrix = new Matrix4();
+
+		if ( this.upAxis === 'Y' ) {
+
+			// ( x, y, z ) -> ( x, z, - y ), which keeps the handedness
+			matrix.set(
+				1, 0, 0, 0,
+				0, 0, 1, 0,
+				0, - 1, 0, 0,
+				0, 0, 0, 1
+			);
+
+		}
+
+		const s = this.unitScale;
+
+		return matrix.premultiply( new Matrix4().makeScale( s, s, s ) );
+
+	}
+
+	/**
+	 * Converts a point in world coordinates (e.g. the point of a raycast
+	 * intersection) to the coordinates of the datasets' CRS (or of the
+	 * `targetCRS`, if set).
+	 */
+	toCRSCoordinates( point, target = new Vector3() ) {
+
+		this.scene.updateWorldMatrix( true, false );
+		this.scene.worldToLocal( target.copy( point ) );
+
+		target.applyMatrix4( this.getAxisMatrix().invert() );
+
+		if ( this.origin ) {
+
+			target.add( this.origin );
+
+		}
+
+		return target;
+
+	}
+
+	/**
+	 * Converts a point in the coordinates of the datasets' CRS to world
+	 * coordinates.
+	 */
+	fromCRSCoordinates( point, target = new Vector3() ) {
+
+		target.copy( point );
+
+		if ( this.origin ) {
+
+			target.sub( this.origin );
+
+		}
+
+		target.applyMatrix4( this.getAxisMatrix() );
+
+		this.scene.updateWorldMatrix( true, false );
+
+		return this.scene.localToWorld( target );
+
 	}
 
+	/**
+	 * Sets the base path or URL that relative texture images are resolved
+	 * against. If not set, `resourcePath` is used, or else the directory of
+	 * the file loaded by `load()`.
+	 */
 	setTexturesPath( path ) {
 
 		this.texturesPath = path;
+		return this;
+
+	}
+
+	/**
+	 * Sets a callback `( url, basePath ) => string` that resolves texture
+	 * images. If it returns `null` or `undefined`, the default resolution is
+	 * used.
+	 */
+	setTextureResolver( resolver ) {
+
+		this.textureResolver = resolver;
+		return this;
+
+	}
+
+	/**
+	 * Creates the resolver used for the texture images of a file loaded from
+	 * `url` (which can be undefined for data that was not loaded by URL).
+	 */
+	createURLResolver( url ) {
+
+		const basePath = this.texturesPath || this.resourcePath;
+
+		if ( ! basePath && url ) {
+
+			return URLResolver.fromFileUrl( url, this.textureResolver );
+
+		}
+
+		return new URLResolver( basePath, this.textureResolver );
+
+	}
+
+	/**
+	 * Loads a CityJSON file from `url` and adds it to `scene`. A `Blob` or
+	 * `File` can be passed instead of a URL and, for backwards compatibility,
+	 * an already parsed CityJSON object as well.
+	 *
+	 * @param {String|Blob|Object} url The URL of the file (or the file, or the CityJSON object)
+	 * @param {Function} onLoad Called with the dataset when every chunk, template and texture is ready
+	 * @param {Function} onProgress Called with `{ stage, loaded, total, lengthComputable }`
+	 * @param {Function} onError Called with the error if loading fails
+	 * @param {AbortSignal} signal Optional signal to abort the loading
+	 * @returns {CityJSONDataset} The handle of the dataset, whose `ready` promise resolves when it is loaded
+	 */
+	load( url, onLoad, onProgress, onError, signal ) {
+
+		const isURL = typeof url === "string";
+
+		if ( isURL ) {
+
+			if ( this.path !== undefined ) url = this.path + url;
+
+			url = this.manager.resolveURL( url );
+
+			this.manager.itemStart( url );
+
+		}
+
+		const dataset = this.createDataset( isURL ? url : null );
+
+		dataset.ready = this.loadDataset( dataset, signal, signal => {
+
+			if ( ! isURL ) {
+
+				return this.parseDataset( dataset, url, onProgress );
+
+			}
+
+			// Parsers that read files in a worker get the bytes of the file,
+			// so that it is never parsed on the main thread
+			if ( this.parser.parseSource ) {
+
+				return this.fetchBuffer( url, onProgress, signal )
+					.then( buffer => this.parseDataset( dataset, buffer, onProgress ) );
+
+			}
+
+			return this.fetchText( url, onProgress, signal )
+				.then( text => this.parseDataset( dataset, JSON.parse( text ), onProgress ) );
+
+		} );
+
+		dataset.ready.then( () => {
+
+			if ( onLoad ) onLoad( dataset );
+
+			if ( isURL ) this.manager.itemEnd( url );
+
+		}, error => {
+
+			if ( onError ) {
+
+				onError( error );
+
+			} else {
+
+				console.error( error );
+
+			}
+
+			if ( isURL ) {
+
+				this.manager.itemError( url );
+				this.manager.itemEnd( url );
+
+			}
+
+		} );
+
+		return dataset;
+
+	}
+
+	loadAsync( url, onProgress, signal ) {
+
+		return new Promise( ( resolve, reject ) => {
+
+			this.load( url, resolve, onProgress, reject, signal );
+
+		} );
+
+	}
+
+	/**
+	 * Requests `url` and returns its response, or throws if it failed.
+	 */
+	async fetchResponse( url, signal ) {
+
+		const response = await fetch( url, {
+			headers: this.requestHeader,
+			credentials: this.withCredentials ? 'include' : 'same-origin',
+			signal
+		} );
+
+		if ( ! response.ok ) {
+
+			throw new Error( `CityJSONLoader: ${ response.status } "${ response.statusText }" while loading ${ url }` );
+
+		}
+
+		return response;
+
+	}
+
+	/**
+	 * Downloads the text of `url`, reporting byte-level progress.
+	 */
+	async fetchText( url, onProgress, signal ) {
+
+		const response = await this.fetchResponse( url, signal );
+
+		if ( ! onProgress || ! response.body ) {
+
+			return response.text();
+
+		}
+
+		const decoder = new TextDecoder();
+		let text = '';
+
+		for await ( const chunk of readResponse( response, onProgress ) ) {
+
+			text += decoder.decode( chunk, { stream: true } );
+
+		}
+
+		return text + decoder.decode();
+
+	}
+
+	/**
+	 * Downloads the content of `url` into an `ArrayBuffer`, reporting
+	 * byte-level progress.
+	 */
+	async fetchBuffer( url, onProgress, signal ) {
+
+		const response = await this.fetchResponse( url, signal );
+
+		if ( ! response.body ) {
+
+			return response.arrayBuffer();
+
+		}
+
+		const chunks = [];
+		let length = 0;
+
+		for await ( const chunk of readResponse( response, onProgress ) ) {
+
+			chunks.push( chunk );
+			length += chunk.byteLength;
+
+		}
+
+		const bytes = new Uint8Array( length );
+		let offset = 0;
+
+		for ( const chunk of chunks ) {
+
+			bytes.set( chunk, offset );
+			offset += chunk.byteLength;
+
+		}
+
+		return bytes.buffer;
 
 	}
 
-	load( data ) {
+	/**
+	 * Parses an already loaded CityJSON object into `scene`. The returned
+	 * promise resolves with the dataset once every chunk, template and
+	 * texture is ready.
+	 *
+	 * @param {Object|String|ArrayBuffer|Blob} data The CityJSON object, or the content of the file
+	 * @param {Function} onProgress Called with `{ stage, loaded, total, lengthComputable }`
+	 * @param {AbortSignal} signal Optional signal to abort the parsing
+	 * @param {String} url The URL `data` was loaded from, used to resolve relative texture images
+	 */
+	parse( data, onProgress, signal, url ) {
 
-		if ( typeof data === "object" ) {
+		const dataset = this.createDataset( url );
 
-			// We shallow clone the object to avoid modifying the original
-			// objects vertices
-			const new_data = Object.assign( {}, data );
-			// new_data.vertices = this.applyTransform( data );
-			const transform = new Matrix4().identity();
+		dataset.ready = this.loadDataset( dataset, signal, () => this.parseDataset( dataset, data, onProgress ) );
+
+		return dataset.ready;
+
+	}
 
-			if ( data[ "transform" ] != undefined ) {
+	/**
+	 * Creates the handle of a new dataset and adds its group to `scene`.
+	 */
+	createDataset( url ) {
+
+		const dataset = new CityJSONDataset( url );
+
+		dataset.sharedMaterials = [ this.parser.meshMaterial, this.parser.lineMaterial, this.parser.outlineMaterial, this.parser.pointsMaterial ].filter( Boolean );
+
+		dataset.addEventListener( 'unload', () => {
+
+			this.datasets.splice( this.datasets.indexOf( dataset ), 1 );
+
+		} );
+
+		this.scene.add( dataset.group );
+		this.datasets.push( dataset );
+
+		return dataset;
+
+	}
+
+	/**
+	 * Runs `load( signal )` for `dataset` and returns a promise that resolves
+	 * with the dataset when it is done. If it fails or is aborted (by
+	 * `signal`, `abort()` or `dataset.unload()`), the dataset is unloaded.
+	 */
+	loadDataset( dataset, signal, load ) {
 
-				const t = data.transform.translate;
-				const s = data.transform.scale;
+		const controller = this.createAbortController( signal, dataset.abortController );
 
-				transform.set(
-					s[ 0 ], 0, 0, t[ 0 ],
-					0, s[ 1 ], 0, t[ 1 ],
-					0, 0, s[ 2 ], t[ 2 ],
-					0, 0, 0, 1
-				);
+		let loading;
+
+		try {
+
+			loading = controller.signal.aborted ? Promise.reject( abortError() ) : load( controller.signal );
+
+		} catch ( error ) {
+
+			loading = Promise.reject( error );
+
+		}
+
+		return Promise.race( [ loading, whenAborted( controller.signal ) ] ).then( () => {
+
+			controller.release();
+
+			dataset.loaded = true;
+			return dataset;
+
+		}, error => {
+
+			controller.release();
+
+			dataset.unload();
+			throw error;
+
+		} );
+
+	}
+
+	/**
+	 * Parses `data` and loads its textures into `dataset`. If `data` is the
+	 * content of a file, it is parsed by the parser's worker if it can (see
+	 * `CityJSONWorkerParser.parseSource()`), or read here otherwise.
+	 */
+	parseDataset( dataset, data, onProgress ) {
+
+		if ( isCityJSONSource( data ) ) {
+
+			if ( this.parser.parseSource ) {
+
+				return this.parseDatasetSource( dataset, data, onProgress );
 
 			}
 
-			if ( this.matrix == null ) {
+			return readCityJSON( data ).then( citymodel => this.parseDataset( dataset, citymodel, onProgress ) );
 
-				this.computeMatrix( new_data );
+		}
+
+		dataset.setCityModel( data );
+		this.metadata = dataset.metadata;
 
-				this.matrix = transform;
-				this.matrix.setPosition( 0, 0, 0 );
+		const parsing = this.parseCityModel( data, onProgress, dataset.abortController.signal, dataset );
+		const texturing = this.loadTextures( data, onProgress, dataset.url, dataset );
+
+		return Promise.all( [ parsing, texturing ] );
+
+	}
+
+	/**
+	 * Passes the content of a file to the parser, which reads it in a worker.
+	 * The dataset is set up when the city model (without its geometry) comes
+	 * back from the worker.
+	 */
+	parseDatasetSource( dataset, source, onProgress ) {
+
+		let texturing = Promise.resolve();
+		let objectCount = 0;
+
+		const onParseProgress = onProgress ? loaded => onProgress( { stage: 'parse', loaded, total: objectCount, lengthComputable: objectCount > 0 } ) : undefined;
+
+		const parsing = this.withSummary( dataset, () => this.parser.parseSource( source, dataset.group, onParseProgress, dataset.abortController.signal, ( citymodel, extent ) => {
+
+			dataset.setCityModel( citymodel );
+			this.metadata = dataset.metadata;
+
+			objectCount = Object.keys( citymodel.CityObjects ).length;
+
+			const box = new Box3( new Vector3().fromArray( extent, 0 ), new Vector3().fromArray( extent, 3 ) );
+			this.configureParser( citymodel, dataset, box );
+
+			texturing = this.loadTextures( citymodel, onProgress, dataset.url, dataset );
+
+		} ) );
+
+		return Promise.resolve( parsing )
+			.then( objects => {
+
+				dataset.addObjects( objects || [] );
+				return texturing;
+
+			} );
+
+	}
+
+	/**
+	 * Passes `data` to the parser, adding its objects to the group of
+	 * `dataset`. The scale of the file's transform is applied to the
+	 * vertices, while its translation places the group relative to the
+	 * loader's `origin`.
+	 *
+	 * If the dataset has to be reprojected to the `targetCRS`, the parser
+	 * reprojects the vertices (relative to the reprojected translation)
+	 * instead.
+	 */
+	parseCityModel( data, onProgress, signal, dataset ) {
+
+		// We shallow clone the object to avoid modifying the original
+		// objects vertices
+		const new_data = Object.assign( {}, data );
+
+		this.configureParser( data, dataset, computeBoundingBox( data.vertices ) );
+
+		const objectCount = Object.keys( data.CityObjects ).length;
+		const onParseProgress = onProgress ? loaded => onProgress( { stage: 'parse', loaded, total: objectCount, lengthComputable: true } ) : undefined;
+
+		return Promise.resolve( this.withSummary( dataset, () => this.parser.parse( new_data, dataset.group, onParseProgress, signal ) ) )
+			.then( objects => dataset.addObjects( objects || [] ) );
+
+	}
+
+	/**
+	 * Runs `parse()`, adding the summary that the parser reports when it
+	 * completes (see its `onComplete`) to `dataset`. The `onComplete` of the
+	 * parser is still called.
+	 */
+	withSummary( dataset, parse ) {
+
+		const onComplete = this.parser.onComplete;
+
+		// Parsers read `onComplete` when a parse starts
+		this.parser.onComplete = summary => {
+
+			dataset.addSummary( summary );
+
+			if ( onComplete ) {
+
+				onComplete( summary );
 
 			}
 
-			this.parser.matrix = this.matrix;
-			this.parser.parse( new_data, this.scene );
+		};
+
+		try {
+
+			return parse();
+
+		} finally {
+
+			this.parser.onComplete = onComplete;
 
 		}
 
 	}
 
-	applyTransform( data ) {
+	/**
+	 * Sets the `matrix` and `reprojection` of the parser for `data`, and
+	 * places `dataset` relative to the loader's `origin`. `box` is the
+	 * bounding box of the vertices of `data`.
+	 */
+	configureParser( data, dataset, box ) {
+
+		const scale = new Matrix4().identity();
+		const translate = new Vector3();
 
 		if ( data[ "transform" ] != undefined ) {
 
-			const t = data.transform.translate;
 			const s = data.transform.scale;
 
-			const vertices = data.vertices.map( v =>
-				[
-					v[ 0 ] * s[ 0 ] + t[ 0 ],
-					v[ 1 ] * s[ 1 ] + t[ 1 ],
-					v[ 2 ] * s[ 2 ] + t[ 2 ]
-				]
-			);
+			scale.makeScale( s[ 0 ], s[ 1 ], s[ 2 ] );
+			translate.fromArray( data.transform.translate );
+
+		}
+
+		const reprojection = this.createReprojection( data );
+
+		if ( reprojection ) {
+
+			box = reprojectBox( box, reprojection );
+
+			scale.identity();
+			translate.fromArray( reprojection.offset );
+
+		}
+
+		// The vertices are converted to the axes and units of the scene
+		const axisMatrix = this.getAxisMatrix();
+		scale.premultiply( axisMatrix );
+
+		if ( this.matrix == null ) {
+
+			this.boundingBox = box.clone();
+
+			this.matrix = scale.clone();
+			this.origin = translate.clone();
+
+		}
+
+		if ( this.origin == null ) {
+
+			this.origin = translate.clone();
 
-			return vertices;
+		}
+
+		// Maps the coordinates of the group back to the coordinates of the file
+		dataset.crsMatrix.copy( axisMatrix ).invert().premultiply( new Matrix4().makeTranslation( translate ) );
+
+		const offset = translate.sub( this.origin ).applyMatrix4( axisMatrix );
+
+		dataset.group.position.copy( offset );
+		dataset.matrix.copy( scale ).setPosition( offset );
+		dataset.boundingBox.union( box.clone().applyMatrix4( dataset.matrix ) );
+
+		this.parser.matrix = scale;
+		this.parser.axisMatrix = axisMatrix;
+		this.parser.reprojection = reprojection;
+
+	}
+
+	/**
+	 * Creates a `TextureManager` for the textures of `data` (if any) and
+	 * returns a promise that resolves once all of them are loaded.
+	 */
+	loadTextures( data, onProgress, url, dataset ) {
+
+		if ( ! data.appearance || ! data.appearance.textures || data.appearance.textures.length === 0 ) {
+
+			return Promise.resolve();
 
 		}
 
-		return data.vertices;
+		const textureManager = new TextureManager( data, Object.assign( {
+			manager: this.manager,
+			urlResolver: this.createURLResolver( url )
+		}, this.textureOptions ) );
+		this.textureManager = textureManager;
+
+		if ( dataset ) {
+
+			dataset.textureManager = textureManager;
+
+		}
+
+		const total = textureManager.pendingTextures;
+
+		if ( total === 0 ) {
+
+			return Promise.resolve();
+
+		}
+
+		return new Promise( resolve => {
+
+			textureManager.onLoad = () => {
+
+				if ( onProgress ) {
+
+					onProgress( { stage: 'textures', loaded: total, total, lengthComputable: true } );
+
+				}
+
+				resolve();
+
+			};
+
+		} );
 
 	}
 
 	/**
-	 * Computes a matrix that transforms the dataset close to the origin.
+	 * Loads a CityJSONSeq stream progressively. Features are parsed in
+	 * batches as soon as the parser is idle, so that objects appear while
+	 * the rest of the stream is still arriving.
 	 *
-	 * @param {Object} data The CityJSON data
+	 * @param {ReadableStream|Response|Blob|string|AsyncIterable} source The CityJSONSeq stream
+	 * @param {AbortSignal} signal Optional signal to abort the loading
+	 * @returns {Promise} Resolves with the dataset when the stream has been fully parsed
 	 */
-	computeMatrix( data, scale = false ) {
+	loadSequence( source, signal ) {
 
-		const normGeom = new BufferGeometry();
+		const url = ( typeof Response !== 'undefined' && source instanceof Response ) ? source.url : undefined;
+		const dataset = this.createDataset( url );
 
-		const vertices = new Float32Array( data.vertices.map( v => [ v[ 0 ], v[ 1 ], v[ 2 ] ] ).flat() );
-		normGeom.setAttribute( 'position', new BufferAttribute( vertices, 3 ) );
+		dataset.ready = this.loadDataset( dataset, signal, signal => this.readSequence( dataset, source, signal ) );
 
-		normGeom.computeBoundingBox();
-		this.boundingBox = normGeom.boundingBox;
-		const centre = new Vector3();
+		return dataset.ready;
 
-		normGeom.boundingBox.getCenter( centre );
-		centre.setZ( 0 );
-		// const radius = normGeom.boundingSphere.radius;
+	}
 
-		// const s = scale ? radius === 0 ? 1 : 1.0 / radius : 1;
-		const s = 1;
+	async readSequence( dataset, source, signal ) {
 
-		const matrix = new Matrix4();
-		matrix.set(
-			s, 0, 0, - s * centre.x,
-			0, s, 0, - s * centre.y,
-			0, 0, s, - s * centre.z,
-			0, 0, 0, 1
-		);
+		const reader = new CityJSONSeqReader();
+
+		let parsing = null;
+
+		const parseNext = () => {
+
+			if ( parsing || ! reader.hasBatch() || signal.aborted ) {
+
+				return parsing;
+
+			}
+
+			const batch = reader.takeBatch();
+			dataset.hierarchy.addObjects( batch.CityObjects );
+
+			parsing = this.parseCityModel( batch, undefined, signal, dataset ).then( () => {
+
+				parsing = null;
+				return parseNext();
+
+			} );
+
+			return parsing;
+
+		};
+
+		let texturing = null;
+
+		for await ( const chunk of readChunks( source ) ) {
+
+			if ( signal.aborted ) {
+
+				throw abortError();
+
+			}
+
+			reader.read( chunk );
+
+			if ( texturing === null && reader.header !== null ) {
+
+				dataset.setCityModel( reader.header );
+				this.metadata = dataset.metadata;
+				texturing = this.loadTextures( reader.header, undefined, dataset.url, dataset );
+
+			}
+
+			// Errors are surfaced by the final `await` below
+			const pending = parseNext();
+			if ( pending ) pending.catch( () => {} );
+
+		}
 
-		this.matrix = matrix;
+		reader.flush();
+
+		await parseNext();
+		await texturing;
+
+	}
+
+}
+
+function abortError() {
+
+	return new DOMException( 'The CityJSON loading was aborted.', 'AbortError' );
+
+}
+
+// Yields the chunks of the body of `response`, reporting the download
+// progress to `onProgress`
+async function* readResponse( response, onProgress ) {
+
+	const total = Number( response.headers.get( 'Content-Length' ) ) || 0;
+	let loaded = 0;
+
+	for await ( const chunk of readChunks( response.body ) ) {
+
+		loaded += chunk.byteLength;
+
+		if ( onProgress ) {
+
+			onProgress( { stage: 'download', loaded, total, lengthComputable: total > 0 } );
+
+		}
+
+		yield chunk;
+
+	}
+
+}
+
+function computeBoundingBox( vertices ) {
+
+	const box = new Box3();
+	const point = new Vector3();
+
+	for ( const v of vertices ) {
+
+		box.expandByPoint( point.set( v[ 0 ], v[ 1 ], v[ 2 ] ) );
+
+	}
+
+	return box;
+
+}
+
+// Returns the bounding box of the reprojected corners of `box`
+function reprojectBox( box, reprojection ) {
+
+	const transform = createVertexTransform( reprojection );
+	const result = new Box3();
+	const point = new Vector3();
+
+	if ( box.isEmpty() ) {
+
+		return result;
+
+	}
+
+	for ( const x of [ box.min.x, box.max.x ] ) {
+
+		for ( const y of [ box.min.y, box.max.y ] ) {
+
+			for ( const z of [ box.min.z, box.max.z ] ) {
+
+				result.expandByPoint( point.fromArray( transform( [ x, y, z ] ) ) );
+
+			}
+
+		}
 
 	}
 
+	return result;
+
+}
+
+function whenAborted( signal ) {
+
+	return new Promise( ( resolve, reject ) => {
+
+		if ( signal.aborted ) {
+
+			reject( abortError() );
+			return;
+
+		}
+
+		signal.addEventListener( 'abort', () => reject( abortError() ), { once: true } );
+
+	} );
+
 }
@@ -0,0 +1,27 @@
+import { BufferGeometry, Mesh } from "three";
+import { TextureManager } from "./TextureManager";
+
+/**
+ * Returns the name of a material or texture theme as used in the names of
+ * attributes and shader defines (i.e. without non-alphanumeric characters).
+ */
+export function getThemeName( theme: string ) : string;
+
+/**
+ * Adds the attributes of the material themes (`mat<theme>`) and the texture
+ * themes (`tex<theme>` and `tex<theme>uv`) of `geometryData` to `geometry`.
+ */
+export function setAppearanceAttributes( geometry: BufferGeometry, geometryData: Object ) : void;
+
+/**
+ * Splits the geometry of `object` in groups of vertices with the same texture
+ * of `theme`, and sets the materials of `textureManager` for them. Vertices
+ * without a texture use the base material of the object. The theme
+ * `"undefined"` removes the textures.
+ */
+export function setTextureTheme( object: Mesh, theme: string, textureManager: TextureManager ) : void;
+
+/**
+ * Restores the base material of `object` after `setTextureTheme()`.
+ */
+export function unsetTextures( object: Mesh ) : void;
@@ -0,0 +1,123 @@
+import { BufferAttribute } from 'three';
+import { createIntegerAttribute } from './IntegerAttributes.js';
+
+/**
+ * Returns the name of a material or texture theme as used in the names of
+ * attributes and shader defines.
+ */
+export function getThemeName( theme ) {
+
+	return theme.replace( /[^a-z0-9]/gi, '' );
+
+}
+
+/**
+ * Adds the attributes of the material themes (`mat<theme>`) and the texture
+ * themes (`tex<theme>` and `tex<theme>uv`) of `geometryData` to `geometry`.
+ */
+export function setAppearanceAttributes( geometry, geometryData ) {
+
+	for ( const material in geometryData.materials ) {
+
+		const themeName = getThemeName( material );
+
+		geometry.setAttribute( `mat${themeName}`, createIntegerAttribute( geometryData.materials[ material ] ) );
+
+	}
+
+	for ( const texture in geometryData.textures ) {
+
+		const themeName = getThemeName( texture );
+
+		geometry.setAttribute( `tex${themeName}`, createIntegerAttribute( geometryData.textures[ texture ].index ) );
+
+		const textureUVs = new Float32Array( geometryData.textures[ texture ].uvs.flat( 1 ) );
+		geometry.setAttribute( `tex${themeName}uv`, new BufferAttribute( textureUVs, 2 ) );
+
+	}
+
+}
+
+/**
+ * Splits the geometry of `object` in groups of vertices with the same texture
+ * of `theme`, and sets the materials of `textureManager` for them. Vertices
+ * without a texture use the base material of the object. The groups of
+ * indexed geometries range over their indices.
+ */
+export function setTextureTheme( object, theme, textureManager ) {
+
+	if ( theme === "undefined" ) {
+
+		unsetTextures( object );
+		return;
+
+	}
+
+	const attributeName = `tex${getThemeName( theme )}`;
+
+	if ( attributeName in object.geometry.attributes ) {
+
+		object.geometry.clearGroups();
+
+		const index = object.geometry.index;
+		const vertexTextureIds = object.geometry.attributes[ attributeName ].array;
+		const textureIds = index ? Array.from( index.array, i => vertexTextureIds[ i ] ) : vertexTextureIds;
+
+		// Create a lookup of textures
+		const { values, indices } = textureIds.reduce( ( p, c, i ) => {
+
+			if ( p.last !== c ) {
+
+				p.values.push( c );
+				p.indices.push( i );
+				p.last = c;
+
+			}
+
+			return p;
+
+		}, { last: - 2, values: [], indices: [] } );
+
+		const baseMaterial = Array.isArray( object.material ) ? object.material[ object.material.length - 1 ] : object.material;
+
+		const materials = textureManager.getMaterials( baseMaterial );
+
+		for ( const mat of materials ) {
+
+			if ( mat !== baseMaterial ) {
+
+				mat.textureTheme = theme;
+
+			}
+
+		}
+
+		for ( let i = 0; i < indices.length; i ++ ) {
+
+			const end = i < indices.length - 1 ? indices[ i + 1 ] : textureIds.length;
+
+			object.geometry.addGroup( indices[ i ], end - indices[ i ], values[ i ] > - 1 ? values[ i ] : materials.length - 1 );
+
+		}
+
+		object.material = materials;
+
+	}
+
+}
+
+/**
+ * Restores the base material of `object` after `setTextureTheme()`.
+ */
+export function unsetTextures( object ) {
+
+	if ( Array.isArray( object.material ) ) {
+
+		object.material = object.material[ object.material.length - 1 ];
+
+	}
+
+	object.material.textureTheme = "undefined";
+	object.geometry.clearGroups();
+
+}
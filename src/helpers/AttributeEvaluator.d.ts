@@ -17,8 +17,8 @@ export class AttributeEvaluator {
      * @param citymodel The CityJSON object
      * @param attributeName The name of the attribute
      * @param includeNulls Whether nulls should be considered a unique value or not
-     * @param checkParents Determines if cityobjects will take the attribute value from its parents
-     * @param checkChildren Determines if cityobjects will take the attribute value from its children
+     * @param checkParents Determines if cityobjects without the attribute will take the value of the first of their parents (or ancestors) that has it
+     * @param checkChildren Determines if cityobjects without the attribute will take the value of the first of their children (or descendants) that has it
      */
     constructor( citymodel : Object, attributeName : string, includeNulls? : Boolean, checkParents? : Boolean, checkChildren? : Boolean )
 
@@ -18,29 +18,50 @@ export class AttributeEvaluator {
 
 		const cityobject = this.citymodel.CityObjects[ objectId ];
 
+		// Dangling parents or children
+		if ( ! cityobject ) {
+
+			return null;
+
+		}
+
 		if ( cityobject.attributes && cityobject.attributes[ this.attributeName ] !== undefined ) {
 
 			return cityobject.attributes[ this.attributeName ];
 
 		}
 
+		// The first parent (or else child) that has the attribute, going up
+		// (or down) the hierarchy
 		if ( checkParent && cityobject.parents ) {
 
 			for ( const parentId of cityobject.parents ) {
 
-				return this.getAttributeValue( parentId, true, false );
+				const value = this.getAttributeValue( parentId, true, false );
+
+				if ( value !== null ) {
+
+					return value;
+
+				}
 
 			}
 
 		}
 
-		if ( checkChildren && cityobject.children || cityobject.members ) {
+		if ( checkChildren && ( cityobject.children || cityobject.members ) ) {
 
 			const children = cityobject.children ? cityobject.children : cityobject.members;
 
 			for ( const childId of children ) {
 
-				return this.getAttributeValue( childId, false, true );
+				const value = this.getAttributeValue( childId, false, true );
+
+				if ( value !== null ) {
+
+					return value;
+
+				}
 
 			}
 
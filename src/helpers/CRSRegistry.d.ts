@@ -0,0 +1,115 @@
+/**
+ * The definition of a coordinate reference system. Definitions are plain
+ * objects, so that they can be passed to the parser workers.
+ */
+export interface CRSDefinition {
+
+    projection: "geographic" | "webMercator" | "transverseMercator" | "obliqueStereographic";
+
+    /**
+     * The semi-major axis of the ellipsoid.
+     */
+    a: number;
+
+    /**
+     * The inverse flattening of the ellipsoid.
+     */
+    rf: number;
+
+    /**
+     * Latitude and longitude of the origin of the projection, in degrees.
+     */
+    lat0?: number;
+    lon0?: number;
+
+    /**
+     * Scale factor at the origin.
+     */
+    k0?: number;
+
+    /**
+     * False easting and northing.
+     */
+    x0?: number;
+    y0?: number;
+
+    /**
+     * Helmert parameters to WGS84 (position vector convention, as in PROJ):
+     * translations in metres, rotations in arc-seconds and scale in ppm.
+     */
+    towgs84?: number[] | null;
+
+}
+
+/**
+ * The parameters to reproject the vertices of a CityJSON file.
+ */
+export interface Reprojection {
+
+    source: CRSDefinition;
+    target: CRSDefinition;
+
+    /**
+     * The `transform` of the file.
+     */
+    scale: number[];
+    translate: number[];
+
+    /**
+     * Subtracted from the reprojected coordinates, to keep them small.
+     */
+    offset: number[];
+
+}
+
+/**
+ * A registry of coordinate reference systems, identified by their EPSG code
+ * (e.g. `"EPSG:7415"`). RD New (`EPSG:28992` and `EPSG:7415`), the UTM zones
+ * of WGS 84 and ETRS89, Web Mercator and WGS 84 are registered by default.
+ *
+ * Only horizontal coordinates are transformed: heights keep their vertical
+ * datum.
+ */
+export class CRSRegistry {
+
+    definitions: { [ code: string ]: CRSDefinition };
+
+    /**
+     * Registers (or replaces) the definition of a CRS, by code or OGC URL.
+     */
+    register( code: string, definition: CRSDefinition ) : this;
+
+    /**
+     * Returns the definition of a CRS (by code or OGC URL), or `null` if it is
+     * unknown.
+     */
+    get( code: string ) : CRSDefinition | null;
+
+    /**
+     * Returns whether the two CRSs have the same horizontal coordinates.
+     */
+    isEquivalent( source: string, target: string ) : boolean;
+
+}
+
+/**
+ * Returns the `"EPSG:<code>"` identifier of a CityJSON `referenceSystem` (an
+ * OGC URL, a URN or an EPSG code), or `null` if it cannot be parsed.
+ */
+export function parseReferenceSystem( referenceSystem: string ) : string | null;
+
+/**
+ * Returns a function that transforms coordinates from `source` to `target`.
+ */
+export function createCoordinateTransform( source: CRSDefinition, target: CRSDefinition ) : ( x: number, y: number, z: number ) => number[];
+
+/**
+ * Returns a function that reprojects a (quantized) vertex of a CityJSON file.
+ */
+export function createVertexTransform( reprojection: Reprojection ) : ( vertex: number[] ) => number[];
+
+/**
+ * Returns a copy of the vertices of `data` where the vertices used by its
+ * city objects are reprojected.
+ */
+export function reprojectVertices( data: Object, reprojection: Reprojection ) : number[][];
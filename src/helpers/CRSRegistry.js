@@ -0,0 +1,562 @@
+// Ellipsoids as [ semi-major axis, inverse flattening ]
+const WGS84 = [ 6378137, 298.257223563 ];
+const GRS80 = [ 6378137, 298.257222101 ];
+const BESSEL = [ 6377397.155, 299.1528128 ];
+
+const DEG = Math.PI / 180;
+const ARCSEC = DEG / 3600;
+
+const RD_NEW = {
+	projection: 'obliqueStereographic',
+	a: BESSEL[ 0 ],
+	rf: BESSEL[ 1 ],
+	lat0: 52.15616055555555,
+	lon0: 5.38763888888889,
+	k0: 0.9999079,
+	x0: 155000,
+	y0: 463000,
+	towgs84: [ 565.417, 50.3319, 465.552, - 0.398957, 0.343988, - 1.8774, 4.0725 ]
+};
+
+/**
+ * A registry of coordinate reference systems, identified by their EPSG code
+ * (e.g. `"EPSG:7415"`).
+ *
+ * Definitions are plain objects, so that they can be passed to the parser
+ * workers. They have a `projection` (one of `"geographic"`, `"webMercator"`,
+ * `"transverseMercator"` or `"obliqueStereographic"`), the ellipsoid as its
+ * semi-major axis `a` and inverse flattening `rf`, the parameters of the
+ * projection (`lat0`, `lon0` in degrees, `k0`, `x0`, `y0`) and, if the datum
+ * is not WGS84, the `towgs84` Helmert parameters (position vector convention,
+ * as in PROJ).
+ *
+ * Only horizontal coordinates are transformed: heights keep their vertical
+ * datum.
+ */
+export class CRSRegistry {
+
+	constructor() {
+
+		this.definitions = {};
+
+		this.registerDefaults();
+
+	}
+
+	registerDefaults() {
+
+		// Amersfoort / RD New, and with NAP height
+		this.register( 'EPSG:28992', RD_NEW );
+		this.register( 'EPSG:7415', RD_NEW );
+
+		this.register( 'EPSG:4326', { projection: 'geographic', a: WGS84[ 0 ], rf: WGS84[ 1 ] } );
+		this.register( 'EPSG:4979', { projection: 'geographic', a: WGS84[ 0 ], rf: WGS84[ 1 ] } );
+
+		this.register( 'EPSG:3857', { projection: 'webMercator', a: WGS84[ 0 ], rf: WGS84[ 1 ] } );
+
+		for ( let zone = 1; zone <= 60; zone ++ ) {
+
+			const code = String( zone ).padStart( 2, '0' );
+
+			// WGS 84 / UTM zones
+			this.register( `EPSG:326${code}`, utm( zone, false, WGS84 ) );
+			this.register( `EPSG:327${code}`, utm( zone, true, WGS84 ) );
+
+		}
+
+		for ( let zone = 28; zone <= 38; zone ++ ) {
+
+			// ETRS89 / UTM zones
+			this.register( `EPSG:258${zone}`, utm( zone, false, GRS80 ) );
+
+		}
+
+	}
+
+	/**
+	 * Registers (or replaces) the definition of a CRS.
+	 */
+	register( code, definition ) {
+
+		this.definitions[ normalizeCode( code ) ] = definition;
+		return this;
+
+	}
+
+	/**
+	 * Returns the definition of a CRS (by code or OGC URL), or `null` if it is
+	 * unknown.
+	 */
+	get( code ) {
+
+		const key = parseReferenceSystem( code );
+
+		return ( key && this.definitions[ key ] ) || null;
+
+	}
+
+	/**
+	 * Returns whether the two codes refer to CRSs with the same horizontal
+	 * coordinates, in which case no transform is needed.
+	 */
+	isEquivalent( source, target ) {
+
+		const s = this.get( source );
+		const t = this.get( target );
+
+		return s !== null && JSON.stringify( s ) === JSON.stringify( t );
+
+	}
+
+}
+
+function utm( zone, south, ellipsoid ) {
+
+	return {
+		projection: 'transverseMercator',
+		a: ellipsoid[ 0 ],
+		rf: ellipsoid[ 1 ],
+		lat0: 0,
+		lon0: zone * 6 - 183,
+		k0: 0.9996,
+		x0: 500000,
+		y0: south ? 10000000 : 0
+	};
+
+}
+
+function normalizeCode( code ) {
+
+	return parseReferenceSystem( code ) || code;
+
+}
+
+/**
+ * Returns the `"EPSG:<code>"` identifier of a CityJSON `referenceSystem`,
+ * which can be an OGC URL (`https://www.opengis.net/def/crs/EPSG/0/7415`), a
+ * URN (`urn:ogc:def:crs:EPSG::7415`) or an `"EPSG:7415"` string. Returns
+ * `null` if it cannot be parsed.
+ */
+export function parseReferenceSystem( referenceSystem ) {
+
+	if ( typeof referenceSystem !== 'string' ) {
+
+		return null;
+
+	}
+
+	const match = referenceSystem.trim().match( /EPSG(?:\/[^/]*\/|:[^:]*:|:)(\d+)\/?$/i );
+
+	return match ? `EPSG:${match[ 1 ]}` : null;
+
+}
+
+/**
+ * Returns a function `( x, y, z ) => [ x, y, z ]` that transforms
+ * coordinates from the `source` to the `target` definition.
+ */
+export function createCoordinateTransform( source, target ) {
+
+	const from = createProjection( source );
+	const to = createProjection( target );
+
+	return ( x, y, z ) => {
+
+		let [ lon, lat ] = from.inverse( x, y );
+
+		if ( from.towgs84 || to.towgs84 ) {
+
+			[ lon, lat ] = shiftDatum( lon, lat, from, to );
+
+		}
+
+		const [ tx, ty ] = to.forward( lon, lat );
+
+		return [ tx, ty, z ];
+
+	};
+
+}
+
+/**
+ * Returns a function that takes a vertex of a CityJSON file (as stored, i.e.
+ * quantized by its `transform`) and returns it in the target CRS of the
+ * `reprojection`, relative to its `offset`.
+ */
+export function createVertexTransform( reprojection ) {
+
+	const transform = createCoordinateTransform( reprojection.source, reprojection.target );
+	const [ sx, sy, sz ] = reprojection.scale;
+	const [ tx, ty, tz ] = reprojection.translate;
+	const [ ox, oy, oz ] = reprojection.offset;
+
+	return v => {
+
+		const p = transform( v[ 0 ] * sx + tx, v[ 1 ] * sy + ty, v[ 2 ] * sz + tz );
+
+		return [ p[ 0 ] - ox, p[ 1 ] - oy, p[ 2 ] - oz ];
+
+	};
+
+}
+
+/**
+ * Returns a copy of the vertices of `data` where the vertices used by its
+ * city objects are reprojected (see `createVertexTransform()`).
+ */
+export function reprojectVertices( data, reprojection ) {
+
+	const transform = createVertexTransform( reprojection );
+	const vertices = data.vertices.slice();
+	const done = new Uint8Array( vertices.length );
+
+	const visit = boundaries => {
+
+		for ( const b of boundaries ) {
+
+			if ( Array.isArray( b ) ) {
+
+				visit( b );
+
+			} else if ( b !== null && done[ b ] === 0 ) {
+
+				vertices[ b ] = transform( vertices[ b ] );
+				done[ b ] = 1;
+
+			}
+
+		}
+
+	};
+
+	for ( const objectId in data.CityObjects ) {
+
+		const cityObject = data.CityObjects[ objectId ];
+
+		if ( cityObject.geometry ) {
+
+			for ( const geometry of cityObject.geometry ) {
+
+				visit( geometry.boundaries );
+
+			}
+
+		}
+
+	}
+
+	return vertices;
+
+}
+
+function createProjection( definition ) {
+
+	const a = definition.a;
+	const f = 1 / definition.rf;
+	const e2 = f * ( 2 - f );
+	const e = Math.sqrt( e2 );
+
+	const towgs84 = definition.towgs84 && definition.towgs84.some( v => v !== 0 ) ? definition.towgs84 : null;
+
+	const projection = { a, e2, towgs84 };
+
+	switch ( definition.projection ) {
+
+		case 'geographic':
+
+			projection.forward = ( lon, lat ) => [ lon / DEG, lat / DEG ];
+			projection.inverse = ( x, y ) => [ x * DEG, y * DEG ];
+			break;
+
+		case 'webMercator':
+
+			projection.forward = ( lon, lat ) => [ a * lon, a * Math.log( Math.tan( Math.PI / 4 + lat / 2 ) ) ];
+			projection.inverse = ( x, y ) => [ x / a, Math.PI / 2 - 2 * Math.atan( Math.exp( - y / a ) ) ];
+			break;
+
+		case 'transverseMercator':
+
+			Object.assign( projection, transverseMercator( definition, a, f ) );
+			break;
+
+		case 'obliqueStereographic':
+
+			Object.assign( projection, obliqueStereographic( definition, a, e2, e ) );
+			break;
+
+		default:
+
+			throw new Error( `Unsupported projection "${definition.projection}".` );
+
+	}
+
+	return projection;
+
+}
+
+// Transverse Mercator with the Krüger series (accurate to a few mm within
+// a UTM zone)
+function transverseMercator( definition, a, f ) {
+
+	const n = f / ( 2 - f );
+	const n2 = n * n;
+	const n3 = n2 * n;
+
+	const A = a / ( 1 + n ) * ( 1 + n2 / 4 + n2 * n2 / 64 );
+
+	const alpha = [ n / 2 - 2 * n2 / 3 + 5 * n3 / 16, 13 * n2 / 48 - 3 * n3 / 5, 61 * n3 / 240 ];
+	const beta = [ n / 2 - 2 * n2 / 3 + 37 * n3 / 96, n2 / 48 + n3 / 15, 17 * n3 / 480 ];
+	const delta = [ 2 * n - 2 * n2 / 3 - 2 * n3, 7 * n2 / 3 - 8 * n3 / 5, 56 * n3 / 15 ];
+
+	const e = 2 * Math.sqrt( n ) / ( 1 + n );
+
+	const lon0 = definition.lon0 * DEG;
+	const k0 = definition.k0;
+
+	const project = ( lon, lat ) => {
+
+		const t = Math.sinh( Math.atanh( Math.sin( lat ) ) - e * Math.atanh( e * Math.sin( lat ) ) );
+		const dl = lon - lon0;
+
+		const xi = Math.atan2( t, Math.cos( dl ) );
+		const eta = Math.atanh( Math.sin( dl ) / Math.sqrt( 1 + t * t ) );
+
+		let x = eta;
+		let y = xi;
+
+		for ( let j = 1; j <= 3; j ++ ) {
+
+			x += alpha[ j - 1 ] * Math.cos( 2 * j * xi ) * Math.sinh( 2 * j * eta );
+			y += alpha[ j - 1 ] * Math.sin( 2 * j * xi ) * Math.cosh( 2 * j * eta );
+
+		}
+
+		return [ k0 * A * x, k0 * A * y ];
+
+	};
+
+	// The northing of the latitude of origin
+	const m0 = project( lon0, definition.lat0 * DEG )[ 1 ];
+
+	return {
+
+		forward: ( lon, lat ) => {
+
+			const [ x, y ] = project( lon, lat );
+
+			return [ definition.x0 + x, definition.y0 + y - m0 ];
+
+		},
+
+		inverse: ( x, y ) => {
+
+			const xi = ( y - definition.y0 + m0 ) / ( k0 * A );
+			const eta = ( x - definition.x0 ) / ( k0 * A );
+
+			let xi_ = xi;
+			let eta_ = eta;
+
+			for ( let j = 1; j <= 3; j ++ ) {
+
+				xi_ -= beta[ j - 1 ] * Math.sin( 2 * j * xi ) * Math.cosh( 2 * j * eta );
+				eta_ -= beta[ j - 1 ] * Math.cos( 2 * j * xi ) * Math.sinh( 2 * j * eta );
+
+			}
+
+			const chi = Math.asin( Math.sin( xi_ ) / Math.cosh( eta_ ) );
+
+			let lat = chi;
+
+			for ( let j = 1; j <= 3; j ++ ) {
+
+				lat += delta[ j - 1 ] * Math.sin( 2 * j * chi );
+
+			}
+
+			return [ lon0 + Math.atan2( Math.sinh( eta_ ), Math.cos( xi_ ) ), lat ];
+
+		}
+
+	};
+
+}
+
+// Oblique Stereographic (EPSG method 9809), as used by RD New
+function obliqueStereographic( definition, a, e2, e ) {
+
+	const lat0 = definition.lat0 * DEG;
+	const lon0 = definition.lon0 * DEG;
+	const k0 = definition.k0;
+
+	const sin0 = Math.sin( lat0 );
+
+	const rho0 = a * ( 1 - e2 ) / Math.pow( 1 - e2 * sin0 * sin0, 1.5 );
+	const nu0 = a / Math.sqrt( 1 - e2 * sin0 * sin0 );
+	const R = Math.sqrt( rho0 * nu0 );
+	const n = Math.sqrt( 1 + e2 * Math.pow( Math.cos( lat0 ), 4 ) / ( 1 - e2 ) );
+
+	const s1 = ( 1 + sin0 ) / ( 1 - sin0 );
+	const s2 = ( 1 - e * sin0 ) / ( 1 + e * sin0 );
+	const w1 = Math.pow( s1 * Math.pow( s2, e ), n );
+	const sinChi00 = ( w1 - 1 ) / ( w1 + 1 );
+	const c = ( n + sin0 ) * ( 1 - sinChi00 ) / ( ( n - sin0 ) * ( 1 + sinChi00 ) );
+	const w2 = c * w1;
+	const chi0 = Math.asin( ( w2 - 1 ) / ( w2 + 1 ) );
+
+	const g = 2 * R * k0 * Math.tan( Math.PI / 4 - chi0 / 2 );
+	const h = 4 * R * k0 * Math.tan( chi0 ) + g;
+
+	return {
+
+		forward: ( lon, lat ) => {
+
+			const L = n * ( lon - lon0 );
+
+			const sin = Math.sin( lat );
+			const sa = ( 1 + sin ) / ( 1 - sin );
+			const sb = ( 1 - e * sin ) / ( 1 + e * sin );
+			const w = c * Math.pow( sa * Math.pow( sb, e ), n );
+			const chi = Math.asin( ( w - 1 ) / ( w + 1 ) );
+
+			const B = 1 + Math.sin( chi ) * Math.sin( chi0 ) + Math.cos( chi ) * Math.cos( chi0 ) * Math.cos( L );
+
+			return [
+				definition.x0 + 2 * R * k0 * Math.cos( chi ) * Math.sin( L ) / B,
+				definition.y0 + 2 * R * k0 * ( Math.sin( chi ) * Math.cos( chi0 ) - Math.cos( chi ) * Math.sin( chi0 ) * Math.cos( L ) ) / B
+			];
+
+		},
+
+		inverse: ( x, y ) => {
+
+			const dx = x - definition.x0;
+			const dy = y - definition.y0;
+
+			const i = Math.atan( dx / ( h + dy ) );
+			const j = Math.atan( dx / ( g - dy ) ) - i;
+
+			const chi = chi0 + 2 * Math.atan( ( dy - dx * Math.tan( j / 2 ) ) / ( 2 * R * k0 ) );
+			const lon = ( j + 2 * i ) / n + lon0;
+
+			const sinChi = Math.sin( chi );
+			const psi = 0.5 * Math.log( ( 1 + sinChi ) / ( c * ( 1 - sinChi ) ) ) / n;
+
+			let lat = 2 * Math.atan( Math.exp( psi ) ) - Math.PI / 2;
+
+			for ( let k = 0; k < 10; k ++ ) {
+
+				const sin = Math.sin( lat );
+				const psi_ = Math.log( Math.tan( lat / 2 + Math.PI / 4 ) * Math.pow( ( 1 - e * sin ) / ( 1 + e * sin ), e / 2 ) );
+				const next = lat - ( psi_ - psi ) * Math.cos( lat ) * ( 1 - e2 * sin * sin ) / ( 1 - e2 );
+
+				if ( Math.abs( next - lat ) < 1e-12 ) {
+
+					return [ lon, next ];
+
+				}
+
+				lat = next;
+
+			}
+
+			return [ lon, lat ];
+
+		}
+
+	};
+
+}
+
+// Moves geodetic coordinates from the datum of `from` to the datum of `to`
+// through WGS84 geocentric coordinates
+function shiftDatum( lon, lat, from, to ) {
+
+	let p = toGeocentric( lon, lat, from.a, from.e2 );
+
+	if ( from.towgs84 ) {
+
+		p = helmert( p, from.towgs84 );
+
+	}
+
+	if ( to.towgs84 ) {
+
+		p = inverseHelmert( p, to.towgs84 );
+
+	}
+
+	return toGeodetic( p, to.a, to.e2 );
+
+}
+
+function toGeocentric( lon, lat, a, e2 ) {
+
+	const sin = Math.sin( lat );
+	const N = a / Math.sqrt( 1 - e2 * sin * sin );
+
+	return [
+		N * Math.cos( lat ) * Math.cos( lon ),
+		N * Math.cos( lat ) * Math.sin( lon ),
+		N * ( 1 - e2 ) * sin
+	];
+
+}
+
+function toGeodetic( p, a, e2 ) {
+
+	const [ x, y, z ] = p;
+	const r = Math.sqrt( x * x + y * y );
+
+	let lat = Math.atan2( z, r * ( 1 - e2 ) );
+
+	for ( let i = 0; i < 5; i ++ ) {
+
+		const sin = Math.sin( lat );
+		const N = a / Math.sqrt( 1 - e2 * sin * sin );
+		const h = r / Math.cos( lat ) - N;
+
+		lat = Math.atan2( z, r * ( 1 - e2 * N / ( N + h ) ) );
+
+	}
+
+	return [ Math.atan2( y, x ), lat ];
+
+}
+
+function helmert( p, params ) {
+
+	const [ tx, ty, tz ] = params;
+	const rx = params[ 3 ] * ARCSEC;
+	const ry = params[ 4 ] * ARCSEC;
+	const rz = params[ 5 ] * ARCSEC;
+	const s = 1 + params[ 6 ] * 1e-6;
+
+	const [ x, y, z ] = p;
+
+	return [
+		tx + s * ( x - rz * y + ry * z ),
+		ty + s * ( rz * x + y - rx * z ),
+		tz + s * ( - ry * x + rx * y + z )
+	];
+
+}
+
+function inverseHelmert( p, params ) {
+
+	const rx = params[ 3 ] * ARCSEC;
+	const ry = params[ 4 ] * ARCSEC;
+	const rz = params[ 5 ] * ARCSEC;
+	const s = 1 + params[ 6 ] * 1e-6;
+
+	const x = ( p[ 0 ] - params[ 0 ] ) / s;
+	const y = ( p[ 1 ] - params[ 1 ] ) / s;
+	const z = ( p[ 2 ] - params[ 2 ] ) / s;
+
+	// The rotations are tiny, so the transpose is their inverse
+	return [
+		x + rz * y - ry * z,
+		- rz * x + y + rx * z,
+		ry * x - rx * y + z
+	];
+
+}
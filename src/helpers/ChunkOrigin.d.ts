@@ -0,0 +1,19 @@
+import { Matrix4, Vector3 } from "three";
+
+/**
+ * Makes the flat `vertices` of a chunk relative to the (rounded) centre of
+ * their bounding box, in place, and returns that centre.
+ */
+export function toRelativeVertices( vertices: number[] ) : number[];
+
+/**
+ * Returns the matrix to apply to the geometry of a chunk: `matrix` without
+ * its translation if the chunk has an `origin`, `matrix` otherwise.
+ */
+export function getGeometryMatrix( matrix: Matrix4 | null, origin?: number[] | null ) : Matrix4 | null;
+
+/**
+ * Returns the position of a chunk with the given `origin`, i.e. the origin
+ * transformed by `matrix`.
+ */
+export function getOriginPosition( matrix: Matrix4 | null, origin: number[], target?: Vector3 ) : Vector3;
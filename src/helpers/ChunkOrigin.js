@@ -0,0 +1,70 @@
+import { Matrix4, Vector3 } from 'three';
+
+/**
+ * Makes the (flat) `vertices` of a chunk relative to the centre of their
+ * bounding box and returns that centre. This is done in double precision,
+ * before the vertices are converted to a `Float32Array`, so that chunks
+ * with large coordinates (e.g. in a projected CRS) keep their precision.
+ *
+ * The centre is rounded, so that quantized vertices stay integers.
+ */
+export function toRelativeVertices( vertices ) {
+
+	const min = [ Infinity, Infinity, Infinity ];
+	const max = [ - Infinity, - Infinity, - Infinity ];
+
+	for ( let i = 0; i < vertices.length; i ++ ) {
+
+		const axis = i % 3;
+
+		if ( vertices[ i ] < min[ axis ] ) min[ axis ] = vertices[ i ];
+		if ( vertices[ i ] > max[ axis ] ) max[ axis ] = vertices[ i ];
+
+	}
+
+	if ( vertices.length == 0 ) {
+
+		return [ 0, 0, 0 ];
+
+	}
+
+	const origin = min.map( ( value, axis ) => Math.round( ( value + max[ axis ] ) / 2 ) );
+
+	for ( let i = 0; i < vertices.length; i ++ ) {
+
+		vertices[ i ] -= origin[ i % 3 ];
+
+	}
+
+	return origin;
+
+}
+
+/**
+ * Returns the matrix to apply to the geometry of a chunk. If the chunk has an
+ * `origin`, its vertices are relative to it, so the translation of `matrix`
+ * is left to the position of the object (see `getOriginPosition()`).
+ */
+export function getGeometryMatrix( matrix, origin ) {
+
+	if ( ! origin || ! matrix ) {
+
+		return matrix;
+
+	}
+
+	return matrix.clone().setPosition( 0, 0, 0 );
+
+}
+
+/**
+ * Returns the position of a chunk with the given `origin`, i.e. the origin
+ * transformed by `matrix`.
+ */
+export function getOriginPosition( matrix, origin, target = new Vector3() ) {
+
+	target.fromArray( origin );
+
+	return target.applyMatrix4( matrix || new Matrix4() );
+
+}
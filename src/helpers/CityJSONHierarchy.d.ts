@@ -0,0 +1,64 @@
+/**
+ * The relations between the city objects of a CityJSON object: the parents
+ * and children of every object (from both their `parents` and `children`),
+ * and the members of every `CityObjectGroup` (its `children`, or its
+ * `members` in CityJSON 1.0). Groups are not counted as the parents of their
+ * members.
+ *
+ * Every `CityJSONDataset` builds one as it loads, in its `hierarchy`.
+ *
+ * @example
+ * const building = dataset.hierarchy.getSubtree( 'building-1' );
+ *
+ * // The building with its parts and installations
+ * dataset.highlightObjects( building );
+ */
+export class CityJSONHierarchy {
+
+    /**
+     * The ids of the objects, in the order they were added.
+     */
+    objectIds: string[];
+
+    /**
+     * The ids of the objects without parents (other than groups).
+     */
+    readonly roots: string[];
+
+    constructor( cityObjects?: Object );
+
+    /**
+     * Adds city objects (e.g. a batch of a CityJSONSeq stream). Their
+     * relations may refer to objects that are added later.
+     */
+    addObjects( cityObjects: Object ) : void;
+
+    has( objectId: string ) : boolean;
+
+    getParents( objectId: string ) : string[];
+
+    getChildren( objectId: string ) : string[];
+
+    /**
+     * Returns the ids of the children of an object, their children and so
+     * on, depth first. The descendants of a group are its members and their
+     * descendants. Cycles in the file are followed only once.
+     */
+    getDescendants( objectId: string ) : string[];
+
+    /**
+     * Returns the id of an object followed by its descendants.
+     */
+    getSubtree( objectId: string ) : string[];
+
+    /**
+     * Returns the ids of the members of a `CityObjectGroup`.
+     */
+    getMembers( groupId: string ) : string[];
+
+    /**
+     * Returns the ids of the groups that an object is a member of.
+     */
+    getGroups( objectId: string ) : string[];
+
+}
@@ -0,0 +1,219 @@
+/**
+ * The relations between the city objects of a CityJSON object: the parents
+ * and children of every object, and the members of every `CityObjectGroup`.
+ * Objects can be added in batches (e.g. the features of a CityJSONSeq
+ * stream), with relations to objects that come later.
+ */
+export class CityJSONHierarchy {
+
+	constructor( cityObjects = {} ) {
+
+		// The ids of the objects, in the order they were added
+		this.objectIds = [];
+
+		// The types of the objects, by their id
+		this.types = new Map();
+
+		// The parents and children of every object (groups are not parents
+		// of their members), by its id
+		this.parents = new Map();
+		this.children = new Map();
+
+		// The members of every group, and the groups of every object
+		this.members = new Map();
+		this.groups = new Map();
+
+		this.addObjects( cityObjects );
+
+	}
+
+	addObjects( cityObjects ) {
+
+		for ( const objectId in cityObjects ) {
+
+			const cityObject = cityObjects[ objectId ];
+
+			if ( ! this.types.has( objectId ) ) {
+
+				this.objectIds.push( objectId );
+
+			}
+
+			this.types.set( objectId, cityObject.type );
+
+			if ( cityObject.type === 'CityObjectGroup' ) {
+
+				// Objects of earlier batches may have named the group as their
+				// parent before it was known to be one
+				for ( const memberId of this.children.get( objectId ) || [] ) {
+
+					addRelation( this.members, objectId, memberId );
+					addRelation( this.groups, memberId, objectId );
+					removeRelation( this.parents, memberId, objectId );
+
+				}
+
+				this.children.delete( objectId );
+
+				// Members are the children of a group since CityJSON 1.1, and
+				// its `members` before
+				for ( const memberId of [ ...( cityObject.children || [] ), ...( cityObject.members || [] ) ] ) {
+
+					addRelation( this.members, objectId, memberId );
+					addRelation( this.groups, memberId, objectId );
+
+				}
+
+			} else {
+
+				for ( const childId of cityObject.children || [] ) {
+
+					addRelation( this.children, objectId, childId );
+					addRelation( this.parents, childId, objectId );
+
+				}
+
+			}
+
+			for ( const parentId of cityObject.parents || [] ) {
+
+				const parentType = cityObjects[ parentId ] ? cityObjects[ parentId ].type : this.types.get( parentId );
+
+				if ( parentType === 'CityObjectGroup' ) {
+
+					addRelation( this.members, parentId, objectId );
+					addRelation( this.groups, objectId, parentId );
+
+				} else {
+
+					addRelation( this.parents, objectId, parentId );
+					addRelation( this.children, parentId, objectId );
+
+				}
+
+			}
+
+		}
+
+	}
+
+	has( objectId ) {
+
+		return this.types.has( objectId );
+
+	}
+
+	/**
+	 * The ids of the objects without parents (other than groups).
+	 */
+	get roots() {
+
+		return this.objectIds.filter( objectId => ! this.parents.has( objectId ) );
+
+	}
+
+	getParents( objectId ) {
+
+		return [ ...( this.parents.get( objectId ) || [] ) ];
+
+	}
+
+	getChildren( objectId ) {
+
+		return [ ...( this.children.get( objectId ) || [] ) ];
+
+	}
+
+	/**
+	 * Returns the ids of the children of an object, their children and so
+	 * on. The descendants of a group are its members and their descendants.
+	 */
+	getDescendants( objectId ) {
+
+		const descendants = new Set();
+		const stack = this.getRelated( objectId );
+
+		while ( stack.length > 0 ) {
+
+			const id = stack.pop();
+
+			// Cycles in the file do not loop forever
+			if ( id !== objectId && ! descendants.has( id ) ) {
+
+				descendants.add( id );
+				stack.push( ...this.getRelated( id ) );
+
+			}
+
+		}
+
+		return [ ...descendants ];
+
+	}
+
+	// The children and members of an object, last first
+	getRelated( objectId ) {
+
+		return [ ...( this.children.get( objectId ) || [] ), ...( this.members.get( objectId ) || [] ) ].reverse();
+
+	}
+
+	/**
+	 * Returns the id of an object followed by its descendants, e.g. to
+	 * highlight a building with its parts and installations.
+	 */
+	getSubtree( objectId ) {
+
+		return [ objectId, ...this.getDescendants( objectId ) ];
+
+	}
+
+	/**
+	 * Returns the ids of the members of a `CityObjectGroup`.
+	 */
+	getMembers( groupId ) {
+
+		return [ ...( this.members.get( groupId ) || [] ) ];
+
+	}
+
+	/**
+	 * Returns the ids of the groups that an object is a member of.
+	 */
+	getGroups( objectId ) {
+
+		return [ ...( this.groups.get( objectId ) || [] ) ];
+
+	}
+
+}
+
+function addRelation( relations, from, to ) {
+
+	if ( ! relations.has( from ) ) {
+
+		relations.set( from, new Set() );
+
+	}
+
+	relations.get( from ).add( to );
+
+}
+
+function removeRelation( relations, from, to ) {
+
+	const related = relations.get( from );
+
+	if ( related ) {
+
+		related.delete( to );
+
+		if ( related.size == 0 ) {
+
+			relations.delete( from );
+
+		}
+
+	}
+
+}
@@ -0,0 +1,99 @@
+/**
+ * An extension declared by a CityJSON file.
+ */
+export interface CityJSONExtension {
+
+    name: string;
+    url: string | null;
+    version: string | null;
+
+}
+
+/**
+ * The metadata of a CityJSON file, in the same structure for CityJSON 1.0,
+ * 1.1 and 2.0. Properties that a file does not declare are `null`.
+ */
+export interface CityJSONMetadata {
+
+    /**
+     * The `type` of the file (`"CityJSON"`, or `"CityJSONFeature"`).
+     */
+    type: string | null;
+
+    /**
+     * The `"major.minor"` version of the file (e.g. `"1.0"` for `"1.0.3"`).
+     */
+    version: string | null;
+
+    /**
+     * The `version` as declared by the file.
+     */
+    declaredVersion: string | null;
+
+    extensions: CityJSONExtension[];
+
+    /**
+     * `datasetTitle` in CityJSON 1.0.
+     */
+    title: string | null;
+
+    /**
+     * `citymodelIdentifier` in CityJSON 1.0.
+     */
+    identifier: string | null;
+
+    /**
+     * `datasetReferenceDate` in CityJSON 1.0.
+     */
+    referenceDate: string | null;
+
+    /**
+     * `datasetPointOfContact` in CityJSON 1.0. Its `address` is always an
+     * object (an address given as a string is put in `text`).
+     */
+    pointOfContact: { [ key: string ]: any } | null;
+
+    /**
+     * The `referenceSystem` as declared by the file.
+     */
+    referenceSystem: string | null;
+
+    /**
+     * The `"EPSG:<code>"` identifier of the `referenceSystem`.
+     */
+    crs: string | null;
+
+    /**
+     * `[ minx, miny, minz, maxx, maxy, maxz ]`
+     */
+    geographicalExtent: number[] | null;
+
+    /**
+     * The `transform` of the file, or `null` if its vertices are not
+     * quantized.
+     */
+    transform: { scale: number[], translate: number[] } | null;
+
+    /**
+     * Every property of the metadata, with the names of CityJSON 1.1.
+     */
+    properties: { [ key: string ]: any };
+
+}
+
+/**
+ * Reads the metadata of a CityJSON object (or of the header of a CityJSONSeq
+ * stream).
+ */
+export function readMetadata( citymodel: Object ) : CityJSONMetadata;
+
+/**
+ * Returns the `"major.minor"` version of a CityJSON `version`, or `null`.
+ */
+export function parseVersion( version: string | number | null | undefined ) : string | null;
+
+/**
+ * Returns the LoD of a geometry as a string (LoDs were numbers in CityJSON
+ * 1.0).
+ */
+export function normalizeLod( lod: string | number ) : string;
@@ -0,0 +1,123 @@
+import { parseReferenceSystem } from './CRSRegistry.js';
+
+// The metadata properties of CityJSON 1.0 that were renamed in 1.1
+const legacyProperties = {
+	citymodelIdentifier: 'identifier',
+	datasetTitle: 'title',
+	datasetReferenceDate: 'referenceDate',
+	datasetPointOfContact: 'pointOfContact'
+};
+
+/**
+ * Reads the metadata of a CityJSON object (or of the header of a CityJSONSeq
+ * stream) into the same structure for CityJSON 1.0, 1.1 and 2.0 files.
+ */
+export function readMetadata( citymodel ) {
+
+	const source = citymodel.metadata || {};
+	const metadata = {};
+
+	for ( const property in source ) {
+
+		metadata[ legacyProperties[ property ] || property ] = source[ property ];
+
+	}
+
+	const referenceSystem = typeof metadata.referenceSystem === 'string' ? metadata.referenceSystem : null;
+
+	return {
+		type: citymodel.type || null,
+		version: parseVersion( citymodel.version ),
+		declaredVersion: citymodel.version !== undefined ? String( citymodel.version ) : null,
+		extensions: readExtensions( citymodel.extensions ),
+
+		title: metadata.title !== undefined ? metadata.title : null,
+		identifier: metadata.identifier !== undefined ? metadata.identifier : null,
+		referenceDate: metadata.referenceDate !== undefined ? metadata.referenceDate : null,
+		pointOfContact: readPointOfContact( metadata.pointOfContact ),
+
+		referenceSystem,
+		crs: parseReferenceSystem( referenceSystem ),
+		geographicalExtent: Array.isArray( metadata.geographicalExtent ) && metadata.geographicalExtent.length == 6 ? metadata.geographicalExtent.slice() : null,
+
+		transform: citymodel.transform ? {
+			scale: citymodel.transform.scale.slice(),
+			translate: citymodel.transform.translate.slice()
+		} : null,
+
+		// Every other property of the metadata, with their 1.1 names
+		properties: metadata
+	};
+
+}
+
+/**
+ * Returns the `"major.minor"` version of a CityJSON `version`, or `null`.
+ */
+export function parseVersion( version ) {
+
+	if ( version === undefined || version === null ) {
+
+		return null;
+
+	}
+
+	const match = String( version ).match( /^(\d+)(?:\.(\d+))?/ );
+
+	return match ? `${match[ 1 ]}.${match[ 2 ] || 0}` : null;
+
+}
+
+/**
+ * Returns the LoD of a geometry as a string, as LoDs were numbers in
+ * CityJSON 1.0 (e.g. `2` instead of `"2"`).
+ */
+export function normalizeLod( lod ) {
+
+	if ( typeof lod === 'number' ) {
+
+		return String( lod );
+
+	}
+
+	return lod;
+
+}
+
+function readExtensions( extensions ) {
+
+	if ( ! extensions ) {
+
+		return [];
+
+	}
+
+	return Object.entries( extensions ).map( ( [ name, extension ] ) => ( {
+		name,
+		url: extension.url || null,
+		version: extension.version !== undefined ? String( extension.version ) : null
+	} ) );
+
+}
+
+function readPointOfContact( contact ) {
+
+	if ( ! contact || typeof contact !== 'object' ) {
+
+		return null;
+
+	}
+
+	const pointOfContact = Object.assign( {}, contact );
+
+	// CityJSON 1.0 describes the address as a string, later versions as an
+	// object
+	if ( typeof pointOfContact.address === 'string' ) {
+
+		pointOfContact.address = { text: pointOfContact.address };
+
+	}
+
+	return pointOfContact;
+
+}
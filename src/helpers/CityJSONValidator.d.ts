@@ -0,0 +1,161 @@
+/**
+ * The type of a validation error:
+ *
+ * - `missing-vertex`: a boundary refers to a vertex that does not exist
+ * - `duplicate-vertex`: a ring uses a vertex with the same coordinates as
+ *   an earlier one in `vertices`
+ * - `repeated-point`: a ring goes through the same point twice (e.g. it is
+ *   closed with its first point)
+ * - `too-few-points`: a ring has less than three points
+ * - `collinear`: the points of the exterior ring of a surface are collinear
+ * - `non-planar`: a surface is further from its plane than
+ *   `planarityTolerance`
+ * - `inconsistent-orientation`: an interior ring goes the same way as the
+ *   exterior ring, or two surfaces of a shell go the same way along an edge
+ * - `unclosed-shell`: an edge of a shell belongs to only one surface
+ * - `non-manifold-shell`: an edge of a shell belongs to more than two
+ *   surfaces
+ * - `inverted-shell`: the surfaces of an exterior shell face inwards, or
+ *   the ones of an interior shell face outwards
+ * - `semantics-mismatch`: the semantic `values` do not have one value per
+ *   surface
+ * - `texture-mismatch`: the texture `values` do not have one array per ring
+ * - `dangling-parent`, `dangling-child`: a `parents` or `children` id is not
+ *   a city object
+ */
+export type ValidationErrorType =
+    "missing-vertex" |
+    "duplicate-vertex" |
+    "repeated-point" |
+    "too-few-points" |
+    "collinear" |
+    "non-planar" |
+    "inconsistent-orientation" |
+    "unclosed-shell" |
+    "non-manifold-shell" |
+    "inverted-shell" |
+    "semantics-mismatch" |
+    "texture-mismatch" |
+    "dangling-parent" |
+    "dangling-child";
+
+export interface ValidationError {
+
+    type: ValidationErrorType;
+
+    /**
+     * The index of the geometry in the `geometry` of the city object, or null
+     * for errors of the city object itself.
+     */
+    geometryIndex: number | null;
+
+    /**
+     * The index of the surface, numbered across the shells and solids of the
+     * geometry as in the `boundaryid` attribute of the meshes. It is null for
+     * errors of the whole geometry. Shell errors give the first surface
+     * where they are found.
+     */
+    boundaryIndex: number | null;
+
+    /**
+     * The id that a dangling `parents` or `children` entry refers to.
+     */
+    reference?: string;
+
+}
+
+/**
+ * The errors found by `CityJSONValidator`, by city object. It can be passed
+ * to `CityObjectsMesh.addAttributeByProperty()` like an
+ * `AttributeEvaluator`, to colour invalid objects with conditional
+ * formatting.
+ *
+ * @example
+ * const report = new CityJSONValidator().validate( citymodel );
+ *
+ * for ( const objectId of report.invalidObjects ) {
+ *
+ *     console.log( objectId, report.getErrors( objectId ) );
+ *
+ * }
+ */
+export class ValidationReport {
+
+    /**
+     * The ids of the city objects, in the order of their object indices.
+     */
+    objectIds: string[];
+
+    /**
+     * The errors of every invalid city object, by its id.
+     */
+    errors: { [ objectId: string ]: ValidationError[] };
+
+    /**
+     * Whether no errors were found.
+     */
+    readonly isValid: boolean;
+
+    /**
+     * The ids of the city objects with errors.
+     */
+    readonly invalidObjects: string[];
+
+    constructor( citymodel: Object );
+
+    addError( objectId: string, type: ValidationErrorType, geometryIndex?: number | null, boundaryIndex?: number | null, reference?: string | null ): void;
+
+    /**
+     * Returns the errors of a city object (empty if it is valid).
+     */
+    getErrors( objectId: string ): ValidationError[];
+
+    /**
+     * Returns the `highlightedObject` of city object materials that shows
+     * an error: its surface if it has one, or else the whole object.
+     */
+    getHighlight( objectId: string, error?: ValidationError ): { objectIndex: number, geometryIndex?: number, boundaryIndex?: number };
+
+    /**
+     * Returns `"invalid"` or `"valid"` for every city object.
+     */
+    getAllValues(): string[];
+
+    getUniqueValues(): string[];
+
+    /**
+     * Returns the `attributeColors` of city object materials for the values
+     * of `getAllValues()`.
+     */
+    createColors( invalidColor?: number, validColor?: number ): { invalid: number, valid: number };
+
+}
+
+/**
+ * Checks the city objects of a CityJSON object and the geometry that the
+ * parsers read from them: the rings and surfaces of surface geometries, the
+ * shells of solids, the semantic and texture values and the `parents` and
+ * `children` references.
+ *
+ * The surfaces are checked like `TriangleParser` does for its diagnostics,
+ * with the same `collinear` and `non-planar` errors.
+ */
+export class CityJSONValidator {
+
+    /**
+     * How far the points of a surface may be from its plane, relative to the
+     * size of the surface. Defaults to the tolerance of `TriangleParser`
+     * (0.01).
+     */
+    planarityTolerance: number;
+
+    /**
+     * Validates a CityJSON object, as parsed from the file. The city model of
+     * a loaded dataset (`dataset.citymodel`) cannot be validated, as its
+     * `vertices` are empty and its geometries have no `boundaries`.
+     *
+     * @throws If the geometries of the city model have no `boundaries`
+     */
+    validate( citymodel: Object ): ValidationReport;
+
+}
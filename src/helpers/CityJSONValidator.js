@@ -0,0 +1,494 @@
+import { Vector3 } from 'three';
+import { COLLINEAR,
+		 MISSING_VERTEX,
+		 NON_PLANAR,
+		 TOO_FEW_POINTS,
+		 isPlanar,
+		 newellNormal,
+		 planarityTolerance } from '../parsers/geometry/TriangleParser.js';
+
+// The types of the errors of a city object, along with the ones of the
+// surfaces that are also reported by `TriangleParser`
+const DUPLICATE_VERTEX = "duplicate-vertex";
+const REPEATED_POINT = "repeated-point";
+const INCONSISTENT_ORIENTATION = "inconsistent-orientation";
+const UNCLOSED_SHELL = "unclosed-shell";
+const NON_MANIFOLD_SHELL = "non-manifold-shell";
+const INVERTED_SHELL = "inverted-shell";
+const SEMANTICS_MISMATCH = "semantics-mismatch";
+const TEXTURE_MISMATCH = "texture-mismatch";
+const DANGLING_PARENT = "dangling-parent";
+const DANGLING_CHILD = "dangling-child";
+
+// The number of array levels of the boundaries of every geometry type above
+// its surfaces
+const surfaceDepths = {
+	MultiSurface: 1,
+	CompositeSurface: 1,
+	Solid: 2,
+	MultiSolid: 3,
+	CompositeSolid: 3
+};
+
+/**
+ * The errors found by `CityJSONValidator`, by city object.
+ */
+export class ValidationReport {
+
+	constructor( citymodel ) {
+
+		this.objectIds = Object.keys( citymodel.CityObjects );
+
+		// The errors of every invalid city object, by its id
+		this.errors = {};
+
+	}
+
+	addError( objectId, type, geometryIndex = null, boundaryIndex = null, reference = null ) {
+
+		if ( ! this.errors[ objectId ] ) {
+
+			this.errors[ objectId ] = [];
+
+		}
+
+		const error = { type, geometryIndex, boundaryIndex };
+
+		if ( reference !== null ) {
+
+			error.reference = reference;
+
+		}
+
+		this.errors[ objectId ].push( error );
+
+	}
+
+	get isValid() {
+
+		return this.invalidObjects.length == 0;
+
+	}
+
+	/**
+	 * The ids of the city objects with errors.
+	 */
+	get invalidObjects() {
+
+		return Object.keys( this.errors );
+
+	}
+
+	getErrors( objectId ) {
+
+		return this.errors[ objectId ] || [];
+
+	}
+
+	/**
+	 * Returns the `highlightedObject` of city object materials that shows
+	 * the given error (the surface if it has one, or else the whole object).
+	 */
+	getHighlight( objectId, error ) {
+
+		const objectIndex = this.objectIds.indexOf( objectId );
+
+		if ( error && error.boundaryIndex !== null ) {
+
+			return { objectIndex, geometryIndex: error.geometryIndex, boundaryIndex: error.boundaryIndex };
+
+		}
+
+		return { objectIndex };
+
+	}
+
+	// The following methods work as an `AttributeEvaluator`, so that invalid
+	// objects can be shown with conditional formatting
+
+	getAllValues() {
+
+		return this.objectIds.map( objectId => this.errors[ objectId ] ? "invalid" : "valid" );
+
+	}
+
+	getUniqueValues() {
+
+		return [ "invalid", "valid" ];
+
+	}
+
+	createColors( invalidColor = 0xff0000, validColor = 0xdddddd ) {
+
+		return { invalid: invalidColor, valid: validColor };
+
+	}
+
+}
+
+/**
+ * Checks the city objects of a CityJSON object and the geometry that the
+ * parsers read from them. It needs the original CityJSON object, with its
+ * `vertices` and the `boundaries` of its geometries, rather than the city
+ * model of a loaded dataset.
+ */
+export class CityJSONValidator {
+
+	constructor() {
+
+		// How far the points of a surface may be from its plane, relative to
+		// its size (as in the diagnostics of `TriangleParser`)
+		this.planarityTolerance = planarityTolerance;
+
+	}
+
+	validate( citymodel ) {
+
+		if ( hasNoBoundaries( citymodel ) ) {
+
+			throw new Error( "Cannot validate a city model without its vertices and boundaries, validate the CityJSON object instead." );
+
+		}
+
+		const report = new ValidationReport( citymodel );
+
+		this.vertices = citymodel.vertices || [];
+		this.scale = citymodel.transform ? citymodel.transform.scale : [ 1, 1, 1 ];
+		this.firstVertices = findFirstVertices( this.vertices );
+
+		for ( const objectId of report.objectIds ) {
+
+			this.validateObject( citymodel, objectId, report );
+
+		}
+
+		return report;
+
+	}
+
+	validateObject( citymodel, objectId, report ) {
+
+		const cityObject = citymodel.CityObjects[ objectId ];
+
+		for ( const parentId of cityObject.parents || [] ) {
+
+			if ( ! citymodel.CityObjects[ parentId ] ) {
+
+				report.addError( objectId, DANGLING_PARENT, null, null, parentId );
+
+			}
+
+		}
+
+		for ( const childId of cityObject.children || [] ) {
+
+			if ( ! citymodel.CityObjects[ childId ] ) {
+
+				report.addError( objectId, DANGLING_CHILD, null, null, childId );
+
+			}
+
+		}
+
+		const geometries = cityObject.geometry || [];
+
+		for ( let i = 0; i < geometries.length; i ++ ) {
+
+			const geometry = geometries[ i ];
+			const addError = ( type, boundaryIndex = null ) => report.addError( objectId, type, i, boundaryIndex );
+
+			if ( surfaceDepths[ geometry.type ] ) {
+
+				this.validateSurfaces( geometry, addError );
+
+			} else if ( geometry.boundaries ) {
+
+				if ( geometry.boundaries.flat( 2 ).some( vertexId => ! this.vertices[ vertexId ] ) ) {
+
+					addError( MISSING_VERTEX );
+
+				}
+
+			}
+
+		}
+
+	}
+
+	validateSurfaces( geometry, addError ) {
+
+		const depth = surfaceDepths[ geometry.type ];
+
+		if ( geometry.semantics && geometry.semantics.values && ! matchesSurfaces( geometry.semantics.values, geometry.boundaries, depth ) ) {
+
+			addError( SEMANTICS_MISMATCH );
+
+		}
+
+		for ( const theme in geometry.texture || {} ) {
+
+			const values = geometry.texture[ theme ].values;
+
+			if ( values && ! matchesSurfaces( values, geometry.boundaries, depth + 1, matchesTextureRing ) ) {
+
+				addError( TEXTURE_MISMATCH );
+
+			}
+
+		}
+
+		// The shells of the geometry and whether they are the exterior shell
+		// of their solid. Surfaces are numbered across shells, as in
+		// `TriangleParser.flattenGeometry()`.
+		const solids = depth == 1 ? [[ geometry.boundaries ]] : depth == 2 ? [ geometry.boundaries ] : geometry.boundaries;
+		const shells = solids.flat( 1 );
+		const exterior = solids.flatMap( solid => solid.map( ( shell, i ) => i == 0 ) );
+
+		let boundaryIndex = 0;
+
+		for ( let i = 0; i < shells.length; i ++ ) {
+
+			const valid = shells[ i ].map( ( surface, j ) => this.validateSurface( surface, boundaryIndex + j, addError ) );
+
+			// Shells with invalid surfaces are not checked as a whole
+			if ( depth > 1 && valid.every( Boolean ) ) {
+
+				this.validateShell( shells[ i ], exterior[ i ], boundaryIndex, addError );
+
+			}
+
+			boundaryIndex += shells[ i ].length;
+
+		}
+
+	}
+
+	/**
+	 * Checks the rings of a surface, and returns whether it can be checked
+	 * as part of a shell.
+	 */
+	validateSurface( surface, boundaryIndex, addError ) {
+
+		const errors = new Set();
+		let normal = null;
+
+		for ( let i = 0; i < surface.length; i ++ ) {
+
+			const ring = surface[ i ];
+
+			if ( ring.some( vertexId => ! this.vertices[ vertexId ] ) ) {
+
+				errors.add( MISSING_VERTEX );
+				continue;
+
+			}
+
+			if ( ring.length < 3 ) {
+
+				errors.add( TOO_FEW_POINTS );
+
+			}
+
+			if ( ring.some( vertexId => this.firstVertices[ vertexId ] !== vertexId ) ) {
+
+				errors.add( DUPLICATE_VERTEX );
+
+			}
+
+			const points = ring.map( vertexId => this.getPoint( vertexId ) );
+
+			if ( new Set( ring.map( vertexId => this.firstVertices[ vertexId ] ) ).size < ring.length ) {
+
+				errors.add( REPEATED_POINT );
+
+			}
+
+			const ringNormal = newellNormal( points );
+
+			if ( i == 0 ) {
+
+				normal = ringNormal;
+
+				if ( normal.lengthSq() == 0 && ring.length >= 3 ) {
+
+					errors.add( COLLINEAR );
+
+				}
+
+			} else if ( normal !== null && ringNormal.dot( normal ) > 0 ) {
+
+				// Interior rings go the other way round
+				errors.add( INCONSISTENT_ORIENTATION );
+
+			}
+
+		}
+
+		if ( ! errors.has( MISSING_VERTEX ) && normal !== null && normal.lengthSq() > 0 && ! isPlanar( surface.flat().map( vertexId => this.getPoint( vertexId ) ), normal.normalize(), this.planarityTolerance ) ) {
+
+			errors.add( NON_PLANAR );
+
+		}
+
+		for ( const type of errors ) {
+
+			addError( type, boundaryIndex );
+
+		}
+
+		return ! errors.has( MISSING_VERTEX ) && ! errors.has( REPEATED_POINT ) && ! errors.has( TOO_FEW_POINTS );
+
+	}
+
+	/**
+	 * Checks that every edge of a shell is shared by exactly two of its
+	 * surfaces, which go along it in opposite directions, and that the
+	 * surfaces face outwards (or inwards, for interior shells).
+	 */
+	validateShell( shell, exterior, boundaryIndex, addError ) {
+
+		const edges = new Map();
+
+		for ( let i = 0; i < shell.length; i ++ ) {
+
+			for ( const ring of shell[ i ] ) {
+
+				for ( let j = 0; j < ring.length; j ++ ) {
+
+					const a = this.firstVertices[ ring[ j ] ];
+					const b = this.firstVertices[ ring[ ( j + 1 ) % ring.length ] ];
+					const key = a < b ? `${a} ${b}` : `${b} ${a}`;
+
+					if ( ! edges.has( key ) ) {
+
+						edges.set( key, { forward: 0, backward: 0, surface: boundaryIndex + i } );
+
+					}
+
+					edges.get( key )[ a < b ? 'forward' : 'backward' ] ++;
+
+				}
+
+			}
+
+		}
+
+		const errors = new Map();
+
+		for ( const { forward, backward, surface } of edges.values() ) {
+
+			const count = forward + backward;
+			const type = count == 1 ? UNCLOSED_SHELL : count > 2 ? NON_MANIFOLD_SHELL : forward != 1 ? INCONSISTENT_ORIENTATION : null;
+
+			if ( type && ! errors.has( type ) ) {
+
+				errors.set( type, surface );
+
+			}
+
+		}
+
+		if ( errors.size == 0 && ( this.getSignedVolume( shell ) > 0 ) != exterior ) {
+
+			errors.set( INVERTED_SHELL, boundaryIndex );
+
+		}
+
+		for ( const [ type, surface ] of errors ) {
+
+			addError( type, surface );
+
+		}
+
+	}
+
+	getPoint( vertexId ) {
+
+		const vertex = this.vertices[ vertexId ];
+
+		return new Vector3( vertex[ 0 ] * this.scale[ 0 ], vertex[ 1 ] * this.scale[ 1 ], vertex[ 2 ] * this.scale[ 2 ] );
+
+	}
+
+	// The volume of a closed shell, which is positive if its surfaces face
+	// outwards
+	getSignedVolume( shell ) {
+
+		let volume = 0;
+
+		for ( const surface of shell ) {
+
+			for ( const ring of surface ) {
+
+				const points = ring.map( vertexId => this.getPoint( vertexId ) );
+
+				volume += newellNormal( points ).dot( points[ 0 ] ) / 6;
+
+			}
+
+		}
+
+		return volume;
+
+	}
+
+}
+
+// Whether the geometries of the city model have been stripped of their
+// boundaries, like the city model of a dataset loaded by the parsers
+function hasNoBoundaries( citymodel ) {
+
+	return Object.values( citymodel.CityObjects ).some( cityObject => ( cityObject.geometry || [] ).some( geometry => geometry.type != "GeometryInstance" && ! geometry.boundaries ) );
+
+}
+
+// Returns the index of the first vertex with the same coordinates as every
+// vertex
+function findFirstVertices( vertices ) {
+
+	const indices = new Map();
+
+	return vertices.map( ( vertex, i ) => {
+
+		const key = vertex.join( " " );
+
+		if ( ! indices.has( key ) ) {
+
+			indices.set( key, i );
+
+		}
+
+		return indices.get( key );
+
+	} );
+
+}
+
+// Whether `values` has the structure of `boundaries` down to the given depth
+// (one value per surface for semantics, one per ring for textures), with
+// `matchesValue()` checking the values at that depth
+function matchesSurfaces( values, boundaries, depth, matchesValue = () => true ) {
+
+	if ( depth == 0 ) {
+
+		return matchesValue( values, boundaries );
+
+	}
+
+	if ( ! Array.isArray( values ) || values.length != boundaries.length ) {
+
+		return false;
+
+	}
+
+	return values.every( ( value, i ) => matchesSurfaces( value, boundaries[ i ], depth - 1, matchesValue ) );
+
+}
+
+// Whether the texture values of a ring are `[ null ]`, or a texture index
+// and one UV per point
+function matchesTextureRing( values, ring ) {
+
+	return values === null || ( Array.isArray( values ) && ( values.length == 1 && values[ 0 ] === null || values.length == ring.length + 1 ) );
+
+}
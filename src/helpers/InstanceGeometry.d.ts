@@ -0,0 +1,18 @@
+import { Box3, Intersection, Matrix4, Object3D, Raycaster } from "three";
+
+/**
+ * Gives the `matrices` of the instances of a template to `object`, of which
+ * the geometry is the one of the template. three.js then draws it like an
+ * `InstancedMesh`: the template is uploaded once and transformed by the
+ * matrix of every instance in the vertex shader. `templateBox` is the
+ * bounding box of the template, from which the ones of the object are
+ * computed.
+ */
+export function setInstanceMatrices( object: Object3D, matrices: Matrix4[], templateBox: Box3 ): void;
+
+/**
+ * Raycasts every instance of `object` with `template`, an object drawing the
+ * template with the material of `object`, and adds the intersections to
+ * `intersects` with the `instanceId` of their instance.
+ */
+export function raycastInstances( object: Object3D, template: Object3D, raycaster: Raycaster, intersects: Intersection[] ): void;
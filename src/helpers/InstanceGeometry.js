@@ -0,0 +1,80 @@
+import { Box3,
+		 InstancedBufferAttribute,
+		 Matrix4,
+		 Sphere } from 'three';
+
+const _instanceMatrix = new Matrix4();
+const _box = new Box3();
+const _sphere = new Sphere();
+
+/**
+ * Gives the `matrices` of the instances of a template to `object`, of which
+ * the geometry is the one of the template. three.js then draws it like an
+ * `InstancedMesh`: the template is uploaded once and transformed by the
+ * matrix of every instance in the vertex shader. `templateBox` is the
+ * bounding box of the template, from which the ones of the object are
+ * computed.
+ */
+export function setInstanceMatrices( object, matrices, templateBox ) {
+
+	object.instanceMatrix = new InstancedBufferAttribute( new Float32Array( matrices.length * 16 ), 16 );
+	object.instanceColor = null;
+	object.morphTexture = null;
+	object.count = matrices.length;
+
+	object.boundingBox = new Box3();
+
+	for ( let i = 0; i < matrices.length; i ++ ) {
+
+		matrices[ i ].toArray( object.instanceMatrix.array, i * 16 );
+
+		object.boundingBox.union( _box.copy( templateBox ).applyMatrix4( matrices[ i ] ) );
+
+	}
+
+	// Used instead of the ones of the geometry to cull the object
+	object.boundingSphere = object.boundingBox.getBoundingSphere( new Sphere() );
+
+	object.isInstancedMesh = true;
+
+}
+
+/**
+ * Raycasts every instance of `object` with `template`, an object drawing the
+ * template with the material of `object`, and adds the intersections to
+ * `intersects` with the `instanceId` of their instance.
+ */
+export function raycastInstances( object, template, raycaster, intersects ) {
+
+	_sphere.copy( object.boundingSphere ).applyMatrix4( object.matrixWorld );
+
+	if ( ! raycaster.ray.intersectsSphere( _sphere ) ) {
+
+		return;
+
+	}
+
+	const instanceIntersects = [];
+
+	template.material = object.material;
+
+	for ( let i = 0; i < object.count; i ++ ) {
+
+		_instanceMatrix.fromArray( object.instanceMatrix.array, i * 16 );
+		template.matrixWorld.multiplyMatrices( object.matrixWorld, _instanceMatrix );
+
+		template.raycast( raycaster, instanceIntersects );
+
+		for ( const intersect of instanceIntersects ) {
+
+			intersect.instanceId = i;
+			intersect.object = object;
+			intersects.push( intersect );
+
+		}
+
+		instanceIntersects.length = 0;
+
+	}
+
+}
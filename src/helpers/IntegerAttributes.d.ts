@@ -0,0 +1,20 @@
+import { BufferAttribute } from "three";
+
+/**
+ * Returns the integers of `values` in the narrowest signed typed array that
+ * holds them all.
+ */
+export function createIntegerArray( values: ArrayLike<number> ) : Int8Array | Int16Array | Int32Array;
+
+/**
+ * Creates an attribute of one integer per item from `values`, in the
+ * narrowest type that holds them. Its `gpuType` is `IntType`, so that the
+ * shaders read it as an `int` attribute.
+ *
+ * @param AttributeClass The class of the attribute, e.g.
+ * `InstancedBufferAttribute` (`BufferAttribute` by default)
+ */
+export function createIntegerAttribute<T extends BufferAttribute = BufferAttribute>(
+    values: ArrayLike<number>,
+    AttributeClass?: new ( array: ArrayLike<number>, itemSize: number ) => T
+) : T;
@@ -0,0 +1,50 @@
+import { BufferAttribute, IntType } from 'three';
+
+/**
+ * Returns the integers of `values` in the narrowest signed typed array that
+ * holds them all (`Int8Array`, `Int16Array` or `Int32Array`).
+ */
+export function createIntegerArray( values ) {
+
+	let min = 0;
+	let max = 0;
+
+	for ( let i = 0; i < values.length; i ++ ) {
+
+		if ( values[ i ] < min ) min = values[ i ];
+		if ( values[ i ] > max ) max = values[ i ];
+
+	}
+
+	if ( min >= - 0x80 && max < 0x80 ) {
+
+		return new Int8Array( values );
+
+	}
+
+	if ( min >= - 0x8000 && max < 0x8000 ) {
+
+		return new Int16Array( values );
+
+	}
+
+	return new Int32Array( values );
+
+}
+
+/**
+ * Creates an attribute (a `BufferAttribute` by default, or of the given
+ * class) of one integer per item from `values`, in the narrowest type that
+ * holds them. The shaders read it as an `int` attribute.
+ */
+export function createIntegerAttribute( values, AttributeClass = BufferAttribute ) {
+
+	const attribute = new AttributeClass( createIntegerArray( values ), 1 );
+
+	// Signed arrays, as WebGL 2 does not accept unsigned data for `int`
+	// attributes, and passed as integers rather than converted to floats
+	attribute.gpuType = IntType;
+
+	return attribute;
+
+}
@@ -0,0 +1,71 @@
+import { BufferAttribute, BufferGeometry, Color, Object3D } from "three";
+
+/**
+ * The bit of the `objectstate` attribute of highlighted objects, which are
+ * drawn in the `highlightColor` of their material.
+ */
+export const HIGHLIGHTED: number;
+
+/**
+ * The bit of the `objectstate` attribute of hidden objects.
+ */
+export const HIDDEN: number;
+
+/**
+ * The number of different colors that objects can be given.
+ */
+export const MAX_STATE_COLORS: number;
+
+/**
+ * The colors that the objects of a dataset are given. Every dataset has its
+ * own, which the city object materials read from the `stateColors` of the
+ * objects they draw.
+ */
+export class StateColors {
+
+    /**
+     * The `MAX_STATE_COLORS` colors, in linear space, of which the first
+     * ones are used.
+     */
+    colors: Color[];
+
+    /**
+     * The index of every color in `colors`, by its hex value.
+     */
+    indices: Map<number, number>;
+
+    /**
+     * Returns the index of a color in `colors`, adding it if needed, or -1
+     * if there are already `MAX_STATE_COLORS` colors.
+     */
+    getIndex( color: Color | string | number ) : number;
+
+}
+
+/**
+ * Adds an `objectstate` attribute to the geometry of a city object, with the
+ * same items as its `objectid` attribute. The shaders of the city object
+ * materials read it to highlight, hide or color every object.
+ */
+export function createStateAttribute(
+    geometry: BufferGeometry,
+    AttributeClass?: new ( array: ArrayLike<number>, itemSize: number ) => BufferAttribute
+) : void;
+
+/**
+ * Changes the state of the given city objects (by their ids) in a city
+ * object, with `update` returning the new state of each of them.
+ */
+export function setObjectStates( object: Object3D, objectIds: Iterable<string>, update: ( state: number ) => number ) : void;
+
+/**
+ * Returns an update for `setObjectStates()` that sets or clears bits of the
+ * state.
+ */
+export function setStateBits( bits: number, value: boolean ) : ( state: number ) => number;
+
+/**
+ * Returns an update for `setObjectStates()` that gives objects a color of
+ * the `StateColors` of their dataset, or their usual color if -1.
+ */
+export function setStateColor( colorIndex: number ) : ( state: number ) => number;
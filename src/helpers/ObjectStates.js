@@ -0,0 +1,157 @@
+import { BufferAttribute, Color } from 'three';
+import { createIntegerAttribute } from './IntegerAttributes.js';
+
+// The bits of the `objectstate` attribute. The bits above them hold the
+// index of the color of the object in the `StateColors` of its dataset,
+// plus one.
+export const HIGHLIGHTED = 1;
+export const HIDDEN = 2;
+const COLOR_SHIFT = 2;
+
+// The number of colors that objects can be given with `setObjectStates()`,
+// so that a state fits in one byte
+export const MAX_STATE_COLORS = 31;
+
+// The index of every city object by its id, for every city model
+const objectIndices = new WeakMap();
+
+/**
+ * Adds an `objectstate` attribute to the geometry of a city object, with
+ * the same items as its `objectid` attribute, in which every object is
+ * shown as usual.
+ */
+export function createStateAttribute( geometry, AttributeClass = BufferAttribute ) {
+
+	const count = geometry.getAttribute( 'objectid' ).count;
+
+	geometry.setAttribute( 'objectstate', createIntegerAttribute( new Int8Array( count ), AttributeClass ) );
+
+}
+
+/**
+ * The colors that the objects of a dataset are given with `setStateColor()`.
+ * Every dataset has its own, so that they are released when it is unloaded,
+ * and the city object materials draw every object with the colors of its
+ * dataset.
+ */
+export class StateColors {
+
+	constructor() {
+
+		this.colors = Array.from( { length: MAX_STATE_COLORS }, () => new Color() );
+
+		// The index of every color in `colors`, by its hex value
+		this.indices = new Map();
+
+	}
+
+	/**
+	 * Returns the index of a color (anything that `Color.set()` accepts),
+	 * adding it if needed, or -1 if there are too many colors.
+	 */
+	getIndex( color ) {
+
+		const hex = new Color( color ).getHex();
+
+		if ( ! this.indices.has( hex ) ) {
+
+			if ( this.indices.size == MAX_STATE_COLORS ) {
+
+				console.warn( `Objects can only be given ${MAX_STATE_COLORS} different colors.` );
+				return - 1;
+
+			}
+
+			this.colors[ this.indices.size ].setHex( hex ).convertSRGBToLinear();
+			this.indices.set( hex, this.indices.size );
+
+		}
+
+		return this.indices.get( hex );
+
+	}
+
+}
+
+/**
+ * Changes the state of the given city objects (by their ids) in a city
+ * object: `update` receives the state of each of them and returns the new
+ * one.
+ */
+export function setObjectStates( object, objectIds, update ) {
+
+	const attribute = object.geometry.getAttribute( 'objectstate' );
+
+	if ( ! attribute ) {
+
+		return;
+
+	}
+
+	const indices = getObjectIndices( object.citymodel );
+	const selected = new Set();
+
+	for ( const objectId of objectIds ) {
+
+		if ( indices.has( objectId ) ) {
+
+			selected.add( indices.get( objectId ) );
+
+		}
+
+	}
+
+	const objectIndices = object.geometry.getAttribute( 'objectid' ).array;
+	const states = attribute.array;
+
+	for ( let i = 0; i < states.length; i ++ ) {
+
+		if ( selected.has( objectIndices[ i ] ) ) {
+
+			const state = update( states[ i ] );
+
+			if ( state !== states[ i ] ) {
+
+				states[ i ] = state;
+				attribute.needsUpdate = true;
+
+			}
+
+		}
+
+	}
+
+}
+
+/**
+ * Returns a function for `setObjectStates()` that sets or clears the given
+ * bits of the state.
+ */
+export function setStateBits( bits, value ) {
+
+	return state => value ? state | bits : state & ~ bits;
+
+}
+
+/**
+ * Returns a function for `setObjectStates()` that gives objects the color
+ * at the given index of the `StateColors` of their dataset, or their usual
+ * color if -1.
+ */
+export function setStateColor( colorIndex ) {
+
+	return state => ( state & ( HIGHLIGHTED | HIDDEN ) ) | ( ( colorIndex + 1 ) << COLOR_SHIFT );
+
+}
+
+function getObjectIndices( citymodel ) {
+
+	if ( ! objectIndices.has( citymodel ) ) {
+
+		objectIndices.set( citymodel, new Map( Object.keys( citymodel.CityObjects ).map( ( objectId, i ) => [ objectId, i ] ) ) );
+
+	}
+
+	return objectIndices.get( citymodel );
+
+}
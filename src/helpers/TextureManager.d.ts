@@ -1,7 +1,24 @@
 import { CityObjectsMaterial } from "../materials/CityObjectsMaterial";
 
 export class TextureManager {
-	constructor(citymodel: any);
+	constructor(citymodel: any, options?: any);
+
+	/**
+	 * The number of textures that are still being downloaded.
+	 */
+	pendingTextures: number;
+
+	/**
+	 * Called once all pending textures have finished (or failed) loading.
+	 */
+	onLoad: (() => void) | null;
+
+	/**
+	 * Resolves the `image` of a CityJSON texture to the URL it is loaded
+	 * from, using `options.urlResolver` if given.
+	 */
+	resolveURL( url: string ): string;
+
 	getMaterials( baseMaterial: any ): CityObjectsMaterial[];
 	setTextureFromFile( file: any ): void;
 }
@@ -27,12 +27,17 @@ export class TextureManager {
 			magFilter: LinearFilter,
 			ktx2Loader: null,
 			ddsLoader: null,
+			manager: undefined,
+			urlResolver: null,
 			...options
 		};
 
 		this.needsUpdate = false;
 		this.onChange = null;
 		this.onError = null;
+		this.onLoad = null;
+
+		this.pendingTextures = 0;
 
 		this.loadFromUrl();
 
@@ -435,10 +440,12 @@ export class TextureManager {
 
 		} else {
 
-			loader = new TextureLoader();
+			loader = new TextureLoader( this.options.manager );
 
 		}
 
+		this.pendingTextures ++;
+
 		// Load new texture
 		const tex = loader.load( url, ( loadedTex ) => {
 
@@ -459,6 +466,8 @@ export class TextureManager {
 
 			}
 
+			context._textureSettled();
+
 		}, undefined, ( err ) => {
 
 			// Remove from cache if failed
@@ -493,6 +502,8 @@ export class TextureManager {
 
 			}
 
+			context._textureSettled();
+
 		} );
 
 		// Cache the pending texture immediately
@@ -500,6 +511,27 @@ export class TextureManager {
 
 	}
 
+	_textureSettled() {
+
+		this.pendingTextures --;
+
+		if ( this.pendingTextures === 0 && this.onLoad ) {
+
+			this.onLoad();
+
+		}
+
+	}
+
+	/**
+	 * Resolves the `image` of a CityJSON texture to the URL it is loaded from
+	 */
+	resolveURL( url ) {
+
+		return this.options.urlResolver ? this.options.urlResolver.resolve( url ) : url;
+
+	}
+
 	loadFromUrl() {
 
 		this.textures = [];
@@ -513,7 +545,7 @@ export class TextureManager {
 
 			}
 
-			this.setTextureFromUrl( i, texture.image );
+			this.setTextureFromUrl( i, this.resolveURL( texture.image ) );
 
 		}
 
@@ -0,0 +1,37 @@
+/**
+ * Resolves the URLs referenced by a CityJSON file (e.g. the `image` of
+ * appearance textures) against a base path, optionally through a custom
+ * resolver callback. URLs with a scheme (such as `data:`, `blob:` or
+ * `procedural://`) are returned unchanged.
+ *
+ * @example
+ * const resolver = new URLResolver( 'https://example.com/data/' );
+ *
+ * resolver.resolve( 'textures/roof.jpg' ); // 'https://example.com/data/textures/roof.jpg'
+ */
+export class URLResolver {
+
+    /**
+     * The path or URL that relative URLs are resolved against.
+     */
+    basePath: string;
+
+    /**
+     * Optional callback that takes precedence over the default resolution.
+     * If it returns `null` or `undefined`, the default resolution is used.
+     */
+    resolver: ( ( url: string, basePath: string ) => string | null | undefined ) | null;
+
+    constructor( basePath?: string, resolver?: ( url: string, basePath: string ) => string | null | undefined );
+
+    /**
+     * Creates a resolver that resolves against the directory of `url`.
+     */
+    static fromFileUrl( url: string, resolver?: ( url: string, basePath: string ) => string | null | undefined ): URLResolver;
+
+    /**
+     * Returns the resolved URL.
+     */
+    resolve( url: string ): string;
+
+}
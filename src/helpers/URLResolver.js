@@ -0,0 +1,58 @@
+import { LoaderUtils } from 'three';
+
+/**
+ * Resolves the URLs referenced by a CityJSON file (e.g. the `image` of
+ * appearance textures) against a base path, optionally through a custom
+ * resolver callback.
+ */
+export class URLResolver {
+
+	constructor( basePath = '', resolver = null ) {
+
+		this.basePath = basePath;
+		this.resolver = resolver;
+
+	}
+
+	/**
+	 * Creates a resolver whose base path is the directory of `url`.
+	 */
+	static fromFileUrl( url, resolver = null ) {
+
+		return new URLResolver( LoaderUtils.extractUrlBase( url ), resolver );
+
+	}
+
+	resolve( url ) {
+
+		if ( this.resolver ) {
+
+			const resolved = this.resolver( url, this.basePath );
+
+			if ( resolved !== undefined && resolved !== null ) {
+
+				return resolved;
+
+			}
+
+		}
+
+		// Any URL with a scheme (e.g. `data:`, `blob:`, `procedural://`) is
+		// already absolute
+		if ( /^[a-z][a-z0-9+.-]*:/i.test( url ) ) {
+
+			return url;
+
+		}
+
+		if ( ! this.basePath ) {
+
+			return url;
+
+		}
+
+		return LoaderUtils.resolveURL( url, this.basePath );
+
+	}
+
+}
@@ -1,10 +1,14 @@
 import { CityJSONLoader } from './base/CityJSONLoader';
+import { CityJSONDataset } from './base/CityJSONDataset';
 import { CityJSONWorkerParser } from './parsers/CityJSONWorkerParser';
 import { CityJSONParser } from './parsers/CityJSONParser';
 import { ChunkParser } from './parsers/helpers/ChunkParser';
+import { CityJSONSeqReader } from './parsers/helpers/CityJSONSeqReader';
 
 import { CityObjectsMesh } from './objects/CityObjectsMesh';
 import { CityObjectsInstancedMesh } from './objects/CityObjectsInstancedMesh';
+import { CityObjectsInstancedLines } from './objects/CityObjectsInstancedLines';
+import { CityObjectsInstancedPoints } from './objects/CityObjectsInstancedPoints';
 import { CityObjectsLines } from './objects/CityObjectsLines';
 import { CityObjectsPoints } from './objects/CityObjectsPoints';
 
@@ -14,14 +18,22 @@ import { CityObjectsPointsMaterial } from './materials/CityObjectsPointsMaterial
 
 import { AttributeEvaluator } from './helpers/AttributeEvaluator';
 import { TextureManager } from './helpers/TextureManager';
+import { URLResolver } from './helpers/URLResolver';
+import { CRSRegistry } from './helpers/CRSRegistry';
+import { CityJSONValidator, ValidationReport } from './helpers/CityJSONValidator';
+import { CityJSONHierarchy } from './helpers/CityJSONHierarchy';
 
 export {
     CityJSONLoader,
+    CityJSONDataset,
     CityJSONWorkerParser,
     CityJSONParser,
     ChunkParser,
+    CityJSONSeqReader,
 
     CityObjectsInstancedMesh,
+    CityObjectsInstancedLines,
+    CityObjectsInstancedPoints,
     CityObjectsMesh,
     CityObjectsLines,
     CityObjectsPoints,
@@ -31,5 +43,10 @@ export {
     CityObjectsPointsMaterial,
 
     AttributeEvaluator,
-    TextureManager
+    TextureManager,
+    URLResolver,
+    CRSRegistry,
+    CityJSONValidator,
+    ValidationReport,
+    CityJSONHierarchy
 };
\ No newline at end of file
@@ -1,10 +1,14 @@
 import { CityJSONLoader } from './base/CityJSONLoader.js';
+import { CityJSONDataset } from './base/CityJSONDataset.js';
 import { CityJSONWorkerParser } from './parsers/CityJSONWorkerParser.js';
 import { CityJSONParser } from './parsers/CityJSONParser.js';
 import { ChunkParser } from './parsers/helpers/ChunkParser.js';
+import { CityJSONSeqReader } from './parsers/helpers/CityJSONSeqReader.js';
 
 import { CityObjectsMesh } from './objects/CityObjectsMesh.js';
 import { CityObjectsInstancedMesh } from './objects/CityObjectsInstancedMesh.js';
+import { CityObjectsInstancedLines } from './objects/CityObjectsInstancedLines.js';
+import { CityObjectsInstancedPoints } from './objects/CityObjectsInstancedPoints.js';
 import { CityObjectsLines } from './objects/CityObjectsLines.js';
 import { CityObjectsPoints } from './objects/CityObjectsPoints.js';
 
@@ -14,14 +18,22 @@ import { CityObjectsPointsMaterial } from './materials/CityObjectsPointsMaterial
 
 import { AttributeEvaluator } from './helpers/AttributeEvaluator.js';
 import { TextureManager } from './helpers/TextureManager.js';
+import { URLResolver } from './helpers/URLResolver.js';
+import { CRSRegistry } from './helpers/CRSRegistry.js';
+import { CityJSONValidator, ValidationReport } from './helpers/CityJSONValidator.js';
+import { CityJSONHierarchy } from './helpers/CityJSONHierarchy.js';
 
 export {
 	CityJSONLoader,
+	CityJSONDataset,
 	CityJSONWorkerParser,
 	CityJSONParser,
 	ChunkParser,
+	CityJSONSeqReader,
 
 	CityObjectsInstancedMesh,
+	CityObjectsInstancedLines,
+	CityObjectsInstancedPoints,
 	CityObjectsMesh,
 	CityObjectsLines,
 	CityObjectsPoints,
@@ -31,5 +43,10 @@ export {
 	CityObjectsPointsMaterial,
 
 	AttributeEvaluator,
-	TextureManager
+	TextureManager,
+	URLResolver,
+	CRSRegistry,
+	CityJSONValidator,
+	ValidationReport,
+	CityJSONHierarchy
 };
@@ -1,4 +1,4 @@
-import { Color, Shader, ShaderMaterial } from "three";
+import { BufferGeometry, Camera, Color, Object3D, Scene, Shader, ShaderMaterial, WebGLRenderer } from "three";
 
 /**
  * A base class for a material containing shader logic to render chunks of city
@@ -14,6 +14,13 @@ export class CityObjectsBaseMaterial extends ShaderMaterial {
      */
     constructor( shader : Shader );
 
+    /**
+     * Draws the object with the `stateColors` of its dataset (see
+     * `CityJSONDataset.colorObjects()`), as the materials of a parser are
+     * shared by its datasets.
+     */
+    onBeforeRender( renderer : WebGLRenderer, scene : Scene, camera : Camera, geometry : BufferGeometry, object : Object3D ) : void;
+
     /**
      * Creates a table of colors based on a lookup color table.
      * 
@@ -66,11 +73,29 @@ export class CityObjectsBaseMaterial extends ShaderMaterial {
      */
     highlightColor : Color;
 
+    /**
+     * The color of the interior shells (voids) of solids, or null (the
+     * default) to draw them like the other surfaces. It can be set to
+     * anything that `Color.set()` accepts. Only meshes have the shells of
+     * their vertices, so it should not be set on line or point materials.
+     */
+    interiorShellColor : Color | null;
+
+    /**
+     * The colors of the objects drawn without a dataset. The ones of a
+     * dataset are drawn with its `stateColors` instead (see
+     * `onBeforeRender()`).
+     */
+    defaultStateColors : Color[];
+
     /**
      * The selected object to highlight. This is an object with properties:
      * 
      * @example
      * { objectIndex, geometryIndex, boundaryIndex }
+     *
+     * The object index is compared as an integer, so it stays exact for
+     * datasets with millions of city objects.
      */
     highlightedObject : Object;
 
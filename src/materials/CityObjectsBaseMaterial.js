@@ -1,4 +1,5 @@
 import { Color, Matrix3, ShaderChunk, ShaderMaterial, UniformsLib, Vector4 } from "three";
+import { MAX_STATE_COLORS, StateColors } from "../helpers/ObjectStates.js";
 
 UniformsLib.cityobject = {
 
@@ -22,19 +23,31 @@ UniformsLib.cityobject = {
 	highlightedObjId: { value: - 1 },
 	highlightedGeomId: { value: - 1 },
 	highlightedBoundId: { value: - 1 },
-	highlightColor: { value: new Color( 0xFFC107 ).convertSRGBToLinear() }
+	highlightColor: { value: new Color( 0xFFC107 ).convertSRGBToLinear() },
+	interiorShellColor: { value: new Color( 0x9E9E9E ).convertSRGBToLinear() },
+	stateColors: { value: [] }
 
 };
 
 ShaderChunk.cityobjectinclude_vertex = `
         uniform vec3 objectColors[ OBJCOLOR_COUNT ];
         uniform vec3 highlightColor;
-        uniform float highlightedObjId;
-        
-        attribute float objectid;
+        uniform int highlightedObjId;
+
+        // The ids are integer attributes (see createIntegerAttribute()),
+        // so that they are compared exactly however large they get
+        attribute int objectid;
         attribute int type;
+
+        // Whether the object is highlighted (1) or hidden (2), and the index
+        // of its color in the StateColors of its dataset plus one (see
+        // ObjectStates.js)
+        attribute int objectstate;
+
+        uniform vec3 stateColors[ ${MAX_STATE_COLORS} ];
         
         varying vec3 diffuse_;
+        varying float discard_;
 
         #ifdef SHOW_SEMANTICS
 
@@ -54,21 +67,27 @@ ShaderChunk.cityobjectinclude_vertex = `
 
         #ifdef SELECT_SURFACE
 
-            uniform float highlightedGeomId;
-            uniform float highlightedBoundId;
+            uniform int highlightedGeomId;
+            uniform int highlightedBoundId;
 
-            attribute float geometryid;
-            attribute float boundaryid;
+            attribute int geometryid;
+            attribute int boundaryid;
 
         #endif
 
-        #ifdef SHOW_LOD
+        #ifdef INTERIOR_SHELL_COLOR
+
+            uniform vec3 interiorShellColor;
 
-            uniform float showLod;
+            attribute int shellid;
 
-            attribute float lodid;
+        #endif
+
+        #ifdef SHOW_LOD
 
-            varying float discard_;
+            uniform int showLod;
+
+            attribute int lodid;
     
         #endif
 
@@ -160,21 +179,34 @@ ShaderChunk.cityobjectdiffuse_vertex = `
 
 		#endif
 
+        #ifdef INTERIOR_SHELL_COLOR
+
+            diffuse_ = shellid > 0 ? interiorShellColor : diffuse_;
+
+        #endif
+
+        int stateColor = objectstate >> 2;
+        diffuse_ = stateColor > 0 ? stateColors[ stateColor - 1 ] : diffuse_;
+
         #ifdef SELECT_SURFACE
 
-            diffuse_ = abs( objectid - highlightedObjId ) < 0.5 && abs( geometryid - highlightedGeomId ) < 0.5 && abs( boundaryid - highlightedBoundId ) < 0.5 ? highlightColor : diffuse_;
+            diffuse_ = objectid == highlightedObjId && geometryid == highlightedGeomId && boundaryid == highlightedBoundId ? highlightColor : diffuse_;
 
         #else
 
-            diffuse_ = abs( objectid - highlightedObjId ) < 0.5 ? highlightColor : diffuse_;
+            diffuse_ = objectid == highlightedObjId ? highlightColor : diffuse_;
 
         #endif
+
+        diffuse_ = ( objectstate & 1 ) != 0 ? highlightColor : diffuse_;
+
+        discard_ = ( objectstate & 2 ) != 0 ? 1.0 : 0.0;
     `;
 
 ShaderChunk.cityobjectshowlod_vertex = `
         #ifdef SHOW_LOD
 
-            if ( abs ( lodid - showLod ) > 0.5 ) {
+            if ( lodid != showLod ) {
                 discard_ = 1.0;
             }
 
@@ -199,6 +231,10 @@ export class CityObjectsBaseMaterial extends ShaderMaterial {
 
 		this.isCityObjectsMaterial = true;
 
+		// The colors of the objects without a dataset (see `onBeforeRender()`)
+		this.defaultStateColors = new StateColors().colors;
+		this.uniforms.stateColors = { value: this.defaultStateColors };
+
 		this.defines.OBJCOLOR_COUNT = 0;
 		this.defines.SEMANTIC_COUNT = 0;
 		this.defines.ATTRIBUTE_COUNT = 0;
@@ -206,6 +242,21 @@ export class CityObjectsBaseMaterial extends ShaderMaterial {
 
 	}
 
+	onBeforeRender( renderer, scene, camera, geometry, object ) {
+
+		// The materials of a parser are shared by its datasets, which all
+		// have their own colors (see `CityJSONDataset.colorObjects()`)
+		const stateColors = object.stateColors || this.defaultStateColors;
+
+		if ( this.uniforms.stateColors.value !== stateColors ) {
+
+			this.uniforms.stateColors.value = stateColors;
+			this.uniformsNeedUpdate = true;
+
+		}
+
+	}
+
 	createColorsArray( colors ) {
 
 		const data = [];
@@ -471,6 +522,38 @@ export class CityObjectsBaseMaterial extends ShaderMaterial {
 
 	}
 
+	get interiorShellColor() {
+
+		return 'INTERIOR_SHELL_COLOR' in this.defines ? this.uniforms.interiorShellColor.value : null;
+
+	}
+
+	/**
+	 * Draws the interior shells of solids in the given color (anything that
+	 * `Color.set()` accepts), or like the other surfaces if null. Only meshes
+	 * have the shells of their vertices.
+	 */
+	set interiorShellColor( color ) {
+
+		if ( Boolean( color !== null ) !== Boolean( 'INTERIOR_SHELL_COLOR' in this.defines ) ) {
+
+			this.needsUpdate = true;
+
+		}
+
+		if ( color !== null ) {
+
+			this.uniforms.interiorShellColor.value.set( color ).convertSRGBToLinear();
+			this.defines.INTERIOR_SHELL_COLOR = '';
+
+		} else {
+
+			delete this.defines.INTERIOR_SHELL_COLOR;
+
+		}
+
+	}
+
 	get highlightedObject() {
 
 		return {
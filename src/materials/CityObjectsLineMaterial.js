@@ -28,6 +28,19 @@ export class CityObjectsLineMaterial extends CityObjectsBaseMaterial {
 			`
 			+ ShaderChunk.cityobjectdiffuse_vertex
 			+ ShaderChunk.cityobjectshowlod_vertex
+		).replace(
+			/vec4 start = modelViewMatrix \* vec4\( instanceStart, 1\.0 \);\s*vec4 end = modelViewMatrix \* vec4\( instanceEnd, 1\.0 \);/,
+			`
+			// The segments of templates are transformed by the matrix of
+			// every instance (see \`CityObjectsInstancedLines\`)
+			#ifdef USE_INSTANCING
+				vec4 start = modelViewMatrix * instanceMatrix * vec4( instanceStart, 1.0 );
+				vec4 end = modelViewMatrix * instanceMatrix * vec4( instanceEnd, 1.0 );
+			#else
+				vec4 start = modelViewMatrix * vec4( instanceStart, 1.0 );
+				vec4 end = modelViewMatrix * vec4( instanceEnd, 1.0 );
+			#endif
+			`
 		);
 		newShader.fragmentShader =
 		`
@@ -39,13 +52,10 @@ export class CityObjectsLineMaterial extends CityObjectsBaseMaterial {
 			`
 			vec4 diffuseColor = vec4( diffuse_, alpha );
 
-			#ifdef SHOW_LOD
-
-				if ( discard_ > 0.0 ) {
-					discard;
-				}
-			
-			#endif
+			// Hidden objects and other LoDs
+			if ( discard_ > 0.0 ) {
+				discard;
+			}
 			`
 		);
 
@@ -105,13 +105,10 @@ export class CityObjectsMaterial extends CityObjectsBaseMaterial {
 
 			#endif
 
-			#ifdef SHOW_LOD
-
-				if ( discard_ > 0.0 ) {
-					discard;
-				}
-			
-			#endif
+			// Hidden objects and other LoDs
+			if ( discard_ > 0.0 ) {
+				discard;
+			}
 			`
 		).replace(
 			/vec3 totalEmissiveRadiance = emissive;/,
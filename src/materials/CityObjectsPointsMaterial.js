@@ -40,13 +40,10 @@ export class CityObjectsPointsMaterial extends CityObjectsBaseMaterial {
 			`
 			vec4 diffuseColor = vec4( diffuse_, opacity );
 
-			#ifdef SHOW_LOD
-
-				if ( discard_ > 0.0 ) {
-					discard;
-				}
-			
-			#endif
+			// Hidden objects and other LoDs
+			if ( discard_ > 0.0 ) {
+				discard;
+			}
 			`
 		);
 
@@ -0,0 +1,58 @@
+import { InstancedBufferAttribute, Material, Matrix4 } from "three";
+import { LineSegments2 } from "three/examples/jsm/lines/LineSegments2";
+import { GeometryData } from "../parsers/geometry/GeometryData";
+import { CityObjectsLines } from "./CityObjectsLines";
+
+/**
+ * Draws all instances of a `MultiLineString` template (i.e. the geometries of type
+ * `GeometryInstance` that refer to it) as one object, with a single draw
+ * call. The segments of the template are uploaded once and transformed by the
+ * matrix of every instance in the vertex shader, like an `InstancedMesh`.
+ * The `objectid`, `type` and `geometryid` attributes hold one item per
+ * instance, so that LoD filtering, highlighting and picking work like for
+ * other objects.
+ */
+export class CityObjectsInstancedLines extends CityObjectsLines {
+
+    /**
+     * The number of instances.
+     */
+    instanceCount: number;
+
+    /**
+     * The number of instances drawn by three.js.
+     */
+    count: number;
+
+    /**
+     * The matrix of every instance.
+     */
+    instanceMatrix: InstancedBufferAttribute;
+
+    /**
+     * Draws the template, to raycast every instance.
+     */
+    template: LineSegments2;
+    isInstancedMesh: true;
+    isCityObjectInstancedLines: true;
+
+    /**
+     * @param citymodel The CityJSON model
+     * @param vertices The vertices of the template
+     * @param geometryData The geometry data of the template
+     * @param instanceData The data of the instances (matrices, objectIds, objectTypes and geometryIds)
+     * @param matrix A matrix to transform the template, before the matrix of every instance
+     * @param material A material (preferably a `CityObjectsLineMaterial`)
+     */
+    constructor ( citymodel: Object, vertices: ArrayBuffer | number[], geometryData: GeometryData, instanceData: Object, matrix: Matrix4 | null, material: Material );
+
+    /**
+     * Returns citymodel information for the given intersection, like
+     * `CityObjectsLines`, along with the `instanceIndex` of the instance that was hit
+     * (the `instanceId` of the intersection).
+     *
+     * @param intersection The intersection (as returned from a `Raycaster`)
+     */
+    resolveIntersectionInfo( intersection: Object ): Object;
+
+}
@@ -0,0 +1,152 @@
+import { BufferAttribute,
+		 InstancedBufferAttribute,
+		 InstancedBufferGeometry } from 'three';
+import { LineSegments2 } from 'three/examples/jsm/lines/LineSegments2';
+import { CityObjectsLines } from './CityObjectsLines.js';
+import { createIntegerAttribute } from '../helpers/IntegerAttributes.js';
+import { createStateAttribute } from '../helpers/ObjectStates.js';
+import { raycastInstances, setInstanceMatrices } from '../helpers/InstanceGeometry.js';
+
+// Fat lines are already instanced per segment, so the quad of every segment
+// of the template is stored per vertex instead. The geometry can then be
+// instanced per instance of the template.
+function createInstancedSegments( template ) {
+
+	const segmentCount = template.getAttribute( 'instanceStart' ).count;
+	const quadIndex = template.getIndex().array;
+	const quadSize = template.getAttribute( 'position' ).count;
+
+	const geom = new InstancedBufferGeometry();
+
+	const index = [];
+
+	for ( let i = 0; i < segmentCount; i ++ ) {
+
+		for ( const j of quadIndex ) {
+
+			index.push( i * quadSize + j );
+
+		}
+
+	}
+
+	geom.setIndex( index );
+
+	for ( const [ name, perSegment ] of [
+		[ 'position', false ],
+		[ 'uv', false ],
+		[ 'instanceStart', true ],
+		[ 'instanceEnd', true ],
+		[ 'surfacetype', true ],
+		[ 'lodid', true ],
+		[ 'boundaryid', true ]
+	] ) {
+
+		const source = template.getAttribute( name );
+		const itemSize = source.itemSize;
+		const array = new source.array.constructor( segmentCount * quadSize * itemSize );
+
+		for ( let i = 0; i < segmentCount; i ++ ) {
+
+			for ( let j = 0; j < quadSize; j ++ ) {
+
+				for ( let k = 0; k < itemSize; k ++ ) {
+
+					array[ ( i * quadSize + j ) * itemSize + k ] = source.getComponent( perSegment ? i : j, k );
+
+				}
+
+			}
+
+		}
+
+		const attribute = new BufferAttribute( array, itemSize );
+		attribute.gpuType = source.gpuType;
+
+		geom.setAttribute( name, attribute );
+
+	}
+
+	return geom;
+
+}
+
+/**
+ * Draws all instances of a `MultiLineString` template as one object, in
+ * which the segments of the template are transformed by the matrix of every
+ * instance.
+ */
+export class CityObjectsInstancedLines extends CityObjectsLines {
+
+	constructor( citymodel, vertices, geometryData, instanceData, matrix, material ) {
+
+		super( citymodel, vertices, geometryData, matrix, material );
+
+		const template = this.geometry;
+		template.computeBoundingBox();
+
+		const geom = createInstancedSegments( template );
+
+		// Every id of the instances is stored in the narrowest integer type of
+		// its values
+		geom.setAttribute( 'objectid', createIntegerAttribute( instanceData.objectIds, InstancedBufferAttribute ) );
+		geom.setAttribute( 'type', createIntegerAttribute( instanceData.objectType, InstancedBufferAttribute ) );
+		geom.setAttribute( 'geometryid', createIntegerAttribute( instanceData.geometryIds, InstancedBufferAttribute ) );
+
+		createStateAttribute( geom, InstancedBufferAttribute );
+
+		geom.instanceCount = instanceData.matrices.length;
+
+		this.geometry = geom;
+
+		setInstanceMatrices( this, instanceData.matrices, template.boundingBox );
+
+		// Raycasts the segments of the template for every instance
+		this.template = new LineSegments2( template, material );
+
+		this.instanceCount = instanceData.matrices.length;
+
+		this.isCityObjectInstancedLines = true;
+
+	}
+
+	raycast( raycaster, intersects ) {
+
+		raycastInstances( this, this.template, raycaster, intersects );
+
+	}
+
+	resolveIntersectionInfo( intersection ) {
+
+		const intersectionInfo = {};
+
+		const vertexIdx = this.getIntersectionVertex( intersection );
+		const instanceId = intersection.instanceId;
+
+		const template = this.template.geometry;
+
+		const idx = this.geometry.getAttribute( 'objectid' ).getX( instanceId );
+
+		intersectionInfo.vertexIndex = vertexIdx;
+		intersectionInfo.instanceIndex = instanceId;
+		intersectionInfo.objectIndex = idx;
+
+		intersectionInfo.objectId = Object.keys( this.citymodel.CityObjects )[ idx ];
+		intersectionInfo.geometryIndex = this.geometry.getAttribute( 'geometryid' ).getX( instanceId );
+		intersectionInfo.boundaryIndex = template.getAttribute( 'boundaryid' ).getX( vertexIdx );
+
+		intersectionInfo.objectTypeIndex = this.geometry.getAttribute( 'type' ).getX( instanceId );
+		intersectionInfo.surfaceTypeIndex = template.getAttribute( 'surfacetype' ).getX( vertexIdx );
+		intersectionInfo.lodIndex = template.getAttribute( 'lodid' ).getX( vertexIdx );
+
+		if ( this.crsMatrix && intersection.point ) {
+
+			intersectionInfo.point = this.worldToLocal( intersection.point.clone() ).applyMatrix4( this.crsMatrix );
+
+		}
+
+		return intersectionInfo;
+
+	}
+
+}
@@ -1,6 +1,7 @@
 import { Material } from "three";
 import { Matrix4, Mesh, Vector3 } from "three";
 import { GeometryData } from "../parsers/geometry/GeometryData";
+import { TextureManager } from "../helpers/TextureManager";
 
 /**
  * This class is designed to wrap some logic for the creation of a mesh that 
@@ -12,6 +13,12 @@ import { GeometryData } from "../parsers/geometry/GeometryData";
 export class CityObjectsInstancedMesh extends Mesh {
 
     citymodel: Object;
+
+    /**
+     * Transforms the local coordinates of the object to the coordinates of
+     * the CityJSON file. It is set when the object is added to a dataset.
+     */
+    crsMatrix: Matrix4 | null;
     isCityObject: true;
     isCityObjectMesh: true;
     supportsConditionalFormatting: true;
@@ -42,10 +49,30 @@ export class CityObjectsInstancedMesh extends Mesh {
      * an object with the following information:
      * 
      * @example
-     * { vertexIndex, objectIndex, objectId, geometryIndex, boundaryIndex, objectTypeIndex, surfaceTypeIndex, lodIndex }
+     * { vertexIndex, objectIndex, objectId, geometryIndex, boundaryIndex, objectTypeIndex, surfaceTypeIndex, lodIndex, solidIndex, shellIndex, point }
+     * 
+     * `solidIndex` and `shellIndex` are the solid and shell that were hit
+     * (shell 0 being the exterior shell), or `- 1` for geometries other than
+     * solids.
+     * 
+     * `point` is the hit point in the coordinates of the CityJSON file, if
+     * the object has a `crsMatrix`.
      * 
      * @param intersection The intersection (as returned from a `Raycaster`)
      */
     resolveIntersectionInfo( intersection: Object ): Object;
 
-}
\ No newline at end of file
+    /**
+     * Draws the vertices of the object with the textures of `theme`, using
+     * the materials of `textureManager` (including their PBR maps). Vertices
+     * without a texture keep the current material. The theme `"undefined"`
+     * removes the textures.
+     */
+    setTextureTheme( theme: string, textureManager: TextureManager ) : void;
+
+    /**
+     * Removes the textures set by `setTextureTheme()`.
+     */
+    unsetTextures() : void;
+
+}
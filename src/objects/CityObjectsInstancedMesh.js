@@ -1,8 +1,10 @@
 import { InstancedBufferGeometry } from 'three';
 import { InstancedBufferAttribute } from 'three';
 import { BufferAttribute,
-		 InstancedMesh,
-		 Int32BufferAttribute } from 'three';
+		 InstancedMesh } from 'three';
+import { createIntegerAttribute } from '../helpers/IntegerAttributes.js';
+import { createStateAttribute } from '../helpers/ObjectStates.js';
+import { setAppearanceAttributes, setTextureTheme, unsetTextures } from '../helpers/AppearanceAttributes.js';
 
 export class CityObjectsInstancedMesh extends InstancedMesh {
 
@@ -12,23 +14,40 @@ export class CityObjectsInstancedMesh extends InstancedMesh {
 
 		const vertexArray = new Float32Array( vertices );
 		geom.setAttribute( 'position', new BufferAttribute( vertexArray, 3 ) );
-		const idsArray = new Uint16Array( instanceData.objectIds );
-		geom.setAttribute( 'objectid', new InstancedBufferAttribute( idsArray, 1 ) );
-		const typeArray = new Int32Array( instanceData.objectType );
-		geom.setAttribute( 'type', new InstancedBufferAttribute( typeArray, 1 ) );
-		const surfaceTypeArray = new Int8Array( geometryData.semanticSurfaces );
-		geom.setAttribute( 'surfacetype', new Int32BufferAttribute( surfaceTypeArray, 1 ) );
-		const geomIdsArray = new Float32Array( instanceData.geometryIds );
-		geom.setAttribute( 'geometryid', new InstancedBufferAttribute( geomIdsArray, 1 ) );
-		const lodIdsArray = new Int8Array( geometryData.lodIds );
-		geom.setAttribute( 'lodid', new BufferAttribute( lodIdsArray, 1 ) );
-		const boundaryIdsArray = new Float32Array( geometryData.boundaryIds );
-		geom.setAttribute( 'boundaryid', new BufferAttribute( boundaryIdsArray, 1 ) );
-
-		for ( const material in geometryData.materials ) {
-
-			const materialArray = new Uint8Array( geometryData.materials[ material ] );
-			geom.setAttribute( `mat${material}`, new Int32BufferAttribute( materialArray, 1 ) );
+
+		// Every id is stored in the narrowest integer type of its values
+		geom.setAttribute( 'objectid', createIntegerAttribute( instanceData.objectIds, InstancedBufferAttribute ) );
+		geom.setAttribute( 'type', createIntegerAttribute( instanceData.objectType, InstancedBufferAttribute ) );
+		geom.setAttribute( 'surfacetype', createIntegerAttribute( geometryData.semanticSurfaces ) );
+		geom.setAttribute( 'geometryid', createIntegerAttribute( instanceData.geometryIds, InstancedBufferAttribute ) );
+		geom.setAttribute( 'lodid', createIntegerAttribute( geometryData.lodIds ) );
+		geom.setAttribute( 'boundaryid', createIntegerAttribute( geometryData.boundaryIds ) );
+
+		// Whether every object is highlighted, hidden or colored (see
+		// `setObjectStates()`)
+		createStateAttribute( geom, InstancedBufferAttribute );
+
+		// The solid and shell of every vertex (see `GeometryData`)
+		if ( geometryData.shellIds ) {
+
+			geom.setAttribute( 'solidid', createIntegerAttribute( geometryData.solidIds ) );
+			geom.setAttribute( 'shellid', createIntegerAttribute( geometryData.shellIds ) );
+
+		}
+
+		setAppearanceAttributes( geom, geometryData );
+
+		if ( geometryData.indices ) {
+
+			geom.setIndex( new BufferAttribute( new Uint32Array( geometryData.indices ), 1 ) );
+
+		}
+
+		// Normals computed by the parser (see `ChunkParser.normalMode`) are
+		// transformed with the geometry
+		if ( geometryData.normals ) {
+
+			geom.setAttribute( 'normal', new BufferAttribute( new Float32Array( geometryData.normals ), 3 ) );
 
 		}
 
@@ -40,7 +59,11 @@ export class CityObjectsInstancedMesh extends InstancedMesh {
 
 		}
 
-		geom.computeVertexNormals();
+		if ( ! geometryData.normals ) {
+
+			geom.computeVertexNormals();
+
+		}
 
 		super( geom, material, instanceData.matrices.length );
 
@@ -52,6 +75,10 @@ export class CityObjectsInstancedMesh extends InstancedMesh {
 
 		this.citymodel = citymodel;
 
+		// Transforms the local coordinates of the object to the coordinates
+		// of the CityJSON file (set by the dataset it is added to)
+		this.crsMatrix = null;
+
 		this.isCityObject = true;
 		this.isCityObjectMesh = true;
 
@@ -62,7 +89,7 @@ export class CityObjectsInstancedMesh extends InstancedMesh {
 
 	setArrayAsAttribute( array ) {
 
-		this.geometry.setAttribute( 'attributevalue', new InstancedBufferAttribute( new Int32Array( array ), 1 ) );
+		this.geometry.setAttribute( 'attributevalue', createIntegerAttribute( array, InstancedBufferAttribute ) );
 
 	}
 
@@ -126,82 +153,32 @@ export class CityObjectsInstancedMesh extends InstancedMesh {
 		intersectionInfo.surfaceTypeIndex = this.geometry.getAttribute( 'surfacetype' ).getX( vertexIdx );
 		intersectionInfo.lodIndex = this.geometry.getAttribute( 'lodid' ).getX( vertexIdx );
 
-		return intersectionInfo;
+		if ( this.geometry.hasAttribute( 'shellid' ) ) {
 
-	}
-
-	setTextureTheme( theme, textureManager ) {
-
-		if ( theme === "undefined" ) {
-
-			this.unsetTextures();
-			return;
+			intersectionInfo.solidIndex = this.geometry.getAttribute( 'solidid' ).getX( vertexIdx );
+			intersectionInfo.shellIndex = this.geometry.getAttribute( 'shellid' ).getX( vertexIdx );
 
 		}
 
-		const themeName = theme.replace( /[^a-z0-9]/gi, '' );
-
-		const attributeName = `tex${themeName}`;
-
-		if ( attributeName in this.geometry.attributes ) {
-
-			const textureIds = this.geometry.attributes[ attributeName ].array;
+		if ( this.crsMatrix && intersection.point ) {
 
-			// Create a lookup of textures
-			const { values, indices } = textureIds.reduce( ( p, c, i ) => {
+			intersectionInfo.point = this.worldToLocal( intersection.point.clone() ).applyMatrix4( this.crsMatrix );
 
-				if ( p.last !== c ) {
-
-					p.values.push( c );
-					p.indices.push( i );
-					p.last = c;
-
-		  		}
-
-		  		return p;
-
-			}, { last: - 1, values: [], indices: [] } );
-
-			const baseMaterial = Array.isArray( this.material ) ? this.material[ this.material.length - 1 ] : this.material;
-
-			const materials = textureManager.getMaterials( baseMaterial );
-
-			for ( const mat of materials ) {
-
-				if ( mat !== baseMaterial ) {
-
-					mat.textureTheme = theme;
-
-				}
-
-			}
-
-			// TODO: We need to add the last element here
-			for ( let i = 0; i < indices.length - 1; i ++ ) {
-
-				this.geometry.addGroup( indices[ i ], indices[ i + 1 ] - indices[ i ], values[ i ] > - 1 ? values[ i ] : materials.length - 1 );
-
-			}
+		}
 
-			const i = indices.length - 1;
+		return intersectionInfo;
 
-			this.geometry.addGroup( indices[ i ], this.geometry.attributes.type.array.length - indices[ i ], values[ i ] > - 1 ? values[ i ] : materials.length - 1 );
+	}
 
-			this.material = materials;
+	setTextureTheme( theme, textureManager ) {
 
-		}
+		setTextureTheme( this, theme, textureManager );
 
 	}
 
 	unsetTextures() {
 
-		if ( Array.isArray( this.material ) ) {
-
-			this.material = this.material[ this.material.length - 1 ];
-
-		}
-
-		this.material.textureTheme = "undefined";
+		unsetTextures( this );
 
 	}
 
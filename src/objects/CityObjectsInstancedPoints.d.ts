@@ -0,0 +1,57 @@
+import { InstancedBufferAttribute, Material, Matrix4, Points } from "three";
+import { GeometryData } from "../parsers/geometry/GeometryData";
+import { CityObjectsPoints } from "./CityObjectsPoints";
+
+/**
+ * Draws all instances of a `MultiPoint` template (i.e. the geometries of type
+ * `GeometryInstance` that refer to it) as one object, with a single draw
+ * call. The points of the template are uploaded once and transformed by the
+ * matrix of every instance in the vertex shader, like an `InstancedMesh`.
+ * The `objectid`, `type` and `geometryid` attributes hold one item per
+ * instance, so that LoD filtering, highlighting and picking work like for
+ * other objects.
+ */
+export class CityObjectsInstancedPoints extends CityObjectsPoints {
+
+    /**
+     * The number of instances.
+     */
+    instanceCount: number;
+
+    /**
+     * The number of instances drawn by three.js.
+     */
+    count: number;
+
+    /**
+     * The matrix of every instance.
+     */
+    instanceMatrix: InstancedBufferAttribute;
+
+    /**
+     * Draws the template, to raycast every instance.
+     */
+    template: Points;
+    isInstancedMesh: true;
+    isCityObjectInstancedPoints: true;
+
+    /**
+     * @param citymodel The CityJSON model
+     * @param vertices The vertices of the template
+     * @param geometryData The geometry data of the template
+     * @param instanceData The data of the instances (matrices, objectIds, objectTypes and geometryIds)
+     * @param matrix A matrix to transform the template, before the matrix of every instance
+     * @param material A material (preferably a `CityObjectsPointsMaterial`)
+     */
+    constructor ( citymodel: Object, vertices: ArrayBuffer | number[], geometryData: GeometryData, instanceData: Object, matrix: Matrix4 | null, material: Material );
+
+    /**
+     * Returns citymodel information for the given intersection, like
+     * `CityObjectsPoints`, along with the `instanceIndex` of the instance that was hit
+     * (the `instanceId` of the intersection).
+     *
+     * @param intersection The intersection (as returned from a `Raycaster`)
+     */
+    resolveIntersectionInfo( intersection: Object ): Object;
+
+}
@@ -0,0 +1,74 @@
+import { InstancedBufferAttribute, Points } from 'three';
+import { CityObjectsPoints } from './CityObjectsPoints.js';
+import { createIntegerAttribute } from '../helpers/IntegerAttributes.js';
+import { createStateAttribute } from '../helpers/ObjectStates.js';
+import { raycastInstances, setInstanceMatrices } from '../helpers/InstanceGeometry.js';
+
+/**
+ * Draws all instances of a `MultiPoint` template as one object, in which the
+ * points of the template are transformed by the matrix of every instance.
+ */
+export class CityObjectsInstancedPoints extends CityObjectsPoints {
+
+	constructor( citymodel, vertices, geometryData, instanceData, matrix, material ) {
+
+		super( citymodel, vertices, geometryData, matrix, material );
+
+		const geom = this.geometry;
+
+		// The ids of the instances replace the ones of the template
+		geom.setAttribute( 'objectid', createIntegerAttribute( instanceData.objectIds, InstancedBufferAttribute ) );
+		geom.setAttribute( 'type', createIntegerAttribute( instanceData.objectType, InstancedBufferAttribute ) );
+		geom.setAttribute( 'geometryid', createIntegerAttribute( instanceData.geometryIds, InstancedBufferAttribute ) );
+
+		createStateAttribute( geom, InstancedBufferAttribute );
+
+		setInstanceMatrices( this, instanceData.matrices, geom.boundingBox );
+
+		// Raycasts the template for every instance
+		this.template = new Points( geom, material );
+
+		this.instanceCount = instanceData.matrices.length;
+
+		this.isCityObjectInstancedPoints = true;
+
+	}
+
+	raycast( raycaster, intersects ) {
+
+		raycastInstances( this, this.template, raycaster, intersects );
+
+	}
+
+	resolveIntersectionInfo( intersection ) {
+
+		const intersectionInfo = {};
+
+		const vertexIdx = this.getIntersectionVertex( intersection );
+		const instanceId = intersection.instanceId;
+
+		const idx = this.geometry.getAttribute( 'objectid' ).getX( instanceId );
+
+		intersectionInfo.vertexIndex = vertexIdx;
+		intersectionInfo.instanceIndex = instanceId;
+		intersectionInfo.objectIndex = idx;
+
+		intersectionInfo.objectId = Object.keys( this.citymodel.CityObjects )[ idx ];
+		intersectionInfo.geometryIndex = this.geometry.getAttribute( 'geometryid' ).getX( instanceId );
+		intersectionInfo.boundaryIndex = this.geometry.getAttribute( 'boundaryid' ).getX( vertexIdx );
+
+		intersectionInfo.objectTypeIndex = this.geometry.getAttribute( 'type' ).getX( instanceId );
+		intersectionInfo.surfaceTypeIndex = this.geometry.getAttribute( 'surfacetype' ).getX( vertexIdx );
+		intersectionInfo.lodIndex = this.geometry.getAttribute( 'lodid' ).getX( vertexIdx );
+
+		if ( this.crsMatrix && intersection.point ) {
+
+			intersectionInfo.point = this.worldToLocal( intersection.point.clone() ).applyMatrix4( this.crsMatrix );
+
+		}
+
+		return intersectionInfo;
+
+	}
+
+}
@@ -13,15 +13,29 @@ import { GeometryData } from "../parsers/geometry/GeometryData";
 export class CityObjectsLines extends Mesh {
 
     citymodel: Object;
+
+    /**
+     * Transforms the local coordinates of the object to the coordinates of
+     * the CityJSON file. It is set when the object is added to a dataset.
+     */
+    crsMatrix: Matrix4 | null;
     isCityObject: true;
     isCityObjectLine: true;
 
+    /**
+     * Whether the lines are the outlines of the polygons of a mesh (i.e. its
+     * geometry data has `outline` set).
+     */
+    isCityObjectOutline: boolean;
+
     /**
      * Creates a CityObjectMesh from `GeometryData`
      * 
      * @param citymodel The CityJSON model
      * @param vertices The list of vertices for the mesh
-     * @param geometryData The geometry data with all other information (objectIds etc.)
+     * @param geometryData The geometry data with all other information (objectIds etc.). If it has an
+     * `origin`, the vertices are relative to it and the origin (transformed by
+     * `matrix`) becomes the position of the object
      * @param matrix A matrix to transform the mesh
      * @param material A material (preferably a `CityObjectsMaterial`)
      */
@@ -40,7 +54,10 @@ export class CityObjectsLines extends Mesh {
      * an object with the following information:
      * 
      * @example
-     * { vertexIndex, objectIndex, objectId, geometryIndex, boundaryIndex, objectTypeIndex, surfaceTypeIndex, lodIndex }
+     * { vertexIndex, objectIndex, objectId, geometryIndex, boundaryIndex, objectTypeIndex, surfaceTypeIndex, lodIndex, point }
+     * 
+     * `point` is the hit point in the coordinates of the CityJSON file, if
+     * the object has a `crsMatrix`.
      * 
      * @param intersection The intersection (as returned from a `Raycaster`)
      */
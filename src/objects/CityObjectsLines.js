@@ -1,6 +1,9 @@
 import { InstancedBufferAttribute } from 'three';
 import { LineSegments2 } from 'three/examples/jsm/lines/LineSegments2';
 import { LineSegmentsGeometry } from 'three/examples/jsm/lines/LineSegmentsGeometry';
+import { createIntegerAttribute } from '../helpers/IntegerAttributes.js';
+import { createStateAttribute } from '../helpers/ObjectStates.js';
+import { getGeometryMatrix, getOriginPosition } from '../helpers/ChunkOrigin.js';
 
 function removeDuplicates( array ) {
 
@@ -24,25 +27,33 @@ export class CityObjectsLines extends LineSegments2 {
 
 		geom.setPositions( new Float32Array( vertices ) );
 
-		const idsArray = new Float32Array( removeDuplicates( geometryData.objectIds ) );
-		geom.setAttribute( 'objectid', new InstancedBufferAttribute( idsArray, 1 ) );
+		// Every id is stored in the narrowest integer type of its values
+		for ( const [ name, values ] of [
+			[ 'objectid', geometryData.objectIds ],
+			[ 'type', geometryData.objectType ],
+			[ 'surfacetype', geometryData.semanticSurfaces ],
+			[ 'geometryid', geometryData.geometryIds ],
+			[ 'lodid', geometryData.lodIds ],
+			[ 'boundaryid', geometryData.boundaryIds ]
+		] ) {
 
-		const typeArray = new Int32Array( removeDuplicates( geometryData.objectType ) );
-		geom.setAttribute( 'type', new InstancedBufferAttribute( typeArray, 1 ) );
-		const surfaceTypeArray = new Int32Array( removeDuplicates( geometryData.semanticSurfaces ) );
-		geom.setAttribute( 'surfacetype', new InstancedBufferAttribute( surfaceTypeArray, 1 ) );
-		const geomIdsArray = new Float32Array( removeDuplicates( geometryData.geometryIds ) );
-		geom.setAttribute( 'geometryid', new InstancedBufferAttribute( geomIdsArray, 1 ) );
-		const lodIdsArray = new Uint8Array( removeDuplicates( geometryData.lodIds ) );
-		geom.setAttribute( 'lodid', new InstancedBufferAttribute( lodIdsArray, 1 ) );
-		const boundaryIdsArray = new Float32Array( removeDuplicates( geometryData.boundaryIds ) );
-		geom.setAttribute( 'boundaryid', new InstancedBufferAttribute( boundaryIdsArray, 1 ) );
+			geom.setAttribute( name, createIntegerAttribute( removeDuplicates( values ), InstancedBufferAttribute ) );
+
+		}
+
+		// Whether every object is highlighted, hidden or colored (see
+		// `setObjectStates()`)
+		createStateAttribute( geom, InstancedBufferAttribute );
 
 		// geom.attributes.position.needsUpdate = true;
 
-		if ( matrix ) {
+		// Chunks parsed with an origin have vertices relative to it, which
+		// becomes the position of the object
+		const geometryMatrix = getGeometryMatrix( matrix, geometryData.origin );
+
+		if ( geometryMatrix ) {
 
-			geom.applyMatrix4( matrix );
+			geom.applyMatrix4( geometryMatrix );
 
 		}
 
@@ -50,9 +61,22 @@ export class CityObjectsLines extends LineSegments2 {
 
 		this.citymodel = citymodel;
 
+		// Transforms the local coordinates of the object to the coordinates
+		// of the CityJSON file (set by the dataset it is added to)
+		this.crsMatrix = null;
+
+		if ( geometryData.origin ) {
+
+			getOriginPosition( matrix, geometryData.origin, this.position );
+
+		}
+
 		this.isCityObject = true;
 		this.isCityObjectLine = true;
 
+		// Whether the lines are the outlines of the polygons of a mesh
+		this.isCityObjectOutline = Boolean( geometryData.outline );
+
 	}
 
 	getIntersectionVertex( intersection ) {
@@ -80,6 +104,12 @@ export class CityObjectsLines extends LineSegments2 {
 		intersectionInfo.surfaceTypeIndex = this.geometry.getAttribute( 'surfacetype' ).getX( vertexIdx );
 		intersectionInfo.lodIndex = this.geometry.getAttribute( 'lodid' ).getX( vertexIdx );
 
+		if ( this.crsMatrix && intersection.point ) {
+
+			intersectionInfo.point = this.worldToLocal( intersection.point.clone() ).applyMatrix4( this.crsMatrix );
+
+		}
+
 		return intersectionInfo;
 
 	}
@@ -1,7 +1,10 @@
 import { BufferAttribute,
 		 BufferGeometry,
-		 Int32BufferAttribute,
 		 Mesh } from 'three';
+import { createIntegerAttribute } from '../helpers/IntegerAttributes.js';
+import { createStateAttribute } from '../helpers/ObjectStates.js';
+import { getGeometryMatrix, getOriginPosition } from '../helpers/ChunkOrigin.js';
+import { setAppearanceAttributes, setTextureTheme, unsetTextures } from '../helpers/AppearanceAttributes.js';
 
 export class CityObjectsMesh extends Mesh {
 
@@ -11,54 +14,79 @@ export class CityObjectsMesh extends Mesh {
 
 		const vertexArray = new Float32Array( vertices );
 		geom.setAttribute( 'position', new BufferAttribute( vertexArray, 3 ) );
-		const idsArray = new Uint16Array( geometryData.objectIds );
-		geom.setAttribute( 'objectid', new BufferAttribute( idsArray, 1 ) );
-		const typeArray = new Uint8Array( geometryData.objectType );
-		geom.setAttribute( 'type', new Int32BufferAttribute( typeArray, 1 ) );
-		const surfaceTypeArray = new Int8Array( geometryData.semanticSurfaces );
-		geom.setAttribute( 'surfacetype', new Int32BufferAttribute( surfaceTypeArray, 1 ) );
-		const geomIdsArray = new Float32Array( geometryData.geometryIds );
-		geom.setAttribute( 'geometryid', new BufferAttribute( geomIdsArray, 1 ) );
-		const lodIdsArray = new Int8Array( geometryData.lodIds );
-		geom.setAttribute( 'lodid', new BufferAttribute( lodIdsArray, 1 ) );
-		const boundaryIdsArray = new Float32Array( geometryData.boundaryIds );
-		geom.setAttribute( 'boundaryid', new BufferAttribute( boundaryIdsArray, 1 ) );
-
-		for ( const material in geometryData.materials ) {
-
-			const themeName = material.replace( /[^a-z0-9]/gi, '' );
-
-			const materialArray = new Uint8Array( geometryData.materials[ material ] );
-			geom.setAttribute( `mat${themeName}`, new Int32BufferAttribute( materialArray, 1 ) );
+
+		// Every id is stored in the narrowest integer type of its values
+		geom.setAttribute( 'objectid', createIntegerAttribute( geometryData.objectIds ) );
+		geom.setAttribute( 'type', createIntegerAttribute( geometryData.objectType ) );
+		geom.setAttribute( 'surfacetype', createIntegerAttribute( geometryData.semanticSurfaces ) );
+		geom.setAttribute( 'geometryid', createIntegerAttribute( geometryData.geometryIds ) );
+		geom.setAttribute( 'lodid', createIntegerAttribute( geometryData.lodIds ) );
+		geom.setAttribute( 'boundaryid', createIntegerAttribute( geometryData.boundaryIds ) );
+
+		// Whether every object is highlighted, hidden or colored (see
+		// `setObjectStates()`)
+		createStateAttribute( geom );
+
+		// The solid and shell of every vertex (see `GeometryData`)
+		if ( geometryData.shellIds ) {
+
+			geom.setAttribute( 'solidid', createIntegerAttribute( geometryData.solidIds ) );
+			geom.setAttribute( 'shellid', createIntegerAttribute( geometryData.shellIds ) );
 
 		}
 
-		for ( const texture in geometryData.textures ) {
+		setAppearanceAttributes( geom, geometryData );
 
-			const themeName = texture.replace( /[^a-z0-9]/gi, '' );
+		if ( geometryData.indices ) {
+
+			geom.setIndex( new BufferAttribute( new Uint32Array( geometryData.indices ), 1 ) );
+
+		}
 
-			const textureArray = new Int16Array( geometryData.textures[ texture ].index );
-			geom.setAttribute( `tex${themeName}`, new Int32BufferAttribute( textureArray, 1 ) );
+		// Normals computed by the parser (see `ChunkParser.normalMode`) are
+		// transformed with the geometry
+		if ( geometryData.normals ) {
 
-			const textureUVs = new Float32Array( geometryData.textures[ texture ].uvs.flat( 1 ) );
-			geom.setAttribute( `tex${themeName}uv`, new BufferAttribute( textureUVs, 2 ) );
+			geom.setAttribute( 'normal', new BufferAttribute( new Float32Array( geometryData.normals ), 3 ) );
 
 		}
 
 		geom.attributes.position.needsUpdate = true;
 
-		if ( matrix ) {
+		// Chunks parsed with an origin have vertices relative to it, which
+		// becomes the position of the object
+		const geometryMatrix = getGeometryMatrix( matrix, geometryData.origin );
 
-			geom.applyMatrix4( matrix );
+		if ( geometryMatrix ) {
+
+			geom.applyMatrix4( geometryMatrix );
 
 		}
 
-		geom.computeVertexNormals();
+		if ( ! geometryData.normals ) {
+
+			geom.computeVertexNormals();
+
+		}
+
+		// Tight bounding volumes, with which chunks out of view are culled
+		geom.computeBoundingBox();
+		geom.computeBoundingSphere();
 
 		super( geom, material );
 
 		this.citymodel = citymodel;
 
+		// Transforms the local coordinates of the object to the coordinates
+		// of the CityJSON file (set by the dataset it is added to)
+		this.crsMatrix = null;
+
+		if ( geometryData.origin ) {
+
+			getOriginPosition( matrix, geometryData.origin, this.position );
+
+		}
+
 		this.isCityObject = true;
 		this.isCityObjectMesh = true;
 
@@ -69,7 +97,7 @@ export class CityObjectsMesh extends Mesh {
 
 	setArrayAsAttribute( array ) {
 
-		this.geometry.setAttribute( 'attributevalue', new Int32BufferAttribute( new Int32Array( array ), 1 ) );
+		this.geometry.setAttribute( 'attributevalue', createIntegerAttribute( array ) );
 
 	}
 
@@ -132,89 +160,32 @@ export class CityObjectsMesh extends Mesh {
 		intersectionInfo.surfaceTypeIndex = this.geometry.getAttribute( 'surfacetype' ).getX( vertexIdx );
 		intersectionInfo.lodIndex = this.geometry.getAttribute( 'lodid' ).getX( vertexIdx );
 
-		return intersectionInfo;
-
-	}
-
-	setTextureTheme( theme, textureManager ) {
-
-		if ( theme === "undefined" ) {
+		if ( this.geometry.hasAttribute( 'shellid' ) ) {
 
-			this.unsetTextures();
-			return;
+			intersectionInfo.solidIndex = this.geometry.getAttribute( 'solidid' ).getX( vertexIdx );
+			intersectionInfo.shellIndex = this.geometry.getAttribute( 'shellid' ).getX( vertexIdx );
 
 		}
 
-		const themeName = theme.replace( /[^a-z0-9]/gi, '' );
-
-		const attributeName = `tex${themeName}`;
-
-		if ( attributeName in this.geometry.attributes ) {
-
-			this.geometry.clearGroups();
-
-			const textureIds = this.geometry.attributes[ attributeName ].array;
-
-			// Create a lookup of textures
-			const { values, indices } = textureIds.reduce( ( p, c, i ) => {
+		if ( this.crsMatrix && intersection.point ) {
 
-				if ( p.last !== c ) {
+			intersectionInfo.point = this.worldToLocal( intersection.point.clone() ).applyMatrix4( this.crsMatrix );
 
-					p.values.push( c );
-					p.indices.push( i );
-					p.last = c;
-
-		  		}
-
-		  		return p;
-
-			}, { last: - 2, values: [], indices: [] } );
-
-			const baseMaterial = Array.isArray( this.material ) ? this.material[ this.material.length - 1 ] : this.material;
-
-			const materials = textureManager.getMaterials( baseMaterial );
-
-			for ( const mat of materials ) {
-
-				if ( mat !== baseMaterial ) {
-
-					mat.textureTheme = theme;
-
-				}
-
-			}
-
-			// TODO: We need to add the last element here
-			for ( let i = 0; i < indices.length - 1; i ++ ) {
-
-				this.geometry.addGroup( indices[ i ], indices[ i + 1 ] - indices[ i ], values[ i ] > - 1 ? values[ i ] : materials.length - 1 );
-
-			}
-
-			if ( indices.length > 0 ) {
-
-				const i = indices.length - 1;
+		}
 
-				this.geometry.addGroup( indices[ i ], this.geometry.attributes.type.array.length - indices[ i ], values[ i ] > - 1 ? values[ i ] : materials.length - 1 );
+		return intersectionInfo;
 
-			}
+	}
 
-			this.material = materials;
+	setTextureTheme( theme, textureManager ) {
 
-		}
+		setTextureTheme( this, theme, textureManager );
 
 	}
 
 	unsetTextures() {
 
-		if ( Array.isArray( this.material ) ) {
-
-			this.material = this.material[ this.material.length - 1 ];
-
-		}
-
-		this.material.textureTheme = "undefined";
-		this.geometry.clearGroups();
+		unsetTextures( this );
 
 	}
 
@@ -1,7 +1,9 @@
 import { BufferAttribute,
 		 BufferGeometry,
-		 Int32BufferAttribute,
 		 Points } from 'three';
+import { createIntegerAttribute } from '../helpers/IntegerAttributes.js';
+import { createStateAttribute } from '../helpers/ObjectStates.js';
+import { getGeometryMatrix, getOriginPosition } from '../helpers/ChunkOrigin.js';
 
 export class CityObjectsPoints extends Points {
 
@@ -11,33 +13,51 @@ export class CityObjectsPoints extends Points {
 
 		const vertexArray = new Float32Array( vertices );
 		geom.setAttribute( 'position', new BufferAttribute( vertexArray, 3 ) );
-		const idsArray = new Uint16Array( geometryData.objectIds );
-		geom.setAttribute( 'objectid', new BufferAttribute( idsArray, 1 ) );
-		const typeArray = new Uint8Array( geometryData.objectType );
-		geom.setAttribute( 'type', new Int32BufferAttribute( typeArray, 1 ) );
-		const surfaceTypeArray = new Int8Array( geometryData.semanticSurfaces );
-		geom.setAttribute( 'surfacetype', new Int32BufferAttribute( surfaceTypeArray, 1 ) );
-		const geomIdsArray = new Float32Array( geometryData.geometryIds );
-		geom.setAttribute( 'geometryid', new BufferAttribute( geomIdsArray, 1 ) );
-		const lodIdsArray = new Int8Array( geometryData.lodIds );
-		geom.setAttribute( 'lodid', new BufferAttribute( lodIdsArray, 1 ) );
-		const boundaryIdsArray = new Float32Array( geometryData.boundaryIds );
-		geom.setAttribute( 'boundaryid', new BufferAttribute( boundaryIdsArray, 1 ) );
+
+		// Every id is stored in the narrowest integer type of its values
+		geom.setAttribute( 'objectid', createIntegerAttribute( geometryData.objectIds ) );
+		geom.setAttribute( 'type', createIntegerAttribute( geometryData.objectType ) );
+		geom.setAttribute( 'surfacetype', createIntegerAttribute( geometryData.semanticSurfaces ) );
+		geom.setAttribute( 'geometryid', createIntegerAttribute( geometryData.geometryIds ) );
+		geom.setAttribute( 'lodid', createIntegerAttribute( geometryData.lodIds ) );
+		geom.setAttribute( 'boundaryid', createIntegerAttribute( geometryData.boundaryIds ) );
+
+		// Whether every object is highlighted, hidden or colored (see
+		// `setObjectStates()`)
+		createStateAttribute( geom );
 
 		geom.attributes.position.needsUpdate = true;
 
-		if ( matrix ) {
+		// Chunks parsed with an origin have vertices relative to it, which
+		// becomes the position of the object
+		const geometryMatrix = getGeometryMatrix( matrix, geometryData.origin );
 
-			geom.applyMatrix4( matrix );
+		if ( geometryMatrix ) {
+
+			geom.applyMatrix4( geometryMatrix );
 
 		}
 
 		geom.computeVertexNormals();
 
+		// Tight bounding volumes, with which chunks out of view are culled
+		geom.computeBoundingBox();
+		geom.computeBoundingSphere();
+
 		super( geom, material );
 
 		this.citymodel = citymodel;
 
+		// Transforms the local coordinates of the object to the coordinates
+		// of the CityJSON file (set by the dataset it is added to)
+		this.crsMatrix = null;
+
+		if ( geometryData.origin ) {
+
+			getOriginPosition( matrix, geometryData.origin, this.position );
+
+		}
+
 		this.isCityObject = true;
 		this.isCityObjectPoints = true;
 
@@ -68,6 +88,12 @@ export class CityObjectsPoints extends Points {
 		intersectionInfo.surfaceTypeIndex = this.geometry.getAttribute( 'surfacetype' ).getX( vertexIdx );
 		intersectionInfo.lodIndex = this.geometry.getAttribute( 'lodid' ).getX( vertexIdx );
 
+		if ( this.crsMatrix && intersection.point ) {
+
+			intersectionInfo.point = this.worldToLocal( intersection.point.clone() ).applyMatrix4( this.crsMatrix );
+
+		}
+
 		return intersectionInfo;
 
 	}
@@ -1,4 +1,7 @@
-import { Group, Matrix4 } from "three";
+import { Group, Material, Matrix4, Object3D } from "three";
+import { Reprojection } from "../helpers/CRSRegistry";
+import { ChunkStrategy, ObjectFilter, ParseSummary } from "./helpers/ChunkParser";
+import { NormalMode } from "./helpers/VertexNormals";
 
 /**
  * non-WebWorker version of CityJSONWorkerParser. Parsing is done on demand
@@ -12,6 +15,18 @@ export class CityJSONParser {
      */
     matrix: Matrix4;
 
+    /**
+     * Converts the axes and units of CityJSON to the ones of the scene. It is
+     * applied to geometry templates, which are not quantized.
+     */
+    axisMatrix: Matrix4 | null;
+
+    /**
+     * If set, the vertices are reprojected to another CRS while parsing. It
+     * is set by the loader for every dataset.
+     */
+    reprojection: Reprojection | null;
+
     /**
      * The size of chunks of city objects that are parsed as one mesh. Every
      * time a chunk is finished parsing, the respective mesh is added to the
@@ -19,6 +34,14 @@ export class CityJSONParser {
      */
     chunkSize: Number;
 
+    /**
+     * How city objects are grouped into chunks. `"order"` (the default) cuts
+     * a chunk every `chunkSize` objects. `"quadtree"` splits the extent of
+     * the data into cells of up to `chunkSize` objects, so that every mesh
+     * covers a compact area and can be culled when it is out of view.
+     */
+    chunkStrategy: ChunkStrategy;
+
     /**
      * Shows the state of loading, i.e. if there are more chunks to be parsed.
      */
@@ -30,10 +53,85 @@ export class CityJSONParser {
      * as the parsing proceeds with as many LoDs are occured in a file.
      */
     lods: string[];
+
+    /**
+     * If set, only the geometries of these LoDs are parsed (including
+     * templates). Instances take the LoD of their template.
+     */
+    lodFilter: string[] | null;
+
+    /**
+     * If set, only the city objects of these types are parsed. Skipped
+     * objects keep their index, so child types such as `BuildingPart` have to
+     * be listed along with their parents.
+     */
+    typeFilter: string[] | null;
+
+    /**
+     * If set, only the city objects for which it returns true are parsed.
+     */
+    objectFilter: ObjectFilter | null;
+
+    /**
+     * Whether triangles share their vertices through an index buffer. The
+     * corners of a surface that refer to the same CityJSON vertex and have
+     * the same UVs are then merged, which saves memory on large datasets.
+     */
+    indexed: boolean;
+
+    /**
+     * Whether the outlines of the polygons (their exterior and interior
+     * rings, without the diagonals of the triangulation) are added as well.
+     * They are `CityObjectsLines` with the attributes of their surfaces, drawn
+     * with `outlineMaterial`, and can be toggled per dataset.
+     */
+    outlines: boolean;
+
+    /**
+     * The material of the outlines.
+     */
+    outlineMaterial: Material;
+
+    /**
+     * Whether the interior shells (voids) of solids are parsed. To draw them
+     * differently, set the `interiorShellColor` of `meshMaterial` instead.
+     */
+    interiorShells: boolean;
+
+    /**
+     * How the normals of triangles are computed: `flat`, `smooth` across the
+     * surfaces that share a vertex, or `crease` (see `ChunkParser`).
+     */
+    normalMode: NormalMode;
+
+    /**
+     * The normal modes of city object types, which override `normalMode`.
+     */
+    typeNormalModes: { [ type: string ]: NormalMode };
+
+    /**
+     * The angle in radians above which surfaces are not smoothed together
+     * in the `crease` mode.
+     */
+    creaseAngle: number;
+
+    /**
+     * The material theme whose `isSmooth` flags choose the normals of the
+     * surfaces with a material.
+     */
+    materialTheme: string | null;
+
+    /**
+     * Called at the end of a parse with its summary (including the objects
+     * skipped by the filters).
+     */
+    onComplete: ( ( summary: ParseSummary ) => void ) | null;
     
     /**
-     * Parses a CityJSON file (`data`) and adds it to the `scene`.
+     * Parses a CityJSON file (`data`) and adds it to the `scene`. `onProgress`
+     * is called with the number of city objects parsed so far. Returns the
+     * objects that were added.
      */
-    parse( data : Object, scene : Group ) : void;
+    parse( data : Object, scene : Group, onProgress? : ( objectCount: number ) => void ) : Object3D[];
 
 }
\ No newline at end of file
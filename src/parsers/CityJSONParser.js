@@ -1,4 +1,4 @@
-import { Matrix4, ShaderLib } from 'three';
+import { ShaderLib } from 'three';
 import { defaultObjectColors, defaultSemanticsColors } from '../defaults/colors.js';
 import { POINTS, LINES, TRIANGLES } from './geometry/GeometryData';
 import 'three/examples/jsm/lines/LineMaterial';
@@ -8,24 +8,62 @@ import { CityObjectsLines } from '../objects/CityObjectsLines.js';
 import { CityObjectsPoints } from '../objects/CityObjectsPoints.js';
 import { CityObjectsLineMaterial } from '../materials/CityObjectsLineMaterial.js';
 import { CityObjectsPointsMaterial } from '../materials/CityObjectsPointsMaterial.js';
-import { TriangleParser } from './geometry/TriangleParser';
-import { LineParser } from './geometry/LineParser';
-import { PointParser } from './geometry/PointParser';
-import { CityObjectsInstancedMesh } from '../objects/CityObjectsInstancedMesh.js';
 import { ChunkParser } from './helpers/ChunkParser.js';
+import { createTemplateObjects } from './helpers/TemplateObjects.js';
 
 export class CityJSONParser {
 
 	constructor() {
 
 		this.matrix = null;
+
+		// Converts the axes and units of CityJSON to the ones of the scene (set
+		// by the loader). Templates are not quantized, so they only get this
+		// part of `matrix`.
+		this.axisMatrix = null;
+
+		// Reprojects the vertices to another CRS, if set (by the loader)
+		this.reprojection = null;
 		this.chunkSize = 2000;
 
+		// How city objects are grouped into chunks, "order" or "quadtree"
+		// (see `ChunkParser`)
+		this.chunkStrategy = "order";
+
 		this.objectColors = defaultObjectColors;
 		this.surfaceColors = defaultSemanticsColors;
 
 		this.lods = [];
 
+		// If set, only the geometries of these LoDs, the city objects of these
+		// types and the city objects for which `objectFilter( objectId,
+		// cityObject )` returns true are parsed (see `ChunkParser`)
+		this.lodFilter = null;
+		this.typeFilter = null;
+		this.objectFilter = null;
+
+		// Whether triangles share their vertices through an index buffer
+		// (see `GeometryData`)
+		this.indexed = false;
+
+		// Whether the outlines of the polygons are added as well, drawn with
+		// `outlineMaterial` (see `ChunkParser`)
+		this.outlines = false;
+
+		// Whether the interior shells (voids) of solids are parsed
+		this.interiorShells = true;
+
+		// How the normals of triangles are computed, by default and for city
+		// object types, and the material theme whose `isSmooth` flags apply
+		// (see `ChunkParser`)
+		this.normalMode = "flat";
+		this.typeNormalModes = {};
+		this.creaseAngle = Math.PI / 6;
+		this.materialTheme = null;
+
+		// Called with the summary of a parse (see `ChunkParser.getSummary()`)
+		this.onComplete = null;
+
 		this.resetMaterial();
 
 	}
@@ -48,6 +86,17 @@ export class CityJSONParser {
 
 		} );
 
+		this.outlineMaterial = new CityObjectsLineMaterial( {
+
+			color: 0xffffff,
+			linewidth: 0.001,
+			vertexColors: false,
+			dashed: false,
+			objectColors: this.objectColors,
+			surfaceColors: this.surfaceColors
+
+		} );
+
 		this.pointsMaterial = new CityObjectsPointsMaterial( {
 			size: 10,
 			objectColors: this.objectColors,
@@ -64,15 +113,23 @@ export class CityJSONParser {
 		this.lineMaterial.objectColors = objectColors;
 		this.lineMaterial.surfaceColors = surfaceColors;
 
+		this.outlineMaterial.objectColors = objectColors;
+		this.outlineMaterial.surfaceColors = surfaceColors;
+
 		this.pointsMaterial.objectColors = objectColors;
 		this.pointsMaterial.surfaceColors = surfaceColors;
 
 	}
 
-	parse( data, scene ) {
+	/**
+	 * Parses `data` into `scene` and returns the objects that were added.
+	 */
+	parse( data, scene, onProgress ) {
 
 		const chunkParser = new ChunkParser();
 
+		const objects = [];
+
 		if ( this.chunkSize ) {
 
 			chunkParser.chunkSize = this.chunkSize;
@@ -91,6 +148,18 @@ export class CityJSONParser {
 
 		}
 
+		chunkParser.chunkStrategy = this.chunkStrategy;
+		chunkParser.reprojection = this.reprojection;
+		chunkParser.lodFilter = this.lodFilter;
+		chunkParser.typeFilter = this.typeFilter;
+		chunkParser.objectFilter = this.objectFilter;
+		chunkParser.indexed = this.indexed;
+		chunkParser.outlines = this.outlines;
+		chunkParser.interiorShells = this.interiorShells;
+		chunkParser.normalMode = this.normalMode;
+		chunkParser.typeNormalModes = this.typeNormalModes;
+		chunkParser.creaseAngle = this.creaseAngle;
+		chunkParser.materialTheme = this.materialTheme;
 
 		chunkParser.onchunkload = ( v, geometryData, lods, objectColors, surfaceColors ) => {
 
@@ -107,13 +176,16 @@ export class CityJSONParser {
 
 				const mesh = new CityObjectsMesh( data, vertices, geometryData, this.matrix, this.meshMaterial );
 				scene.add( mesh );
+				objects.push( mesh );
 
 			}
 
 			if ( geometryData.geometryType == LINES ) {
 
-				const lines = new CityObjectsLines( data, vertices, geometryData, this.matrix, this.lineMaterial );
+				const material = geometryData.outline ? this.outlineMaterial : this.lineMaterial;
+				const lines = new CityObjectsLines( data, vertices, geometryData, this.matrix, material );
 				scene.add( lines );
+				objects.push( lines );
 
 			}
 
@@ -121,137 +193,50 @@ export class CityJSONParser {
 
 				const points = new CityObjectsPoints( data, vertices, geometryData, this.matrix, this.pointsMaterial );
 				scene.add( points );
+				objects.push( points );
 
 			}
 
-		};
-
-		chunkParser.parse( data );
-
-		if ( data.appearance && data.appearance.materials ) {
-
-			this.meshMaterial.materials = data.appearance.materials;
-
-		}
-
-
-		// Parse geometry templates
-		if ( data[ 'geometry-templates' ] ) {
-
-			const templatesGeomData = [];
-
-			const vertices = data[ 'geometry-templates' ][ 'vertices-templates' ];
-
-			const geometryParsers = [
-				new TriangleParser( data, Object.keys( data.CityObjects ), this.objectColors, vertices ),
-				new LineParser( data, Object.keys( data.CityObjects ), this.objectColors, vertices ),
-				new PointParser( data, Object.keys( data.CityObjects ), this.objectColors, vertices )
-			];
-
-			for ( const template of data[ 'geometry-templates' ].templates ) {
-
-				for ( const geometryParser of geometryParsers ) {
-
-					geometryParser.lods = this.lods;
-					geometryParser.parseGeometry( template, - 1, - 1 );
-					this.lods = geometryParser.lods;
-
-					if ( geometryParser.geomData.count() > 0 ) {
-
-						templatesGeomData.push( geometryParser.geomData );
-
-					}
-
-					geometryParser.clean();
-
-				}
-
-			}
-
-			const instances = [];
-
-			for ( let i = 0; i < templatesGeomData.length; i ++ ) {
+			if ( onProgress ) {
 
-				instances.push( {
-					matrices: [],
-					objectIds: [],
-					objectType: [],
-					geometryIds: []
-				} );
+				onProgress( chunkParser.objectCount );
 
 			}
 
-			for ( const objectId in data.CityObjects ) {
-
-				const cityObject = data.CityObjects[ objectId ];
-
-				if ( cityObject.geometry && cityObject.geometry.length > 0 ) {
-
-					for ( let i = 0; i < cityObject.geometry.length; i ++ ) {
-
-						const geometry = cityObject.geometry[ i ];
-
-						if ( geometry.type == "GeometryInstance" ) {
-
-							const matrix = new Matrix4();
-							matrix.set( ... geometry.transformationMatrix );
-							matrix.setPosition( ... data.vertices[ geometry.boundaries[ 0 ] ] );
+		};
 
-							instances[ geometry.template ].matrices.push( matrix );
-							instances[ geometry.template ].objectIds.push( Object.keys( data.CityObjects ).indexOf( objectId ) );
-							instances[ geometry.template ].objectType.push( Object.keys( this.objectColors ).indexOf( cityObject.type ) );
-							instances[ geometry.template ].geometryIds.push( i );
+		chunkParser.ontemplatesload = ( templates, instances, lods, objectColors, surfaceColors ) => {
 
-						}
+			this.setMaterialsColors( objectColors, surfaceColors );
+			this.lods = lods;
+			this.objectColors = objectColors;
+			this.surfaceColors = surfaceColors;
 
-					}
+			for ( const object of createTemplateObjects( data, templates, instances, this ) ) {
 
-				}
+				scene.add( object );
+				objects.push( object );
 
 			}
 
-			for ( let i = 0; i < templatesGeomData.length; i ++ ) {
-
-				if ( templatesGeomData[ i ].geometryType == TRIANGLES ) {
-
-					const mesh = new CityObjectsInstancedMesh( data, templatesGeomData[ i ].getVertices( vertices ), templatesGeomData[ i ], instances[ i ], this.matrix, this.meshMaterial );
-					scene.add( mesh );
-
-
-				} else if ( templatesGeomData[ i ].geometryType == LINES ) {
-
-					for ( let j = 0; j < instances[ i ].matrices.length; j ++ ) {
-
-						templatesGeomData[ i ].setObjectId( instances[ i ].objectIds[ j ] );
-						templatesGeomData[ i ].setObjectType( instances[ i ].objectType[ j ] );
-						templatesGeomData[ i ].setGeometryIdx( instances[ i ].geometryIds[ j ] );
-
-						const line = new CityObjectsLines( templatesGeomData[ i ].getVertices( vertices ), templatesGeomData[ i ], this.matrix, this.lineMaterial );
-						line.applyMatrix4( instances[ i ].matrices[ j ] );
-						scene.add( line );
-
-					}
-
-				} else if ( templatesGeomData[ i ].geometryType == POINTS ) {
+		};
 
-					for ( let j = 0; j < instances[ i ].matrices.length; j ++ ) {
+		chunkParser.parse( data );
 
-						templatesGeomData[ i ].setObjectId( instances[ i ].objectIds[ j ] );
-						templatesGeomData[ i ].setObjectType( instances[ i ].objectType[ j ] );
-						templatesGeomData[ i ].setGeometryIdx( instances[ i ].geometryIds[ j ] );
+		if ( data.appearance && data.appearance.materials ) {
 
-						const line = new CityObjectsPoints( templatesGeomData[ i ].getVertices( vertices ), templatesGeomData[ i ], this.matrix, this.pointsMaterial );
-						line.applyMatrix4( instances[ i ].matrices[ j ] );
-						scene.add( line );
+			this.meshMaterial.materials = data.appearance.materials;
 
-					}
+		}
 
-				}
+		if ( this.onComplete ) {
 
-			}
+			this.onComplete( chunkParser.getSummary() );
 
 		}
 
+		return objects;
+
 	}
 
 
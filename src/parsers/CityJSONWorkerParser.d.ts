@@ -1,7 +1,20 @@
-import { Group, Matrix4 } from "three";
+import { Group, Material, Matrix4, Object3D } from "three";
+import { WorkerPool } from "./helpers/WorkerPool";
+import { Reprojection } from "../helpers/CRSRegistry";
+import { CityJSONSource } from "./helpers/CityJSONSource";
+import { ChunkStrategy, ObjectFilter, ParseSummary } from "./helpers/ChunkParser";
+import { NormalMode } from "./helpers/VertexNormals";
 
 /**
- * A parser that uses a WebWorker to parse chunks of CityJSON on the background.
+ * Called with the city model read by a worker, without its boundaries, and
+ * with the extent of its vertices as `[ minx, miny, minz, maxx, maxy, maxz ]`.
+ */
+export type OnCityModel = ( citymodel: Object, boundingBox: number[] ) => void;
+
+/**
+ * A parser that uses WebWorkers to parse chunks of CityJSON on the background.
+ * The city objects of a file are split in partitions that are parsed in
+ * parallel by a pool of workers.
  */
 export class CityJSONWorkerParser {
 
@@ -12,6 +25,18 @@ export class CityJSONWorkerParser {
      */
     matrix: Matrix4;
 
+    /**
+     * Converts the axes and units of CityJSON to the ones of the scene. It is
+     * applied to geometry templates, which are not quantized.
+     */
+    axisMatrix: Matrix4 | null;
+
+    /**
+     * If set, the vertices are reprojected to another CRS while parsing. It
+     * is set by the loader for every dataset.
+     */
+    reprojection: Reprojection | null;
+
     /**
      * The size of chunks of city objects that are parsed as one mesh. Every
      * time a chunk is finished parsing, the respective mesh is added to the
@@ -19,6 +44,26 @@ export class CityJSONWorkerParser {
      */
     chunkSize: Number;
 
+    /**
+     * How city objects are grouped into chunks. `"order"` (the default) cuts
+     * a chunk every `chunkSize` objects. `"quadtree"` splits the extent of
+     * the data into cells of up to `chunkSize` objects, so that every mesh
+     * covers a compact area and can be culled when it is out of view.
+     */
+    chunkStrategy: ChunkStrategy;
+
+    /**
+     * The number of workers that parse a file in parallel. Defaults to the
+     * number of logical cores minus one.
+     */
+    workerCount: number;
+
+    /**
+     * The pool of workers, which is created on the first parse and reused
+     * across parses until `dispose()` is called.
+     */
+    workerPool: WorkerPool | null;
+
     /**
      * Shows the state of loading, i.e. if there are more chunks to be parsed.
      */
@@ -31,19 +76,132 @@ export class CityJSONWorkerParser {
      */
     lods: string[];
 
+    /**
+     * If set, only the geometries of these LoDs are parsed (including
+     * templates). Instances take the LoD of their template.
+     */
+    lodFilter: string[] | null;
+
+    /**
+     * If set, only the city objects of these types are parsed. Skipped
+     * objects keep their index, so child types such as `BuildingPart` have to
+     * be listed along with their parents.
+     */
+    typeFilter: string[] | null;
+
+    /**
+     * If set, only the city objects for which it returns true are parsed.
+     * It runs on the main thread, as functions cannot be sent to the workers.
+     * For files read by a worker (see `parseSource()`), it gets the city
+     * objects without their boundaries.
+     */
+    objectFilter: ObjectFilter | null;
+
+    /**
+     * Whether triangles share their vertices through an index buffer. The
+     * corners of a surface that refer to the same CityJSON vertex and have
+     * the same UVs are then merged, which saves memory on large datasets.
+     */
+    indexed: boolean;
+
+    /**
+     * Whether the outlines of the polygons (their exterior and interior
+     * rings, without the diagonals of the triangulation) are added as well.
+     * They are `CityObjectsLines` with the attributes of their surfaces, drawn
+     * with `outlineMaterial`, and can be toggled per dataset.
+     */
+    outlines: boolean;
+
+    /**
+     * The material of the outlines.
+     */
+    outlineMaterial: Material;
+
+    /**
+     * Whether the interior shells (voids) of solids are parsed. To draw them
+     * differently, set the `interiorShellColor` of `meshMaterial` instead.
+     */
+    interiorShells: boolean;
+
+    /**
+     * How the normals of triangles are computed: `flat`, `smooth` across the
+     * surfaces that share a vertex, or `crease` (see `ChunkParser`).
+     */
+    normalMode: NormalMode;
+
+    /**
+     * The normal modes of city object types, which override `normalMode`.
+     */
+    typeNormalModes: { [ type: string ]: NormalMode };
+
+    /**
+     * The angle in radians above which surfaces are not smoothed together
+     * in the `crease` mode.
+     */
+    creaseAngle: number;
+
+    /**
+     * The material theme whose `isSmooth` flags choose the normals of the
+     * surfaces with a material.
+     */
+    materialTheme: string | null;
+
     /**
      * Callback for when a chunk is finished loading
      */
     onChunkLoad : () => void;
 
     /**
-     * Callback for when the parsing of all chunks is finished
+     * Callback for when the parsing of all chunks is finished, with the
+     * summary of the parse (including the objects skipped by the filters)
      */
-    onComplete: () => void;
+    onComplete: ( summary: ParseSummary ) => void;
     
     /**
-     * Parses a CityJSON file (`data`) and adds it to the `scene`.
+     * Parses a CityJSON file (`data`) and adds it to the `scene`. The returned
+     * promise resolves with the added objects when all chunks have been added.
+     * `onProgress` is called with the number of city objects parsed so far.
+     *
+     * If `signal` is aborted (or `cancel()` is called) before that, the
+     * workers are terminated, the added objects are removed and disposed, and
+     * the promise is rejected with an `AbortError`.
+     *
+     * Geometry templates are parsed by the workers as well, which also find
+     * the instances of them in their partition. The instances are added to
+     * the `scene` once all workers are done.
+     *
+     * If `data` is the content of a file, it is parsed with `parseSource()`.
+     */
+    parse( data : Object | CityJSONSource, scene : Group, onProgress? : ( objectCount: number ) => void, signal? : AbortSignal, onCityModel? : OnCityModel ) : Promise<Object3D[]>;
+
+    /**
+     * Parses the content of a CityJSON file (its text, its bytes or a
+     * `Blob`/`File`) into the `scene`. The content is transferred to a worker
+     * that parses the JSON, so that large files do not block the main thread.
+     * That worker splits the city objects in partitions like `parse()` does,
+     * parses the first one and hands the others to the other workers.
+     *
+     * Only the city model without its boundaries and vertices (i.e. with the
+     * attributes, the appearance, the templates and the themes and LoDs of
+     * each geometry) comes back from the worker. `onCityModel` is called with
+     * it (and the extent of the vertices) before the geometry is parsed, so
+     * that `matrix` and `reprojection` can be set for the file.
+     */
+    parseSource( source : CityJSONSource, scene : Group, onProgress? : ( objectCount: number ) => void, signal? : AbortSignal, onCityModel? : OnCityModel ) : Promise<Object3D[]>;
+
+    /**
+     * Cancels every parse in progress.
+     */
+    cancel() : void;
+
+    /**
+     * Returns the pool of workers, creating it if needed.
+     */
+    getWorkerPool() : WorkerPool;
+
+    /**
+     * Terminates the workers. The parser creates new ones if used again.
      */
-    parse( data : Object, scene : Group ) : void;
+    dispose() : void;
 
 }
\ No newline at end of file
@@ -1,4 +1,4 @@
-import { Matrix4, ShaderLib } from 'three';
+import { ShaderLib } from 'three';
 import { defaultObjectColors, defaultSemanticsColors } from '../defaults/colors.js';
 import { POINTS, LINES, TRIANGLES } from './geometry/GeometryData';
 import 'three/examples/jsm/lines/LineMaterial';
@@ -8,19 +8,33 @@ import { CityObjectsLines } from '../objects/CityObjectsLines.js';
 import { CityObjectsPoints } from '../objects/CityObjectsPoints.js';
 import { CityObjectsLineMaterial } from '../materials/CityObjectsLineMaterial.js';
 import { CityObjectsPointsMaterial } from '../materials/CityObjectsPointsMaterial.js';
-import { TriangleParser } from './geometry/TriangleParser';
-import { LineParser } from './geometry/LineParser';
-import { PointParser } from './geometry/PointParser';
-import { CityObjectsInstancedMesh } from '../objects/CityObjectsInstancedMesh.js';
+import { getCellBounds, partitionCityObjects } from './helpers/ChunkParser.js';
+import { isArrayBuffer, isCityJSONSource } from './helpers/CityJSONSource.js';
+import { getTemplateTypes } from './helpers/TemplateParser.js';
+import { createTemplateObjects } from './helpers/TemplateObjects.js';
+import { WorkerPool, defaultPoolSize } from './helpers/WorkerPool.js';
+import { createParserWorker } from './helpers/ParserWorkerFactory.js';
 
 export class CityJSONWorkerParser {
 
 	constructor() {
 
 		this.matrix = null;
+
+		// Converts the axes and units of CityJSON to the ones of the scene (set
+		// by the loader). Templates are not quantized, so they only get this
+		// part of `matrix`.
+		this.axisMatrix = null;
+
+		// Reprojects the vertices to another CRS, if set (by the loader)
+		this.reprojection = null;
 		this.onChunkLoad = null;
 		this.onComplete = null;
 		this.chunkSize = 2000;
+
+		// How city objects are grouped into chunks, "order" or "quadtree"
+		// (see `ChunkParser`)
+		this.chunkStrategy = "order";
 		this.loading = false;
 
 		this.objectColors = defaultObjectColors;
@@ -28,6 +42,39 @@ export class CityJSONWorkerParser {
 
 		this.lods = [];
 
+		// If set, only the geometries of these LoDs, the city objects of these
+		// types and the city objects for which `objectFilter( objectId,
+		// cityObject )` returns true are parsed (see `ChunkParser`)
+		this.lodFilter = null;
+		this.typeFilter = null;
+		this.objectFilter = null;
+
+		// Whether triangles share their vertices through an index buffer
+		// (see `GeometryData`)
+		this.indexed = false;
+
+		// Whether the outlines of the polygons are added as well, drawn with
+		// `outlineMaterial` (see `ChunkParser`)
+		this.outlines = false;
+
+		// Whether the interior shells (voids) of solids are parsed
+		this.interiorShells = true;
+
+		// How the normals of triangles are computed, by default and for city
+		// object types, and the material theme whose `isSmooth` flags apply
+		// (see `ChunkParser`)
+		this.normalMode = "flat";
+		this.typeNormalModes = {};
+		this.creaseAngle = Math.PI / 6;
+		this.materialTheme = null;
+
+		// The number of workers that parse a dataset in parallel
+		this.workerCount = defaultPoolSize();
+		this.workerPool = null;
+
+		// One controller per parse in progress, to cancel them
+		this.parseControllers = new Set();
+
 		this.resetMaterial();
 
 	}
@@ -50,6 +97,17 @@ export class CityJSONWorkerParser {
 
 		} );
 
+		this.outlineMaterial = new CityObjectsLineMaterial( {
+
+			color: 0xffffff,
+			linewidth: 0.001,
+			vertexColors: false,
+			dashed: false,
+			objectColors: this.objectColors,
+			surfaceColors: this.surfaceColors
+
+		} );
+
 		this.pointsMaterial = new CityObjectsPointsMaterial( {
 			size: 10,
 			objectColors: this.objectColors,
@@ -66,204 +124,746 @@ export class CityJSONWorkerParser {
 		this.lineMaterial.objectColors = objectColors;
 		this.lineMaterial.surfaceColors = surfaceColors;
 
+		this.outlineMaterial.objectColors = objectColors;
+		this.outlineMaterial.surfaceColors = surfaceColors;
+
 		this.pointsMaterial.objectColors = objectColors;
 		this.pointsMaterial.surfaceColors = surfaceColors;
 
 	}
 
-	parse( data, scene ) {
+	/**
+	 * Returns the pool of workers that parse the geometries, creating it on
+	 * first use.
+	 */
+	getWorkerPool() {
 
-		this.loading = true;
+		if ( this.workerPool === null ) {
 
-		// Sets the web worker that will parse all normal (ie non-instanced)
-		// geometries
-		const worker = new Worker( new URL( "./helpers/ParserWorker.js", import.meta.url ), { type: "module" } );
-		const m = this.matrix;
-		const onChunkLoad = this.onChunkLoad;
-		const onComplete = this.onComplete;
-		const context = this;
-		const citymodel = data;
+			this.workerPool = new WorkerPool( createParserWorker );
+
+		}
+
+		this.workerPool.size = this.workerCount;
+
+		return this.workerPool;
+
+	}
+
+	/**
+	 * Terminates the workers of this parser. The parser can still be used
+	 * afterwards, in which case new workers are created.
+	 */
+	dispose() {
+
+		if ( this.workerPool ) {
+
+			this.workerPool.dispose();
+			this.workerPool = null;
+
+		}
+
+	}
+
+	/**
+	 * Adds the lods, object types and surface types found by a worker to the
+	 * lookups of this parser and returns how the indices of the worker's
+	 * lookups map to the indices of this parser's lookups.
+	 */
+	mergeLookups( lods, objectColors, surfaceColors ) {
+
+		const lodsMap = lods.map( lod => {
+
+			if ( ! this.lods.includes( lod ) ) {
+
+				this.lods.push( lod );
+
+			}
+
+			return this.lods.indexOf( lod );
+
+		} );
+
+		this.objectColors = mergeColors( this.objectColors, objectColors );
+		this.surfaceColors = mergeColors( this.surfaceColors, surfaceColors );
+
+		const objectTypes = Object.keys( this.objectColors );
+		const surfaceTypes = Object.keys( this.surfaceColors );
+
+		return {
+			lods: lodsMap,
+			objectTypes: Object.keys( objectColors ).map( type => objectTypes.indexOf( type ) ),
+			surfaceTypes: Object.keys( surfaceColors ).map( type => surfaceTypes.indexOf( type ) )
+		};
+
+	}
+
+	/**
+	 * Adds the chunk posted by a worker to the `scene`, transformed by
+	 * `matrix` (the `matrix` of the parser when the parse started).
+	 */
+	addChunk( chunk, citymodel, scene, matrix = this.matrix ) {
+
+		const vertices = chunk.v_buffer;
+		const geometryData = chunk.geometryData;
+
+		// Workers discover lookups independently, so their indices have to be
+		// translated to the ones of this parser
+		const maps = this.mergeLookups( chunk.lods, chunk.objectColors, chunk.surfaceColors );
+
+		remapIndices( geometryData.lodIds, maps.lods );
+		remapIndices( geometryData.objectType, maps.objectTypes );
+		remapIndices( geometryData.semanticSurfaces, maps.surfaceTypes );
+
+		this.setMaterialsColors( this.objectColors, this.surfaceColors );
+
+		let object = null;
+
+		if ( geometryData.geometryType == TRIANGLES ) {
+
+			object = new CityObjectsMesh( citymodel, vertices, geometryData, matrix, this.meshMaterial );
+
+		} else if ( geometryData.geometryType == LINES ) {
+
+			const material = geometryData.outline ? this.outlineMaterial : this.lineMaterial;
+			object = new CityObjectsLines( citymodel, vertices, geometryData, matrix, material );
+
+		} else if ( geometryData.geometryType == POINTS ) {
+
+			object = new CityObjectsPoints( citymodel, vertices, geometryData, matrix, this.pointsMaterial );
+
+		}
+
+		if ( object ) {
+
+			scene.add( object );
+
+		}
+
+		if ( this.onChunkLoad ) {
+
+			this.onChunkLoad();
+
+		}
+
+		return object;
+
+	}
+
+	/**
+	 * Cancels every parse in progress: their workers are terminated, the
+	 * objects they added are removed from the scene and disposed, and their
+	 * promises are rejected with an `AbortError`.
+	 */
+	cancel() {
+
+		for ( const controller of this.parseControllers ) {
+
+			controller.abort();
+
+		}
+
+	}
+
+	/**
+	 * Parses `data` into `scene`. The returned promise resolves with the
+	 * objects that were added to the scene. If `signal` is aborted (or
+	 * `cancel()` is called) before that, the objects are removed and disposed,
+	 * and the promise is rejected with an `AbortError`.
+	 *
+	 * `data` can also be the raw content of a file (see `parseSource()`).
+	 */
+	parse( data, scene, onProgress, signal, onCityModel ) {
+
+		if ( isCityJSONSource( data ) ) {
+
+			return this.parseSource( data, scene, onProgress, signal, onCityModel );
+
+		}
+
+		return this.track( signal, ( controller, addObject ) => {
+
+			const citymodel = data;
 
-		worker.onmessage = function ( e ) {
+			// The settings of this parse, as the parser can be reconfigured
+			// for another dataset while the workers are busy
+			const parse = new PartitionedParse( this, citymodel, scene, this.matrix, addObject, onProgress );
 
-			if ( e.data.type === "chunkLoaded" ) {
+			// The city objects are split in consecutive partitions that are
+			// parsed in parallel by the workers of the pool
+			const partitions = partitionCityObjects( data, this.getPartitionCount( citymodel ) );
 
-				const vertices = e.data.v_buffer;
-				const geometryData = e.data.geometryData;
+			// The first partition parses the templates, but only has some of
+			// their instances
+			const templateTypes = partitions.length > 1 && data[ 'geometry-templates' ] ? getTemplateTypes( data ) : null;
 
-				context.setMaterialsColors( e.data.objectColors, e.data.surfaceColors );
+			// The partitions share the quadtree of the whole city model
+			const cellBounds = partitions.length > 1 && this.chunkStrategy == "quadtree" ? getCellBounds( data ) : null;
 
-				context.lods = e.data.lods;
-				context.objectColors = e.data.objectColors;
-				context.surfaceColors = e.data.surfaceColors;
+			const pool = this.getWorkerPool();
 
-				if ( e.data.geometryData.geometryType == TRIANGLES ) {
+			const tasks = partitions.map( ( partition, i ) => pool.run( [ partition.data, Object.assign( this.getWorkerProps(), {
+				objectOffset: partition.objectOffset,
+				templateGeometry: i == 0,
+				templateTypes: i == 0 ? templateTypes : null,
+				cellBounds,
+				excludedObjects: this.getExcludedObjects( partition.data )
+			} ) ], msg => {
 
-					const mesh = new CityObjectsMesh( citymodel, vertices, geometryData, m, context.meshMaterial );
-					scene.add( mesh );
+				if ( ! controller.signal.aborted ) {
+
+					parse.onMessage( i, msg );
 
 				}
 
-				if ( e.data.geometryData.geometryType == LINES ) {
+			}, [], controller.signal ) );
+
+			return Promise.all( tasks ).then( () => parse.complete() );
+
+		} );
+
+	}
+
+	/**
+	 * Parses the raw content of a CityJSON file (its text, an `ArrayBuffer`
+	 * or a `Blob`/`File`) into `scene`. The content is transferred to a
+	 * worker that does the JSON parsing, so that large files do not block the
+	 * main thread.
+	 *
+	 * Only the city model without its geometry and vertices comes back. It is
+	 * passed to `onCityModel( citymodel, boundingBox )` (where `boundingBox`
+	 * is the extent of the vertices) before the geometry is parsed, so that
+	 * the `matrix` and `reprojection` of the parser can be set for it.
+	 *
+	 * The worker then splits the city objects in partitions like `parse()`
+	 * does. It parses the first one, and the others are handed to the other
+	 * workers of the pool.
+	 */
+	parseSource( source, scene, onProgress, signal, onCityModel ) {
+
+		return this.track( signal, ( controller, addObject ) => new Promise( ( resolve, reject ) => {
+
+			let parse = null;
+			let excludedObjects = null;
+
+			const pool = this.getWorkerPool();
+			const transfer = isArrayBuffer( source ) ? [ source ] : [];
+
+			// Stops the workers if the city model cannot be handled
+			const taskController = new AbortController();
+			controller.signal.addEventListener( 'abort', () => taskController.abort(), { once: true } );
+
+			// The tasks of the partitions posted by the worker that read the file
+			const partitionTasks = [];
+
+			const runPartition = ( msg, i ) => {
+
+				const task = pool.run( [ msg.source, Object.assign( this.getWorkerProps(), {
+					objectOffset: msg.objectOffset,
+					cellBounds: msg.cellBounds,
+					templateGeometry: false,
+					excludedObjects,
+					partition: true
+				} ) ], partitionMsg => {
+
+					if ( ! controller.signal.aborted ) {
+
+						parse.onMessage( i, partitionMsg );
+
+					}
+
+				}, [ msg.source ], taskController.signal );
+
+				task.catch( reject );
+				partitionTasks.push( task );
+
+			};
+
+			const task = pool.run( [ source, this.getWorkerProps() ], ( msg, reply ) => {
+
+				if ( controller.signal.aborted ) {
 
-					const lines = new CityObjectsLines( citymodel, vertices, geometryData, m, context.lineMaterial );
-					scene.add( lines );
+					return;
 
 				}
 
-				if ( e.data.geometryData.geometryType == POINTS ) {
+				if ( msg.type === "citymodel" ) {
+
+					const citymodel = msg.citymodel;
+
+					try {
+
+						if ( onCityModel ) {
+
+							onCityModel( citymodel, msg.boundingBox );
+
+						}
+
+					} catch ( error ) {
+
+						reject( error );
+						taskController.abort();
+						return;
+
+					}
+
+					parse = new PartitionedParse( this, citymodel, scene, this.matrix, addObject, onProgress );
+					excludedObjects = this.getExcludedObjects( citymodel );
+
+					reply( { type: "parse", props: {
+						reprojection: this.reprojection,
+						excludedObjects,
+						partitionCount: this.getPartitionCount( citymodel )
+					} } );
+
+				} else if ( msg.type === "partition" ) {
 
+					runPartition( msg, partitionTasks.length + 1 );
 
-					const points = new CityObjectsPoints( citymodel, vertices, geometryData, m, context.pointsMaterial );
-					scene.add( points );
+				} else {
+
+					parse.onMessage( 0, msg );
 
 				}
 
-				if ( onChunkLoad ) {
+			}, transfer, taskController.signal );
+
+			// The worker posts every partition before it is done with its own
+			task.then( () => Promise.all( partitionTasks ) ).then( () => parse.complete() ).then( resolve, reject );
+
+		} ) );
+
+	}
+
+	/**
+	 * Runs a parse: `run( controller, addObject )` starts it and returns a
+	 * promise that resolves with `{ citymodel, summary }` once every object
+	 * was added (through `addObject`). `onComplete` is called with the
+	 * summary, and the returned promise resolves with these
+	 * objects, or removes them and rejects if the parse is aborted or fails.
+	 * A failed parse aborts `controller`, so that its other workers stop.
+	 */
+	track( signal, run ) {
+
+		if ( signal && signal.aborted ) {
+
+			return Promise.reject( abortError() );
+
+		}
+
+		this.loading = true;
+
+		const onComplete = this.onComplete;
 
-					onChunkLoad();
+		const controller = new AbortController();
+		this.parseControllers.add( controller );
+
+		// Removed once the parse is over, as the signal may outlive it
+		const abort = () => controller.abort();
+
+		if ( signal ) {
+
+			signal.addEventListener( 'abort', abort, { once: true } );
+
+		}
+
+		// Every object added to the scene by this parse
+		const objects = [];
+
+		const addObject = object => {
+
+			if ( object ) {
+
+				objects.push( object );
+
+			}
+
+		};
+
+		// Whether the promise was resolved or rejected
+		let settled = false;
+
+		return new Promise( ( resolve, reject ) => {
+
+			controller.signal.addEventListener( 'abort', () => {
+
+				if ( settled ) {
+
+					return;
 
 				}
 
-			} else if ( e.data.type === "done" ) {
+				settled = true;
+				this.loading = false;
 
-				context.loading = false;
+				removeObjects( objects );
+				reject( abortError() );
 
-				if ( data.appearance && data.appearance.materials ) {
+			}, { once: true } );
 
-					context.meshMaterial.materials = data.appearance.materials;
+			run( controller, addObject ).then( ( { citymodel, summary } ) => {
+
+				this.loading = false;
+
+				if ( citymodel.appearance && citymodel.appearance.materials ) {
+
+					this.meshMaterial.materials = citymodel.appearance.materials;
 
 				}
 
+				// A throwing callback fails the parse like an error of the
+				// workers
 				if ( onComplete ) {
 
-					onComplete();
+					onComplete( summary );
+
+				}
+
+				settled = true;
+				resolve( objects );
+
+			} ).catch( error => {
+
+				if ( settled ) {
+
+					return;
 
 				}
 
+				settled = true;
+				this.loading = false;
+
+				// Stops the other workers of the parse, whose chunks would
+				// otherwise still be added to the scene
+				controller.abort();
+
+				removeObjects( objects );
+				reject( error );
+
+			} );
+
+		} ).finally( () => {
+
+			this.parseControllers.delete( controller );
+
+			if ( signal ) {
+
+				signal.removeEventListener( 'abort', abort );
+
 			}
 
+		} );
+
+	}
+
+	/**
+	 * Returns the settings that the workers of a parse share.
+	 */
+	getWorkerProps() {
+
+		return {
+			chunkSize: this.chunkSize,
+			chunkStrategy: this.chunkStrategy,
+			objectColors: this.objectColors,
+			lods: this.lods,
+			reprojection: this.reprojection,
+			lodFilter: this.lodFilter,
+			typeFilter: this.typeFilter,
+			indexed: this.indexed,
+			outlines: this.outlines,
+			interiorShells: this.interiorShells,
+			normalMode: this.normalMode,
+			typeNormalModes: this.typeNormalModes,
+			creaseAngle: this.creaseAngle,
+			materialTheme: this.materialTheme
 		};
 
-		worker.postMessage( [ data, { chunkSize: this.chunkSize, objectColors: this.objectColors, lods: this.lods } ] );
+	}
 
-		// Parse geometry templates
-		if ( data[ 'geometry-templates' ] ) {
+	/**
+	 * Returns the number of partitions that the city objects of `data` are
+	 * split in: one per worker, unless there are too few objects to fill a
+	 * chunk in every partition.
+	 */
+	getPartitionCount( data ) {
 
-			const templatesGeomData = [];
+		const objectCount = Object.keys( data.CityObjects ).length;
 
-			const vertices = data[ 'geometry-templates' ][ 'vertices-templates' ];
+		return Math.min( this.workerCount, Math.ceil( objectCount / this.chunkSize ) );
 
-			const geometryParsers = [
-				new TriangleParser( data, Object.keys( data.CityObjects ), this.objectColors, vertices ),
-				new LineParser( data, Object.keys( data.CityObjects ), this.objectColors, vertices ),
-				new PointParser( data, Object.keys( data.CityObjects ), this.objectColors, vertices )
-			];
+	}
 
-			for ( const template of data[ 'geometry-templates' ].templates ) {
+	/**
+	 * Returns the ids of the city objects of `data` that are excluded by the
+	 * `objectFilter` of the parser, or `null` if it has none. The filter is
+	 * applied here, as functions cannot be sent to the workers.
+	 */
+	getExcludedObjects( data ) {
 
-				for ( const geometryParser of geometryParsers ) {
+		if ( ! this.objectFilter ) {
 
-					geometryParser.lods = this.lods;
-					geometryParser.parseGeometry( template, - 1, - 1 );
-					this.lods = geometryParser.lods;
+			return null;
 
-					if ( geometryParser.geomData.count() > 0 ) {
+		}
 
-						templatesGeomData.push( geometryParser.geomData );
+		return Object.keys( data.CityObjects ).filter( objectId => ! this.objectFilter( objectId, data.CityObjects[ objectId ] ) );
 
-					}
+	}
 
-					geometryParser.clean();
+	/**
+	 * Translates the lookups of the templates posted by a worker to the ones
+	 * of this parser (see `addChunk()`).
+	 */
+	remapTemplates( msg ) {
 
-				}
+		const maps = this.mergeLookups( msg.lods, msg.objectColors, msg.surfaceColors );
 
-			}
+		for ( const { geometryData } of msg.templates ) {
 
-			const instances = [];
+			remapIndices( geometryData.lodIds, maps.lods );
+			remapIndices( geometryData.semanticSurfaces, maps.surfaceTypes );
 
-			for ( let i = 0; i < templatesGeomData.length; i ++ ) {
+		}
 
-				instances.push( {
-					matrices: [],
-					objectIds: [],
-					objectType: [],
-					geometryIds: []
-				} );
+		for ( const instance of msg.instances ) {
 
-			}
+			remapIndices( instance.objectType, maps.objectTypes );
 
-			for ( const objectId in data.CityObjects ) {
+		}
 
-				const cityObject = data.CityObjects[ objectId ];
+		this.setMaterialsColors( this.objectColors, this.surfaceColors );
 
-				if ( cityObject.geometry && cityObject.geometry.length > 0 ) {
+	}
 
-					for ( let i = 0; i < cityObject.geometry.length; i ++ ) {
+	/**
+	 * Adds the instances of the geometry templates parsed by a worker to the
+	 * `scene` and returns the objects that were added.
+	 */
+	addTemplates( templates, instances, citymodel, scene, matrix = this.matrix ) {
 
-						const geometry = cityObject.geometry[ i ];
+		const objects = createTemplateObjects( citymodel, templates, instances, this, matrix );
 
-						if ( geometry.type == "GeometryInstance" ) {
+		for ( const object of objects ) {
 
-							const matrix = new Matrix4();
-							matrix.set( ... geometry.transformationMatrix );
-							matrix.setPosition( ... data.vertices[ geometry.boundaries[ 0 ] ] );
+			scene.add( object );
 
-							instances[ geometry.template ].matrices.push( matrix );
-							instances[ geometry.template ].objectIds.push( Object.keys( data.CityObjects ).indexOf( objectId ) );
-							instances[ geometry.template ].objectType.push( Object.keys( this.objectColors ).indexOf( cityObject.type ) );
-							instances[ geometry.template ].geometryIds.push( i );
+		}
 
-						}
+		return objects;
 
-					}
+	}
 
-				}
+}
 
-			}
+// Adds what the workers post for the partitions of a dataset to the scene.
+// Chunks are added in the order of the partitions, so the chunks of a
+// partition wait until all previous partitions are done. The first partition
+// parses the templates and every partition finds the instances of its
+// objects, which are added once all workers are done.
+class PartitionedParse {
 
-			for ( let i = 0; i < templatesGeomData.length; i ++ ) {
+	constructor( parser, citymodel, scene, matrix, addObject, onProgress ) {
 
-				if ( templatesGeomData[ i ].geometryType == TRIANGLES ) {
+		this.parser = parser;
+		this.citymodel = citymodel;
+		this.scene = scene;
+		this.matrix = matrix;
+		this.addObject = addObject;
+		this.onProgress = onProgress;
 
-					const mesh = new CityObjectsInstancedMesh( citymodel, templatesGeomData[ i ].getVertices( vertices ), templatesGeomData[ i ], instances[ i ], m, this.meshMaterial );
-					scene.add( mesh );
+		// By partition, as partitions can still be added during the parse
+		this.pendingChunks = [];
+		this.finished = [];
+		this.objectCounts = [];
+		this.summaries = [];
+		this.templateMessages = [];
 
+		// The partition whose chunks are added right away
+		this.current = 0;
 
-				} else if ( templatesGeomData[ i ].geometryType == LINES ) {
+	}
 
-					for ( let j = 0; j < instances[ i ].matrices.length; j ++ ) {
+	// Handles a message of the worker of the `i`th partition
+	onMessage( i, msg ) {
 
-						templatesGeomData[ i ].setObjectId( instances[ i ].objectIds[ j ] );
-						templatesGeomData[ i ].setObjectType( instances[ i ].objectType[ j ] );
-						templatesGeomData[ i ].setGeometryIdx( instances[ i ].geometryIds[ j ] );
+		if ( msg.objectCount !== undefined ) {
 
-						const line = new CityObjectsLines( templatesGeomData[ i ].getVertices( vertices ), templatesGeomData[ i ], m, this.lineMaterial );
-						line.applyMatrix4( instances[ i ].matrices[ j ] );
-						scene.add( line );
+			this.objectCounts[ i ] = msg.objectCount;
 
-					}
+		}
 
-				} else if ( templatesGeomData[ i ].geometryType == POINTS ) {
+		if ( msg.type === "chunkLoaded" ) {
 
-					for ( let j = 0; j < instances[ i ].matrices.length; j ++ ) {
+			if ( i === this.current ) {
 
-						templatesGeomData[ i ].setObjectId( instances[ i ].objectIds[ j ] );
-						templatesGeomData[ i ].setObjectType( instances[ i ].objectType[ j ] );
-						templatesGeomData[ i ].setGeometryIdx( instances[ i ].geometryIds[ j ] );
+				this.addChunk( msg );
 
-						const line = new CityObjectsPoints( templatesGeomData[ i ].getVertices( vertices ), templatesGeomData[ i ], m, this.pointsMaterial );
-						line.applyMatrix4( instances[ i ].matrices[ j ] );
-						scene.add( line );
+			} else {
 
-					}
+				this.pendingChunks[ i ] = this.pendingChunks[ i ] || [];
+				this.pendingChunks[ i ].push( msg );
+
+			}
+
+		} else if ( msg.type === "templatesLoaded" ) {
+
+			this.parser.remapTemplates( msg );
+			this.templateMessages[ i ] = msg;
+
+		} else if ( msg.type === "done" ) {
+
+			this.finished[ i ] = true;
+			this.summaries[ i ] = readSummary( msg );
+
+			while ( this.finished[ this.current ] ) {
+
+				this.current ++;
+
+				for ( const chunk of this.pendingChunks[ this.current ] || [] ) {
+
+					this.addChunk( chunk );
 
 				}
 
+				this.pendingChunks[ this.current ] = [];
+
 			}
 
 		}
 
+		if ( this.onProgress ) {
+
+			this.onProgress( this.objectCounts.reduce( ( a, b ) => a + b, 0 ) );
+
+		}
+
+	}
+
+	addChunk( chunk ) {
+
+		this.addObject( this.parser.addChunk( chunk, this.citymodel, this.scene, this.matrix ) );
+
+	}
+
+	// Adds the templates once every partition is done, and returns the
+	// result of the parse for `track()`
+	complete() {
+
+		const messages = this.templateMessages.filter( msg => msg );
+
+		if ( messages.length > 0 ) {
+
+			const instances = concatInstances( messages.map( msg => msg.instances ) );
+			const templates = [].concat( ...messages.map( msg => msg.templates ) );
+			this.parser.addTemplates( templates, instances, this.citymodel, this.scene, this.matrix ).forEach( this.addObject );
+
+		}
+
+		return { citymodel: this.citymodel, summary: mergeSummaries( this.summaries ) };
+
+	}
+
+}
+
+function abortError() {
+
+	return new DOMException( 'The CityJSON parsing was aborted.', 'AbortError' );
+
+}
+
+// Removes the objects from their parents and frees their geometry. Materials
+// are shared between the objects of a parser, so they are kept.
+function removeObjects( objects ) {
+
+	for ( const object of objects ) {
+
+		object.removeFromParent();
+		object.geometry.dispose();
+
+	}
+
+	objects.length = 0;
+
+}
+
+// Returns `colors` extended with the entries of `otherColors` it misses. A
+// new object is created, as `colors` can be one of the default lookups.
+function mergeColors( colors, otherColors ) {
+
+	const missing = Object.keys( otherColors ).filter( type => ! ( type in colors ) );
+
+	if ( missing.length == 0 ) {
+
+		return colors;
+
+	}
+
+	const merged = Object.assign( {}, colors );
+
+	for ( const type of missing ) {
+
+		merged[ type ] = otherColors[ type ];
+
+	}
+
+	return merged;
+
+}
+
+function readSummary( msg ) {
+
+	return {
+		objectCount: msg.objectCount,
+		skippedObjects: msg.skippedObjects,
+		skippedGeometryCount: msg.skippedGeometryCount,
+		diagnostics: msg.diagnostics
+	};
+
+}
+
+// Joins the summaries of the partitions of a dataset, in their order
+function mergeSummaries( summaries ) {
+
+	return {
+		objectCount: summaries.reduce( ( count, summary ) => count + summary.objectCount, 0 ),
+		skippedObjects: [].concat( ...summaries.map( summary => summary.skippedObjects ) ),
+		skippedGeometryCount: summaries.reduce( ( count, summary ) => count + summary.skippedGeometryCount, 0 ),
+		diagnostics: [].concat( ...summaries.map( summary => summary.diagnostics ) )
+	};
+
+}
+
+// Joins the instances of the templates found by every worker
+function concatInstances( instancesList ) {
+
+	return instancesList[ 0 ].map( ( instance, i ) => {
+
+		const merged = {};
+
+		for ( const key in instance ) {
+
+			merged[ key ] = [].concat( ...instancesList.map( instances => instances[ i ][ key ] ) );
+
+		}
+
+		return merged;
+
+	} );
+
+}
+
+function remapIndices( indices, map ) {
+
+	if ( map.every( ( value, i ) => value === i ) ) {
+
+		return;
+
+	}
+
+	for ( let i = 0; i < indices.length; i ++ ) {
+
+		if ( indices[ i ] > - 1 ) indices[ i ] = map[ indices[ i ] ];
+
 	}
 
 }
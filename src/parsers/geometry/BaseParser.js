@@ -1,4 +1,5 @@
 import { defaultSemanticsColors } from '../../defaults/colors.js';
+import { normalizeLod } from '../../helpers/CityJSONMetadata.js';
 
 export class BaseParser {
 
@@ -232,6 +233,8 @@ export class BaseParser {
 
 		}
 
+		lod = normalizeLod( lod );
+
 		const lodIdx = this.lods.indexOf( lod );
 
 		if ( lodIdx < 0 ) {
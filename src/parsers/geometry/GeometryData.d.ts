@@ -43,8 +43,39 @@ export class GeometryData {
      * indicating which LoD geometry representation the vertex is part of.
      */
     lodIds: Number[];
+    /**
+     * Array of solid indices. Each entry refers to the solid of a Solid (always
+     * 0) or MultiSolid geometry that the vertex belongs to, or is `- 1` for
+     * other geometries.
+     */
+    solidIds: Number[];
+    /**
+     * Array of shell indices. Each entry refers to the shell of its solid that
+     * the vertex belongs to: 0 for the exterior shell, and 1 and above for the
+     * interior shells (voids). It is `- 1` for geometries other than solids.
+     */
+    shellIds: Number[];
+
+    /**
+     * Whether the data is indexed. In that case, the corners of a surface that
+     * refer to the same CityJSON vertex and have the same UVs are stored once
+     * (in the arrays above), and `indices` holds the three corners of every
+     * triangle.
+     */
+    indexed: boolean;
+
+    /**
+     * The indices of the corners of the triangles, if the data is indexed.
+     */
+    indices: number[];
+
+    /**
+     * Whether the lines are the outlines of polygons (see
+     * `TriangleParser.outlines`) rather than line geometries.
+     */
+    outline: boolean;
 
-	constructor(geometryType: number);
+	constructor(geometryType: number, indexed?: boolean);
 
     /**
      * Adds a vertex with the given data
@@ -55,11 +86,16 @@ export class GeometryData {
      * @param geometryIdx The index of the geometry in the CityObject's `geometry` array.
      * @param boundaryIdx The index of the boundary or shell that this vertex belongs to within the geometry structure.
      * @param lodIdx The Level of Detail (LoD) index that defines which LoD this vertex is associated with.
+     * @param material The material of every material theme.
+     * @param texture The texture and UVs of every texture theme.
+     * @param solidIdx The index of the solid that the vertex belongs to, or `- 1`.
+     * @param shellIdx The index of the shell that the vertex belongs to in its solid, or `- 1`.
      */
-    addVertex( vertexId: Number, objectId: Number, objectType: Number, surfaceType: Number, geometryIdx: Number, boundaryIdx: Number, lodIdx: Number ) : void
+    addVertex( vertexId: Number, objectId: Number, objectType: Number, surfaceType: Number, geometryIdx: Number, boundaryIdx: Number, lodIdx: Number, material?: Object, texture?: Object, solidIdx?: Number, shellIdx?: Number ) : void
 
     /**
-     * Returns the number of vertices
+     * Returns the number of vertices (i.e. of unique vertices, if the data is
+     * indexed)
      */
     count() : Number
 
@@ -72,7 +108,8 @@ export class GeometryData {
     getVertices( vertexList: Number[][] ) : Number[];
 
     /**
-     * Returns the data in an object format (for serialization).
+     * Returns the data in an object format (for serialization). Its `indices`
+     * are `null` unless the data is indexed.
      */
     toObject() : Object;
 
@@ -5,10 +5,21 @@ export const TRIANGLES = 2;
 
 export class GeometryData {
 
-	constructor( geometryType ) {
+	constructor( geometryType, indexed = false ) {
 
 		this.geometryType = geometryType;
 
+		// In indexed mode, the corners of a surface that share their vertex
+		// and UVs are stored once, and `indices` lists the corners of every
+		// triangle
+		this.indexed = indexed;
+		this.indices = [];
+		this.vertexLookup = new Map();
+
+		// Whether the lines are the outlines of polygons rather than line
+		// geometries of the city objects
+		this.outline = false;
+
 		this.vertexIds = [];
 		this.objectIds = [];
 		this.objectTypes = [];
@@ -16,6 +27,13 @@ export class GeometryData {
 		this.geometryIds = [];
 		this.boundaryIds = [];
 		this.lodIds = [];
+
+		// The solid and shell of every vertex, numbered as in the boundaries
+		// of Solid and MultiSolid geometries (shell 0 being the exterior
+		// shell of a solid), or - 1 for other geometries
+		this.solidIds = [];
+		this.shellIds = [];
+
 		this.materials = {};
 		this.textures = {};
 
@@ -66,7 +84,24 @@ export class GeometryData {
 
 	}
 
-	addVertex( vertexId, objectId, objectType, surfaceType, geometryIdx, boundaryIdx, lodIdx, material, texture ) {
+	addVertex( vertexId, objectId, objectType, surfaceType, geometryIdx, boundaryIdx, lodIdx, material, texture, solidIdx = - 1, shellIdx = - 1 ) {
+
+		if ( this.indexed ) {
+
+			const key = getVertexKey( vertexId, objectId, geometryIdx, boundaryIdx, texture );
+			const index = this.vertexLookup.get( key );
+
+			if ( index !== undefined ) {
+
+				this.indices.push( index );
+				return;
+
+			}
+
+			this.vertexLookup.set( key, this.count() );
+			this.indices.push( this.count() );
+
+		}
 
 		this.vertexIds.push( vertexId );
 		this.objectIds.push( objectId );
@@ -75,6 +110,8 @@ export class GeometryData {
 		this.geometryIds.push( geometryIdx );
 		this.boundaryIds.push( boundaryIdx );
 		this.lodIds.push( lodIdx );
+		this.solidIds.push( solidIdx );
+		this.shellIds.push( shellIdx );
 
 		if ( material ) {
 
@@ -174,8 +211,12 @@ export class GeometryData {
 			geometryIds: this.geometryIds,
 			boundaryIds: this.boundaryIds,
 			lodIds: this.lodIds,
+			solidIds: this.solidIds,
+			shellIds: this.shellIds,
 			materials: this.materials,
-			textures: this.textures
+			textures: this.textures,
+			indices: this.indexed ? this.indices : null,
+			outline: this.outline
 		};
 
 	}
@@ -226,7 +267,29 @@ export class GeometryData {
 		this.geometryIds.concat( this.otherGeomData.geometryIdx );
 		this.boundaryIds.concat( this.otherGeomData.boundaryIdx );
 		this.lodIds.concat( this.otherGeomData.lodIdx );
+		this.solidIds.concat( this.otherGeomData.solidIdx );
+		this.shellIds.concat( this.otherGeomData.shellIdx );
 
 	}
 
 }
+
+// The corners of a triangle are the same vertex if they refer to the same
+// CityJSON vertex of the same surface, with the same UVs in every theme
+function getVertexKey( vertexId, objectId, geometryIdx, boundaryIdx, texture ) {
+
+	let key = `${objectId}/${geometryIdx}/${boundaryIdx}/${vertexId}`;
+
+	if ( texture ) {
+
+		for ( const theme in texture ) {
+
+			key += `/${theme}:${texture[ theme ].index}:${texture[ theme ].uvs}`;
+
+		}
+
+	}
+
+	return key;
+
+}
@@ -29,13 +29,14 @@ export class PointParser extends BaseParser {
 
 		if ( geometry.type == "MultiPoint" ) {
 
+			// Templates are parsed without a city object
 			const cityObj = this.json.CityObjects[ objectId ];
 
-			const idIdx = this.getObjectIdx( objectId );
+			const idIdx = cityObj ? this.getObjectIdx( objectId ) : - 1;
 
-			const objType = this.getObjectTypeIdx( cityObj.type );
+			const objType = cityObj ? this.getObjectTypeIdx( cityObj.type ) : - 1;
 
-			const lodIdx = this.getLodIndex( cityObj.geometry[ geomIdx ].lod );
+			const lodIdx = this.getLodIndex( geometry.lod );
 
 			const points = geometry.boundaries;
 
@@ -1,4 +1,75 @@
+import { Vector3 } from "three";
 import { BaseParser } from "./BaseParser";
+import { GeometryData } from "./GeometryData";
+
+/**
+ * Why a polygon could not be triangulated as is:
+ *
+ * - `missing-vertex`: a ring refers to a vertex that does not exist, so the
+ *   surface is skipped
+ * - `duplicate-closing-point`: the last point of a ring repeats the first
+ *   one, and is dropped
+ * - `duplicate-point`: consecutive points of a ring are the same, and the
+ *   repeats are dropped
+ * - `too-few-points`: a ring has less than three distinct points, so the
+ *   surface (or the hole) is skipped
+ * - `collinear`: the polygon has no area, so it is skipped
+ * - `non-planar`: the points are further from the plane of the polygon than
+ *   1% of its size (it is still triangulated)
+ * - `self-intersecting`: the edges of the exterior ring cross, so the
+ *   triangles may not cover the polygon
+ * - `triangulation-failed`: the triangles do not cover the polygon for
+ *   another reason (e.g. holes that overlap the exterior)
+ */
+export type PolygonDiagnosticReason = "missing-vertex" | "duplicate-closing-point" | "duplicate-point" | "too-few-points" | "collinear" | "non-planar" | "self-intersecting" | "triangulation-failed";
+
+export const MISSING_VERTEX: "missing-vertex";
+export const TOO_FEW_POINTS: "too-few-points";
+export const COLLINEAR: "collinear";
+export const NON_PLANAR: "non-planar";
+
+/**
+ * How far the points of a polygon may be from its plane, relative to its
+ * size, before it is reported as `non-planar` (0.01).
+ */
+export const planarityTolerance: number;
+
+/**
+ * Returns the normal of a ring of points with Newell's method. Its length is
+ * twice the area of the ring, and zero if the points are collinear.
+ */
+export function newellNormal( points: { x: number, y: number, z: number }[] ): Vector3;
+
+/**
+ * Whether the points are within `tolerance` (relative to their size) of the
+ * plane through the first one with the given unit normal.
+ */
+export function isPlanar( points: { x: number, y: number, z: number }[], normal: Vector3, tolerance?: number ): boolean;
+
+/**
+ * A problem found in a surface of a city object.
+ */
+export interface PolygonDiagnostic {
+
+    /**
+     * The id of the city object, or null for a geometry template.
+     */
+    objectId: string | null;
+
+    /**
+     * The index of the geometry in the `geometry` of the city object.
+     */
+    geometryIndex: number;
+
+    /**
+     * The index of the surface in the (flattened) boundaries of the geometry,
+     * as in the `boundaryid` attribute.
+     */
+    boundaryIndex: number;
+
+    reason: PolygonDiagnosticReason;
+
+}
 
 /**
  * A class that parses geometries of CityJSON and creates lists of vertices and
@@ -19,6 +90,38 @@ import { BaseParser } from "./BaseParser";
  */
 export class TriangleParser extends BaseParser {
 
+    /**
+     * Whether the triangles share their vertices through an index (see
+     * `GeometryData`). It applies to the geometry data created by the next
+     * `clean()`.
+     */
+    indexed: boolean;
+
+    /**
+     * Whether the rings of the polygons (exterior and interior) are also
+     * added to `outlineData`, as line segments with the attributes of their
+     * surface.
+     */
+    outlines: boolean;
+
+    /**
+     * Whether the interior shells (voids) of solids are parsed. The surfaces
+     * of solids keep their solid and shell either way (see `GeometryData`).
+     */
+    interiorShells: boolean;
+
+    /**
+     * The outlines of the polygons parsed so far, if `outlines` is set.
+     */
+    outlineData: GeometryData;
+
+    /**
+     * The problems found in the surfaces parsed so far. Duplicate points are
+     * dropped, and convex rings that earcut cannot triangulate are
+     * triangulated as a fan. It is kept across `clean()`.
+     */
+    diagnostics: PolygonDiagnostic[];
+
     constructor( json: Object, objectIds: Number[], objectColors: Object );
 
     clean() : void;
@@ -3,9 +3,26 @@ import {
 } from 'three';
 import earcut from 'earcut';
 
-import { TRIANGLES, GeometryData } from './GeometryData.js';
+import { LINES, TRIANGLES, GeometryData } from './GeometryData.js';
 import { BaseParser } from './BaseParser.js';
 
+// The reasons of the diagnostics of a surface (the ones that are exported
+// are also errors of `CityJSONValidator`)
+export const MISSING_VERTEX = "missing-vertex";
+const DUPLICATE_CLOSING_POINT = "duplicate-closing-point";
+const DUPLICATE_POINT = "duplicate-point";
+export const TOO_FEW_POINTS = "too-few-points";
+export const COLLINEAR = "collinear";
+export const NON_PLANAR = "non-planar";
+const SELF_INTERSECTING = "self-intersecting";
+const TRIANGULATION_FAILED = "triangulation-failed";
+
+// How far the points of a polygon may be from its plane, relative to its size
+export const planarityTolerance = 0.01;
+
+// How much the area of the triangles may differ from the area of the polygon
+const maxDeviation = 0.001;
+
 export class TriangleParser extends BaseParser {
 
 	constructor( json, objectIds, objectColors, vertices ) {
@@ -22,19 +39,38 @@ export class TriangleParser extends BaseParser {
 
 		}
 
-		this.geomData = new GeometryData( TRIANGLES );
+		// Whether the triangles share their vertices through an index (see
+		// `GeometryData`), which applies from the next `clean()`
+		this.indexed = false;
+
+		// Whether the rings of the polygons are also added to `outlineData`,
+		// as line segments
+		this.outlines = false;
+
+		// Whether the interior shells (voids) of solids are parsed
+		this.interiorShells = true;
+
+		// The problems found in the surfaces, as `{ objectId, geometryIndex,
+		// boundaryIndex, reason }`. They are kept across `clean()`.
+		this.diagnostics = [];
+
+		this.clean();
 
 	}
 
 	clean() {
 
-		this.geomData = new GeometryData( TRIANGLES );
+		this.geomData = new GeometryData( TRIANGLES, this.indexed );
+
+		this.outlineData = new GeometryData( LINES );
+		this.outlineData.outline = true;
 
 	}
 
 	/**
 	 * Flattens the given geometry, meaning that a Solid or MultiSolid will be
-	 * basically converted to a MultiSuface
+	 * basically converted to a MultiSuface. The solid and shell of every
+	 * surface are kept as its `solidIds` and `shellIds`.
 	 */
 	flattenGeometry( geometry ) {
 
@@ -48,227 +84,311 @@ export class TriangleParser extends BaseParser {
 
 		if ( geometryType == "Solid" ) {
 
-			const newGeometry = Object.assign( {}, geometry );
+			return flattenShells( geometry, 1 );
 
-			newGeometry.boundaries = geometry.boundaries.flat( 1 );
+		}
 
-			if ( geometry.semantics ) {
+		if ( geometryType == "MultiSolid" || geometryType == "CompositeSolid" ) {
 
-				newGeometry.semantics.values = geometry.semantics.values.flat( 1 );
+			return flattenShells( geometry, 2 );
 
-			}
+		}
 
-			if ( geometry.material ) {
+	}
 
-				for ( const theme in geometry.material ) {
+	parseGeometry( geometry, objectId, geomIdx ) {
 
-					newGeometry.material[ theme ].values = geometry.material[ theme ].values.flat( 1 );
+		const cityObj = this.json.CityObjects[ objectId ];
 
-				}
+		const idIdx = cityObj ? this.getObjectIdx( objectId ) : - 1;
+		const objType = cityObj ? this.getObjectTypeIdx( cityObj.type ) : - 1;
+		const lodIdx = this.getLodIndex( geometry.lod );
 
-			}
+		// We flatten the geometry to a MultiSurface, basically, so that it's
+		// easily parsable.
+		const flatGeometry = this.flattenGeometry( geometry );
 
-			if ( geometry.texture ) {
+		if ( flatGeometry ) {
 
-				for ( const theme in geometry.texture ) {
+			this.parseShell( flatGeometry, idIdx, objType, geomIdx, lodIdx, cityObj ? objectId : null );
 
-					newGeometry.texture[ theme ].values = geometry.texture[ theme ].values.flat( 1 );
+		}
 
-				}
 
-			}
+	}
 
-			return newGeometry;
+	parseShell( geometry, idIdx, objType, geomIdx, lodIdx, objectId = null ) {
 
-		}
+		const boundaries = geometry.boundaries;
+		const semantics = geometry.semantics ? geometry.semantics.values : [];
+		const surfaces = geometry.semantics ? geometry.semantics.surfaces : [];
+		const material = geometry.material ? geometry.material : {};
+		const texture = geometry.texture ? geometry.texture : {};
 
-		if ( geometryType == "MultiSolid" || geometryType == "CompositeSolid" ) {
+		// The solid and shell of every surface of flattened solids
+		const solidIds = geometry.solidIds || null;
+		const shellIds = geometry.shellIds || null;
 
-			const newGeometry = Object.assign( {}, geometry );
+		for ( let i = 0; i < boundaries.length; i ++ ) {
 
-			newGeometry.boundaries = geometry.boundaries.flat( 2 );
+			const solidIdx = solidIds ? solidIds[ i ] : - 1;
+			const shellIdx = shellIds ? shellIds[ i ] : - 1;
 
-			if ( geometry.semantics ) {
+			if ( shellIdx > 0 && ! this.interiorShells ) {
 
-				newGeometry.semantics.values = geometry.semantics.values.flat( 2 );
+				continue;
 
 			}
 
-			if ( geometry.material ) {
+			const reasons = new Set();
+			const report = reason => reasons.add( reason );
 
-				for ( const theme in geometry.material ) {
+			const surface = this.prepareSurface( boundaries[ i ], report );
 
-					newGeometry.material[ theme ].values = geometry.material[ theme ].values.flat( 2 );
+			if ( surface ) {
 
-				}
+				const surfaceType = this.getSurfaceTypeIdx( i, semantics, surfaces );
+				const materialValue = this.getSurfaceMaterials( i, material );
 
-			}
+				if ( this.outlines ) {
 
-			if ( geometry.texture ) {
+					this.addOutline( surface.rings, idIdx, objType, surfaceType, geomIdx, i, lodIdx );
 
-				for ( const theme in geometry.texture ) {
+				}
+
+				const { boundary, holes, sourceIndices, sourceHoles } = surface;
 
-					newGeometry.texture[ theme ].values = geometry.texture[ theme ].values.flat( 2 );
+				for ( const vertexIndex of this.triangulate( boundary, holes, report ) ) {
+
+					// Textures refer to the positions of the vertices in the
+					// rings as they are in the file
+					this.geomData.addVertex( boundary[ vertexIndex ],
+											 idIdx,
+											 objType,
+											 surfaceType,
+											 geomIdx,
+											 i,
+											 lodIdx,
+											 materialValue,
+											 this.getTextureData( i, sourceIndices[ vertexIndex ], sourceHoles, texture ),
+											 solidIdx,
+											 shellIdx );
 
 				}
 
 			}
 
-			return newGeometry;
+			for ( const reason of reasons ) {
+
+				this.diagnostics.push( { objectId, geometryIndex: geomIdx, boundaryIndex: i, reason } );
+
+			}
 
 		}
 
 	}
 
-	parseGeometry( geometry, objectId, geomIdx ) {
+	/**
+	 * Cleans up the rings of a surface: duplicate points (including a closing
+	 * point equal to the first one) are dropped, and so are holes of less
+	 * than three points. Returns the vertex ids of the rings as one
+	 * `boundary` with the starts of its `holes` (as earcut expects them),
+	 * along with the positions of the vertices in the original rings, or null
+	 * if the surface cannot be triangulated. Problems are passed to `report`.
+	 */
+	prepareSurface( rings, report ) {
 
-		const cityObj = this.json.CityObjects[ objectId ];
+		const surface = {
+			rings: [],
+			boundary: [],
+			holes: [],
+			sourceIndices: [],
+			sourceHoles: []
+		};
 
-		const idIdx = cityObj ? this.getObjectIdx( objectId ) : - 1;
-		const objType = cityObj ? this.getObjectTypeIdx( cityObj.type ) : - 1;
-		const lodIdx = this.getLodIndex( geometry.lod );
+		let sourceStart = 0;
 
-		// We flatten the geometry to a MultiSurface, basically, so that it's
-		// easily parsable.
-		const flatGeometry = this.flattenGeometry( geometry );
+		for ( let j = 0; j < rings.length; j ++ ) {
 
-		if ( flatGeometry ) {
+			const ring = rings[ j ];
 
-			this.parseShell( flatGeometry, idIdx, objType, geomIdx, lodIdx );
+			if ( j > 0 ) {
 
-		}
+				surface.sourceHoles.push( sourceStart );
 
+			}
 
-	}
+			if ( ring.some( vertexId => ! this.vertices[ vertexId ] ) ) {
 
-	parseShell( geometry, idIdx, objType, geomIdx, lodIdx ) {
+				report( MISSING_VERTEX );
+				return null;
 
-		const boundaries = geometry.boundaries;
-		const semantics = geometry.semantics ? geometry.semantics.values : [];
-		const surfaces = geometry.semantics ? geometry.semantics.surfaces : [];
-		const material = geometry.material ? geometry.material : {};
-		const texture = geometry.texture ? geometry.texture : {};
+			}
 
-		// Contains the boundary but with the right verticeId
-		for ( let i = 0; i < boundaries.length; i ++ ) {
+			let end = ring.length;
+
+			if ( end > 1 && this.isSamePoint( ring[ 0 ], ring[ end - 1 ] ) ) {
 
-			let boundary = [];
-			let holes = [];
+				report( DUPLICATE_CLOSING_POINT );
+				end --;
 
-			const surfaceType = this.getSurfaceTypeIdx( i, semantics, surfaces );
-			const materialValue = this.getSurfaceMaterials( i, material );
+			}
 
-			for ( let j = 0; j < boundaries[ i ].length; j ++ ) {
+			const cleanRing = [];
+			const cleanIndices = [];
 
-				if ( boundary.length > 0 ) {
+			for ( let k = 0; k < end; k ++ ) {
 
-					holes.push( boundary.length );
+				if ( cleanRing.length > 0 && this.isSamePoint( cleanRing[ cleanRing.length - 1 ], ring[ k ] ) ) {
+
+					report( DUPLICATE_POINT );
+					continue;
 
 				}
 
-				// const new_boundary = this.extractLocalIndices( geom, boundaries[ i ][ j ], vertices, json );
-				// boundary.push( ...new_boundary );
-				boundary.push( ...boundaries[ i ][ j ] );
+				cleanRing.push( ring[ k ] );
+				cleanIndices.push( sourceStart + k );
 
 			}
 
-			if ( boundary.length == 3 ) {
+			sourceStart += ring.length;
 
-				for ( let n = 0; n < 3; n ++ ) {
+			if ( cleanRing.length < 3 ) {
 
-					this.geomData.addVertex( boundary[ n ],
-											 idIdx,
-											 objType,
-											 surfaceType,
-											 geomIdx,
-											 i,
-											 lodIdx,
-											 materialValue,
-											 this.getTextureData( i, n, holes, texture ) );
+				report( TOO_FEW_POINTS );
+
+				if ( j == 0 ) {
+
+					return null;
 
 				}
 
+				continue;
 
-			} else if ( boundary.length > 3 ) {
+			}
 
-				//create list of points
-				let pList = [];
-				for ( let k = 0; k < boundary.length; k ++ ) {
+			if ( j > 0 ) {
 
-					pList.push( {
-						x: this.vertices[ boundary[ k ] ][ 0 ],
-						y: this.vertices[ boundary[ k ] ][ 1 ],
-						z: this.vertices[ boundary[ k ] ][ 2 ]
-					} );
+				surface.holes.push( surface.boundary.length );
 
-				}
+			}
+
+			surface.rings.push( cleanRing );
+			surface.boundary.push( ...cleanRing );
+			surface.sourceIndices.push( ...cleanIndices );
 
-				//get normal of these points
-				const normal = this.getNewellsNormal( pList );
+		}
 
-				//convert to 2d (for triangulation)
-				let pv = [];
-				for ( let k = 0; k < pList.length; k ++ ) {
+		return surface;
 
-					const re = this.to_2d( pList[ k ], normal );
-					pv.push( re.x );
-					pv.push( re.y );
+	}
 
-				}
+	isSamePoint( a, b ) {
 
-				//triangulate
-				const tr = earcut( pv, holes, 2 );
+		const p = this.vertices[ a ];
+		const q = this.vertices[ b ];
 
-				// create faces based on triangulation
-				for ( let k = 0; k < tr.length; k += 3 ) {
+		return a === b || ( p[ 0 ] === q[ 0 ] && p[ 1 ] === q[ 1 ] && p[ 2 ] === q[ 2 ] );
 
-					for ( let n = 0; n < 3; n ++ ) {
+	}
 
-						const vertex = boundary[ tr[ k + n ] ];
+	/**
+	 * Returns the triangles of a surface, as positions in `boundary` (three
+	 * per triangle). Rings that earcut cannot triangulate are triangulated as
+	 * a fan if they are convex. Problems are passed to `report`.
+	 */
+	triangulate( boundary, holes, report ) {
 
-						this.geomData.addVertex( vertex,
-											 	 idIdx,
-												 objType,
-												 surfaceType,
-												 geomIdx,
-												 i,
-												 lodIdx,
-												 materialValue,
-												 this.getTextureData( i, tr[ k + n ], holes, texture ) );
+		const pList = boundary.map( vertexId => {
 
-					}
+			const vertex = this.vertices[ vertexId ];
+			return { x: vertex[ 0 ], y: vertex[ 1 ], z: vertex[ 2 ] };
 
-				}
+		} );
 
-			}
+		//get normal of these points
+		const normal = this.getNewellsNormal( pList );
+
+		if ( normal.lengthSq() == 0 ) {
+
+			report( COLLINEAR );
+			return [];
 
 		}
 
-	}
+		if ( ! isPlanar( pList, normal ) ) {
 
-	getNewellsNormal( indices ) {
+			report( NON_PLANAR );
 
-		// find normal with Newell's method
-		let n = [ 0.0, 0.0, 0.0 ];
+		}
 
-		for ( let i = 0; i < indices.length; i ++ ) {
+		if ( boundary.length == 3 ) {
 
-			let nex = i + 1;
+			return [ 0, 1, 2 ];
 
-			if ( nex == indices.length ) {
+		}
 
-				nex = 0;
+		//convert to 2d (for triangulation)
+		const pv = [];
+		for ( let k = 0; k < pList.length; k ++ ) {
 
-			}
+			const re = this.to_2d( pList[ k ], normal );
+			pv.push( re.x );
+			pv.push( re.y );
+
+		}
+
+		//triangulate
+		const tr = earcut( pv, holes, 2 );
+
+		if ( tr.length > 0 && earcut.deviation( pv, holes, 2, tr ) < maxDeviation ) {
+
+			return tr;
+
+		}
+
+		const outerLength = holes.length > 0 ? holes[ 0 ] : boundary.length;
+
+		if ( selfIntersects( pv, outerLength ) ) {
+
+			report( SELF_INTERSECTING );
+			return tr;
+
+		}
+
+		if ( holes.length == 0 && isConvex( pv ) ) {
+
+			return fanTriangles( boundary.length );
 
-			n[ 0 ] = n[ 0 ] + ( ( indices[ i ].y - indices[ nex ].y ) * ( indices[ i ].z + indices[ nex ].z ) );
-			n[ 1 ] = n[ 1 ] + ( ( indices[ i ].z - indices[ nex ].z ) * ( indices[ i ].x + indices[ nex ].x ) );
-			n[ 2 ] = n[ 2 ] + ( ( indices[ i ].x - indices[ nex ].x ) * ( indices[ i ].y + indices[ nex ].y ) );
+		}
+
+		report( TRIANGULATION_FAILED );
+		return tr;
+
+	}
+
+	/**
+	 * Adds the rings of a surface (its exterior and interior boundaries) to
+	 * `outlineData`, as one segment per edge
+	 */
+	addOutline( rings, idIdx, objType, surfaceType, geomIdx, boundaryIdx, lodIdx ) {
+
+		for ( const ring of rings ) {
+
+			for ( let k = 0; k < ring.length; k ++ ) {
+
+				this.outlineData.addVertex( ring[ k ], idIdx, objType, surfaceType, geomIdx, boundaryIdx, lodIdx );
+				this.outlineData.addVertex( ring[ ( k + 1 ) % ring.length ], idIdx, objType, surfaceType, geomIdx, boundaryIdx, lodIdx );
+
+			}
 
 		}
 
-		let b = new Vector3( n[ 0 ], n[ 1 ], n[ 2 ] );
-		return ( b.normalize() );
+	}
+
+	getNewellsNormal( indices ) {
+
+		return newellNormal( indices ).normalize();
 
 	}
 
@@ -297,3 +417,186 @@ export class TriangleParser extends BaseParser {
 	}
 
 }
+
+// Returns a copy of `geometry` with its boundaries, and the values of its
+// semantics and themes, flattened by `depth`. The geometry itself is not
+// modified, as it can be parsed again (e.g. a template in every worker).
+function flattenShells( geometry, depth ) {
+
+	const newGeometry = Object.assign( {}, geometry );
+
+	newGeometry.boundaries = geometry.boundaries.flat( depth );
+
+	const solids = depth == 1 ? [ geometry.boundaries ] : geometry.boundaries;
+
+	newGeometry.solidIds = solids.flatMap( ( solid, i ) => solid.flatMap( shell => shell.map( () => i ) ) );
+	newGeometry.shellIds = solids.flatMap( solid => solid.flatMap( ( shell, j ) => shell.map( () => j ) ) );
+
+	if ( geometry.semantics && geometry.semantics.values ) {
+
+		newGeometry.semantics = Object.assign( {}, geometry.semantics, {
+			values: geometry.semantics.values.flat( depth )
+		} );
+
+	}
+
+	for ( const key of [ 'material', 'texture' ] ) {
+
+		if ( geometry[ key ] ) {
+
+			newGeometry[ key ] = {};
+
+			for ( const theme in geometry[ key ] ) {
+
+				const values = geometry[ key ][ theme ].values;
+
+				// Themes with a single `value` apply to every surface as is
+				newGeometry[ key ][ theme ] = values ? Object.assign( {}, geometry[ key ][ theme ], { values: values.flat( depth ) } ) : geometry[ key ][ theme ];
+
+			}
+
+		}
+
+	}
+
+	return newGeometry;
+
+}
+
+// Returns the normal of a ring of points with Newell's method, of which the
+// length is twice the area of the ring (and zero if its points are collinear)
+export function newellNormal( points ) {
+
+	const normal = new Vector3();
+
+	for ( let i = 0; i < points.length; i ++ ) {
+
+		const p = points[ i ];
+		const q = points[ ( i + 1 ) % points.length ];
+
+		normal.x += ( p.y - q.y ) * ( p.z + q.z );
+		normal.y += ( p.z - q.z ) * ( p.x + q.x );
+		normal.z += ( p.x - q.x ) * ( p.y + q.y );
+
+	}
+
+	return normal;
+
+}
+
+// Whether the points are within `tolerance` (relative to their size) of the
+// plane through the first one with the given unit normal
+export function isPlanar( points, normal, tolerance = planarityTolerance ) {
+
+	const origin = new Vector3( points[ 0 ].x, points[ 0 ].y, points[ 0 ].z );
+	const point = new Vector3();
+	const size = new Vector3();
+
+	let maxDistance = 0;
+
+	for ( const p of points ) {
+
+		point.set( p.x, p.y, p.z ).sub( origin );
+
+		maxDistance = Math.max( maxDistance, Math.abs( point.dot( normal ) ) );
+		size.max( point.set( Math.abs( point.x ), Math.abs( point.y ), Math.abs( point.z ) ) );
+
+	}
+
+	return maxDistance <= tolerance * size.length();
+
+}
+
+// Whether two edges of the ring of the first `length` points of the flat
+// coordinates `pv` cross each other
+function selfIntersects( pv, length ) {
+
+	for ( let i = 0; i < length; i ++ ) {
+
+		const i2 = ( i + 1 ) % length;
+
+		for ( let j = i + 2; j < length; j ++ ) {
+
+			const j2 = ( j + 1 ) % length;
+
+			if ( j2 == i ) {
+
+				continue;
+
+			}
+
+			if ( segmentsCross( pv, i, i2, j, j2 ) ) {
+
+				return true;
+
+			}
+
+		}
+
+	}
+
+	return false;
+
+}
+
+function segmentsCross( pv, a, b, c, d ) {
+
+	const d1 = orient( pv, c, d, a );
+	const d2 = orient( pv, c, d, b );
+	const d3 = orient( pv, a, b, c );
+	const d4 = orient( pv, a, b, d );
+
+	return ( ( d1 > 0 && d2 < 0 ) || ( d1 < 0 && d2 > 0 ) ) && ( ( d3 > 0 && d4 < 0 ) || ( d3 < 0 && d4 > 0 ) );
+
+}
+
+function orient( pv, a, b, c ) {
+
+	return ( pv[ b * 2 ] - pv[ a * 2 ] ) * ( pv[ c * 2 + 1 ] - pv[ a * 2 + 1 ] ) -
+		( pv[ b * 2 + 1 ] - pv[ a * 2 + 1 ] ) * ( pv[ c * 2 ] - pv[ a * 2 ] );
+
+}
+
+// Whether all the turns of the ring of the flat coordinates `pv` go the same
+// way (straight angles are ignored)
+function isConvex( pv ) {
+
+	const length = pv.length / 2;
+
+	let sign = 0;
+
+	for ( let i = 0; i < length; i ++ ) {
+
+		const turn = orient( pv, i, ( i + 1 ) % length, ( i + 2 ) % length );
+
+		if ( turn != 0 ) {
+
+			if ( sign != 0 && Math.sign( turn ) != sign ) {
+
+				return false;
+
+			}
+
+			sign = Math.sign( turn );
+
+		}
+
+	}
+
+	return sign != 0;
+
+}
+
+function fanTriangles( length ) {
+
+	const triangles = [];
+
+	for ( let k = 1; k < length - 1; k ++ ) {
+
+		triangles.push( 0, k, k + 1 );
+
+	}
+
+	return triangles;
+
+}
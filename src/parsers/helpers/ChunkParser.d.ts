@@ -1,4 +1,47 @@
 import { Matrix4 } from 'three';
+import { Reprojection } from '../../helpers/CRSRegistry';
+import { TemplateGeometry, TemplateInstances } from './TemplateParser';
+import { PolygonDiagnostic } from '../geometry/TriangleParser';
+import { NormalMode } from './VertexNormals';
+
+/**
+ * The summary of a parse.
+ */
+export interface ParseSummary {
+
+    /**
+     * The number of city objects, including the skipped ones.
+     */
+    objectCount: number;
+
+    /**
+     * The ids of the city objects that were skipped by the `typeFilter` or
+     * the `objectFilter`.
+     */
+    skippedObjects: string[];
+
+    /**
+     * The number of geometries (of the other city objects) that were skipped
+     * by the `lodFilter`.
+     */
+    skippedGeometryCount: number;
+
+    /**
+     * The problems found in the polygons of the city objects.
+     */
+    diagnostics: PolygonDiagnostic[];
+
+}
+
+/**
+ * How city objects are grouped into chunks.
+ */
+export type ChunkStrategy = "order" | "quadtree";
+
+/**
+ * Decides whether a city object is parsed.
+ */
+export type ObjectFilter = ( objectId: string, cityObject: Object ) => boolean;
 
 /**
  * A parser that parses a CityJSON model in chunks.
@@ -6,11 +49,185 @@ import { Matrix4 } from 'three';
 export class ChunkParser {
 
     matrix : Matrix4;
+
+    /**
+     * If set, the vertices are reprojected to another CRS while parsing. It
+     * is set by the loader for every dataset.
+     */
+    reprojection: Reprojection | null;
     chunksize : Number;
+
+    /**
+     * How city objects are grouped into chunks. `"order"` (the default) cuts
+     * a chunk every `chunkSize` objects. `"quadtree"` splits the extent of
+     * the data into cells of up to `chunkSize` objects, so that every mesh
+     * covers a compact area and can be culled when it is out of view.
+     */
+    chunkStrategy: ChunkStrategy;
+
+    /**
+     * The root cell of the `"quadtree"` strategy as `[ minx, miny, maxx,
+     * maxy ]`, or null to use the extent of the parsed data. The loader gives
+     * every partition of a dataset the extent of the whole city model (see
+     * `getCellBounds()`), so that their cells line up.
+     */
+    cellBounds: number[] | null;
     objectColors: Object;
 
+    /**
+     * The number of city objects parsed so far.
+     */
+    objectCount : Number;
+
+    /**
+     * The index of the first city object of the parsed data in the whole
+     * dataset. It is added to the object ids of the chunks, so that a
+     * partition of a dataset can be parsed on its own.
+     */
+    objectOffset : Number;
+
+    /**
+     * If set, only the geometries of these LoDs are parsed (including
+     * templates). Instances take the LoD of their template.
+     */
+    lodFilter: string[] | null;
+
+    /**
+     * If set, only the city objects of these types are parsed. Skipped
+     * objects keep their index, so child types such as `BuildingPart` have to
+     * be listed along with their parents.
+     */
+    typeFilter: string[] | null;
+
+    /**
+     * If set, only the city objects for which it returns true are parsed.
+     */
+    objectFilter: ObjectFilter | null;
+
+    /**
+     * The ids of the city objects skipped by the last parse.
+     */
+    skippedObjects: string[];
+
+    /**
+     * The number of geometries skipped for their LoD by the last parse.
+     */
+    skippedGeometryCount: number;
+
+    /**
+     * The problems found in the polygons by the last parse.
+     */
+    diagnostics: PolygonDiagnostic[];
+
+    /**
+     * Whether triangles share their vertices through an index buffer. The
+     * corners of a surface that refer to the same CityJSON vertex and have
+     * the same UVs are then merged, which saves memory on large datasets.
+     */
+    indexed: boolean;
+
+    /**
+     * Whether the outlines of the polygons (their exterior and interior
+     * rings) are returned as well, as chunks of lines whose geometry data has
+     * `outline` set. Templates get no outlines.
+     */
+    outlines: boolean;
+
+    /**
+     * Whether the interior shells (voids) of solids are parsed. Their
+     * triangles have a `shellIds` above 0 in the geometry data.
+     */
+    interiorShells: boolean;
+
+    /**
+     * How the normals of triangles are computed. Defaults to `flat`, in
+     * which case meshes compute them with `computeVertexNormals()`.
+     * Templates take the mode of the types of their instances if they all
+     * have the same, and this mode otherwise.
+     */
+    normalMode: NormalMode;
+
+    /**
+     * The normal modes of city object types, which override `normalMode`,
+     * e.g. `{ TINRelief: "smooth", Bridge: "crease" }`.
+     */
+    typeNormalModes: { [ type: string ]: NormalMode };
+
+    /**
+     * The angle in radians above which surfaces are not smoothed together
+     * in the `crease` mode. Defaults to 30 degrees.
+     */
+    creaseAngle: number;
+
+    /**
+     * The material theme that is shown, if any. Surfaces whose material in
+     * this theme has an `isSmooth` flag get smooth normals if it is true, and
+     * flat normals otherwise, whatever the mode of their type.
+     */
+    materialTheme: string | null;
+
     onchunkload : ( vertices: Number[], objectids: Number[], objecttypes: Number[] ) => void
 
+    /**
+     * Called after the city objects are parsed with the geometry templates of
+     * the data and their instances, along with the lookups of the parser.
+     */
+    ontemplatesload : ( templates: TemplateGeometry[], instances: TemplateInstances[], lods: string[], objectColors: Object, surfaceColors: Object ) => void
+
+    /**
+     * Whether the geometry of the templates is parsed (the default), or only
+     * their instances, in which case `ontemplatesload` gets no templates.
+     * When a dataset is parsed in partitions, only one of them parses the
+     * templates.
+     */
+    templateGeometry: boolean;
+
+    /**
+     * The types of the city objects with instances of every template (see
+     * `getTemplateTypes()`), for the normal modes of the templates. When
+     * null, they are found in the parsed data, which only has some of the
+     * instances if it is a partition.
+     */
+    templateTypes: string[][] | null;
+
     parse ( data: Object ) : void
 
-}
\ No newline at end of file
+    /**
+     * Returns whether the city object passes the `typeFilter` and the
+     * `objectFilter`.
+     */
+    includesObject( objectId: string, cityObject: Object ) : boolean;
+
+    /**
+     * Returns the summary of the last parse.
+     */
+    getSummary() : ParseSummary;
+
+}
+
+/**
+ * Splits the city objects of `data` into up to `count` partitions of
+ * consecutive objects with roughly the same amount of geometry. Every
+ * partition only has the vertices and texture vertices of its objects
+ * (renumbered), so that the workers are not sent the whole dataset. The
+ * geometry templates go to the first partition, while the others only get
+ * placeholders to find their instances (see `templateGeometry`).
+ */
+export function partitionCityObjects( data: Object, count: number ) : { data: Object, objectOffset: number }[];
+
+/**
+ * Returns the extent of the centres of the city objects of `data` (in plan)
+ * as `[ minx, miny, maxx, maxy ]`, or null if none has vertices.
+ */
+export function getCellBounds( data: Object ) : number[] | null;
+
+/**
+ * Groups the ids of the city objects of `data` by the cells of a quadtree
+ * over the centres of their vertices (in plan), so that every group holds up
+ * to `maxObjects` objects of a compact area. Objects without vertices form a
+ * group of their own.
+ *
+ * The root cell of the quadtree is `bounds`, or the extent of the objects of
+ * `data` (see `getCellBounds()`).
+ */
+export function groupObjectsByCell( data: Object, maxObjects: number, bounds?: number[] | null ) : string[][];
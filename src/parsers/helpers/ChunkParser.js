@@ -1,6 +1,12 @@
 import { LineParser } from '../geometry/LineParser.js';
 import { PointParser } from '../geometry/PointParser.js';
 import { TriangleParser } from '../geometry/TriangleParser.js';
+import { TemplateParser, getTemplateTypes } from './TemplateParser.js';
+import { reprojectVertices } from '../../helpers/CRSRegistry.js';
+import { toRelativeVertices } from '../../helpers/ChunkOrigin.js';
+import { normalizeLod } from '../../helpers/CityJSONMetadata.js';
+import { TRIANGLES } from '../geometry/GeometryData.js';
+import { FLAT, SMOOTH, computeNormals } from './VertexNormals.js';
 
 export class ChunkParser {
 
@@ -9,11 +15,87 @@ export class ChunkParser {
 		this.matrix = null;
 		this.chunkSize = 2000;
 
+		// How city objects are grouped into chunks: "order" cuts a chunk
+		// every `chunkSize` objects, while "quadtree" splits the extent of
+		// the data into cells of up to `chunkSize` objects, so that every
+		// chunk covers a compact area
+		this.chunkStrategy = "order";
+
+		// The root cell of the quadtree as `[ minx, miny, maxx, maxy ]` (see
+		// `getCellBounds()`), so that the partitions of a dataset share its
+		// cells. When null, it is the extent of the parsed data.
+		this.cellBounds = null;
+
+		// The number of city objects parsed so far
+		this.objectCount = 0;
+
+		// The index of the first city object of `data` in the whole dataset,
+		// for when only a partition of it is parsed
+		this.objectOffset = 0;
+
+		// If set, the vertices are reprojected to another CRS before parsing
+		// (see `createVertexTransform()`)
+		this.reprojection = null;
+
+		// If set, only the geometries of these LoDs, the city objects of these
+		// types and the city objects for which `objectFilter( objectId,
+		// cityObject )` returns true are parsed
+		this.lodFilter = null;
+		this.typeFilter = null;
+		this.objectFilter = null;
+
+		// The ids of the city objects that were skipped by the filters, and
+		// the number of geometries skipped for their LoD
+		this.skippedObjects = [];
+		this.skippedGeometryCount = 0;
+
+		// The problems found in the polygons of the last parse (see
+		// `TriangleParser.diagnostics`)
+		this.diagnostics = [];
+
+		// Whether triangles share their vertices through an index buffer
+		// (see `GeometryData`)
+		this.indexed = false;
+
+		// Whether the outlines of the polygons are returned as well, as
+		// chunks of lines (see `TriangleParser.outlines`)
+		this.outlines = false;
+
+		// Whether the interior shells (voids) of solids are parsed. Triangles
+		// keep their solid and shell either way (see `GeometryData`).
+		this.interiorShells = true;
+
+		// How the normals of triangles are computed (see `VertexNormals`):
+		// "flat" per surface, "smooth" across the surfaces that share a
+		// CityJSON vertex, or "crease" (smooth unless the surfaces meet at
+		// more than `creaseAngle`). `typeNormalModes` overrides the mode for
+		// city object types, e.g. `{ TINRelief: "smooth" }`.
+		this.normalMode = FLAT;
+		this.typeNormalModes = {};
+		this.creaseAngle = Math.PI / 6;
+
+		// The material theme that is shown, whose `isSmooth` flags choose
+		// between smooth and flat normals for the surfaces with a material
+		this.materialTheme = null;
+
 		this.lods = [];
 		this.objectColors = {};
 		this.surfaceColors = {};
 
 		this.onchunkload = null;
+
+		// Called with the geometry templates and their instances (see
+		// `TemplateParser`), if the data has any
+		this.ontemplatesload = null;
+
+		// Whether the geometry of the templates is parsed, or only their
+		// instances (when another partition of the data parses the templates)
+		this.templateGeometry = true;
+
+		// The types of the city objects with instances of every template, if
+		// they are not all in the data (see `getTemplateTypes()`)
+		this.templateTypes = null;
+
 		this.onComplete = null;
 
 	}
@@ -22,33 +104,91 @@ export class ChunkParser {
 
 		let i = 0;
 
+		this.objectCount = 0;
+		this.skippedObjects = [];
+		this.skippedGeometryCount = 0;
+		this.diagnostics = [];
+
+		const lodFilter = this.lodFilter ? this.lodFilter.map( normalizeLod ) : null;
+
+		if ( this.reprojection ) {
+
+			data = Object.assign( {}, data, { vertices: reprojectVertices( data, this.reprojection ) } );
+
+		}
+
 		const geometryParsers = [
 			new TriangleParser( data, Object.keys( data.CityObjects ), this.objectColors ),
 			new LineParser( data, Object.keys( data.CityObjects ), this.objectColors ),
 			new PointParser( data, Object.keys( data.CityObjects ), this.objectColors )
 		];
 
-		for ( const objectId in data.CityObjects ) {
+		geometryParsers[ 0 ].indexed = this.indexed;
+		geometryParsers[ 0 ].outlines = this.outlines;
+		geometryParsers[ 0 ].interiorShells = this.interiorShells;
+		geometryParsers[ 0 ].clean();
+
+		const groups = this.chunkStrategy == "quadtree" ? groupObjectsByCell( data, this.chunkSize, this.cellBounds ) : [ Object.keys( data.CityObjects ) ];
+
+		for ( const group of groups ) {
+
+			for ( const objectId of group ) {
+
+				const cityObject = data.CityObjects[ objectId ];
+
+				this.objectCount ++;
+
+				if ( ! this.includesObject( objectId, cityObject ) ) {
+
+					this.skippedObjects.push( objectId );
+					continue;
+
+				}
 
-			const cityObject = data.CityObjects[ objectId ];
+				if ( cityObject.geometry && cityObject.geometry.length > 0 ) {
 
-			if ( cityObject.geometry && cityObject.geometry.length > 0 ) {
+					for ( let geom_i = 0; geom_i < cityObject.geometry.length; geom_i ++ ) {
 
-				for ( let geom_i = 0; geom_i < cityObject.geometry.length; geom_i ++ ) {
+						const geometry = cityObject.geometry[ geom_i ];
+
+						// The LoD of instances is the one of their template
+						if ( lodFilter && geometry.type != "GeometryInstance" && ! lodFilter.includes( normalizeLod( geometry.lod ) ) ) {
+
+							this.skippedGeometryCount ++;
+							continue;
+
+						}
+
+						for ( const geometryParser of geometryParsers ) {
+
+							geometryParser.lods = this.lods;
+							geometryParser.parseGeometry( cityObject.geometry[ geom_i ], objectId, geom_i );
+							this.lods = geometryParser.lods;
+
+						}
+
+					}
+
+				}
+
+				if ( i ++ > this.chunkSize ) {
 
 					for ( const geometryParser of geometryParsers ) {
 
-						geometryParser.lods = this.lods;
-						geometryParser.parseGeometry( cityObject.geometry[ geom_i ], objectId, geom_i );
-						this.lods = geometryParser.lods;
+						this.returnObjects( geometryParser, data );
+
+						geometryParser.clean();
 
 					}
 
+					i = 0;
+
 				}
 
 			}
 
-			if ( i ++ > this.chunkSize ) {
+			// Every cell is a chunk of its own
+			if ( groups.length > 1 ) {
 
 				for ( const geometryParser of geometryParsers ) {
 
@@ -79,6 +219,14 @@ export class ChunkParser {
 		this.objectColors = geometryParsers[ 0 ].objectColors;
 		this.surfaceColors = geometryParsers[ 0 ].surfaceColors;
 
+		this.diagnostics = geometryParsers[ 0 ].diagnostics;
+
+		if ( this.ontemplatesload && data[ 'geometry-templates' ] ) {
+
+			this.parseTemplates( data );
+
+		}
+
 		if ( this.onComplete ) {
 
 			this.onComplete();
@@ -87,12 +235,162 @@ export class ChunkParser {
 
 	}
 
+	/**
+	 * Returns whether the city object passes the `typeFilter` and
+	 * `objectFilter` of the parser.
+	 */
+	includesObject( objectId, cityObject ) {
+
+		if ( this.typeFilter && ! this.typeFilter.includes( cityObject.type ) ) {
+
+			return false;
+
+		}
+
+		return this.objectFilter ? Boolean( this.objectFilter( objectId, cityObject ) ) : true;
+
+	}
+
+	/**
+	 * Returns the summary of the last parse: the number of city objects, the
+	 * ids of the ones that were skipped by the filters, the number of
+	 * geometries that were skipped for their LoD, and the problems found in
+	 * the polygons.
+	 */
+	getSummary() {
+
+		return {
+			objectCount: this.objectCount,
+			skippedObjects: this.skippedObjects,
+			skippedGeometryCount: this.skippedGeometryCount,
+			diagnostics: this.diagnostics
+		};
+
+	}
+
+	parseTemplates( data ) {
+
+		const templateParser = new TemplateParser( data, this.objectColors );
+		templateParser.lods = this.lods;
+		templateParser.lodFilter = this.lodFilter;
+		templateParser.skippedObjects = new Set( this.skippedObjects );
+		templateParser.indexed = this.indexed;
+		templateParser.interiorShells = this.interiorShells;
+
+		// Templates take the normal mode of the types of their instances if
+		// they agree, and `normalMode` otherwise
+		if ( this.hasSmoothNormals() ) {
+
+			const templateTypes = this.templateTypes || getTemplateTypes( data );
+
+			templateParser.getNormals = ( vertices, geometryData, vertexIds, template ) => {
+
+				const typeModes = new Set( templateTypes[ template ].map( typeName => this.typeNormalModes[ typeName ] || this.normalMode ) );
+				const mode = typeModes.size == 1 ? [ ...typeModes ][ 0 ] : this.normalMode;
+
+				const modes = this.getNormalModes( geometryData, [], data, mode );
+				return computeNormals( vertices, geometryData, vertexIds, modes, this.creaseAngle );
+
+			};
+
+		}
+
+		const templates = this.templateGeometry ? templateParser.parseTemplates() : [];
+		const instances = templateParser.parseInstances( this.objectOffset );
+
+		this.lods = templateParser.lods;
+
+		this.ontemplatesload( templates,
+							  instances,
+							  templateParser.lods,
+							  templateParser.objectColors,
+							  templateParser.surfaceColors );
+
+	}
+
 	returnObjects( parser, data ) {
 
-		if ( parser.geomData.count() > 0 ) {
+		this.returnGeometryData( parser, parser.geomData, data );
+
+		if ( parser.outlines ) {
+
+			this.returnGeometryData( parser, parser.outlineData, data );
+
+		}
+
+	}
+
+	/**
+	 * Returns whether any triangles may get other than flat normals.
+	 */
+	hasSmoothNormals() {
+
+		return this.normalMode !== FLAT || this.materialTheme !== null || Object.values( this.typeNormalModes ).some( mode => mode !== FLAT );
+
+	}
+
+	/**
+	 * Returns the normal mode of every vertex of a chunk, from the
+	 * `isSmooth` flag of its material in `materialTheme` if it has one, or
+	 * else from the type of its city object (or `defaultMode` for objects
+	 * without one of `typeNames`).
+	 */
+	getNormalModes( geometryData, typeNames, data, defaultMode = this.normalMode ) {
+
+		const materialValues = this.materialTheme !== null ? geometryData.materials[ this.materialTheme ] : null;
+		const materials = data.appearance && data.appearance.materials ? data.appearance.materials : [];
+
+		const typeModes = typeNames.map( typeName => this.typeNormalModes[ typeName ] || this.normalMode );
+
+		return geometryData.objectType.map( ( objectType, i ) => {
 
-			this.onchunkload( parser.geomData.getVertices( data.vertices ),
-							  parser.geomData.toObject(),
+			const material = materialValues ? materials[ materialValues[ i ] ] : null;
+
+			if ( material && material.isSmooth !== undefined ) {
+
+				return material.isSmooth ? SMOOTH : FLAT;
+
+			}
+
+			return typeModes[ objectType ] || defaultMode;
+
+		} );
+
+	}
+
+	returnGeometryData( parser, geomData, data ) {
+
+		if ( geomData.count() > 0 ) {
+
+			const geometryData = geomData.toObject();
+
+			if ( this.objectOffset ) {
+
+				const objectIds = geometryData.objectIds;
+
+				for ( let i = 0; i < objectIds.length; i ++ ) {
+
+					if ( objectIds[ i ] > - 1 ) objectIds[ i ] += this.objectOffset;
+
+				}
+
+			}
+
+			// Vertices are made relative to the chunk's origin while they are
+			// still doubles, as they lose precision once in a Float32Array
+			const vertices = geomData.getVertices( data.vertices );
+			geometryData.origin = toRelativeVertices( vertices );
+
+			// Otherwise meshes compute flat normals themselves
+			if ( geometryData.geometryType == TRIANGLES && this.hasSmoothNormals() ) {
+
+				const modes = this.getNormalModes( geometryData, Object.keys( parser.objectColors ), data );
+				geometryData.normals = computeNormals( vertices, geometryData, geomData.vertexIds, modes, this.creaseAngle );
+
+			}
+
+			this.onchunkload( vertices,
+							  geometryData,
 							  parser.lods,
 							  parser.objectColors,
 							  parser.surfaceColors );
@@ -102,3 +400,393 @@ export class ChunkParser {
 	}
 
 }
+
+/**
+ * Splits the city objects of `data` into up to `count` partitions of
+ * consecutive objects with roughly the same amount of geometry. Every
+ * partition is a CityJSON object with only the vertices (and texture
+ * vertices) of its objects, renumbered, along with the index of its first
+ * object in `data`. Only the first partition has the geometry of the
+ * templates, the others just their number (see `templateGeometry`).
+ */
+export function partitionCityObjects( data, count ) {
+
+	const objectIds = Object.keys( data.CityObjects );
+	const weights = objectIds.map( objectId => objectWeight( data.CityObjects[ objectId ] ) );
+	const totalWeight = weights.reduce( ( a, b ) => a + b, 0 );
+
+	count = Math.max( 1, Math.min( count, objectIds.length ) );
+
+	if ( count == 1 ) {
+
+		return [ { data, objectOffset: 0 } ];
+
+	}
+
+	const partitions = [];
+
+	let start = 0;
+	let weight = 0;
+
+	for ( let i = 0; i < objectIds.length; i ++ ) {
+
+		weight += weights[ i ];
+
+		const remainingObjects = objectIds.length - i - 1;
+		const remainingPartitions = count - partitions.length - 1;
+
+		const isFull = weight >= totalWeight * ( partitions.length + 1 ) / count;
+
+		if ( remainingPartitions > 0 && ( isFull || remainingObjects == remainingPartitions ) ) {
+
+			partitions.push( createPartition( data, objectIds, start, i + 1 ) );
+			start = i + 1;
+
+		}
+
+	}
+
+	if ( start < objectIds.length || partitions.length == 0 ) {
+
+		partitions.push( createPartition( data, objectIds, start, objectIds.length ) );
+
+	}
+
+	return partitions;
+
+}
+
+function createPartition( data, objectIds, start, end ) {
+
+	const appearance = data.appearance || {};
+
+	const vertices = createVertexSubset( data.vertices || [] );
+	const textureVertices = createVertexSubset( appearance[ 'vertices-texture' ] || [] );
+
+	const cityObjects = {};
+
+	for ( let i = start; i < end; i ++ ) {
+
+		const cityObject = data.CityObjects[ objectIds[ i ] ];
+
+		cityObjects[ objectIds[ i ] ] = cityObject.geometry ? Object.assign( {}, cityObject, {
+			geometry: cityObject.geometry.map( geometry => createPartitionGeometry( geometry, vertices, textureVertices ) )
+		} ) : cityObject;
+
+	}
+
+	const partition = Object.assign( {}, data, { CityObjects: cityObjects, vertices: vertices.values } );
+
+	if ( appearance[ 'vertices-texture' ] ) {
+
+		partition.appearance = Object.assign( {}, appearance, { 'vertices-texture': textureVertices.values } );
+
+	}
+
+	if ( data[ 'geometry-templates' ] && start > 0 ) {
+
+		partition[ 'geometry-templates' ] = { templates: data[ 'geometry-templates' ].templates.map( () => ( {} ) ) };
+
+	}
+
+	return {
+		data: partition,
+		objectOffset: start
+	};
+
+}
+
+// Collects the items of `values` that are used (with `getIndex()`), in the
+// order they are first used
+function createVertexSubset( values ) {
+
+	const indices = new Map();
+	const subset = [];
+
+	return {
+		values: subset,
+		getIndex: index => {
+
+			if ( ! indices.has( index ) ) {
+
+				indices.set( index, subset.length );
+				subset.push( values[ index ] );
+
+			}
+
+			return indices.get( index );
+
+		}
+	};
+
+}
+
+// Returns `geometry` with its boundaries and texture values referring to the
+// vertices of a partition
+function createPartitionGeometry( geometry, vertices, textureVertices ) {
+
+	const partitioned = Object.assign( {}, geometry );
+
+	if ( geometry.boundaries ) {
+
+		partitioned.boundaries = remapBoundaries( geometry.boundaries, vertices.getIndex );
+
+	}
+
+	if ( geometry.texture ) {
+
+		partitioned.texture = {};
+
+		for ( const theme in geometry.texture ) {
+
+			const texture = geometry.texture[ theme ];
+
+			partitioned.texture[ theme ] = texture.values ? Object.assign( {}, texture, { values: remapTextureValues( texture.values, textureVertices.getIndex ) } ) : texture;
+
+		}
+
+	}
+
+	return partitioned;
+
+}
+
+function remapBoundaries( boundaries, getIndex ) {
+
+	return Array.isArray( boundaries ) ? boundaries.map( b => remapBoundaries( b, getIndex ) ) : getIndex( boundaries );
+
+}
+
+// The texture values of a ring are the index of its texture followed by the
+// indices of its texture vertices
+function remapTextureValues( values, getIndex ) {
+
+	if ( ! Array.isArray( values ) ) {
+
+		return values;
+
+	}
+
+	if ( values.some( Array.isArray ) ) {
+
+		return values.map( v => remapTextureValues( v, getIndex ) );
+
+	}
+
+	return values.map( ( value, i ) => i > 0 && value !== null ? getIndex( value ) : value );
+
+}
+
+// The number of vertex references of a city object (plus one, so that objects
+// without geometry still count)
+function objectWeight( cityObject ) {
+
+	let weight = 1;
+
+	if ( cityObject.geometry ) {
+
+		for ( const geometry of cityObject.geometry ) {
+
+			weight += countIndices( geometry.boundaries );
+
+		}
+
+	}
+
+	return weight;
+
+}
+
+function countIndices( boundaries ) {
+
+	if ( ! Array.isArray( boundaries ) ) {
+
+		return 1;
+
+	}
+
+	let count = 0;
+
+	for ( const b of boundaries ) {
+
+		count += countIndices( b );
+
+	}
+
+	return count;
+
+}
+
+/**
+ * Returns the extent of the centres of the city objects of `data` (in plan),
+ * as `[ minx, miny, maxx, maxy ]`, or null if none has vertices. It is the
+ * root cell of the quadtree of `groupObjectsByCell()`.
+ */
+export function getCellBounds( data ) {
+
+	const bounds = [ Infinity, Infinity, - Infinity, - Infinity ];
+
+	for ( const objectId in data.CityObjects ) {
+
+		const center = objectCenter( data.CityObjects[ objectId ], data.vertices );
+
+		if ( center ) {
+
+			bounds[ 0 ] = Math.min( bounds[ 0 ], center[ 0 ] );
+			bounds[ 1 ] = Math.min( bounds[ 1 ], center[ 1 ] );
+			bounds[ 2 ] = Math.max( bounds[ 2 ], center[ 0 ] );
+			bounds[ 3 ] = Math.max( bounds[ 3 ], center[ 1 ] );
+
+		}
+
+	}
+
+	return bounds[ 0 ] > bounds[ 2 ] ? null : bounds;
+
+}
+
+/**
+ * Groups the ids of the city objects of `data` by the cells of a quadtree
+ * over the centres of their vertices (in plan), so that every group holds up
+ * to `maxObjects` objects of a compact area. Objects without vertices form a
+ * group of their own.
+ *
+ * The root cell is `bounds` (see `getCellBounds()`), or the extent of the
+ * objects of `data`. The partitions of a dataset are given the same one, so
+ * that their cells line up.
+ */
+export function groupObjectsByCell( data, maxObjects, bounds = null ) {
+
+	const items = [];
+	const unplaced = [];
+
+	for ( const objectId in data.CityObjects ) {
+
+		const center = objectCenter( data.CityObjects[ objectId ], data.vertices );
+
+		if ( center ) {
+
+			items.push( { objectId, x: center[ 0 ], y: center[ 1 ] } );
+
+		} else {
+
+			unplaced.push( objectId );
+
+		}
+
+	}
+
+	const groups = [];
+
+	splitCell( items, bounds || getCellBounds( data ), Math.max( 1, maxObjects ), 0, groups );
+
+	if ( unplaced.length > 0 ) {
+
+		groups.push( unplaced );
+
+	}
+
+	return groups;
+
+}
+
+// Objects on the same spot cannot be told apart by splitting further
+const maxCellDepth = 16;
+
+function splitCell( items, bounds, maxObjects, depth, groups ) {
+
+	if ( items.length == 0 ) {
+
+		return;
+
+	}
+
+	if ( items.length <= maxObjects || depth >= maxCellDepth ) {
+
+		groups.push( items.map( item => item.objectId ) );
+		return;
+
+	}
+
+	const [ minx, miny, maxx, maxy ] = bounds;
+
+	const midx = ( minx + maxx ) / 2;
+	const midy = ( miny + maxy ) / 2;
+
+	const quadrants = [[], [], [], []];
+
+	for ( const item of items ) {
+
+		quadrants[ ( item.x > midx ? 1 : 0 ) + ( item.y > midy ? 2 : 0 ) ].push( item );
+
+	}
+
+	const cells = [
+		[ minx, miny, midx, midy ],
+		[ midx, miny, maxx, midy ],
+		[ minx, midy, midx, maxy ],
+		[ midx, midy, maxx, maxy ]
+	];
+
+	for ( let i = 0; i < 4; i ++ ) {
+
+		splitCell( quadrants[ i ], cells[ i ], maxObjects, depth + 1, groups );
+
+	}
+
+}
+
+// The centre of the extent of the vertices of a city object (as `[ x, y ]`),
+// or null if it has none
+function objectCenter( cityObject, vertices ) {
+
+	if ( ! cityObject.geometry ) {
+
+		return null;
+
+	}
+
+	const extent = [ Infinity, Infinity, - Infinity, - Infinity ];
+
+	for ( const geometry of cityObject.geometry ) {
+
+		extendByBoundaries( extent, geometry.boundaries, vertices );
+
+	}
+
+	if ( extent[ 0 ] > extent[ 2 ] ) {
+
+		return null;
+
+	}
+
+	return [ ( extent[ 0 ] + extent[ 2 ] ) / 2, ( extent[ 1 ] + extent[ 3 ] ) / 2 ];
+
+}
+
+function extendByBoundaries( extent, boundaries, vertices ) {
+
+	if ( ! Array.isArray( boundaries ) ) {
+
+		const vertex = vertices[ boundaries ];
+
+		if ( vertex ) {
+
+			if ( vertex[ 0 ] < extent[ 0 ] ) extent[ 0 ] = vertex[ 0 ];
+			if ( vertex[ 1 ] < extent[ 1 ] ) extent[ 1 ] = vertex[ 1 ];
+			if ( vertex[ 0 ] > extent[ 2 ] ) extent[ 2 ] = vertex[ 0 ];
+			if ( vertex[ 1 ] > extent[ 3 ] ) extent[ 3 ] = vertex[ 1 ];
+
+		}
+
+		return;
+
+	}
+
+	for ( const b of boundaries ) {
+
+		extendByBoundaries( extent, b, vertices );
+
+	}
+
+}
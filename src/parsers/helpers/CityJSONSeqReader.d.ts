@@ -0,0 +1,55 @@
+/**
+ * Reads a CityJSONSeq stream (JSON Lines where the first line is a CityJSON
+ * header and the rest are `CityJSONFeature` objects) and collects features
+ * into batches of regular CityJSON objects.
+ *
+ * @example
+ * const reader = new CityJSONSeqReader();
+ *
+ * reader.read( chunk ); // Repeat for every chunk of the stream
+ * reader.flush();
+ *
+ * const citymodel = reader.takeBatch();
+ */
+export class CityJSONSeqReader {
+
+    /**
+     * The first line of the stream, containing `transform`, `metadata` etc.
+     */
+    header: Object | null;
+
+    /**
+     * The number of features read so far.
+     */
+    featureCount: number;
+
+    /**
+     * Consumes a chunk of the stream. Chunks do not need to be aligned to
+     * line endings.
+     */
+    read( chunk: string | Uint8Array ): void;
+
+    /**
+     * Consumes the remaining buffered text, when the stream has ended.
+     */
+    flush(): void;
+
+    /**
+     * Returns `true` if there are features waiting to be taken.
+     */
+    hasBatch(): boolean;
+
+    /**
+     * Returns the features read since the last call as one CityJSON object
+     * that shares the header's `transform`, `metadata`, `appearance` and
+     * `geometry-templates`.
+     */
+    takeBatch(): Object;
+
+}
+
+/**
+ * Iterates over the chunks of a `ReadableStream`, `Response`, `Blob`, string
+ * or (async) iterable.
+ */
+export function readChunks( source: ReadableStream | Response | Blob | string | AsyncIterable<string | Uint8Array> ): AsyncGenerator<string | Uint8Array>;
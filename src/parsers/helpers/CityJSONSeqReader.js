@@ -0,0 +1,240 @@
+/**
+ * Reads a CityJSONSeq stream (i.e. JSON Lines where the first line is the
+ * CityJSON header and every other line is a `CityJSONFeature`) and collects
+ * the features into batches of regular CityJSON objects that can be given to
+ * a parser.
+ */
+export class CityJSONSeqReader {
+
+	constructor() {
+
+		this.header = null;
+
+		this.buffer = '';
+		this.decoder = null;
+
+		this.featureCount = 0;
+
+		this.resetBatch();
+
+	}
+
+	resetBatch() {
+
+		this.batchObjects = {};
+		this.batchVertices = [];
+		this.batchSize = 0;
+
+	}
+
+	/**
+	 * Consumes a chunk of the stream. Chunks can be strings or bytes and do
+	 * not need to be aligned to line endings.
+	 */
+	read( chunk ) {
+
+		if ( typeof chunk === 'string' ) {
+
+			this.buffer += chunk;
+
+		} else {
+
+			if ( this.decoder === null ) {
+
+				this.decoder = new TextDecoder();
+
+			}
+
+			this.buffer += this.decoder.decode( chunk, { stream: true } );
+
+		}
+
+		const lines = this.buffer.split( '\n' );
+		this.buffer = lines.pop();
+
+		for ( const line of lines ) {
+
+			this.readLine( line );
+
+		}
+
+	}
+
+	/**
+	 * Consumes whatever is left in the buffer. To be called once the stream
+	 * has ended.
+	 */
+	flush() {
+
+		if ( this.decoder ) {
+
+			this.buffer += this.decoder.decode();
+
+		}
+
+		this.readLine( this.buffer );
+		this.buffer = '';
+
+	}
+
+	readLine( line ) {
+
+		const text = line.trim();
+
+		if ( text.length == 0 ) {
+
+			return;
+
+		}
+
+		const json = JSON.parse( text );
+
+		if ( this.header === null ) {
+
+			if ( json.type !== "CityJSON" ) {
+
+				throw new Error( `CityJSONSeq must start with a CityJSON header, got "${json.type}".` );
+
+			}
+
+			this.header = json;
+
+		} else if ( json.type === "CityJSONFeature" ) {
+
+			this.addFeature( json );
+
+		} else {
+
+			console.warn( `Skipping unexpected line of type "${json.type}" in CityJSONSeq.` );
+
+		}
+
+	}
+
+	/**
+	 * Appends the city objects of a `CityJSONFeature` to the current batch,
+	 * offsetting their boundaries to the batch's vertex list.
+	 */
+	addFeature( feature ) {
+
+		const offset = this.batchVertices.length;
+
+		for ( const objectId in feature.CityObjects ) {
+
+			const cityObject = feature.CityObjects[ objectId ];
+
+			if ( cityObject.geometry ) {
+
+				for ( const geometry of cityObject.geometry ) {
+
+					geometry.boundaries = offsetBoundaries( geometry.boundaries, offset );
+
+				}
+
+			}
+
+			this.batchObjects[ objectId ] = cityObject;
+			this.batchSize ++;
+
+		}
+
+		for ( const vertex of feature.vertices ) {
+
+			this.batchVertices.push( vertex );
+
+		}
+
+		this.featureCount ++;
+
+	}
+
+	hasBatch() {
+
+		return this.batchSize > 0;
+
+	}
+
+	/**
+	 * Returns the features collected so far as a CityJSON object that shares
+	 * the header's `transform`, `metadata`, `appearance` and templates, and
+	 * starts a new batch.
+	 */
+	takeBatch() {
+
+		const citymodel = Object.assign( {}, this.header, {
+			CityObjects: this.batchObjects,
+			vertices: this.batchVertices
+		} );
+
+		this.resetBatch();
+
+		return citymodel;
+
+	}
+
+}
+
+function offsetBoundaries( boundaries, offset ) {
+
+	return boundaries.map( b => Array.isArray( b ) ? offsetBoundaries( b, offset ) : b + offset );
+
+}
+
+/**
+ * Iterates over the chunks of a stream-like source: a `ReadableStream`, a
+ * `Response`, a `Blob`, a string or any (async) iterable of chunks.
+ */
+export async function* readChunks( source ) {
+
+	if ( typeof source === 'string' ) {
+
+		yield source;
+		return;
+
+	}
+
+	if ( typeof Response !== 'undefined' && source instanceof Response ) {
+
+		source = source.body;
+
+	} else if ( typeof Blob !== 'undefined' && source instanceof Blob ) {
+
+		source = source.stream();
+
+	}
+
+	if ( source && typeof source.getReader === 'function' ) {
+
+		const reader = source.getReader();
+
+		try {
+
+			while ( true ) {
+
+				const { done, value } = await reader.read();
+
+				if ( done ) {
+
+					return;
+
+				}
+
+				yield value;
+
+			}
+
+		} finally {
+
+			reader.releaseLock();
+
+		}
+
+	}
+
+	for await ( const chunk of source ) {
+
+		yield chunk;
+
+	}
+
+}
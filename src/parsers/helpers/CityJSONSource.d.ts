@@ -0,0 +1,27 @@
+/**
+ * The content of a CityJSON file: its text, its bytes or the file itself.
+ */
+export type CityJSONSource = string | ArrayBuffer | ArrayBufferView | Blob;
+
+/**
+ * Returns whether `data` is the content of a CityJSON file rather than a
+ * parsed CityJSON object.
+ */
+export function isCityJSONSource( data: any ) : data is CityJSONSource;
+
+/**
+ * Returns whether `data` is an `ArrayBuffer` (of any realm).
+ */
+export function isArrayBuffer( data: any ) : data is ArrayBuffer;
+
+/**
+ * Parses the content of a CityJSON file.
+ */
+export function readCityJSON( source: CityJSONSource ) : Promise<Object>;
+
+/**
+ * Returns the city model without its boundaries and vertices, and the extent
+ * of its vertices as `[ minx, miny, minz, maxx, maxy, maxz ]`. Geometries keep
+ * their type, LoD, semantic surfaces and the names of their themes.
+ */
+export function summarizeCityModel( data: Object ) : { citymodel: Object, boundingBox: number[] };
@@ -0,0 +1,130 @@
+/**
+ * Returns whether `data` is the raw content of a CityJSON file (its text, its
+ * bytes or a `Blob`/`File`) rather than a parsed CityJSON object.
+ */
+export function isCityJSONSource( data ) {
+
+	return typeof data === 'string' ||
+		isArrayBuffer( data ) ||
+		ArrayBuffer.isView( data ) ||
+		( typeof Blob !== 'undefined' && data instanceof Blob );
+
+}
+
+/**
+ * Returns whether `data` is an `ArrayBuffer`, including one that was created
+ * in another realm (e.g. an iframe).
+ */
+export function isArrayBuffer( data ) {
+
+	return Object.prototype.toString.call( data ) === '[object ArrayBuffer]';
+
+}
+
+/**
+ * Parses the raw content of a CityJSON file into a CityJSON object.
+ */
+export async function readCityJSON( source ) {
+
+	if ( typeof Blob !== 'undefined' && source instanceof Blob ) {
+
+		source = await source.arrayBuffer();
+
+	}
+
+	if ( typeof source !== 'string' ) {
+
+		source = new TextDecoder().decode( source );
+
+	}
+
+	return JSON.parse( source );
+
+}
+
+/**
+ * Returns what the main thread needs from a CityJSON object that is parsed
+ * by a worker: the object without its boundaries and vertices (but with the
+ * attributes of the city objects, the appearance, the templates etc.), and
+ * the bounding box of the vertices as `[ minx, miny, minz, maxx, maxy, maxz ]`.
+ *
+ * Geometries keep their type, LoD, semantic surfaces and the names of their
+ * themes (and instances their template and transformation matrix).
+ */
+export function summarizeCityModel( data ) {
+
+	const cityObjects = {};
+
+	for ( const objectId in data.CityObjects ) {
+
+		const cityObject = Object.assign( {}, data.CityObjects[ objectId ] );
+
+		if ( cityObject.geometry ) {
+
+			cityObject.geometry = cityObject.geometry.map( summarizeGeometry );
+
+		}
+
+		cityObjects[ objectId ] = cityObject;
+
+	}
+
+	return {
+		citymodel: Object.assign( {}, data, { CityObjects: cityObjects, vertices: [] } ),
+		boundingBox: computeExtent( data.vertices )
+	};
+
+}
+
+// Returns `geometry` without the values that refer to its boundaries
+function summarizeGeometry( geometry ) {
+
+	const summary = Object.assign( {}, geometry );
+
+	delete summary.boundaries;
+
+	if ( geometry.semantics ) {
+
+		summary.semantics = { surfaces: geometry.semantics.surfaces };
+
+	}
+
+	for ( const key of [ 'material', 'texture' ] ) {
+
+		if ( geometry[ key ] ) {
+
+			summary[ key ] = {};
+
+			for ( const theme in geometry[ key ] ) {
+
+				const { value } = geometry[ key ][ theme ];
+				summary[ key ][ theme ] = value !== undefined ? { value } : {};
+
+			}
+
+		}
+
+	}
+
+	return summary;
+
+}
+
+function computeExtent( vertices ) {
+
+	const extent = [ Infinity, Infinity, Infinity, - Infinity, - Infinity, - Infinity ];
+
+	for ( const vertex of vertices ) {
+
+		for ( let i = 0; i < 3; i ++ ) {
+
+			if ( vertex[ i ] < extent[ i ] ) extent[ i ] = vertex[ i ];
+			if ( vertex[ i ] > extent[ i + 3 ] ) extent[ i + 3 ] = vertex[ i ];
+
+		}
+
+	}
+
+	return extent;
+
+}
@@ -1,58 +1,10 @@
 import 'regenerator-runtime/runtime';
-import { ChunkParser } from './ChunkParser.js';
+import { ParserWorkerTasks } from './ParserWorkerTasks.js';
 
-onmessage = function ( e ) {
-
-	const parser = new ChunkParser();
-
-	const props = e.data[ 1 ];
-
-	if ( props ) {
-
-		if ( props.chunkSize ) {
-
-			parser.chunkSize = props.chunkSize;
-
-		}
-
-		if ( props.objectColors ) {
-
-			parser.objectColors = props.objectColors;
-
-		}
-
-		if ( props.lods ) {
+const tasks = new ParserWorkerTasks( ( message, transfer = [] ) => postMessage( message, transfer ) );
 
-			parser.lods = props.lods;
-
-		}
-
-	}
-
-	parser.onchunkload = ( v, geometryData, lods, objectColors, surfaceColors ) => {
-
-		const vertexArray = new Float32Array( v );
-		const vertexBuffer = vertexArray.buffer;
-
-		const msg = {
-			type: "chunkLoaded",
-			v_buffer: vertexBuffer,
-			geometryData,
-			lods,
-			objectColors,
-			surfaceColors
-		};
-		postMessage( msg, [ vertexBuffer ] );
-
-	};
-
-	parser.onComplete = () => {
-
-		this.postMessage( { type: "done" } );
-
-	};
+onmessage = function ( e ) {
 
-	parser.parse( e.data[ 0 ] );
+	tasks.onMessage( e.data );
 
 };
-
@@ -0,0 +1,10 @@
+/**
+ * Creates a worker that runs `ParserWorker.js`. It is kept in a module of
+ * its own, so that the parser can be loaded where `import.meta` is not
+ * available (e.g. in the tests, which give the pool other workers).
+ */
+export function createParserWorker() {
+
+	return new Worker( new URL( "./ParserWorker.js", import.meta.url ), { type: "module" } );
+
+}
@@ -0,0 +1,298 @@
+import { ChunkParser, getCellBounds, partitionCityObjects } from './ChunkParser.js';
+import { isCityJSONSource, readCityJSON, summarizeCityModel } from './CityJSONSource.js';
+import { getTemplateTypes } from './TemplateParser.js';
+
+/**
+ * Runs the tasks of a parser worker (see `ParserWorker.js`), posting its
+ * messages with `post( message, transfer )`:
+ *
+ * - a CityJSON object is parsed right away
+ * - the raw content of a file is read, and the city model without its
+ *   geometry is posted back. Once the main thread replies with a "parse"
+ *   message, the file is split in `partitionCount` partitions: all but the
+ *   first are posted back (as JSON, in transferable buffers) for other
+ *   workers, and the first is parsed here
+ * - the raw content of a partition (with the `partition` prop) is read and
+ *   parsed right away
+ */
+export class ParserWorkerTasks {
+
+	constructor( post ) {
+
+		this.post = post;
+
+		// A file that was read and waits for the "parse" message with the
+		// settings of the main thread
+		this.pendingParse = null;
+
+	}
+
+	async onMessage( message ) {
+
+		// A throw would only be an unhandled rejection in the worker, and the
+		// task would never end
+		try {
+
+			await this.runTask( message );
+
+		} catch ( error ) {
+
+			this.post( { type: "error", message: `Cannot parse the CityJSON file: ${error.message}` } );
+
+		}
+
+	}
+
+	async runTask( message ) {
+
+		if ( message.type === "parse" ) {
+
+			const { data, props } = this.pendingParse;
+			this.pendingParse = null;
+
+			this.parsePartitions( data, Object.assign( props, message.props ) );
+
+			return;
+
+		}
+
+		const props = message[ 1 ] || {};
+
+		if ( isCityJSONSource( message[ 0 ] ) ) {
+
+			let data;
+
+			try {
+
+				data = await readCityJSON( message[ 0 ] );
+
+			} catch ( error ) {
+
+				this.post( { type: "error", message: `Cannot read the CityJSON file: ${error.message}` } );
+				return;
+
+			}
+
+			if ( props.partition ) {
+
+				this.parse( data, props );
+				return;
+
+			}
+
+			// Only the parts of the file that the main thread needs are sent
+			// back, as cloning the whole file would block it
+			const { citymodel, boundingBox } = summarizeCityModel( data );
+
+			this.pendingParse = { data, props };
+			this.post( { type: "citymodel", citymodel, boundingBox } );
+
+			return;
+
+		}
+
+		this.parse( message[ 0 ], props );
+
+	}
+
+	/**
+	 * Posts all partitions of `data` but the first for other workers, and
+	 * parses the first one.
+	 */
+	parsePartitions( data, props ) {
+
+		const partitions = partitionCityObjects( data, props.partitionCount || 1 );
+
+		// The first partition parses the templates, but only has some of
+		// their instances
+		if ( partitions.length > 1 && data[ 'geometry-templates' ] ) {
+
+			props.templateTypes = getTemplateTypes( data );
+
+		}
+
+		// The partitions share the quadtree of the whole file, which they
+		// cannot compute from their own objects
+		if ( partitions.length > 1 && props.chunkStrategy == "quadtree" ) {
+
+			props.cellBounds = getCellBounds( data );
+
+		}
+
+		for ( let i = 1; i < partitions.length; i ++ ) {
+
+			const source = new TextEncoder().encode( JSON.stringify( partitions[ i ].data ) ).buffer;
+
+			this.post( { type: "partition", source, objectOffset: partitions[ i ].objectOffset, cellBounds: props.cellBounds }, [ source ] );
+
+		}
+
+		this.parse( partitions[ 0 ].data, props );
+
+	}
+
+	parse( data, props ) {
+
+		const parser = new ChunkParser();
+
+		if ( props.chunkSize ) {
+
+			parser.chunkSize = props.chunkSize;
+
+		}
+
+		if ( props.chunkStrategy ) {
+
+			parser.chunkStrategy = props.chunkStrategy;
+
+		}
+
+		if ( props.cellBounds ) {
+
+			parser.cellBounds = props.cellBounds;
+
+		}
+
+		if ( props.objectColors ) {
+
+			parser.objectColors = props.objectColors;
+
+		}
+
+		if ( props.lods ) {
+
+			parser.lods = props.lods;
+
+		}
+
+		if ( props.objectOffset ) {
+
+			parser.objectOffset = props.objectOffset;
+
+		}
+
+		if ( props.reprojection ) {
+
+			parser.reprojection = props.reprojection;
+
+		}
+
+		if ( props.lodFilter ) {
+
+			parser.lodFilter = props.lodFilter;
+
+		}
+
+		if ( props.typeFilter ) {
+
+			parser.typeFilter = props.typeFilter;
+
+		}
+
+		if ( props.indexed ) {
+
+			parser.indexed = props.indexed;
+
+		}
+
+		if ( props.outlines ) {
+
+			parser.outlines = props.outlines;
+
+		}
+
+		if ( props.interiorShells !== undefined ) {
+
+			parser.interiorShells = props.interiorShells;
+
+		}
+
+		if ( props.normalMode ) {
+
+			parser.normalMode = props.normalMode;
+
+		}
+
+		if ( props.typeNormalModes ) {
+
+			parser.typeNormalModes = props.typeNormalModes;
+
+		}
+
+		if ( props.creaseAngle !== undefined ) {
+
+			parser.creaseAngle = props.creaseAngle;
+
+		}
+
+		if ( props.materialTheme !== undefined ) {
+
+			parser.materialTheme = props.materialTheme;
+
+		}
+
+		if ( props.templateGeometry !== undefined ) {
+
+			parser.templateGeometry = props.templateGeometry;
+
+		}
+
+		if ( props.templateTypes ) {
+
+			parser.templateTypes = props.templateTypes;
+
+		}
+
+		// Predicates cannot be sent to a worker, so the main thread sends the
+		// objects they exclude instead
+		if ( props.excludedObjects ) {
+
+			const excludedObjects = new Set( props.excludedObjects );
+			parser.objectFilter = objectId => ! excludedObjects.has( objectId );
+
+		}
+
+		parser.onchunkload = ( v, geometryData, lods, objectColors, surfaceColors ) => {
+
+			const vertexArray = new Float32Array( v );
+			const vertexBuffer = vertexArray.buffer;
+
+			const msg = {
+				type: "chunkLoaded",
+				v_buffer: vertexBuffer,
+				geometryData,
+				lods,
+				objectColors,
+				surfaceColors,
+				objectCount: parser.objectCount
+			};
+			this.post( msg, [ vertexBuffer ] );
+
+		};
+
+		parser.ontemplatesload = ( templates, instances, lods, objectColors, surfaceColors ) => {
+
+			const msg = {
+				type: "templatesLoaded",
+				templates,
+				instances,
+				lods,
+				objectColors,
+				surfaceColors,
+				objectCount: parser.objectCount
+			};
+			this.post( msg, templates.map( template => template.vertices ) );
+
+		};
+
+		parser.onComplete = () => {
+
+			this.post( Object.assign( { type: "done" }, parser.getSummary() ) );
+
+		};
+
+		parser.parse( data );
+
+	}
+
+}
@@ -0,0 +1,21 @@
+import { Material, Matrix4, Object3D } from "three";
+import { TemplateGeometry, TemplateInstances } from "./TemplateParser";
+
+/**
+ * Creates the objects that draw the `instances` of the geometry `templates`
+ * (as parsed by `TemplateParser` in a worker) with the materials of `parser`.
+ * Every template geometry results in one object for all of its instances: a
+ * `CityObjectsInstancedMesh`, `CityObjectsInstancedLines` or
+ * `CityObjectsInstancedPoints`.
+ *
+ * The anchor points of the instances are transformed by `matrix` (the
+ * `matrix` of the parser by default), and their orientation by the
+ * `axisMatrix` of the parser.
+ */
+export function createTemplateObjects(
+    citymodel: Object,
+    templates: TemplateGeometry[],
+    instances: TemplateInstances[],
+    parser: { matrix: Matrix4, axisMatrix: Matrix4 | null, meshMaterial: Material, lineMaterial: Material, pointsMaterial: Material },
+    matrix?: Matrix4 | null
+) : Object3D[];
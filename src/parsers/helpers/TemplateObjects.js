@@ -0,0 +1,88 @@
+import { Matrix4, Vector3 } from 'three';
+import { POINTS, LINES, TRIANGLES } from '../geometry/GeometryData.js';
+import { CityObjectsInstancedMesh } from '../../objects/CityObjectsInstancedMesh.js';
+import { CityObjectsInstancedLines } from '../../objects/CityObjectsInstancedLines.js';
+import { CityObjectsInstancedPoints } from '../../objects/CityObjectsInstancedPoints.js';
+
+/**
+ * Creates the objects that draw the `instances` of the geometry `templates`
+ * (as parsed by `TemplateParser`) with the materials of `parser`. The anchor
+ * points of the instances are transformed by `matrix`, and their orientation
+ * by the `axisMatrix` of the parser.
+ */
+export function createTemplateObjects( citymodel, templates, instances, parser, matrix = parser.matrix ) {
+
+	const objects = [];
+
+	const instanceMatrices = instances.map( instance => getInstanceMatrices( instance, matrix, parser.axisMatrix ) );
+
+	for ( const { template, vertices, geometryData } of templates ) {
+
+		const instance = instances[ template ];
+		const matrices = instanceMatrices[ template ];
+
+		if ( matrices.length == 0 ) {
+
+			continue;
+
+		}
+
+		const instanceData = {
+			matrices,
+			objectIds: instance.objectIds,
+			objectType: instance.objectType,
+			geometryIds: instance.geometryIds
+		};
+
+		if ( geometryData.geometryType == TRIANGLES ) {
+
+			objects.push( new CityObjectsInstancedMesh( citymodel, vertices, geometryData, instanceData, null, parser.meshMaterial ) );
+
+		} else if ( geometryData.geometryType == LINES ) {
+
+			objects.push( new CityObjectsInstancedLines( citymodel, vertices, geometryData, instanceData, null, parser.lineMaterial ) );
+
+		} else if ( geometryData.geometryType == POINTS ) {
+
+			objects.push( new CityObjectsInstancedPoints( citymodel, vertices, geometryData, instanceData, null, parser.pointsMaterial ) );
+
+		}
+
+	}
+
+	return objects;
+
+}
+
+function getInstanceMatrices( instance, matrix, axisMatrix ) {
+
+	const matrices = [];
+
+	for ( let i = 0; i < instance.objectIds.length; i ++ ) {
+
+		const anchor = new Vector3().fromArray( instance.anchors, i * 3 );
+
+		if ( matrix ) {
+
+			anchor.applyMatrix4( matrix );
+
+		}
+
+		// The transformation matrices of CityJSON are row-major
+		const instanceMatrix = new Matrix4().fromArray( instance.transformations, i * 16 ).transpose();
+
+		if ( axisMatrix ) {
+
+			instanceMatrix.premultiply( axisMatrix );
+
+		}
+
+		instanceMatrix.setPosition( anchor );
+
+		matrices.push( instanceMatrix );
+
+	}
+
+	return matrices;
+
+}
@@ -0,0 +1,104 @@
+/**
+ * The geometry of a template, for one geometry type.
+ */
+export interface TemplateGeometry {
+
+    /**
+     * The index of the template in `geometry-templates.templates`.
+     */
+    template: number;
+
+    /**
+     * The vertices of the geometry, as a buffer of floats.
+     */
+    vertices: ArrayBuffer;
+
+    /**
+     * The geometry data of the template (see `GeometryData.toObject()`). Its
+     * object ids are `- 1`, as they are given by the instances.
+     */
+    geometryData: Object;
+
+}
+
+/**
+ * The instances of a template.
+ */
+export interface TemplateInstances {
+
+    /**
+     * The vertices the instances are placed at, three values per instance.
+     */
+    anchors: number[];
+
+    /**
+     * The row-major transformation matrices of the instances, sixteen values
+     * per instance.
+     */
+    transformations: number[];
+
+    objectIds: number[];
+    objectType: number[];
+    geometryIds: number[];
+
+}
+
+/**
+ * Parses the geometry templates of a CityJSON object and their instances.
+ * It runs as part of `ChunkParser`, so that templates are parsed in the
+ * workers.
+ */
+export class TemplateParser {
+
+    lods: string[];
+    objectColors: Object;
+    surfaceColors: Object;
+
+    /**
+     * If set, only the templates of these LoDs are parsed.
+     */
+    lodFilter: string[] | null;
+
+    /**
+     * The ids of city objects whose instances are left out.
+     */
+    skippedObjects: Set<string> | null;
+
+    /**
+     * Whether the triangles of the templates are indexed (see `GeometryData`).
+     */
+    indexed: boolean;
+
+    /**
+     * Whether the interior shells of solid templates are parsed.
+     */
+    interiorShells: boolean;
+
+    /**
+     * If set, returns the normals of the triangles of a template (three
+     * floats per vertex), which are stored in its geometry data. Otherwise
+     * meshes compute flat normals themselves.
+     */
+    getNormals: ( ( vertices: number[], geometryData: Object, vertexIds: number[], template: number ) => Float32Array ) | null;
+
+    constructor( data: Object, objectColors: Object );
+
+    /**
+     * Returns the geometries of the templates, one per template and geometry
+     * type.
+     */
+    parseTemplates() : TemplateGeometry[];
+
+    /**
+     * Returns the instances of every template. `objectOffset` is added to the
+     * object ids.
+     */
+    parseInstances( objectOffset?: number ) : TemplateInstances[];
+
+}
+
+/**
+ * Returns the types of the city objects with instances of every template of
+ * `data`.
+ */
+export function getTemplateTypes( data: Object ) : string[][];
@@ -0,0 +1,188 @@
+import { LineParser } from '../geometry/LineParser.js';
+import { PointParser } from '../geometry/PointParser.js';
+import { TriangleParser } from '../geometry/TriangleParser.js';
+import { TRIANGLES } from '../geometry/GeometryData.js';
+import { normalizeLod } from '../../helpers/CityJSONMetadata.js';
+
+/**
+ * Parses the geometry templates of a CityJSON object and the instances of
+ * them (i.e. the `GeometryInstance` geometries of its city objects). It runs
+ * as part of `ChunkParser`, so that templates are parsed in the workers.
+ */
+export class TemplateParser {
+
+	constructor( data, objectColors ) {
+
+		this.data = data;
+
+		this.lods = [];
+		this.objectColors = objectColors;
+		this.surfaceColors = {};
+
+		// If set, only the templates of these LoDs are parsed, and the
+		// instances of these city objects are left out
+		this.lodFilter = null;
+		this.skippedObjects = null;
+
+		// Whether the triangles of the templates are indexed
+		this.indexed = false;
+
+		// Whether the interior shells of solid templates are parsed
+		this.interiorShells = true;
+
+		// If set, `getNormals( vertices, geometryData, vertexIds, template )`
+		// returns the normals of the triangles of a template (see
+		// `ChunkParser`). Otherwise meshes compute flat normals themselves.
+		this.getNormals = null;
+
+		const objectIds = Object.keys( data.CityObjects );
+		const vertices = data[ 'geometry-templates' ][ 'vertices-templates' ];
+
+		this.geometryParsers = [
+			new TriangleParser( data, objectIds, objectColors, vertices ),
+			new LineParser( data, objectIds, objectColors, vertices ),
+			new PointParser( data, objectIds, objectColors, vertices )
+		];
+
+	}
+
+	/**
+	 * Returns the geometries of the templates, one per template and geometry
+	 * type, as `{ template, vertices, geometryData }` where `template` is the
+	 * index of the template and `vertices` is a buffer of floats.
+	 */
+	parseTemplates() {
+
+		const templates = [];
+		const vertices = this.data[ 'geometry-templates' ][ 'vertices-templates' ];
+		const lodFilter = this.lodFilter ? this.lodFilter.map( normalizeLod ) : null;
+
+		this.geometryParsers[ 0 ].indexed = this.indexed;
+		this.geometryParsers[ 0 ].interiorShells = this.interiorShells;
+		this.geometryParsers[ 0 ].clean();
+
+		this.data[ 'geometry-templates' ].templates.forEach( ( template, i ) => {
+
+			if ( lodFilter && ! lodFilter.includes( normalizeLod( template.lod ) ) ) {
+
+				return;
+
+			}
+
+			for ( const geometryParser of this.geometryParsers ) {
+
+				geometryParser.lods = this.lods;
+				geometryParser.parseGeometry( template, - 1, - 1 );
+				this.lods = geometryParser.lods;
+
+				if ( geometryParser.geomData.count() > 0 ) {
+
+					const templateVertices = geometryParser.geomData.getVertices( vertices );
+					const geometryData = geometryParser.geomData.toObject();
+
+					if ( this.getNormals && geometryData.geometryType == TRIANGLES ) {
+
+						geometryData.normals = this.getNormals( templateVertices, geometryData, geometryParser.geomData.vertexIds, i );
+
+					}
+
+					templates.push( {
+						template: i,
+						vertices: new Float32Array( templateVertices ).buffer,
+						geometryData
+					} );
+
+				}
+
+				geometryParser.clean();
+
+			}
+
+		} );
+
+		this.surfaceColors = this.geometryParsers[ 0 ].surfaceColors;
+
+		return templates;
+
+	}
+
+	/**
+	 * Returns the instances of every template, as `{ anchors, transformations,
+	 * objectIds, objectType, geometryIds }`. `anchors` holds the vertices the
+	 * instances are placed at (three values per instance) and
+	 * `transformations` their row-major transformation matrices (sixteen
+	 * values per instance). `objectOffset` is added to the object ids.
+	 */
+	parseInstances( objectOffset = 0 ) {
+
+		const instances = this.data[ 'geometry-templates' ].templates.map( () => ( {
+			anchors: [],
+			transformations: [],
+			objectIds: [],
+			objectType: [],
+			geometryIds: []
+		} ) );
+
+		Object.keys( this.data.CityObjects ).forEach( ( objectId, objectIdx ) => {
+
+			const cityObject = this.data.CityObjects[ objectId ];
+
+			if ( ! cityObject.geometry || ( this.skippedObjects && this.skippedObjects.has( objectId ) ) ) {
+
+				return;
+
+			}
+
+			cityObject.geometry.forEach( ( geometry, i ) => {
+
+				if ( geometry.type != "GeometryInstance" || ! instances[ geometry.template ] ) {
+
+					return;
+
+				}
+
+				const instance = instances[ geometry.template ];
+
+				instance.anchors.push( ...this.data.vertices[ geometry.boundaries[ 0 ] ] );
+				instance.transformations.push( ...geometry.transformationMatrix );
+				instance.objectIds.push( objectIdx + objectOffset );
+				instance.objectType.push( this.geometryParsers[ 0 ].getObjectTypeIdx( cityObject.type ) );
+				instance.geometryIds.push( i );
+
+			} );
+
+		} );
+
+		return instances;
+
+	}
+
+}
+
+/**
+ * Returns the types of the city objects with instances of every template of
+ * `data`.
+ */
+export function getTemplateTypes( data ) {
+
+	const types = data[ 'geometry-templates' ].templates.map( () => [] );
+
+	for ( const cityObject of Object.values( data.CityObjects ) ) {
+
+		for ( const geometry of cityObject.geometry || [] ) {
+
+			const templateTypes = types[ geometry.template ];
+
+			if ( geometry.type == "GeometryInstance" && templateTypes && ! templateTypes.includes( cityObject.type ) ) {
+
+				templateTypes.push( cityObject.type );
+
+			}
+
+		}
+
+	}
+
+	return types;
+
+}
@@ -0,0 +1,28 @@
+/**
+ * How the normals of triangles are computed:
+ *
+ * - `flat`: every surface has its own normal
+ * - `smooth`: the normals of the surfaces that share a CityJSON vertex (in
+ *   the same LoD) are averaged
+ * - `crease`: as `smooth`, but only across surfaces that meet at less than
+ *   the crease angle
+ */
+export type NormalMode = "flat" | "smooth" | "crease";
+
+export const FLAT: "flat";
+export const SMOOTH: "smooth";
+export const CREASE: "crease";
+
+/**
+ * Returns the normals of the vertices of a chunk of triangles, three floats
+ * per vertex, with the given mode per vertex. The normals of the triangles
+ * are weighted by their angle at the vertex, so that they do not depend on
+ * the triangulation. Only vertices of the same chunk are averaged.
+ *
+ * @param vertices The positions of the vertices, three values per vertex
+ * @param geometryData The geometry data of the chunk (see `GeometryData.toObject()`)
+ * @param vertexIds The CityJSON vertex of every vertex
+ * @param modes The normal mode of every vertex
+ * @param creaseAngle The angle in radians above which `crease` vertices are not averaged
+ */
+export function computeNormals( vertices: ArrayLike<number>, geometryData: Object, vertexIds: number[], modes: NormalMode[], creaseAngle: number ): Float32Array;
@@ -0,0 +1,174 @@
+// The normal modes of triangles
+export const FLAT = "flat";
+export const SMOOTH = "smooth";
+export const CREASE = "crease";
+
+/**
+ * Returns the normals of the vertices of a chunk of triangles, three floats
+ * per vertex. `modes` gives the mode of every vertex: flat vertices take the
+ * normal of their surface, while smooth ones average the normals of the
+ * surfaces that share their CityJSON vertex (in the same LoD). Crease
+ * vertices only average the surfaces within `creaseAngle` (in radians) of
+ * their own.
+ */
+export function computeNormals( vertices, geometryData, vertexIds, modes, creaseAngle ) {
+
+	const count = vertexIds.length;
+	const indices = geometryData.indices;
+	const triangleCount = ( indices ? indices.length : count ) / 3;
+
+	// The sum of the normals of the triangles that every vertex belongs to
+	// (only one if the triangles are not indexed), weighted by their angle at
+	// the vertex so that they do not depend on the triangulation
+	const faceNormals = new Float64Array( count * 3 );
+
+	for ( let i = 0; i < triangleCount; i ++ ) {
+
+		const corners = indices ? [ indices[ i * 3 ], indices[ i * 3 + 1 ], indices[ i * 3 + 2 ] ] : [ i * 3, i * 3 + 1, i * 3 + 2 ];
+		const [ a, b, c ] = corners.map( v => [ vertices[ v * 3 ], vertices[ v * 3 + 1 ], vertices[ v * 3 + 2 ] ] );
+
+		const normal = normalize( cross( subtract( b, a ), subtract( c, a ) ) );
+		const angles = [ getAngle( a, b, c ), getAngle( b, c, a ), getAngle( c, a, b ) ];
+
+		for ( let k = 0; k < 3; k ++ ) {
+
+			for ( let j = 0; j < 3; j ++ ) {
+
+				faceNormals[ corners[ k ] * 3 + j ] += normal[ j ] * angles[ k ];
+
+			}
+
+		}
+
+	}
+
+	// The vertices that are not flat, by CityJSON vertex and LoD
+	const groups = new Map();
+
+	for ( let i = 0; i < count; i ++ ) {
+
+		if ( modes[ i ] !== FLAT ) {
+
+			const key = `${vertexIds[ i ]} ${geometryData.lodIds[ i ]}`;
+
+			if ( ! groups.has( key ) ) {
+
+				groups.set( key, [] );
+
+			}
+
+			groups.get( key ).push( i );
+
+		}
+
+	}
+
+	const normals = new Float32Array( faceNormals );
+	const minCos = Math.cos( creaseAngle );
+
+	for ( const group of groups.values() ) {
+
+		const sum = [ 0, 0, 0 ];
+
+		for ( const j of group ) {
+
+			addNormal( sum, faceNormals, j );
+
+		}
+
+		for ( const i of group ) {
+
+			if ( modes[ i ] === SMOOTH ) {
+
+				normals.set( sum, i * 3 );
+				continue;
+
+			}
+
+			const creased = [ 0, 0, 0 ];
+
+			for ( const j of group ) {
+
+				if ( i === j || getCos( faceNormals, i, j ) >= minCos ) {
+
+					addNormal( creased, faceNormals, j );
+
+				}
+
+			}
+
+			normals.set( creased, i * 3 );
+
+		}
+
+	}
+
+	for ( let i = 0; i < count; i ++ ) {
+
+		const x = normals[ i * 3 ], y = normals[ i * 3 + 1 ], z = normals[ i * 3 + 2 ];
+		const length = Math.sqrt( x * x + y * y + z * z ) || 1;
+
+		normals[ i * 3 ] = x / length;
+		normals[ i * 3 + 1 ] = y / length;
+		normals[ i * 3 + 2 ] = z / length;
+
+	}
+
+	return normals;
+
+}
+
+function subtract( p, q ) {
+
+	return [ p[ 0 ] - q[ 0 ], p[ 1 ] - q[ 1 ], p[ 2 ] - q[ 2 ] ];
+
+}
+
+function cross( u, v ) {
+
+	return [ u[ 1 ] * v[ 2 ] - u[ 2 ] * v[ 1 ], u[ 2 ] * v[ 0 ] - u[ 0 ] * v[ 2 ], u[ 0 ] * v[ 1 ] - u[ 1 ] * v[ 0 ] ];
+
+}
+
+function normalize( v ) {
+
+	const length = Math.sqrt( v[ 0 ] * v[ 0 ] + v[ 1 ] * v[ 1 ] + v[ 2 ] * v[ 2 ] ) || 1;
+
+	return [ v[ 0 ] / length, v[ 1 ] / length, v[ 2 ] / length ];
+
+}
+
+// The angle at `p` of the triangle `p`, `q`, `r`
+function getAngle( p, q, r ) {
+
+	const u = normalize( subtract( q, p ) );
+	const v = normalize( subtract( r, p ) );
+
+	return Math.acos( Math.min( 1, Math.max( - 1, u[ 0 ] * v[ 0 ] + u[ 1 ] * v[ 1 ] + u[ 2 ] * v[ 2 ] ) ) );
+
+}
+
+function addNormal( sum, normals, i ) {
+
+	sum[ 0 ] += normals[ i * 3 ];
+	sum[ 1 ] += normals[ i * 3 + 1 ];
+	sum[ 2 ] += normals[ i * 3 + 2 ];
+
+}
+
+// The cosine of the angle between two normals
+function getCos( normals, i, j ) {
+
+	let dot = 0, lengthI = 0, lengthJ = 0;
+
+	for ( let k = 0; k < 3; k ++ ) {
+
+		dot += normals[ i * 3 + k ] * normals[ j * 3 + k ];
+		lengthI += normals[ i * 3 + k ] * normals[ i * 3 + k ];
+		lengthJ += normals[ j * 3 + k ] * normals[ j * 3 + k ];
+
+	}
+
+	return lengthI > 0 && lengthJ > 0 ? dot / Math.sqrt( lengthI * lengthJ ) : 1;
+
+}
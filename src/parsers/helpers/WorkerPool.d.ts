@@ -0,0 +1,37 @@
+/**
+ * A pool of Web Workers that runs tasks in parallel. Workers are created
+ * lazily and kept alive between tasks. A task is finished when its worker
+ * posts a message of type "done".
+ */
+export class WorkerPool {
+
+    /**
+     * The maximum number of workers.
+     */
+    size: number;
+
+    constructor( createWorker: () => Worker, size?: number );
+
+    /**
+     * Posts `message` to the next available worker. `onMessage` is called with
+     * the data of every message the worker posts for this task, and with a
+     * function that posts a message back to the same worker. The returned
+     * promise resolves with the data of the "done" message, or rejects if the
+     * worker posts an "error" message.
+     *
+     * If `signal` is aborted, the task is dequeued or its worker terminated,
+     * and the promise is rejected with an `AbortError`.
+     */
+    run( message: any, onMessage?: ( data: any, reply: ( message: any, transfer?: Transferable[] ) => void ) => void, transfer?: Transferable[], signal?: AbortSignal ) : Promise<any>;
+
+    /**
+     * Terminates all workers. Running and queued tasks are rejected.
+     */
+    dispose() : void;
+
+}
+
+/**
+ * The number of logical cores minus one (or 4 if unknown).
+ */
+export function defaultPoolSize() : number;
@@ -0,0 +1,221 @@
+/**
+ * A pool of Web Workers that runs tasks in parallel. Workers are created
+ * lazily (up to `size`) by `createWorker` and are kept alive between tasks,
+ * so that the pool can be reused across loads.
+ *
+ * A task is a message posted to a worker and is finished when the worker
+ * posts back a message of type "done". A message of type "error" (with a
+ * `message`) fails the task, but keeps the worker.
+ */
+export class WorkerPool {
+
+	constructor( createWorker, size = defaultPoolSize() ) {
+
+		this.createWorker = createWorker;
+		this.size = size;
+
+		this.workers = [];
+		this.idleWorkers = [];
+		this.queue = [];
+
+		// The task each busy worker is running
+		this.activeTasks = new Map();
+
+	}
+
+	/**
+	 * Posts `message` to the next available worker. `onMessage` is called with
+	 * the data of every message the worker posts for this task, and with a
+	 * function that posts a message back to the same worker. The returned
+	 * promise resolves with the data of the "done" message.
+	 *
+	 * If `signal` is aborted, the task is removed from the queue or, if it is
+	 * already running, its worker is terminated. The promise is then rejected
+	 * with an `AbortError`.
+	 */
+	run( message, onMessage, transfer = [], signal = null ) {
+
+		return new Promise( ( resolve, reject ) => {
+
+			if ( signal && signal.aborted ) {
+
+				reject( abortError() );
+				return;
+
+			}
+
+			const task = { message, onMessage, transfer, resolve, reject };
+
+			if ( signal ) {
+
+				signal.addEventListener( 'abort', () => this.cancel( task ), { once: true } );
+
+			}
+
+			this.queue.push( task );
+			this.next();
+
+		} );
+
+	}
+
+	/**
+	 * Stops `task`, terminating its worker if it is running.
+	 */
+	cancel( task ) {
+
+		if ( this.queue.includes( task ) ) {
+
+			this.queue.splice( this.queue.indexOf( task ), 1 );
+
+		}
+
+		for ( const [ worker, activeTask ] of this.activeTasks ) {
+
+			if ( activeTask === task ) {
+
+				this.removeWorker( worker );
+
+			}
+
+		}
+
+		task.reject( abortError() );
+
+		this.next();
+
+	}
+
+	removeWorker( worker ) {
+
+		this.activeTasks.delete( worker );
+		this.workers.splice( this.workers.indexOf( worker ), 1 );
+		worker.terminate();
+
+	}
+
+	next() {
+
+		while ( this.queue.length > 0 ) {
+
+			let worker;
+
+			if ( this.idleWorkers.length > 0 ) {
+
+				worker = this.idleWorkers.pop();
+
+			} else if ( this.workers.length < this.size ) {
+
+				worker = this.createWorker();
+				this.workers.push( worker );
+
+			} else {
+
+				return;
+
+			}
+
+			this.execute( worker, this.queue.shift() );
+
+		}
+
+	}
+
+	execute( worker, task ) {
+
+		this.activeTasks.set( worker, task );
+
+		const reply = ( message, transfer = [] ) => worker.postMessage( message, transfer );
+
+		worker.onmessage = e => {
+
+			if ( task.onMessage ) {
+
+				task.onMessage( e.data, reply );
+
+			}
+
+			if ( e.data.type === "done" || e.data.type === "error" ) {
+
+				this.activeTasks.delete( worker );
+				this.idleWorkers.push( worker );
+
+				if ( e.data.type === "done" ) {
+
+					task.resolve( e.data );
+
+				} else {
+
+					task.reject( new Error( e.data.message ) );
+
+				}
+
+				this.next();
+
+			}
+
+		};
+
+		worker.onerror = e => {
+
+			// A worker that threw may be in an inconsistent state, so it is
+			// replaced by a new one for the next task
+			this.removeWorker( worker );
+
+			task.reject( e.error || new Error( e.message ) );
+
+			this.next();
+
+		};
+
+		worker.postMessage( task.message, task.transfer );
+
+	}
+
+	/**
+	 * Terminates all workers. Running and queued tasks are rejected.
+	 */
+	dispose() {
+
+		for ( const worker of this.workers ) {
+
+			worker.terminate();
+
+		}
+
+		for ( const task of [ ...this.activeTasks.values(), ...this.queue ] ) {
+
+			task.reject( new Error( 'The worker pool was disposed.' ) );
+
+		}
+
+		this.activeTasks.clear();
+		this.workers = [];
+		this.idleWorkers = [];
+		this.queue = [];
+
+	}
+
+}
+
+function abortError() {
+
+	return new DOMException( 'The worker task was aborted.', 'AbortError' );
+
+}
+
+/**
+ * Returns the number of workers to use by default, leaving one core to the
+ * main thread.
+ */
+export function defaultPoolSize() {
+
+	if ( typeof navigator !== 'undefined' && navigator.hardwareConcurrency ) {
+
+		return Math.max( 1, navigator.hardwareConcurrency - 1 );
+
+	}
+
+	return 4;
+
+}
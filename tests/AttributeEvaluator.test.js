@@ -0,0 +1,23 @@
+import { AttributeEvaluator } from '../src/helpers/AttributeEvaluator';
+
+describe( 'AttributeEvaluator', () => {
+
+	test( 'takes the value of the first parent or child that has it', () => {
+
+		const citymodel = {
+			CityObjects: {
+				site: { type: 'Building', children: [ 'missing', 'empty', 'building' ] },
+				empty: { type: 'BuildingPart', parents: [ 'site' ] },
+				building: { type: 'BuildingPart', parents: [ 'site' ], attributes: { roofType: 'flat' } },
+				part: { type: 'BuildingPart', parents: [ 'missing', 'building' ] },
+				other: { type: 'Building' }
+			}
+		};
+
+		const evaluator = new AttributeEvaluator( citymodel, 'roofType' );
+
+		expect( evaluator.getAllValues() ).toEqual( [ 'flat', 'null', 'flat', 'flat', 'null' ] );
+
+	} );
+
+} );
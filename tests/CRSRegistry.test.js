@@ -0,0 +1,145 @@
+import { CRSRegistry, parseReferenceSystem, createCoordinateTransform, reprojectVertices } from '../src/helpers/CRSRegistry';
+
+const registry = new CRSRegistry();
+
+function transform( source, target, x, y, z = 0 ) {
+
+	return createCoordinateTransform( registry.get( source ), registry.get( target ) )( x, y, z );
+
+}
+
+describe( 'parseReferenceSystem', () => {
+
+	test( 'should parse OGC URLs, URNs and EPSG codes', () => {
+
+		expect( parseReferenceSystem( 'https://www.opengis.net/def/crs/EPSG/0/7415' ) ).toBe( 'EPSG:7415' );
+		expect( parseReferenceSystem( 'http://www.opengis.net/def/crs/EPSG/0/32631' ) ).toBe( 'EPSG:32631' );
+		expect( parseReferenceSystem( 'urn:ogc:def:crs:EPSG::28992' ) ).toBe( 'EPSG:28992' );
+		expect( parseReferenceSystem( 'EPSG:3857' ) ).toBe( 'EPSG:3857' );
+
+	} );
+
+	test( 'should return null for anything else', () => {
+
+		expect( parseReferenceSystem( 'https://example.com/crs' ) ).toBeNull();
+		expect( parseReferenceSystem( undefined ) ).toBeNull();
+
+	} );
+
+} );
+
+describe( 'CRSRegistry', () => {
+
+	test( 'should project to RD New', () => {
+
+		// The example of the EPSG guidance note 7-2 (on the Bessel ellipsoid)
+		const rd = Object.assign( {}, registry.get( 'EPSG:28992' ), { towgs84: null } );
+		const geographic = { projection: 'geographic', a: rd.a, rf: rd.rf };
+
+		const [ x, y ] = createCoordinateTransform( geographic, rd )( 6, 53, 0 );
+
+		expect( x ).toBeCloseTo( 196105.283, 2 );
+		expect( y ).toBeCloseTo( 557057.739, 2 );
+
+	} );
+
+	test( 'should place the origin of RD New close to Amersfoort', () => {
+
+		const [ lon, lat ] = transform( 'EPSG:7415', 'EPSG:4326', 155000, 463000 );
+
+		// Within a metre of the RDNAPTRANS result
+		expect( Math.abs( lon - 5.38720621 ) ).toBeLessThan( 1e-5 );
+		expect( Math.abs( lat - 52.15517440 ) ).toBeLessThan( 1e-5 );
+
+	} );
+
+	test( 'should project to UTM zones', () => {
+
+		const [ x, y ] = transform( 'EPSG:4326', 'EPSG:32631', 3, 45 );
+
+		expect( x ).toBeCloseTo( 500000, 3 );
+		expect( y ).toBeCloseTo( 4982950.400, 2 );
+
+		const [ , south ] = transform( 'EPSG:4326', 'EPSG:32731', 3, - 45 );
+		expect( south ).toBeCloseTo( 10000000 - 4982950.400, 2 );
+
+	} );
+
+	test( 'should project to Web Mercator', () => {
+
+		const [ x, y ] = transform( 'EPSG:4326', 'EPSG:3857', 5, 52 );
+
+		expect( x ).toBeCloseTo( 556597.454, 2 );
+		expect( y ).toBeCloseTo( 6800125.454, 2 );
+
+	} );
+
+	test( 'should round-trip between RD and UTM and keep heights', () => {
+
+		const utm = transform( 'EPSG:28992', 'EPSG:32631', 85000, 446000, 5 );
+		const rd = transform( 'EPSG:32631', 'EPSG:28992', ...utm );
+
+		expect( utm[ 2 ] ).toBe( 5 );
+		expect( rd[ 0 ] ).toBeCloseTo( 85000, 2 );
+		expect( rd[ 1 ] ).toBeCloseTo( 446000, 2 );
+
+	} );
+
+	test( 'should accept custom definitions', () => {
+
+		const custom = new CRSRegistry();
+		custom.register( 'https://www.opengis.net/def/crs/EPSG/0/2100', {
+			projection: 'transverseMercator',
+			a: 6378137,
+			rf: 298.257222101,
+			lat0: 0,
+			lon0: 24,
+			k0: 0.9996,
+			x0: 500000,
+			y0: 0
+		} );
+
+		expect( custom.get( 'EPSG:2100' ).lon0 ).toBe( 24 );
+		expect( custom.isEquivalent( 'EPSG:7415', 'EPSG:28992' ) ).toBe( true );
+		expect( custom.isEquivalent( 'EPSG:7415', 'EPSG:2100' ) ).toBe( false );
+
+	} );
+
+} );
+
+describe( 'reprojectVertices', () => {
+
+	test( 'should reproject the used vertices relative to the offset', () => {
+
+		const data = {
+			CityObjects: {
+				a: { type: 'Building', geometry: [ { type: 'MultiPoint', boundaries: [ 0, 1 ] } ] }
+			},
+			vertices: [ [ 0, 0, 0 ], [ 1000, 1000, 2000 ], [ 5, 5, 5 ] ]
+		};
+
+		const source = registry.get( 'EPSG:28992' );
+		const target = registry.get( 'EPSG:32631' );
+		const offset = createCoordinateTransform( source, target )( 85000, 446000, 0 );
+
+		const vertices = reprojectVertices( data, {
+			source,
+			target,
+			scale: [ 0.001, 0.001, 0.001 ],
+			translate: [ 85000, 446000, 0 ],
+			offset
+		} );
+
+		expect( vertices[ 0 ] ).toEqual( [ 0, 0, 0 ] );
+
+		// 1 metre in RD is about 1 metre in UTM
+		expect( vertices[ 1 ][ 0 ] ).toBeCloseTo( 1, 1 );
+		expect( vertices[ 1 ][ 1 ] ).toBeCloseTo( 1, 1 );
+		expect( vertices[ 1 ][ 2 ] ).toBeCloseTo( 2, 6 );
+
+		// Unused vertices are left untouched
+		expect( vertices[ 2 ] ).toBe( data.vertices[ 2 ] );
+
+	} );
+
+} );
@@ -0,0 +1,90 @@
+import { Matrix4, Vector3 } from 'three';
+import { getGeometryMatrix, getOriginPosition, toRelativeVertices } from '../src/helpers/ChunkOrigin';
+import { ChunkParser } from '../src/parsers/helpers/ChunkParser';
+import { CityObjectsMesh } from '../src/objects/CityObjectsMesh';
+
+// A building in RD New, quantized in millimetres
+const citymodel = {
+	type: 'CityJSON',
+	transform: { scale: [ 0.001, 0.001, 0.001 ], translate: [ 0, 0, 0 ] },
+	CityObjects: {
+		building: {
+			type: 'Building',
+			geometry: [ {
+				type: 'MultiSurface',
+				lod: '1',
+				boundaries: [ [ [ 0, 1, 2, 3 ] ] ]
+			} ]
+		}
+	},
+	vertices: [
+		[ 85012345, 446987654, 1234 ],
+		[ 85012346, 446987654, 1234 ],
+		[ 85012346, 446987655, 1234 ],
+		[ 85012345, 446987655, 1235 ]
+	]
+};
+
+describe( 'ChunkOrigin', () => {
+
+	test( 'should make vertices relative to the centre of their bounds', () => {
+
+		const vertices = [ 100, 200, 10, 104, 210, 11, 101, 201, 10 ];
+
+		const origin = toRelativeVertices( vertices );
+
+		expect( origin ).toEqual( [ 102, 205, 11 ] );
+		expect( vertices ).toEqual( [ - 2, - 5, - 1, 2, 5, 0, - 1, - 4, - 1 ] );
+
+	} );
+
+	test( 'should leave the translation of the matrix to the position', () => {
+
+		const matrix = new Matrix4().makeScale( 0.5, 0.5, 0.5 ).setPosition( 10, 20, 30 );
+
+		expect( getGeometryMatrix( matrix, null ) ).toBe( matrix );
+		expect( getGeometryMatrix( matrix, [ 1, 2, 3 ] ).elements ).toEqual( new Matrix4().makeScale( 0.5, 0.5, 0.5 ).elements );
+		expect( getOriginPosition( matrix, [ 2, 4, 6 ] ).toArray() ).toEqual( [ 11, 22, 33 ] );
+
+	} );
+
+	test( 'should keep the precision of large coordinates', () => {
+
+		const parser = new ChunkParser();
+		const chunks = [];
+
+		parser.onchunkload = ( vertices, geometryData ) => chunks.push( { vertices, geometryData } );
+		parser.parse( citymodel );
+
+		expect( chunks.length ).toBe( 1 );
+
+		const { vertices, geometryData } = chunks[ 0 ];
+
+		// The vertices of the chunk are relative to its origin, which is a
+		// vertex of the file (in its quantized coordinates)
+		expect( geometryData.origin ).toEqual( [ 85012346, 446987655, 1235 ] );
+		expect( Math.max( ...vertices.map( Math.abs ) ) ).toBeLessThanOrEqual( 1 );
+
+		const matrix = new Matrix4().makeScale( 0.001, 0.001, 0.001 );
+		const mesh = new CityObjectsMesh( citymodel, new Float32Array( vertices ).buffer, geometryData, matrix );
+
+		mesh.updateMatrixWorld();
+
+		// Every vertex maps back to a vertex of the file, which is not the case
+		// for a Float32Array of the absolute coordinates
+		expect( Math.fround( citymodel.vertices[ 0 ][ 0 ] ) ).not.toBe( citymodel.vertices[ 0 ][ 0 ] );
+
+		const position = mesh.geometry.getAttribute( 'position' );
+
+		for ( let i = 0; i < position.count; i ++ ) {
+
+			const vertex = new Vector3().fromBufferAttribute( position, i ).applyMatrix4( mesh.matrixWorld );
+			const quantized = vertex.divideScalar( 0.001 ).round();
+
+			expect( citymodel.vertices ).toContainEqual( quantized.toArray() );
+
+		}
+
+	} );
+
+} );
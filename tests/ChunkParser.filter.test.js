@@ -0,0 +1,90 @@
+import { getObjectIds, parseChunks } from './helpers/parseChunks';
+
+const identity = [
+	1, 0, 0, 0,
+	0, 1, 0, 0,
+	0, 0, 1, 0,
+	0, 0, 0, 1
+];
+
+function surface( lod ) {
+
+	return { type: 'MultiSurface', lod, boundaries: [ [ [ 0, 1, 2 ] ] ] };
+
+}
+
+function createCityModel() {
+
+	return {
+		type: 'CityJSON',
+		CityObjects: {
+			building: { type: 'Building', children: [ 'part' ], geometry: [ surface( 1.2 ), surface( '2.2' ) ] },
+			part: { type: 'BuildingPart', parents: [ 'building' ], geometry: [ surface( '2.2' ) ] },
+			road: { type: 'Road', geometry: [ surface( '2.2' ) ] },
+			tree: {
+				type: 'SolitaryVegetationObject',
+				attributes: { species: 'oak' },
+				geometry: [ { type: 'GeometryInstance', template: 0, boundaries: [ 0 ], transformationMatrix: identity } ]
+			}
+		},
+		'geometry-templates': {
+			templates: [ surface( '2.2' ), surface( '1' ) ],
+			'vertices-templates': [ [ 0, 0, 0 ], [ 1, 0, 0 ], [ 0, 0, 1 ] ]
+		},
+		vertices: [ [ 0, 0, 0 ], [ 10, 0, 0 ], [ 10, 10, 0 ] ]
+	};
+
+}
+
+function parse( options ) {
+
+	const { parser, chunks, templates, instances } = parseChunks( createCityModel(), options );
+
+	const objectIds = new Set( getObjectIds( chunks ) );
+	const lods = chunks.length > 0 ? chunks[ chunks.length - 1 ].lods : [];
+
+	return { parser, objectIds, lods, templates, instances };
+
+}
+
+describe( 'ChunkParser filters', () => {
+
+	test( 'should only parse the geometries of the given LoDs', () => {
+
+		const { parser, objectIds, lods, templates } = parse( { lodFilter: [ 2.2 ] } );
+
+		expect( lods ).toEqual( [ '2.2' ] );
+		expect( [ ...objectIds ] ).toEqual( [ 0, 1, 2 ] );
+		expect( templates.map( template => template.template ) ).toEqual( [ 0 ] );
+
+		expect( parser.getSummary() ).toEqual( { objectCount: 4, skippedObjects: [], skippedGeometryCount: 1, diagnostics: [] } );
+
+	} );
+
+	test( 'should only parse the city objects of the given types', () => {
+
+		const { parser, objectIds, instances } = parse( { typeFilter: [ 'Building', 'BuildingPart' ] } );
+
+		// Skipped objects keep their index
+		expect( [ ...objectIds ] ).toEqual( [ 0, 1 ] );
+		expect( instances[ 0 ].objectIds ).toEqual( [] );
+
+		expect( parser.getSummary().skippedObjects ).toEqual( [ 'road', 'tree' ] );
+
+	} );
+
+	test( 'should only parse the city objects accepted by the predicate', () => {
+
+		const filter = jest.fn( ( objectId, cityObject ) => cityObject.type == 'Road' || ( cityObject.attributes && cityObject.attributes.species == 'oak' ) );
+
+		const { parser, objectIds, instances } = parse( { objectFilter: filter } );
+
+		expect( filter ).toHaveBeenCalledWith( 'road', expect.objectContaining( { type: 'Road' } ) );
+		expect( [ ...objectIds ] ).toEqual( [ 2 ] );
+		expect( instances[ 0 ].objectIds ).toEqual( [ 3 ] );
+
+		expect( parser.getSummary() ).toEqual( { objectCount: 4, skippedObjects: [ 'building', 'part' ], skippedGeometryCount: 0, diagnostics: [] } );
+
+	} );
+
+} );
@@ -0,0 +1,256 @@
+import { CityObjectsMesh } from '../src/objects/CityObjectsMesh';
+import { CityObjectsInstancedMesh } from '../src/objects/CityObjectsInstancedMesh';
+import { Matrix4, MeshBasicMaterial } from 'three';
+import { parseChunks } from './helpers/parseChunks';
+
+// Two squares that share the edge between vertices 1 and 2, folded along it
+// by the given angle
+function createFold( angle ) {
+
+	const c = Math.cos( angle ), s = Math.sin( angle );
+
+	return [ [ 0, 0, 0 ], [ 1, 0, 0 ], [ 1, 1, 0 ], [ 0, 1, 0 ], [ 1 + c, 0, s ], [ 1 + c, 1, s ] ];
+
+}
+
+function createCityModel( angle, type = 'Building' ) {
+
+	return {
+		type: 'CityJSON',
+		CityObjects: {
+			object: {
+				type,
+				geometry: [ {
+					type: 'MultiSurface',
+					lod: '2',
+					boundaries: [ [ [ 0, 1, 2, 3 ] ], [ [ 1, 4, 5, 2 ] ] ],
+					material: { summer: { values: [ 0, 1 ] } }
+				} ]
+			}
+		},
+		appearance: {
+			materials: [ { name: 'wall', isSmooth: false }, { name: 'deck', isSmooth: true } ]
+		},
+		vertices: createFold( angle )
+	};
+
+}
+
+// The fold as a geometry template, with an instance for an object of every
+// type
+function createTemplateModel( types ) {
+
+	const fold = createCityModel( Math.PI / 2 );
+	const identity = [ 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1 ];
+
+	const data = {
+		type: 'CityJSON',
+		CityObjects: {},
+		'geometry-templates': {
+			templates: [ fold.CityObjects.object.geometry[ 0 ] ],
+			'vertices-templates': fold.vertices
+		},
+		appearance: fold.appearance,
+		vertices: [ [ 0, 0, 0 ] ]
+	};
+
+	types.forEach( ( type, i ) => {
+
+		data.CityObjects[ `object-${i}` ] = { type, geometry: [ { type: 'GeometryInstance', template: 0, boundaries: [ 0 ], transformationMatrix: identity } ] };
+
+	} );
+
+	return data;
+
+}
+
+// The normals of the corners at the given CityJSON vertex, rounded
+function getNormals( chunk, data, vertexId ) {
+
+	const normals = [];
+
+	// Templates have a buffer of floats, which is not relative to an origin
+	const vertices = Array.isArray( chunk.vertices ) ? chunk.vertices : new Float32Array( chunk.vertices );
+	const count = vertices.length / 3;
+
+	for ( let i = 0; i < count; i ++ ) {
+
+		const origin = chunk.geometryData.origin || [ 0, 0, 0 ];
+		const position = vertices.slice( i * 3, i * 3 + 3 ).map( ( v, k ) => v + origin[ k ] );
+
+		if ( position.every( ( v, k ) => Math.abs( v - data.vertices[ vertexId ][ k ] ) < 1e-9 ) ) {
+
+			normals.push( Array.from( chunk.geometryData.normals.slice( i * 3, i * 3 + 3 ), v => Math.round( v * 1000 ) / 1000 ) );
+
+		}
+
+	}
+
+	return normals;
+
+}
+
+const diagonal = Math.round( Math.SQRT1_2 * 1000 ) / 1000;
+
+describe( 'ChunkParser normal modes', () => {
+
+	test( 'leaves flat normals to the meshes by default', () => {
+
+		const chunk = parseChunks( createCityModel( Math.PI / 2 ) ).chunks[ 0 ];
+
+		expect( chunk.geometryData.normals ).toBeUndefined();
+
+	} );
+
+	test( 'computes flat normals per surface', () => {
+
+		const data = createCityModel( Math.PI / 2 );
+		const chunk = parseChunks( data, { normalMode: 'smooth', typeNormalModes: { Building: 'flat' } } ).chunks[ 0 ];
+
+		expect( getNormals( chunk, data, 1 ) ).toContainEqual( [ 0, 0, 1 ] );
+		expect( getNormals( chunk, data, 1 ) ).toContainEqual( [ - 1, 0, 0 ] );
+
+	} );
+
+	test( 'averages the surfaces that share a vertex in the smooth mode', () => {
+
+		const data = createCityModel( Math.PI / 2 );
+		const chunk = parseChunks( data, { normalMode: 'smooth' } ).chunks[ 0 ];
+
+		for ( const normal of getNormals( chunk, data, 1 ) ) {
+
+			expect( normal ).toEqual( [ - diagonal, 0, diagonal ] );
+
+		}
+
+		// Vertices of a single surface keep its normal
+		for ( const normal of getNormals( chunk, data, 0 ) ) {
+
+			expect( normal ).toEqual( [ 0, 0, 1 ] );
+
+		}
+
+	} );
+
+	test( 'keeps the edges sharper than the crease angle', () => {
+
+		const sharp = createCityModel( Math.PI / 2 );
+		const sharpNormals = getNormals( parseChunks( sharp, { normalMode: 'crease' } ).chunks[ 0 ], sharp, 2 );
+
+		expect( sharpNormals ).toContainEqual( [ 0, 0, 1 ] );
+		expect( sharpNormals ).toContainEqual( [ - 1, 0, 0 ] );
+
+		const shallow = createCityModel( Math.PI / 18 );
+		const shallowNormals = getNormals( parseChunks( shallow, { normalMode: 'crease' } ).chunks[ 0 ], shallow, 2 );
+
+		for ( const normal of shallowNormals ) {
+
+			expect( normal ).toEqual( shallowNormals[ 0 ] );
+
+		}
+
+		expect( shallowNormals[ 0 ][ 0 ] ).toBeLessThan( 0 );
+
+	} );
+
+	test( 'applies the modes of city object types', () => {
+
+		const terrain = createCityModel( Math.PI / 2, 'TINRelief' );
+		const chunk = parseChunks( terrain, { typeNormalModes: { TINRelief: 'smooth' } } ).chunks[ 0 ];
+
+		expect( getNormals( chunk, terrain, 1 )[ 0 ] ).toEqual( [ - diagonal, 0, diagonal ] );
+
+		const building = createCityModel( Math.PI / 2 );
+		const normals = getNormals( parseChunks( building, { typeNormalModes: { TINRelief: 'smooth' } } ).chunks[ 0 ], building, 1 );
+
+		expect( normals ).toContainEqual( [ 0, 0, 1 ] );
+		expect( normals ).toContainEqual( [ - 1, 0, 0 ] );
+
+	} );
+
+	test( 'follows the isSmooth flags of the material theme', () => {
+
+		const data = createCityModel( Math.PI / 2 );
+		data.CityObjects.object.geometry[ 0 ].material.summer.values = [ 0, 0 ];
+		data.CityObjects.object.geometry[ 0 ].material.winter = { values: [ 1, 1 ] };
+
+		// The walls are flat whatever the mode
+		const summer = getNormals( parseChunks( data, { normalMode: 'smooth', materialTheme: 'summer' } ).chunks[ 0 ], data, 1 );
+
+		expect( summer ).toContainEqual( [ 0, 0, 1 ] );
+		expect( summer ).toContainEqual( [ - 1, 0, 0 ] );
+
+		// The decks are smooth
+		const winter = getNormals( parseChunks( data, { materialTheme: 'winter' } ).chunks[ 0 ], data, 1 );
+
+		expect( winter[ 0 ] ).toEqual( [ - diagonal, 0, diagonal ] );
+
+		// Themes without materials for the surfaces use the type mode
+		const autumn = getNormals( parseChunks( data, { normalMode: 'smooth', materialTheme: 'autumn' } ).chunks[ 0 ], data, 1 );
+
+		expect( autumn[ 0 ] ).toEqual( [ - diagonal, 0, diagonal ] );
+
+	} );
+
+	test( 'works with indexed triangles', () => {
+
+		const data = createCityModel( Math.PI / 2 );
+		const chunk = parseChunks( data, { normalMode: 'smooth', indexed: true } ).chunks[ 0 ];
+
+		expect( chunk.geometryData.normals.length ).toBe( chunk.vertices.length );
+		expect( getNormals( chunk, data, 2 ) ).toEqual( [ [ - diagonal, 0, diagonal ], [ - diagonal, 0, diagonal ] ] );
+
+	} );
+
+	test( 'are used by the meshes', () => {
+
+		const data = createCityModel( Math.PI / 2 );
+		const { vertices, geometryData } = parseChunks( data, { normalMode: 'smooth' } ).chunks[ 0 ];
+
+		const mesh = new CityObjectsMesh( data, new Float32Array( vertices ).buffer, geometryData, null, new MeshBasicMaterial() );
+
+		expect( Array.from( mesh.geometry.attributes.normal.array ) ).toEqual( Array.from( geometryData.normals ) );
+
+	} );
+
+	test( 'apply to the templates with the modes of their instances', () => {
+
+		const terrain = createTemplateModel( [ 'TINRelief', 'TINRelief' ] );
+		const templateVertices = { vertices: terrain[ 'geometry-templates' ][ 'vertices-templates' ] };
+
+		const smooth = parseChunks( terrain, { typeNormalModes: { TINRelief: 'smooth' } } ).templates[ 0 ];
+
+		expect( getNormals( smooth, templateVertices, 1 )[ 0 ] ).toEqual( [ - diagonal, 0, diagonal ] );
+
+		// Instances of types with other modes take `normalMode`
+		const mixed = parseChunks( createTemplateModel( [ 'TINRelief', 'Building' ] ), { typeNormalModes: { TINRelief: 'smooth' } } ).templates[ 0 ];
+
+		expect( getNormals( mixed, templateVertices, 1 ) ).toContainEqual( [ 0, 0, 1 ] );
+		expect( getNormals( mixed, templateVertices, 1 ) ).toContainEqual( [ - 1, 0, 0 ] );
+
+		// The types of the instances outside of a partition
+		const partition = parseChunks( createTemplateModel( [ 'Building' ] ), { typeNormalModes: { TINRelief: 'smooth' }, templateTypes: [ [ 'TINRelief' ] ] } ).templates[ 0 ];
+
+		expect( getNormals( partition, templateVertices, 1 )[ 0 ] ).toEqual( [ - diagonal, 0, diagonal ] );
+
+		// The decks are smooth whatever the mode
+		terrain[ 'geometry-templates' ].templates[ 0 ].material.winter = { values: [ 1, 1 ] };
+
+		const winter = parseChunks( terrain, { materialTheme: 'winter' } ).templates[ 0 ];
+
+		expect( getNormals( winter, templateVertices, 1 )[ 0 ] ).toEqual( [ - diagonal, 0, diagonal ] );
+
+	} );
+
+	test( 'are used by the instanced meshes', () => {
+
+		const { vertices, geometryData } = parseChunks( createTemplateModel( [ 'Building' ] ), { normalMode: 'smooth' } ).templates[ 0 ];
+		const instanceData = { matrices: [ new Matrix4() ], objectIds: [ 0 ], objectType: [ 0 ], geometryIds: [ 0 ] };
+
+		const mesh = new CityObjectsInstancedMesh( {}, vertices, geometryData, instanceData, null, new MeshBasicMaterial() );
+
+		expect( Array.from( mesh.geometry.attributes.normal.array ) ).toEqual( Array.from( geometryData.normals ) );
+
+	} );
+
+} );
@@ -0,0 +1,199 @@
+import { partitionCityObjects } from '../src/parsers/helpers/ChunkParser';
+import { getObjectIds, parseChunks } from './helpers/parseChunks';
+
+function square( offset ) {
+
+	return [ [ [ offset, offset + 1, offset + 2, offset + 3 ] ] ];
+
+}
+
+function createCityModel( sizes ) {
+
+	const citymodel = {
+		type: 'CityJSON',
+		CityObjects: {},
+		vertices: []
+	};
+
+	sizes.forEach( ( size, i ) => {
+
+		const boundaries = [];
+
+		for ( let j = 0; j < size; j ++ ) {
+
+			boundaries.push( ...square( citymodel.vertices.length ) );
+			citymodel.vertices.push( [ 0, 0, j ], [ 1, 0, j ], [ 1, 1, j ], [ 0, 1, j ] );
+
+		}
+
+		citymodel.CityObjects[ `object-${i}` ] = {
+			type: 'Building',
+			geometry: [ { type: 'MultiSurface', lod: '1', boundaries } ]
+		};
+
+	} );
+
+	return citymodel;
+
+}
+
+// The positions of the vertices of the chunks, in the coordinates of the data
+function getPositions( chunks ) {
+
+	const positions = [];
+
+	for ( const { vertices, geometryData } of chunks ) {
+
+		for ( let i = 0; i < vertices.length; i ++ ) {
+
+			positions.push( vertices[ i ] + geometryData.origin[ i % 3 ] );
+
+		}
+
+	}
+
+	return positions;
+
+}
+
+describe( 'partitionCityObjects', () => {
+
+	test( 'should split the objects in consecutive partitions', () => {
+
+		const citymodel = createCityModel( [ 1, 1, 1, 1, 1, 1 ] );
+
+		const partitions = partitionCityObjects( citymodel, 3 );
+
+		expect( partitions.map( p => Object.keys( p.data.CityObjects ) ) ).toEqual( [
+			[ 'object-0', 'object-1' ],
+			[ 'object-2', 'object-3' ],
+			[ 'object-4', 'object-5' ]
+		] );
+		expect( partitions.map( p => p.objectOffset ) ).toEqual( [ 0, 2, 4 ] );
+
+	} );
+
+	test( 'should only send the vertices of the objects of every partition', () => {
+
+		const citymodel = createCityModel( [ 1, 2, 1 ] );
+
+		const partitions = partitionCityObjects( citymodel, 2 );
+		const { data } = partitions[ 1 ];
+
+		expect( Object.keys( data.CityObjects ) ).toEqual( [ 'object-2' ] );
+		expect( data.vertices ).toEqual( citymodel.vertices.slice( 12, 16 ) );
+		expect( data.CityObjects[ 'object-2' ].geometry[ 0 ].boundaries ).toEqual( square( 0 ) );
+
+		// The original objects are not changed
+		expect( citymodel.CityObjects[ 'object-2' ].geometry[ 0 ].boundaries ).toEqual( square( 12 ) );
+
+	} );
+
+	test( 'should renumber the texture vertices of every partition', () => {
+
+		const citymodel = createCityModel( [ 1, 1 ] );
+		citymodel.appearance = {
+			textures: [ { type: 'PNG', image: 'facade.png' } ],
+			'vertices-texture': [ [ 0, 0 ], [ 1, 0 ], [ 1, 1 ], [ 0, 1 ], [ 0.5, 0.5 ] ]
+		};
+		citymodel.CityObjects[ 'object-1' ].geometry[ 0 ].texture = {
+			summer: { values: [ [ [ 0, 4, 1, 2, 3 ] ] ] },
+			winter: { values: [ [ [ null ] ] ] }
+		};
+
+		const { data } = partitionCityObjects( citymodel, 2 )[ 1 ];
+		const texture = data.CityObjects[ 'object-1' ].geometry[ 0 ].texture;
+
+		expect( texture.summer.values ).toEqual( [ [ [ 0, 0, 1, 2, 3 ] ] ] );
+		expect( texture.winter.values ).toEqual( [ [ [ null ] ] ] );
+		expect( data.appearance[ 'vertices-texture' ] ).toEqual( [ [ 0.5, 0.5 ], [ 1, 0 ], [ 1, 1 ], [ 0, 1 ] ] );
+		expect( data.appearance.textures ).toBe( citymodel.appearance.textures );
+
+	} );
+
+	test( 'should only send the geometry of the templates to the first partition', () => {
+
+		const citymodel = createCityModel( [ 1, 1 ] );
+		citymodel[ 'geometry-templates' ] = {
+			templates: [ { type: 'MultiPoint', lod: '1', boundaries: [ 0 ] } ],
+			'vertices-templates': [ [ 0, 0, 0 ] ]
+		};
+
+		const partitions = partitionCityObjects( citymodel, 2 );
+
+		expect( partitions[ 0 ].data[ 'geometry-templates' ] ).toBe( citymodel[ 'geometry-templates' ] );
+		expect( partitions[ 1 ].data[ 'geometry-templates' ] ).toEqual( { templates: [ {} ] } );
+
+		// The other partitions still find their instances
+		citymodel.CityObjects[ 'object-1' ].geometry.push( { type: 'GeometryInstance', template: 0, boundaries: [ 5 ], transformationMatrix: [] } );
+
+		const { templates, instances } = parseChunks( partitionCityObjects( citymodel, 2 )[ 1 ].data, { templateGeometry: false } );
+
+		expect( templates ).toEqual( [] );
+		expect( instances[ 0 ].anchors ).toEqual( citymodel.vertices[ 5 ] );
+
+
+	} );
+
+	test( 'should not copy the data for a single partition', () => {
+
+		const citymodel = createCityModel( [ 1, 1 ] );
+
+		expect( partitionCityObjects( citymodel, 1 ) ).toEqual( [ { data: citymodel, objectOffset: 0 } ] );
+		expect( partitionCityObjects( citymodel, 1 )[ 0 ].data ).toBe( citymodel );
+
+	} );
+
+	test( 'should balance the partitions by the amount of geometry', () => {
+
+		const citymodel = createCityModel( [ 20, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1 ] );
+
+		const partitions = partitionCityObjects( citymodel, 2 );
+
+		expect( partitions.map( p => Object.keys( p.data.CityObjects ).length ) ).toEqual( [ 1, 10 ] );
+
+	} );
+
+	test( 'should not create empty partitions', () => {
+
+		expect( partitionCityObjects( createCityModel( [ 1, 1 ] ), 8 ) ).toHaveLength( 2 );
+		expect( partitionCityObjects( createCityModel( [] ), 8 ) ).toHaveLength( 1 );
+
+	} );
+
+	test( 'should give the same object ids as parsing the whole dataset', () => {
+
+		const citymodel = createCityModel( [ 3, 1, 2, 5, 1, 1, 2 ] );
+
+		const expected = getObjectIds( parseChunks( citymodel ).chunks );
+
+		const actual = [];
+
+		for ( const partition of partitionCityObjects( citymodel, 3 ) ) {
+
+			actual.push( ...getObjectIds( parseChunks( partition.data, { objectOffset: partition.objectOffset } ).chunks ) );
+
+		}
+
+		expect( actual ).toEqual( expected );
+
+	} );
+
+	test( 'should give the same geometry as parsing the whole dataset', () => {
+
+		const citymodel = createCityModel( [ 3, 1, 2, 5, 1, 1, 2 ] );
+
+		const expected = getPositions( parseChunks( citymodel ).chunks );
+		const actual = [];
+
+		for ( const partition of partitionCityObjects( citymodel, 3 ) ) {
+
+			actual.push( ...getPositions( parseChunks( partition.data ).chunks ) );
+
+		}
+
+		expect( actual ).toEqual( expected );
+
+	} );
+
+} );
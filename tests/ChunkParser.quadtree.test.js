@@ -0,0 +1,187 @@
+import { getCellBounds, groupObjectsByCell, partitionCityObjects } from '../src/parsers/helpers/ChunkParser';
+import { CityObjectsMesh } from '../src/objects/CityObjectsMesh';
+import { MeshBasicMaterial } from 'three';
+import { parseChunks } from './helpers/parseChunks';
+
+// A row of buildings along x that alternate between two districts, one at
+// y = 0 and one at y = 1000, so that chunks in file order span both
+function createCityModel( count ) {
+
+	const citymodel = {
+		type: 'CityJSON',
+		CityObjects: {},
+		vertices: []
+	};
+
+	for ( let i = 0; i < count; i ++ ) {
+
+		const x = Math.floor( i / 2 ) * 10;
+		const y = ( i % 2 ) * 1000;
+		const offset = citymodel.vertices.length;
+
+		citymodel.vertices.push( [ x, y, 0 ], [ x + 5, y, 0 ], [ x + 5, y + 5, 0 ], [ x, y + 5, 0 ] );
+
+		citymodel.CityObjects[ `building-${i}` ] = {
+			type: 'Building',
+			geometry: [ { type: 'MultiSurface', lod: '1', boundaries: [ [ [ offset, offset + 1, offset + 2, offset + 3 ] ] ] } ]
+		};
+
+	}
+
+	citymodel.CityObjects.group = { type: 'CityObjectGroup' };
+
+	return citymodel;
+
+}
+
+const quadtree = { chunkSize: 8, chunkStrategy: 'quadtree' };
+
+describe( 'groupObjectsByCell', () => {
+
+	test( 'groups every object once, in cells of up to the given size', () => {
+
+		const data = createCityModel( 40 );
+		const groups = groupObjectsByCell( data, 8 );
+
+		const objectIds = groups.flat();
+		expect( objectIds.length ).toBe( 41 );
+		expect( new Set( objectIds ).size ).toBe( 41 );
+
+		for ( const group of groups ) {
+
+			expect( group.length ).toBeLessThanOrEqual( 8 );
+
+		}
+
+		// Objects without geometry come last, on their own
+		expect( groups[ groups.length - 1 ] ).toEqual( [ 'group' ] );
+
+	} );
+
+	test( 'keeps the objects of a cell close together', () => {
+
+		const data = createCityModel( 40 );
+
+		for ( const group of groupObjectsByCell( data, 8 ).slice( 0, - 1 ) ) {
+
+			const districts = new Set( group.map( objectId => Number( objectId.split( '-' )[ 1 ] ) % 2 ) );
+			expect( districts.size ).toBe( 1 );
+
+		}
+
+	} );
+
+	test( 'stops splitting objects on the same spot', () => {
+
+		const data = createCityModel( 2 );
+		data.CityObjects[ 'building-1' ] = data.CityObjects[ 'building-0' ];
+
+		expect( groupObjectsByCell( data, 1 ).slice( 0, - 1 ) ).toEqual( [ [ 'building-0', 'building-1' ] ] );
+
+	} );
+
+	test( 'lines up the cells of partitions given the extent of the whole model', () => {
+
+		const data = createCityModel( 40 );
+		const bounds = getCellBounds( data );
+		const cells = groupObjectsByCell( data, 4 );
+
+		expect( bounds ).toEqual( [ 2.5, 2.5, 192.5, 1002.5 ] );
+
+		// Every cell of the whole model falls in one cell of a partition
+		const isAligned = ( partition, groups ) => cells.every( cell => {
+
+			const objectIds = cell.filter( objectId => objectId in partition.CityObjects );
+
+			return objectIds.length == 0 || groups.some( group => objectIds.every( objectId => group.includes( objectId ) ) );
+
+		} );
+
+		const partitions = partitionCityObjects( data, 3 ).map( partition => partition.data );
+
+		for ( const partition of partitions ) {
+
+			expect( isAligned( partition, groupObjectsByCell( partition, 4, bounds ) ) ).toBe( true );
+
+		}
+
+		// A partition alone splits its own extent
+		expect( partitions.every( partition => isAligned( partition, groupObjectsByCell( partition, 4 ) ) ) ).toBe( false );
+
+	} );
+
+} );
+
+describe( 'ChunkParser with the quadtree strategy', () => {
+
+	test( 'returns chunks of compact areas', () => {
+
+		const { chunks } = parseChunks( createCityModel( 40 ), quadtree );
+
+		expect( chunks.length ).toBeGreaterThan( 1 );
+
+		for ( const { vertices, geometryData } of chunks ) {
+
+			const ys = [];
+
+			for ( let i = 1; i < vertices.length; i += 3 ) {
+
+				ys.push( vertices[ i ] + geometryData.origin[ 1 ] );
+
+			}
+
+			expect( Math.max( ...ys ) - Math.min( ...ys ) ).toBeLessThanOrEqual( 5 );
+
+		}
+
+	} );
+
+	test( 'keeps the object indices and the count of objects', () => {
+
+		const data = createCityModel( 40 );
+		const { chunks, parser } = parseChunks( data, quadtree );
+
+		const objectIds = new Set( chunks.flatMap( chunk => chunk.geometryData.objectIds ) );
+
+		expect( objectIds ).toEqual( new Set( Array.from( { length: 40 }, ( v, i ) => i ) ) );
+		expect( parser.getSummary().objectCount ).toBe( 41 );
+
+	} );
+
+	test( 'gives every mesh tight bounding volumes', () => {
+
+		const data = createCityModel( 40 );
+		const { chunks } = parseChunks( data, quadtree );
+		const { vertices, geometryData } = chunks[ 0 ];
+
+		const mesh = new CityObjectsMesh( data, new Float32Array( vertices ).buffer, geometryData, null, new MeshBasicMaterial() );
+		const size = mesh.geometry.boundingBox.max.clone().sub( mesh.geometry.boundingBox.min );
+
+		expect( size.y ).toBe( 5 );
+		expect( mesh.geometry.boundingSphere.radius ).toBeLessThan( size.length() );
+
+	} );
+
+	test( 'splits the given root cell', () => {
+
+		const data = createCityModel( 40 );
+		const cellBounds = [ - 97.5, 2.5, 192.5, 1002.5 ];
+
+		const getCellSizes = options => parseChunks( data, options ).chunks.map( chunk => new Set( chunk.geometryData.objectIds ).size );
+
+		expect( getCellSizes( { ...quadtree, cellBounds } ) ).toEqual( groupObjectsByCell( data, 8, cellBounds ).slice( 0, - 1 ).map( group => group.length ) );
+		expect( getCellSizes( { ...quadtree, cellBounds } ) ).not.toEqual( getCellSizes( quadtree ) );
+
+	} );
+
+	test( 'is not used by default', () => {
+
+		const { chunks } = parseChunks( createCityModel( 40 ), { chunkSize: 8 } );
+
+		// In file order, the first chunk spans both districts
+		const ys = chunks[ 0 ].vertices.filter( ( v, i ) => i % 3 == 1 ).map( y => y + chunks[ 0 ].geometryData.origin[ 1 ] );
+		expect( Math.max( ...ys ) - Math.min( ...ys ) ).toBeGreaterThan( 900 );
+
+	} );
+
+} );
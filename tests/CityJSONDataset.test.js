@@ -0,0 +1,191 @@
+import { CityJSONDataset } from '../src/base/CityJSONDataset';
+import { CityObjectsMesh } from '../src/objects/CityObjectsMesh';
+import { TRIANGLES } from '../src/parsers/geometry/GeometryData';
+import { CityObjectsPointsMaterial } from '../src/materials/CityObjectsPointsMaterial';
+import { BufferGeometry, Color, Group, Mesh, MeshBasicMaterial } from 'three';
+
+function createMesh( material ) {
+
+	const mesh = new Mesh( new BufferGeometry(), material );
+	jest.spyOn( mesh.geometry, 'dispose' );
+	jest.spyOn( material, 'dispose' );
+
+	return mesh;
+
+}
+
+describe( 'CityJSONDataset', () => {
+
+	test( 'should take its metadata from the city model', () => {
+
+		const dataset = new CityJSONDataset( 'city.json' );
+		dataset.setCityModel( { type: 'CityJSON', metadata: { title: 'Delft' } } );
+
+		expect( dataset.url ).toBe( 'city.json' );
+		expect( dataset.metadata.title ).toBe( 'Delft' );
+
+	} );
+
+	test( 'should dispose its geometries, materials and textures on unload', () => {
+
+		const scene = new Group();
+		const dataset = new CityJSONDataset();
+		scene.add( dataset.group );
+
+		const shared = new MeshBasicMaterial();
+		dataset.sharedMaterials = [ shared ];
+
+		const own = createMesh( new MeshBasicMaterial() );
+		const other = createMesh( shared );
+
+		dataset.group.add( own, other );
+		dataset.addObjects( [ own, other ] );
+
+		dataset.textureManager = { dispose: jest.fn() };
+
+		const onUnload = jest.fn();
+		dataset.addEventListener( 'unload', onUnload );
+
+		dataset.unload();
+
+		expect( scene.children ).toHaveLength( 0 );
+		expect( dataset.objects ).toHaveLength( 0 );
+		expect( own.geometry.dispose ).toHaveBeenCalled();
+		expect( own.material.dispose ).toHaveBeenCalled();
+		expect( other.geometry.dispose ).toHaveBeenCalled();
+		expect( shared.dispose ).not.toHaveBeenCalled();
+		expect( dataset.textureManager.dispose ).toHaveBeenCalled();
+		expect( dataset.abortController.signal.aborted ).toBe( true );
+		expect( onUnload ).toHaveBeenCalledTimes( 1 );
+
+		// Unloading twice has no effect
+		dataset.unload();
+		expect( onUnload ).toHaveBeenCalledTimes( 1 );
+
+	} );
+
+	test( 'should dispose objects that arrive after it was unloaded', () => {
+
+		const dataset = new CityJSONDataset();
+		dataset.unload();
+
+		const mesh = createMesh( new MeshBasicMaterial() );
+		dataset.group.add( mesh );
+		dataset.addObjects( [ mesh ] );
+
+		expect( mesh.geometry.dispose ).toHaveBeenCalled();
+		expect( mesh.parent ).toBeNull();
+		expect( dataset.objects ).toHaveLength( 0 );
+
+	} );
+
+	test( 'should toggle the visibility of its outlines', () => {
+
+		const dataset = new CityJSONDataset();
+
+		const mesh = createMesh( new MeshBasicMaterial() );
+		const outline = createMesh( new MeshBasicMaterial() );
+		outline.isCityObjectOutline = true;
+
+		dataset.addObjects( [ mesh, outline ] );
+		dataset.showOutlines = false;
+
+		expect( outline.visible ).toBe( false );
+		expect( mesh.visible ).toBe( true );
+
+		// Outlines that arrive later follow the setting
+		const later = createMesh( new MeshBasicMaterial() );
+		later.isCityObjectOutline = true;
+		dataset.addObjects( [ later ] );
+
+		expect( later.visible ).toBe( false );
+
+		dataset.showOutlines = true;
+
+		expect( outline.visible ).toBe( true );
+		expect( later.visible ).toBe( true );
+
+	} );
+
+	test( 'should highlight, hide and color a subtree of objects', () => {
+
+		const citymodel = {
+			type: 'CityJSON',
+			CityObjects: {
+				building: { type: 'Building', children: [ 'part' ] },
+				part: { type: 'BuildingPart', parents: [ 'building' ] },
+				other: { type: 'Building' }
+			}
+		};
+
+		// One triangle per object
+		const vertices = new Float32Array( 27 ).buffer;
+		const objectIds = [ 0, 0, 0, 1, 1, 1, 2, 2, 2 ];
+		const fill = value => objectIds.map( () => value );
+
+		const mesh = new CityObjectsMesh( citymodel, vertices, {
+			geometryType: TRIANGLES,
+			objectIds,
+			objectType: fill( 0 ),
+			semanticSurfaces: fill( - 1 ),
+			geometryIds: fill( 0 ),
+			boundaryIds: fill( 0 ),
+			lodIds: fill( 0 ),
+			materials: {},
+			textures: {}
+		}, null, new MeshBasicMaterial() );
+
+		const dataset = new CityJSONDataset();
+		dataset.setCityModel( citymodel );
+		dataset.addObjects( [ mesh ] );
+
+		const states = mesh.geometry.getAttribute( 'objectstate' );
+		const building = dataset.hierarchy.getSubtree( 'building' );
+
+		expect( building ).toEqual( [ 'building', 'part' ] );
+
+		dataset.highlightObjects( building );
+		dataset.hideObjects( [ 'other' ] );
+		expect( Array.from( states.array ) ).toEqual( [ 1, 1, 1, 1, 1, 1, 2, 2, 2 ] );
+
+		dataset.colorObjects( [ 'part' ], 0xff0000 );
+		const colorIndex = ( states.getX( 3 ) >> 2 ) - 1;
+		expect( states.getX( 3 ) & 3 ).toBe( 1 );
+		expect( dataset.stateColors.colors[ colorIndex ].equals( new Color( 0xff0000 ).convertSRGBToLinear() ) ).toBe( true );
+
+		dataset.highlightObjects( building, false );
+		dataset.hideObjects( [ 'other' ], false );
+		dataset.colorObjects( [ 'part' ], null );
+		expect( Array.from( states.array ) ).toEqual( fill( 0 ) );
+
+	} );
+
+	test( 'should draw every dataset with its own colors', () => {
+
+		const material = new CityObjectsPointsMaterial();
+
+		const first = new CityJSONDataset();
+		const second = new CityJSONDataset();
+
+		first.colorObjects( [], 0xff0000 );
+		second.colorObjects( [], 0x00ff00 );
+
+		// Both datasets start from the first color
+		expect( first.stateColors.getIndex( 0xff0000 ) ).toBe( 0 );
+		expect( second.stateColors.getIndex( 0x00ff00 ) ).toBe( 0 );
+
+		const object = new Mesh( new BufferGeometry(), material );
+		second.addObjects( [ object ] );
+
+		material.onBeforeRender( null, null, null, object.geometry, object );
+
+		expect( material.uniforms.stateColors.value ).toBe( second.stateColors.colors );
+		expect( material.uniformsNeedUpdate ).toBe( true );
+
+		material.onBeforeRender( null, null, null, object.geometry, new Mesh() );
+
+		expect( material.uniforms.stateColors.value ).toBe( material.defaultStateColors );
+
+	} );
+
+} );
@@ -0,0 +1,86 @@
+import { CityJSONHierarchy } from '../src/helpers/CityJSONHierarchy';
+
+// A building with two parts, one of them with an installation, and a group
+// of the building and a bridge
+function createCityObjects() {
+
+	return {
+		building: { type: 'Building', children: [ 'part-1', 'part-2' ] },
+		'part-1': { type: 'BuildingPart', parents: [ 'building' ], children: [ 'installation' ] },
+		'part-2': { type: 'BuildingPart', parents: [ 'building' ] },
+		installation: { type: 'BuildingInstallation', parents: [ 'part-1' ] },
+		bridge: { type: 'Bridge' },
+		group: { type: 'CityObjectGroup', children: [ 'building', 'bridge' ] }
+	};
+
+}
+
+describe( 'CityJSONHierarchy', () => {
+
+	test( 'finds the roots, ignoring groups', () => {
+
+		const hierarchy = new CityJSONHierarchy( createCityObjects() );
+
+		expect( hierarchy.roots ).toEqual( [ 'building', 'bridge', 'group' ] );
+		expect( hierarchy.getParents( 'building' ) ).toEqual( [] );
+		expect( hierarchy.getParents( 'installation' ) ).toEqual( [ 'part-1' ] );
+		expect( hierarchy.getChildren( 'building' ) ).toEqual( [ 'part-1', 'part-2' ] );
+
+	} );
+
+	test( 'returns all the descendants of an object', () => {
+
+		const hierarchy = new CityJSONHierarchy( createCityObjects() );
+
+		expect( hierarchy.getDescendants( 'building' ) ).toEqual( [ 'part-1', 'installation', 'part-2' ] );
+		expect( hierarchy.getSubtree( 'part-1' ) ).toEqual( [ 'part-1', 'installation' ] );
+		expect( hierarchy.getDescendants( 'bridge' ) ).toEqual( [] );
+		expect( hierarchy.getDescendants( 'group' ) ).toEqual( [ 'building', 'part-1', 'installation', 'part-2', 'bridge' ] );
+
+	} );
+
+	test( 'returns the members of groups and the groups of objects', () => {
+
+		const cityObjects = createCityObjects();
+
+		// A CityJSON 1.0 group, and an object that names its group as a parent
+		cityObjects.old = { type: 'CityObjectGroup', members: [ 'bridge' ] };
+		cityObjects[ 'part-2' ].parents.push( 'old' );
+
+		const hierarchy = new CityJSONHierarchy( cityObjects );
+
+		expect( hierarchy.getMembers( 'group' ) ).toEqual( [ 'building', 'bridge' ] );
+		expect( hierarchy.getMembers( 'old' ) ).toEqual( [ 'part-2', 'bridge' ] );
+		expect( hierarchy.getGroups( 'bridge' ) ).toEqual( [ 'group', 'old' ] );
+		expect( hierarchy.getGroups( 'installation' ) ).toEqual( [] );
+		expect( hierarchy.getParents( 'part-2' ) ).toEqual( [ 'building' ] );
+
+	} );
+
+	test( 'links objects added in several batches', () => {
+
+		const hierarchy = new CityJSONHierarchy();
+
+		hierarchy.addObjects( { 'part-1': { type: 'BuildingPart', parents: [ 'building' ] }, bridge: { type: 'Bridge', parents: [ 'group' ] } } );
+		hierarchy.addObjects( { building: { type: 'Building' }, group: { type: 'CityObjectGroup' } } );
+
+		expect( hierarchy.has( 'building' ) ).toBe( true );
+		expect( hierarchy.getSubtree( 'building' ) ).toEqual( [ 'building', 'part-1' ] );
+		expect( hierarchy.getMembers( 'group' ) ).toEqual( [ 'bridge' ] );
+		expect( hierarchy.getParents( 'bridge' ) ).toEqual( [] );
+		expect( hierarchy.roots ).toEqual( [ 'bridge', 'building', 'group' ] );
+
+	} );
+
+	test( 'does not loop on cycles', () => {
+
+		const hierarchy = new CityJSONHierarchy( {
+			a: { type: 'Building', children: [ 'b' ] },
+			b: { type: 'BuildingPart', children: [ 'a' ] }
+		} );
+
+		expect( hierarchy.getDescendants( 'a' ) ).toEqual( [ 'b' ] );
+
+	} );
+
+} );
@@ -0,0 +1,137 @@
+import { CityJSONLoader } from '../src/base/CityJSONLoader';
+import { CityJSONParser } from '../src/parsers/CityJSONParser';
+import { Matrix4, Vector3 } from 'three';
+
+// The worker parser relies on `import.meta` which is not available here
+jest.mock( '../src/parsers/CityJSONWorkerParser', () => ( { CityJSONWorkerParser: jest.fn() } ) );
+
+// The fat lines of three.js are ES modules that Jest does not transform
+jest.mock( 'three/examples/jsm/lines/LineMaterial', () => ( {} ) );
+jest.mock( '../src/objects/CityObjectsLines', () => ( { CityObjectsLines: jest.fn() } ) );
+jest.mock( '../src/materials/CityObjectsLineMaterial', () => ( { CityObjectsLineMaterial: jest.fn() } ) );
+jest.mock( '../src/materials/CityObjectsPointsMaterial', () => ( { CityObjectsPointsMaterial: jest.fn() } ) );
+
+const citymodel = {
+	type: 'CityJSON',
+	version: '2.0',
+	transform: { scale: [ 0.001, 0.001, 0.001 ], translate: [ 85000, 446000, 0 ] },
+	CityObjects: {
+		building: {
+			type: 'Building',
+			geometry: [ {
+				type: 'MultiSurface',
+				lod: '1',
+				boundaries: [ [ [ 0, 1, 2, 3 ] ] ]
+			} ]
+		},
+		tree: {
+			type: 'SolitaryVegetationObject',
+			geometry: [ {
+				type: 'GeometryInstance',
+				template: 0,
+				boundaries: [ 4 ],
+				transformationMatrix: [
+					2, 0, 0, 0,
+					0, 2, 0, 0,
+					0, 0, 2, 0,
+					0, 0, 0, 1
+				]
+			} ]
+		}
+	},
+	'geometry-templates': {
+		templates: [ {
+			type: 'MultiSurface',
+			lod: '1',
+			boundaries: [ [ [ 0, 1, 2 ] ] ]
+		} ],
+		'vertices-templates': [ [ 0, 0, 0 ], [ 1, 0, 0 ], [ 0, 0, 1 ] ]
+	},
+	vertices: [
+		[ 10000, 20000, 0 ],
+		[ 20000, 20000, 0 ],
+		[ 20000, 20000, 5000 ],
+		[ 10000, 20000, 5000 ],
+		[ 30000, 40000, 1000 ]
+	]
+};
+
+function createLoader() {
+
+	return new CityJSONLoader( new CityJSONParser() ).setUpAxis( 'Y' ).setUnitScale( 100 );
+
+}
+
+describe( 'CityJSONLoader axes and units', () => {
+
+	test( 'should convert the datasets to the up axis and units of the scene', async () => {
+
+		const loader = createLoader();
+		const dataset = await loader.parse( citymodel );
+
+		// Y-up in centimetres: ( x, y, z ) -> ( x, z, - y ) * 100
+		expect( dataset.boundingBox.min.toArray() ).toEqual( [ 1000, 0, - 4000 ] );
+		expect( dataset.boundingBox.max.toArray() ).toEqual( [ 3000, 500, - 2000 ] );
+
+		const mesh = dataset.objects.find( object => object.isCityObjectMesh && ! object.isInstancedMesh );
+		mesh.geometry.computeBoundingBox();
+		mesh.updateMatrixWorld();
+
+		const box = mesh.geometry.boundingBox.clone().applyMatrix4( mesh.matrixWorld );
+
+		expect( box.min.toArray().map( Math.round ) ).toEqual( [ 1000, 0, - 2000 ] );
+		expect( box.max.toArray().map( Math.round ) ).toEqual( [ 2000, 500, - 2000 ] );
+
+	} );
+
+	test( 'should orient and place templates like the other geometries', async () => {
+
+		const loader = createLoader();
+		const dataset = await loader.parse( citymodel );
+
+		const instances = dataset.objects.find( object => object.isInstancedMesh );
+
+		const matrix = new Matrix4();
+		instances.getMatrixAt( 0, matrix );
+
+		// The top of the template ( 0, 0, 1 ) is up, at twice its size
+		const top = new Vector3( 0, 0, 1 ).applyMatrix4( matrix );
+		const anchor = new Vector3( 0, 0, 0 ).applyMatrix4( matrix );
+
+		expect( anchor.toArray().map( Math.round ) ).toEqual( [ 3000, 100, - 4000 ] );
+		expect( top.sub( anchor ).toArray().map( Math.round ) ).toEqual( [ 0, 200, 0 ] );
+
+	} );
+
+	test( 'should report intersections in the coordinates of the file', async () => {
+
+		const loader = createLoader();
+		const dataset = await loader.parse( citymodel );
+
+		loader.scene.position.set( 5, 5, 5 );
+		loader.scene.updateMatrixWorld();
+
+		const mesh = dataset.objects.find( object => object.isCityObjectMesh && ! object.isInstancedMesh );
+
+		const point = loader.fromCRSCoordinates( new Vector3( 85015, 446020, 2.5 ) );
+		const info = mesh.resolveIntersectionInfo( { face: { a: 0 }, point } );
+
+		expect( info.objectId ).toBe( 'building' );
+		expect( info.point.x ).toBeCloseTo( 85015, 6 );
+		expect( info.point.y ).toBeCloseTo( 446020, 6 );
+		expect( info.point.z ).toBeCloseTo( 2.5, 6 );
+
+		const crs = loader.toCRSCoordinates( point );
+
+		expect( crs.x ).toBeCloseTo( 85015, 6 );
+		expect( crs.z ).toBeCloseTo( 2.5, 6 );
+
+	} );
+
+	test( 'should reject unsupported up axes', () => {
+
+		expect( () => new CityJSONLoader( new CityJSONParser() ).setUpAxis( 'X' ) ).toThrow( 'Unsupported up axis' );
+
+	} );
+
+} );
@@ -0,0 +1,154 @@
+import { CityJSONLoader } from '../src/base/CityJSONLoader';
+import { BufferGeometry, Mesh } from 'three';
+
+// The worker parser relies on `import.meta` which is not available here
+jest.mock( '../src/parsers/CityJSONWorkerParser', () => ( { CityJSONWorkerParser: jest.fn() } ) );
+
+const header = {
+	type: 'CityJSON',
+	version: '2.0',
+	transform: { scale: [ 0.5, 0.5, 0.5 ], translate: [ 100, 200, 0 ] },
+	CityObjects: {},
+	vertices: []
+};
+
+function feature( id ) {
+
+	return {
+		type: 'CityJSONFeature',
+		id,
+		CityObjects: {
+			[ id ]: {
+				type: 'Building',
+				geometry: [ { type: 'MultiSurface', lod: '1', boundaries: [ [ [ 0, 1, 2 ] ] ] } ]
+			}
+		},
+		vertices: [ [ 0, 0, 0 ], [ 2, 0, 0 ], [ 0, 2, 0 ] ]
+	};
+
+}
+
+function createParser() {
+
+	const parser = {
+		batches: [],
+		parse: jest.fn( data => {
+
+			parser.batches.push( data );
+			return new Promise( resolve => setTimeout( resolve, 0 ) );
+
+		} )
+	};
+
+	return parser;
+
+}
+
+describe( 'CityJSONLoader.loadSequence', () => {
+
+	test( 'should parse every feature with the header transform', async () => {
+
+		const parser = createParser();
+		const loader = new CityJSONLoader( parser );
+
+		async function* stream() {
+
+			yield JSON.stringify( header ) + '\n' + JSON.stringify( feature( 'a' ) ) + '\n';
+			yield JSON.stringify( feature( 'b' ) ) + '\n';
+			yield JSON.stringify( feature( 'c' ) );
+
+		}
+
+		const result = await loader.loadSequence( stream() );
+
+		expect( result.citymodel.transform ).toEqual( header.transform );
+
+		const ids = parser.batches.map( b => Object.keys( b.CityObjects ) ).flat();
+		expect( ids ).toEqual( [ 'a', 'b', 'c' ] );
+
+		for ( const batch of parser.batches ) {
+
+			expect( batch.transform ).toEqual( header.transform );
+
+		}
+
+		// All batches share the same matrix
+		expect( parser.matrix ).toEqual( loader.matrix );
+		expect( loader.matrix.elements[ 0 ] ).toBe( 0.5 );
+
+	} );
+
+	test( 'should not parse batches concurrently', async () => {
+
+		const parser = createParser();
+		let running = 0;
+		let maxRunning = 0;
+
+		parser.parse = jest.fn( () => {
+
+			running ++;
+			maxRunning = Math.max( running, maxRunning );
+
+			return new Promise( resolve => setTimeout( () => {
+
+				running --;
+				resolve();
+
+			}, 5 ) );
+
+		} );
+
+		const loader = new CityJSONLoader( parser );
+
+		async function* stream() {
+
+			yield JSON.stringify( header ) + '\n';
+
+			for ( const id of [ 'a', 'b', 'c', 'd' ] ) {
+
+				yield JSON.stringify( feature( id ) ) + '\n';
+
+			}
+
+		}
+
+		await loader.loadSequence( stream() );
+
+		expect( maxRunning ).toBe( 1 );
+		expect( running ).toBe( 0 );
+
+	} );
+
+	test( 'should stop reading and remove the parsed batches when aborted', async () => {
+
+		const parser = createParser();
+		parser.parse = jest.fn( ( data, scene ) => {
+
+			const mesh = new Mesh( new BufferGeometry() );
+			scene.add( mesh );
+
+			return Promise.resolve( [ mesh ] );
+
+		} );
+
+		const loader = new CityJSONLoader( parser );
+		const controller = new AbortController();
+
+		async function* stream() {
+
+			yield JSON.stringify( header ) + '\n' + JSON.stringify( feature( 'a' ) ) + '\n';
+			await new Promise( resolve => setTimeout( resolve, 5 ) );
+
+			controller.abort();
+			yield JSON.stringify( feature( 'b' ) ) + '\n';
+
+		}
+
+		await expect( loader.loadSequence( stream(), controller.signal ) ).rejects.toMatchObject( { name: 'AbortError' } );
+
+		expect( parser.parse ).toHaveBeenCalledTimes( 1 );
+		expect( loader.scene.children ).toHaveLength( 0 );
+
+	} );
+
+} );
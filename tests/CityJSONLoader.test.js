@@ -0,0 +1,533 @@
+import { CityJSONLoader } from '../src/base/CityJSONLoader';
+import { BufferGeometry, LoadingManager, Mesh, Vector3 } from 'three';
+import { TextDecoder } from 'util';
+
+// The worker parser relies on `import.meta` which is not available here
+jest.mock( '../src/parsers/CityJSONWorkerParser', () => ( { CityJSONWorkerParser: jest.fn() } ) );
+
+jest.mock( '../src/helpers/TextureManager', () => ( {
+	TextureManager: jest.fn().mockImplementation( ( citymodel, options ) => {
+
+		const manager = {
+			options,
+			pendingTextures: citymodel.appearance.textures.length,
+			onLoad: null,
+			dispose: jest.fn()
+		};
+
+		setTimeout( () => {
+
+			manager.pendingTextures = 0;
+			if ( manager.onLoad ) manager.onLoad();
+
+		}, 5 );
+
+		return manager;
+
+	} )
+} ) );
+
+global.TextDecoder = TextDecoder;
+
+const citymodel = {
+	type: 'CityJSON',
+	version: '2.0',
+	transform: { scale: [ 0.001, 0.001, 0.001 ], translate: [ 0, 0, 0 ] },
+	CityObjects: {
+		a: { type: 'Building' },
+		b: { type: 'Building' }
+	},
+	vertices: [ [ 0, 0, 0 ], [ 1000, 1000, 1000 ] ]
+};
+
+function createParser() {
+
+	return {
+		parse: jest.fn( ( data, scene, onProgress ) => new Promise( resolve => {
+
+			setTimeout( () => {
+
+				if ( onProgress ) onProgress( 1 );
+				if ( onProgress ) onProgress( 2 );
+				resolve();
+
+			}, 0 );
+
+		} ) )
+	};
+
+}
+
+function mockFetch( text, ok = true ) {
+
+	const bytes = Buffer.from( text );
+	const half = Math.floor( bytes.length / 2 );
+	const chunks = [ bytes.subarray( 0, half ), bytes.subarray( half ) ];
+
+	global.fetch = jest.fn( ( url, init ) => {
+
+		if ( init.signal && init.signal.aborted ) {
+
+			return Promise.reject( new DOMException( 'Aborted', 'AbortError' ) );
+
+		}
+
+		return Promise.resolve( {
+			ok,
+			status: ok ? 200 : 404,
+			statusText: ok ? 'OK' : 'Not Found',
+			headers: { get: () => String( bytes.length ) },
+			text: () => Promise.resolve( text ),
+			body: {
+				getReader: () => {
+
+					let i = 0;
+
+					return {
+						read: () => Promise.resolve( i < chunks.length ? { done: false, value: chunks[ i ++ ] } : { done: true } ),
+						releaseLock: () => {}
+					};
+
+				}
+			}
+		} );
+
+	} );
+
+}
+
+describe( 'CityJSONLoader', () => {
+
+	afterEach( () => {
+
+		delete global.fetch;
+
+	} );
+
+	test( 'should parse an object passed to load() for backwards compatibility', async () => {
+
+		const parser = createParser();
+		const loader = new CityJSONLoader( parser );
+
+		const dataset = loader.load( citymodel );
+
+		// The matrix is available synchronously
+		expect( loader.matrix ).not.toBeNull();
+		expect( loader.boundingBox ).not.toBeNull();
+
+		await expect( dataset.ready ).resolves.toBe( dataset );
+		expect( dataset.citymodel ).toBe( citymodel );
+		expect( parser.parse ).toHaveBeenCalledTimes( 1 );
+
+	} );
+
+	test( 'should load from a URL and report progress for every stage', async () => {
+
+		mockFetch( JSON.stringify( citymodel ) );
+
+		const parser = createParser();
+		const loader = new CityJSONLoader( parser );
+		loader.setPath( '/data/' );
+
+		const events = [];
+
+		const result = await loader.loadAsync( 'city.json', e => events.push( e ) );
+
+		expect( global.fetch ).toHaveBeenCalledWith( '/data/city.json', expect.anything() );
+		expect( result.citymodel.CityObjects ).toEqual( citymodel.CityObjects );
+
+		const download = events.filter( e => e.stage === 'download' );
+		expect( download ).toHaveLength( 2 );
+		expect( download[ 1 ].loaded ).toBe( download[ 1 ].total );
+
+		const parse = events.filter( e => e.stage === 'parse' );
+		expect( parse.map( e => e.loaded ) ).toEqual( [ 1, 2 ] );
+		expect( parse[ 0 ].total ).toBe( 2 );
+
+	} );
+
+	test( 'should notify the loading manager', async () => {
+
+		mockFetch( JSON.stringify( citymodel ) );
+
+		const manager = new LoadingManager();
+		const onStart = jest.fn();
+		const onLoad = jest.fn();
+		manager.onStart = onStart;
+		manager.onLoad = onLoad;
+
+		const loader = new CityJSONLoader( createParser(), manager );
+
+		await new Promise( resolve => loader.load( 'city.json', resolve ) );
+
+		expect( onStart ).toHaveBeenCalledWith( 'city.json', 0, 1 );
+		expect( onLoad ).toHaveBeenCalled();
+
+	} );
+
+	test( 'should call onError for failed requests', async () => {
+
+		mockFetch( 'Not found', false );
+
+		const manager = new LoadingManager();
+		manager.onError = jest.fn();
+
+		const loader = new CityJSONLoader( createParser(), manager );
+		const onError = jest.fn();
+
+		await new Promise( resolve => loader.load( 'missing.json', undefined, undefined, err => {
+
+			onError( err );
+			resolve();
+
+		} ) );
+
+		expect( onError ).toHaveBeenCalledWith( expect.objectContaining( { message: expect.stringContaining( '404' ) } ) );
+		expect( manager.onError ).toHaveBeenCalledWith( 'missing.json' );
+
+	} );
+
+	test( 'should wait for the textures before resolving', async () => {
+
+		const parser = createParser();
+		const loader = new CityJSONLoader( parser );
+		loader.textureOptions = { anisotropy: 16 };
+
+		const textured = Object.assign( {}, citymodel, { appearance: { textures: [ { image: 'a.png' } ] } } );
+		const events = [];
+
+		await loader.parse( textured, e => events.push( e ) );
+
+		expect( loader.textureManager ).not.toBeNull();
+		expect( loader.textureManager.pendingTextures ).toBe( 0 );
+		expect( loader.textureManager.options.anisotropy ).toBe( 16 );
+		expect( loader.textureManager.options.manager ).toBe( loader.manager );
+		expect( events.filter( e => e.stage === 'textures' ) ).toEqual( [ { stage: 'textures', loaded: 1, total: 1, lengthComputable: true } ] );
+
+	} );
+
+	test( 'should resolve texture images against the file location', async () => {
+
+		const textured = Object.assign( {}, citymodel, { appearance: { textures: [ { image: 'tex.png' } ] } } );
+		mockFetch( JSON.stringify( textured ) );
+
+		const loader = new CityJSONLoader( createParser() );
+
+		await loader.loadAsync( '/data/city.json' );
+
+		expect( loader.textureManager.options.urlResolver.resolve( 'tex.png' ) ).toBe( '/data/tex.png' );
+
+	} );
+
+	test( 'should prefer the textures path and resolver', async () => {
+
+		const textured = Object.assign( {}, citymodel, { appearance: { textures: [ { image: 'tex.png' } ] } } );
+		mockFetch( JSON.stringify( textured ) );
+
+		const loader = new CityJSONLoader( createParser() );
+		loader.setTexturesPath( 'https://example.com/textures/' )
+			.setTextureResolver( url => url === 'special.png' ? 'blob:special' : null );
+
+		await loader.loadAsync( '/data/city.json' );
+
+		const resolver = loader.textureManager.options.urlResolver;
+		expect( resolver.resolve( 'tex.png' ) ).toBe( 'https://example.com/textures/tex.png' );
+		expect( resolver.resolve( 'special.png' ) ).toBe( 'blob:special' );
+
+	} );
+
+	test( 'should reject with an AbortError when aborted', async () => {
+
+		mockFetch( JSON.stringify( citymodel ) );
+
+		const parser = createParser();
+		const loader = new CityJSONLoader( parser );
+		const controller = new AbortController();
+
+		const loading = loader.loadAsync( 'city.json', undefined, controller.signal );
+		controller.abort();
+
+		await expect( loading ).rejects.toMatchObject( { name: 'AbortError' } );
+
+	} );
+
+	test( 'should remove the objects of a load aborted with abort()', async () => {
+
+		const geometry = new BufferGeometry();
+		geometry.dispose = jest.fn();
+
+		const parser = {
+			parse: jest.fn( ( data, scene ) => {
+
+				const mesh = new Mesh( geometry );
+				scene.add( mesh );
+
+				return Promise.resolve( [ mesh ] );
+
+			} )
+		};
+
+		const loader = new CityJSONLoader( parser );
+
+		// The textures keep the load pending after parsing
+		const textured = Object.assign( {}, citymodel, { appearance: { textures: [ { image: 'a.png' } ] } } );
+		const loading = loader.parse( textured );
+
+		await new Promise( resolve => setTimeout( resolve, 0 ) );
+		expect( loader.scene.children ).toHaveLength( 1 );
+
+		loader.abort();
+
+		await expect( loading ).rejects.toMatchObject( { name: 'AbortError' } );
+		expect( loader.scene.children ).toHaveLength( 0 );
+		expect( geometry.dispose ).toHaveBeenCalled();
+
+	} );
+
+	test( 'should pass the abort signal to the parser', async () => {
+
+		const parser = {
+			parse: jest.fn( ( data, scene, onProgress, signal ) => new Promise( ( resolve, reject ) => {
+
+				signal.addEventListener( 'abort', () => reject( new DOMException( 'Aborted', 'AbortError' ) ) );
+
+			} ) )
+		};
+
+		const loader = new CityJSONLoader( parser );
+		const loading = loader.parse( citymodel );
+
+		loader.abort();
+
+		await expect( loading ).rejects.toMatchObject( { name: 'AbortError' } );
+		expect( parser.parse.mock.calls[ 0 ][ 3 ].aborted ).toBe( true );
+		expect( loader.abortControllers.size ).toBe( 0 );
+
+	} );
+
+	test( 'should place every dataset relative to the same origin', async () => {
+
+		const loader = new CityJSONLoader( createParser() );
+
+		const tile = Object.assign( {}, citymodel, {
+			transform: { scale: [ 0.01, 0.01, 0.01 ], translate: [ 100, 50, 0 ] },
+			metadata: { title: 'Second tile' }
+		} );
+
+		const first = await loader.parse( citymodel );
+		const second = await loader.parse( tile );
+
+		expect( loader.datasets ).toEqual( [ first, second ] );
+		expect( loader.scene.children ).toEqual( [ first.group, second.group ] );
+
+		expect( first.group.position.toArray() ).toEqual( [ 0, 0, 0 ] );
+		expect( second.group.position.toArray() ).toEqual( [ 100, 50, 0 ] );
+		expect( second.metadata.title ).toBe( 'Second tile' );
+
+		// Every dataset is parsed with its own scale
+		expect( loader.matrix.elements[ 0 ] ).toBe( 0.001 );
+		expect( second.matrix.elements[ 0 ] ).toBe( 0.01 );
+
+		expect( second.boundingBox.min.toArray() ).toEqual( [ 100, 50, 0 ] );
+		expect( second.boundingBox.max.toArray() ).toEqual( [ 110, 60, 10 ] );
+
+	} );
+
+	test( 'should convert world coordinates to the coordinates of the CRS', async () => {
+
+		const loader = new CityJSONLoader( createParser() );
+
+		await loader.parse( Object.assign( {}, citymodel, {
+			transform: { scale: [ 0.001, 0.001, 0.001 ], translate: [ 85000, 446000, 0 ] }
+		} ) );
+
+		loader.scene.position.set( 1, 2, 3 );
+
+		const point = loader.toCRSCoordinates( new Vector3( 13.345, 989.123, 5 ) );
+
+		expect( point.x ).toBeCloseTo( 85012.345, 9 );
+		expect( point.y ).toBeCloseTo( 446987.123, 9 );
+		expect( point.z ).toBeCloseTo( 2, 9 );
+
+		expect( loader.fromCRSCoordinates( point ).toArray().map( v => + v.toFixed( 9 ) ) ).toEqual( [ 13.345, 989.123, 5 ] );
+
+	} );
+
+	test( 'should expose the metadata of the last dataset', async () => {
+
+		const loader = new CityJSONLoader( createParser() );
+
+		expect( loader.metadata ).toBe( null );
+
+		const dataset = await loader.parse( Object.assign( {}, citymodel, {
+			version: '1.0',
+			metadata: { datasetTitle: 'Delft' }
+		} ) );
+
+		expect( loader.metadata ).toBe( dataset.metadata );
+		expect( loader.metadata.version ).toBe( '1.0' );
+		expect( loader.metadata.title ).toBe( 'Delft' );
+
+	} );
+
+	test( 'should pass the bytes of the file to parsers that read them in a worker', async () => {
+
+		mockFetch( JSON.stringify( citymodel ) );
+
+		const parser = {
+			parseSource: jest.fn( ( source, scene, onProgress, signal, onCityModel ) => Promise.resolve().then( () => {
+
+				const summary = Object.assign( {}, citymodel, { vertices: [] } );
+				onCityModel( summary, [ 0, 0, 0, 1000, 1000, 1000 ] );
+
+				return [];
+
+			} ) )
+		};
+
+		const loader = new CityJSONLoader( parser );
+		const dataset = await loader.loadAsync( 'city.json', () => {} );
+
+		const source = parser.parseSource.mock.calls[ 0 ][ 0 ];
+
+		expect( Object.prototype.toString.call( source ) ).toBe( '[object ArrayBuffer]' );
+		expect( JSON.parse( new TextDecoder().decode( source ) ) ).toEqual( citymodel );
+
+		expect( dataset.citymodel.vertices ).toEqual( [] );
+		expect( dataset.metadata.version ).toBe( '2.0' );
+		expect( parser.matrix.elements[ 0 ] ).toBe( 0.001 );
+		expect( dataset.boundingBox.max.toArray() ).toEqual( [ 1, 1, 1 ] );
+
+	} );
+
+	test( 'should read the content of a file for other parsers', async () => {
+
+		const parser = createParser();
+		const loader = new CityJSONLoader( parser );
+
+		const dataset = await loader.parse( JSON.stringify( citymodel ) );
+
+		expect( parser.parse.mock.calls[ 0 ][ 0 ].CityObjects ).toEqual( citymodel.CityObjects );
+		expect( dataset.citymodel.type ).toBe( 'CityJSON' );
+
+	} );
+
+	test( 'should unload a single dataset', async () => {
+
+		const loader = new CityJSONLoader( createParser() );
+
+		const first = await loader.parse( citymodel );
+		const second = await loader.parse( citymodel );
+
+		first.unload();
+
+		expect( loader.datasets ).toEqual( [ second ] );
+		expect( loader.scene.children ).toEqual( [ second.group ] );
+
+	} );
+
+	test( 'should abort a dataset that is unloaded while loading', async () => {
+
+		mockFetch( JSON.stringify( citymodel ) );
+
+		const loader = new CityJSONLoader( createParser() );
+		const dataset = loader.load( 'city.json', undefined, undefined, () => {} );
+
+		dataset.unload();
+
+		await expect( dataset.ready ).rejects.toMatchObject( { name: 'AbortError' } );
+		expect( loader.datasets ).toHaveLength( 0 );
+		expect( loader.abortControllers.size ).toBe( 0 );
+
+	} );
+
+	test( 'should reproject datasets to the target CRS', async () => {
+
+		const parser = createParser();
+		const reprojections = [];
+		const parse = parser.parse;
+		parser.parse = jest.fn( ( ...args ) => {
+
+			reprojections.push( parser.reprojection );
+			return parse( ...args );
+
+		} );
+
+		const loader = new CityJSONLoader( parser );
+		loader.setTargetCRS( 'EPSG:28992' );
+
+		const rd = Object.assign( {}, citymodel, {
+			transform: { scale: [ 0.001, 0.001, 0.001 ], translate: [ 85000, 446000, 0 ] },
+			metadata: { referenceSystem: 'https://www.opengis.net/def/crs/EPSG/0/7415' }
+		} );
+
+		// The same place, in UTM 31N
+		const utm = Object.assign( {}, citymodel, {
+			transform: { scale: [ 0.001, 0.001, 0.001 ], translate: [ 593908.356, 5761694.955, 0 ] },
+			metadata: { referenceSystem: 'https://www.opengis.net/def/crs/EPSG/0/32631' }
+		} );
+
+		const first = await loader.parse( rd );
+		const second = await loader.parse( utm );
+
+		expect( reprojections[ 0 ] ).toBeNull();
+		expect( reprojections[ 1 ].target ).toBe( loader.crsRegistry.get( 'EPSG:28992' ) );
+
+		expect( first.group.position.length() ).toBe( 0 );
+		expect( second.group.position.length() ).toBeLessThan( 0.01 );
+
+		// The scale is applied by the parser along with the reprojection
+		expect( parser.matrix.elements[ 0 ] ).toBe( 1 );
+		expect( second.boundingBox.max.x ).toBeCloseTo( 1, 1 );
+
+	} );
+
+	test( 'should not reproject datasets in an unknown CRS', async () => {
+
+		const warn = jest.spyOn( console, 'warn' ).mockImplementation( () => {} );
+
+		const parser = createParser();
+		const loader = new CityJSONLoader( parser );
+		loader.setTargetCRS( 'EPSG:28992' );
+
+		await loader.parse( Object.assign( {}, citymodel, { metadata: { referenceSystem: 'https://www.opengis.net/def/crs/EPSG/0/2056' } } ) );
+
+		expect( parser.reprojection ).toBeNull();
+		expect( warn ).toHaveBeenCalled();
+
+		warn.mockRestore();
+
+	} );
+
+	test( 'should keep the summary that the parser reports on the dataset', async () => {
+
+		const diagnostic = { objectId: 'a', geometryIndex: 0, boundaryIndex: 2, reason: 'collinear' };
+		const onComplete = jest.fn();
+
+		const parser = createParser();
+		parser.onComplete = onComplete;
+
+		parser.parse.mockImplementation( () => {
+
+			const complete = parser.onComplete;
+
+			return Promise.resolve().then( () => complete( {
+				objectCount: 2,
+				skippedObjects: [],
+				skippedGeometryCount: 0,
+				diagnostics: [ diagnostic ]
+			} ) );
+
+		} );
+
+		const loader = new CityJSONLoader( parser );
+		const dataset = await loader.parse( citymodel );
+
+		expect( dataset.summary.objectCount ).toBe( 2 );
+		expect( dataset.summary.diagnostics ).toEqual( [ diagnostic ] );
+		expect( onComplete ).toHaveBeenCalledTimes( 1 );
+		expect( parser.onComplete ).toBe( onComplete );
+
+	} );
+
+} );
@@ -0,0 +1,100 @@
+import { normalizeLod, parseVersion, readMetadata } from '../src/helpers/CityJSONMetadata';
+import { BaseParser } from '../src/parsers/geometry/BaseParser';
+
+describe( 'CityJSONMetadata', () => {
+
+	test( 'should read the metadata of a CityJSON 1.0 file', () => {
+
+		const metadata = readMetadata( {
+			type: 'CityJSON',
+			version: '1.0.3',
+			extensions: {
+				Noise: { url: 'https://example.com/noise.ext.json', version: 1.0 }
+			},
+			metadata: {
+				citymodelIdentifier: 'delft-1',
+				datasetTitle: 'Delft',
+				datasetReferenceDate: '2019-06-01',
+				datasetPointOfContact: {
+					contactName: 'TU Delft',
+					emailAddress: 'info@example.com',
+					address: 'Julianalaan 134, Delft'
+				},
+				referenceSystem: 'urn:ogc:def:crs:EPSG::7415',
+				geographicalExtent: [ 0, 0, 0, 10, 10, 10 ],
+				lineage: []
+			}
+		} );
+
+		expect( metadata.version ).toBe( '1.0' );
+		expect( metadata.declaredVersion ).toBe( '1.0.3' );
+		expect( metadata.extensions ).toEqual( [ { name: 'Noise', url: 'https://example.com/noise.ext.json', version: '1' } ] );
+
+		expect( metadata.identifier ).toBe( 'delft-1' );
+		expect( metadata.title ).toBe( 'Delft' );
+		expect( metadata.referenceDate ).toBe( '2019-06-01' );
+		expect( metadata.pointOfContact.contactName ).toBe( 'TU Delft' );
+		expect( metadata.pointOfContact.address ).toEqual( { text: 'Julianalaan 134, Delft' } );
+
+		expect( metadata.crs ).toBe( 'EPSG:7415' );
+		expect( metadata.geographicalExtent ).toEqual( [ 0, 0, 0, 10, 10, 10 ] );
+		expect( metadata.transform ).toBe( null );
+		expect( metadata.properties.lineage ).toEqual( [] );
+
+	} );
+
+	test( 'should read the metadata of a CityJSON 2.0 file the same way', () => {
+
+		const metadata = readMetadata( {
+			type: 'CityJSON',
+			version: '2.0',
+			transform: { scale: [ 0.001, 0.001, 0.001 ], translate: [ 1, 2, 3 ] },
+			metadata: {
+				identifier: 'delft-1',
+				title: 'Delft',
+				pointOfContact: {
+					contactName: 'TU Delft',
+					address: { locality: 'Delft' }
+				},
+				referenceSystem: 'https://www.opengis.net/def/crs/EPSG/0/7415'
+			}
+		} );
+
+		expect( metadata.version ).toBe( '2.0' );
+		expect( metadata.extensions ).toEqual( [] );
+		expect( metadata.title ).toBe( 'Delft' );
+		expect( metadata.referenceDate ).toBe( null );
+		expect( metadata.pointOfContact.address ).toEqual( { locality: 'Delft' } );
+		expect( metadata.crs ).toBe( 'EPSG:7415' );
+		expect( metadata.geographicalExtent ).toBe( null );
+		expect( metadata.transform ).toEqual( { scale: [ 0.001, 0.001, 0.001 ], translate: [ 1, 2, 3 ] } );
+
+	} );
+
+	test( 'should handle files without metadata or version', () => {
+
+		const metadata = readMetadata( { type: 'CityJSON' } );
+
+		expect( metadata.version ).toBe( null );
+		expect( metadata.title ).toBe( null );
+		expect( metadata.crs ).toBe( null );
+		expect( parseVersion( 1 ) ).toBe( '1.0' );
+		expect( parseVersion( 'latest' ) ).toBe( null );
+
+	} );
+
+	test( 'should read numeric LoDs as strings', () => {
+
+		expect( normalizeLod( 2 ) ).toBe( '2' );
+		expect( normalizeLod( 2.2 ) ).toBe( '2.2' );
+		expect( normalizeLod( '1.3' ) ).toBe( '1.3' );
+
+		const parser = new BaseParser( {}, [], {} );
+
+		expect( parser.getLodIndex( 2 ) ).toBe( 0 );
+		expect( parser.getLodIndex( '2' ) ).toBe( 0 );
+		expect( parser.lods ).toEqual( [ '2' ] );
+
+	} );
+
+} );
@@ -0,0 +1,140 @@
+import { CityJSONSeqReader, readChunks } from '../src/parsers/helpers/CityJSONSeqReader';
+
+const header = {
+	type: 'CityJSON',
+	version: '2.0',
+	transform: { scale: [ 0.001, 0.001, 0.001 ], translate: [ 100, 200, 0 ] },
+	CityObjects: {},
+	vertices: []
+};
+
+const feature1 = {
+	type: 'CityJSONFeature',
+	id: 'a',
+	CityObjects: {
+		a: {
+			type: 'Building',
+			geometry: [ { type: 'MultiSurface', lod: '1', boundaries: [ [ [ 0, 1, 2 ] ] ] } ]
+		}
+	},
+	vertices: [ [ 0, 0, 0 ], [ 1, 0, 0 ], [ 0, 1, 0 ] ]
+};
+
+const feature2 = {
+	type: 'CityJSONFeature',
+	id: 'b',
+	CityObjects: {
+		b: {
+			type: 'Building',
+			geometry: [ { type: 'Solid', lod: '1', boundaries: [ [ [ [ 0, 1, 2 ] ], [ [ 2, 1, 0 ] ] ] ] } ]
+		}
+	},
+	vertices: [ [ 5, 5, 5 ], [ 6, 5, 5 ], [ 5, 6, 5 ] ]
+};
+
+const lines = [ header, feature1, feature2 ].map( l => JSON.stringify( l ) ).join( '\n' ) + '\n';
+
+describe( 'CityJSONSeqReader', () => {
+
+	test( 'should read the header and batch features', () => {
+
+		const reader = new CityJSONSeqReader();
+		reader.read( lines );
+		reader.flush();
+
+		expect( reader.header.transform ).toEqual( header.transform );
+		expect( reader.featureCount ).toBe( 2 );
+		expect( reader.hasBatch() ).toBe( true );
+
+		const batch = reader.takeBatch();
+
+		expect( Object.keys( batch.CityObjects ) ).toEqual( [ 'a', 'b' ] );
+		expect( batch.vertices ).toHaveLength( 6 );
+		expect( batch.transform ).toEqual( header.transform );
+		expect( batch.type ).toBe( 'CityJSON' );
+
+		// Boundaries of the second feature are offset to the batch vertices
+		expect( batch.CityObjects.b.geometry[ 0 ].boundaries ).toEqual( [ [ [ [ 3, 4, 5 ] ], [ [ 5, 4, 3 ] ] ] ] );
+		expect( batch.CityObjects.a.geometry[ 0 ].boundaries ).toEqual( [ [ [ 0, 1, 2 ] ] ] );
+
+		expect( reader.hasBatch() ).toBe( false );
+
+	} );
+
+	test( 'should handle chunks split in the middle of lines', () => {
+
+		const reader = new CityJSONSeqReader();
+
+		for ( let i = 0; i < lines.length; i += 7 ) {
+
+			reader.read( lines.slice( i, i + 7 ) );
+
+		}
+
+		reader.flush();
+
+		expect( reader.featureCount ).toBe( 2 );
+		expect( Object.keys( reader.takeBatch().CityObjects ) ).toEqual( [ 'a', 'b' ] );
+
+	} );
+
+	test( 'should read a last line without a line ending on flush', () => {
+
+		const reader = new CityJSONSeqReader();
+		reader.read( lines.trimEnd() );
+
+		expect( reader.featureCount ).toBe( 1 );
+
+		reader.flush();
+
+		expect( reader.featureCount ).toBe( 2 );
+
+	} );
+
+	test( 'should start a new batch after taking one', () => {
+
+		const reader = new CityJSONSeqReader();
+		reader.read( JSON.stringify( header ) + '\n' + JSON.stringify( feature1 ) + '\n' );
+
+		const first = reader.takeBatch();
+
+		reader.read( JSON.stringify( feature2 ) + '\n' );
+
+		const second = reader.takeBatch();
+
+		expect( Object.keys( first.CityObjects ) ).toEqual( [ 'a' ] );
+		expect( Object.keys( second.CityObjects ) ).toEqual( [ 'b' ] );
+		expect( second.CityObjects.b.geometry[ 0 ].boundaries ).toEqual( [ [ [ [ 0, 1, 2 ] ], [ [ 2, 1, 0 ] ] ] ] );
+
+	} );
+
+	test( 'should throw if the stream does not start with a header', () => {
+
+		const reader = new CityJSONSeqReader();
+
+		expect( () => reader.read( JSON.stringify( feature1 ) + '\n' ) ).toThrow( /header/ );
+
+	} );
+
+	test( 'readChunks should iterate over async iterables', async () => {
+
+		async function* source() {
+
+			yield 'a';
+			yield 'b';
+
+		}
+
+		const chunks = [];
+
+		for await ( const chunk of readChunks( source() ) ) {
+
+			chunks.push( chunk );
+
+		}
+
+		expect( chunks ).toEqual( [ 'a', 'b' ] );
+
+	} );
+
+} );
@@ -0,0 +1,76 @@
+import { isCityJSONSource, readCityJSON, summarizeCityModel } from '../src/parsers/helpers/CityJSONSource';
+import { TextDecoder, TextEncoder } from 'util';
+
+global.TextDecoder = TextDecoder;
+
+const citymodel = {
+	type: 'CityJSON',
+	version: '2.0',
+	metadata: { title: 'Delft' },
+	CityObjects: {
+		building: {
+			type: 'Building',
+			attributes: { height: 10 },
+			geometry: [ {
+				type: 'MultiSurface',
+				lod: '1',
+				boundaries: [ [ [ 0, 1, 2 ] ] ],
+				semantics: { surfaces: [ { type: 'RoofSurface' } ], values: [ 0 ] },
+				material: { summer: { values: [ 0 ] }, winter: { value: 1 } }
+			} ]
+		},
+		tree: {
+			type: 'SolitaryVegetationObject',
+			geometry: [ { type: 'GeometryInstance', template: 0, boundaries: [ 3 ], transformationMatrix: [] } ]
+		}
+	},
+	vertices: [ [ 0, 0, 0 ], [ 10, 0, 0 ], [ 10, 10, 5 ], [ - 5, 2, 1 ] ]
+};
+
+describe( 'CityJSONSource', () => {
+
+	test( 'should tell the content of a file from a CityJSON object', () => {
+
+		expect( isCityJSONSource( '{}' ) ).toBe( true );
+		expect( isCityJSONSource( new ArrayBuffer( 2 ) ) ).toBe( true );
+		expect( isCityJSONSource( new Uint8Array( 2 ) ) ).toBe( true );
+		expect( isCityJSONSource( new Blob( [ '{}' ] ) ) ).toBe( true );
+		expect( isCityJSONSource( citymodel ) ).toBe( false );
+
+	} );
+
+	test( 'should read text and bytes', async () => {
+
+		const text = JSON.stringify( citymodel );
+
+		await expect( readCityJSON( text ) ).resolves.toEqual( citymodel );
+		await expect( readCityJSON( new TextEncoder().encode( text ).buffer ) ).resolves.toEqual( citymodel );
+		await expect( readCityJSON( '{ "type": ' ) ).rejects.toThrow();
+
+	} );
+
+	test( 'should leave the boundaries out of the summary', () => {
+
+		const { citymodel: summary, boundingBox } = summarizeCityModel( citymodel );
+
+		expect( boundingBox ).toEqual( [ - 5, 0, 0, 10, 10, 5 ] );
+
+		expect( summary.metadata ).toEqual( { title: 'Delft' } );
+		expect( Object.keys( summary.CityObjects ) ).toEqual( [ 'building', 'tree' ] );
+		expect( summary.CityObjects.building.attributes ).toEqual( { height: 10 } );
+		expect( summary.CityObjects.building.geometry ).toEqual( [ {
+			type: 'MultiSurface',
+			lod: '1',
+			semantics: { surfaces: [ { type: 'RoofSurface' } ] },
+			material: { summer: {}, winter: { value: 1 } }
+		} ] );
+
+		expect( summary.CityObjects.tree.geometry ).toEqual( [ { type: 'GeometryInstance', template: 0, transformationMatrix: [] } ] );
+		expect( summary.vertices ).toEqual( [] );
+
+		// The original object is not modified
+		expect( citymodel.CityObjects.tree.geometry[ 0 ].boundaries ).toEqual( [ 3 ] );
+
+	} );
+
+} );
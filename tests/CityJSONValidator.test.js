@@ -0,0 +1,277 @@
+import { CityJSONValidator, ValidationReport } from '../src/helpers/CityJSONValidator';
+import { CityObjectsMesh } from '../src/objects/CityObjectsMesh';
+import { ChunkParser } from '../src/parsers/helpers/ChunkParser';
+import { MeshBasicMaterial } from 'three';
+
+// The six faces of a unit cube, facing outwards
+const cubeVertices = [
+	[ 0, 0, 0 ], [ 1, 0, 0 ], [ 1, 1, 0 ], [ 0, 1, 0 ],
+	[ 0, 0, 1 ], [ 1, 0, 1 ], [ 1, 1, 1 ], [ 0, 1, 1 ]
+];
+
+function createCube() {
+
+	return [
+		[ [ 0, 3, 2, 1 ] ],
+		[ [ 4, 5, 6, 7 ] ],
+		[ [ 0, 1, 5, 4 ] ],
+		[ [ 1, 2, 6, 5 ] ],
+		[ [ 2, 3, 7, 6 ] ],
+		[ [ 3, 0, 4, 7 ] ]
+	];
+
+}
+
+function createCityModel( geometry, vertices = cubeVertices ) {
+
+	return {
+		type: 'CityJSON',
+		CityObjects: {
+			building: { type: 'Building', geometry: [ geometry ] }
+		},
+		vertices
+	};
+
+}
+
+function validate( citymodel ) {
+
+	return new CityJSONValidator().validate( citymodel );
+
+}
+
+function errorTypes( report, objectId = 'building' ) {
+
+	return report.getErrors( objectId ).map( error => error.type );
+
+}
+
+describe( 'CityJSONValidator', () => {
+
+	test( 'accepts a closed solid', () => {
+
+		const report = validate( createCityModel( { type: 'Solid', lod: '2', boundaries: [ createCube() ] } ) );
+
+		expect( report.isValid ).toBe( true );
+		expect( report.getErrors( 'building' ) ).toEqual( [] );
+
+	} );
+
+	test( 'finds unclosed shells', () => {
+
+		const boundaries = [ createCube().slice( 1 ) ];
+		const report = validate( createCityModel( { type: 'Solid', lod: '2', boundaries } ) );
+
+		expect( errorTypes( report ) ).toEqual( [ 'unclosed-shell' ] );
+		expect( report.invalidObjects ).toEqual( [ 'building' ] );
+
+	} );
+
+	test( 'finds non-manifold shells', () => {
+
+		const cube = createCube();
+		const boundaries = [ cube.concat( [ cube[ 0 ] ] ) ];
+
+		expect( errorTypes( validate( createCityModel( { type: 'Solid', lod: '2', boundaries } ) ) ) ).toEqual( [ 'non-manifold-shell' ] );
+
+	} );
+
+	test( 'finds surfaces that are oriented against their neighbours', () => {
+
+		const cube = createCube();
+		cube[ 3 ] = [ cube[ 3 ][ 0 ].slice().reverse() ];
+
+		const report = validate( createCityModel( { type: 'Solid', lod: '2', boundaries: [ cube ] } ) );
+
+		expect( report.getErrors( 'building' ) ).toEqual( [
+			{ type: 'inconsistent-orientation', geometryIndex: 0, boundaryIndex: 0 }
+		] );
+
+	} );
+
+	test( 'finds shells that face inwards', () => {
+
+		const boundaries = [ createCube().map( surface => [ surface[ 0 ].slice().reverse() ] ) ];
+
+		expect( errorTypes( validate( createCityModel( { type: 'Solid', lod: '2', boundaries } ) ) ) ).toEqual( [ 'inverted-shell' ] );
+
+	} );
+
+	test( 'expects interior shells to face inwards', () => {
+
+		const interior = createCube().map( surface => [ surface[ 0 ].map( i => i + 8 ).reverse() ] );
+		const vertices = cubeVertices.concat( cubeVertices.map( v => v.map( c => c * 0.5 + 0.25 ) ) );
+		const boundaries = [ createCube(), interior ];
+
+		expect( validate( createCityModel( { type: 'Solid', lod: '2', boundaries }, vertices ) ).isValid ).toBe( true );
+
+	} );
+
+	test( 'numbers the surfaces of multi solids across their shells', () => {
+
+		const second = createCube().map( surface => [ surface[ 0 ].map( i => i + 8 ) ] ).slice( 1 );
+		const vertices = cubeVertices.concat( cubeVertices.map( v => [ v[ 0 ] + 2, v[ 1 ], v[ 2 ] ] ) );
+		const report = validate( createCityModel( { type: 'MultiSolid', lod: '2', boundaries: [ [ createCube() ], [ second ] ] }, vertices ) );
+
+		// The first surface of the second solid along its open bottom
+		expect( report.getErrors( 'building' ) ).toEqual( [
+			{ type: 'unclosed-shell', geometryIndex: 0, boundaryIndex: 7 }
+		] );
+
+	} );
+
+	test( 'finds interior rings that go the same way as the exterior ring', () => {
+
+		const vertices = [ [ 0, 0, 0 ], [ 10, 0, 0 ], [ 10, 10, 0 ], [ 0, 10, 0 ], [ 4, 4, 0 ], [ 6, 4, 0 ], [ 6, 6, 0 ] ];
+
+		const valid = validate( createCityModel( { type: 'MultiSurface', lod: '2', boundaries: [ [ [ 0, 1, 2, 3 ], [ 4, 6, 5 ] ] ] }, vertices ) );
+		const invalid = validate( createCityModel( { type: 'MultiSurface', lod: '2', boundaries: [ [ [ 0, 1, 2, 3 ], [ 4, 5, 6 ] ] ] }, vertices ) );
+
+		expect( valid.isValid ).toBe( true );
+		expect( errorTypes( invalid ) ).toEqual( [ 'inconsistent-orientation' ] );
+
+	} );
+
+	test( 'finds non-planar surfaces beyond the tolerance', () => {
+
+		const vertices = [ [ 0, 0, 0 ], [ 1000, 0, 0 ], [ 1000, 1000, 50 ], [ 0, 1000, 0 ] ];
+		const citymodel = createCityModel( { type: 'MultiSurface', lod: '2', boundaries: [ [ [ 0, 1, 2, 3 ] ] ] }, vertices );
+
+		expect( errorTypes( validate( citymodel ) ) ).toEqual( [ 'non-planar' ] );
+
+		// The tolerance is relative to the size of the surface
+		citymodel.transform = { scale: [ 0.001, 0.001, 0.001 ], translate: [ 0, 0, 0 ] };
+
+		expect( errorTypes( validate( citymodel ) ) ).toEqual( [ 'non-planar' ] );
+
+		const validator = new CityJSONValidator();
+		validator.planarityTolerance = 0.05;
+
+		expect( validator.validate( citymodel ).isValid ).toBe( true );
+
+	} );
+
+	test( 'finds collinear surfaces', () => {
+
+		const vertices = [ [ 0, 0, 0 ], [ 1, 0, 0 ], [ 2, 0, 0 ] ];
+		const report = validate( createCityModel( { type: 'MultiSurface', lod: '2', boundaries: [ [ [ 0, 1, 2 ] ] ] }, vertices ) );
+
+		expect( errorTypes( report ) ).toEqual( [ 'collinear' ] );
+
+	} );
+
+	test( 'refuses the city model of a loaded dataset', () => {
+
+		const citymodel = createCityModel( { type: 'Solid', lod: '2' }, [] );
+
+		expect( () => validate( citymodel ) ).toThrow( 'without its vertices and boundaries' );
+
+	} );
+
+	test( 'finds duplicate vertices and repeated points', () => {
+
+		const vertices = cubeVertices.concat( [ [ 1, 1, 0 ] ] );
+		const boundaries = [ [ [ 0, 1, 8, 3 ] ], [ [ 0, 1, 2, 3, 0 ] ] ];
+		const report = validate( createCityModel( { type: 'MultiSurface', lod: '2', boundaries }, vertices ) );
+
+		expect( report.getErrors( 'building' ) ).toEqual( [
+			{ type: 'duplicate-vertex', geometryIndex: 0, boundaryIndex: 0 },
+			{ type: 'repeated-point', geometryIndex: 0, boundaryIndex: 1 }
+		] );
+
+	} );
+
+	test( 'finds missing vertices without throwing', () => {
+
+		const report = validate( createCityModel( { type: 'Solid', lod: '2', boundaries: [ [ [ [ 0, 1, 99 ] ] ] ] } ) );
+
+		expect( errorTypes( report ) ).toEqual( [ 'missing-vertex' ] );
+		expect( errorTypes( validate( createCityModel( { type: 'MultiPoint', lod: '1', boundaries: [ 0, 42 ] } ) ) ) ).toEqual( [ 'missing-vertex' ] );
+
+	} );
+
+	test( 'finds semantic and texture values that do not match the boundaries', () => {
+
+		const boundaries = [ createCube() ];
+		const citymodel = createCityModel( {
+			type: 'Solid',
+			lod: '2',
+			boundaries,
+			semantics: { surfaces: [ { type: 'RoofSurface' } ], values: [ [ 0, null, null ] ] },
+			texture: {
+				winter: { values: [ [ [ [ 0, 0, 1, 2 ] ], [ [ null ] ], [ [ null ] ], [ [ null ] ], [ [ null ] ], [ [ null ] ] ] ] }
+			}
+		} );
+
+		expect( errorTypes( validate( citymodel ) ) ).toEqual( [ 'semantics-mismatch', 'texture-mismatch' ] );
+
+		citymodel.CityObjects.building.geometry[ 0 ].semantics.values = [ [ 0, null, null, null, null, null ] ];
+		citymodel.CityObjects.building.geometry[ 0 ].texture.winter.values[ 0 ][ 0 ][ 0 ].push( 3 );
+
+		expect( validate( citymodel ).isValid ).toBe( true );
+
+	} );
+
+	test( 'finds parents and children that do not exist', () => {
+
+		const citymodel = createCityModel( { type: 'Solid', lod: '2', boundaries: [ createCube() ] } );
+		citymodel.CityObjects.building.children = [ 'part', 'annex' ];
+		citymodel.CityObjects.part = { type: 'BuildingPart', parents: [ 'building', 'site' ] };
+
+		const report = validate( citymodel );
+
+		expect( report.getErrors( 'building' ) ).toEqual( [
+			{ type: 'dangling-child', geometryIndex: null, boundaryIndex: null, reference: 'annex' }
+		] );
+		expect( report.getErrors( 'part' ) ).toEqual( [
+			{ type: 'dangling-parent', geometryIndex: null, boundaryIndex: null, reference: 'site' }
+		] );
+
+	} );
+
+} );
+
+describe( 'ValidationReport', () => {
+
+	const citymodel = {
+		CityObjects: { valid: { type: 'Building' }, invalid: { type: 'Building' } }
+	};
+
+	test( 'returns the highlight of an error', () => {
+
+		const report = new ValidationReport( citymodel );
+		report.addError( 'invalid', 'non-planar', 1, 4 );
+		report.addError( 'invalid', 'dangling-parent', null, null, 'site' );
+
+		const [ surfaceError, objectError ] = report.getErrors( 'invalid' );
+
+		expect( report.getHighlight( 'invalid', surfaceError ) ).toEqual( { objectIndex: 1, geometryIndex: 1, boundaryIndex: 4 } );
+		expect( report.getHighlight( 'invalid', objectError ) ).toEqual( { objectIndex: 1 } );
+
+	} );
+
+	test( 'colours the invalid objects of a mesh', () => {
+
+		const data = createCityModel( { type: 'Solid', lod: '2', boundaries: [ createCube().slice( 1 ) ] } );
+		data.CityObjects.valid = { type: 'Building', geometry: [ { type: 'Solid', lod: '2', boundaries: [ createCube() ] } ] };
+
+		const chunks = [];
+		const parser = new ChunkParser();
+		parser.onchunkload = ( vertices, geometryData ) => chunks.push( { vertices, geometryData } );
+		parser.parse( data );
+
+		const { vertices, geometryData } = chunks[ 0 ];
+		const mesh = new CityObjectsMesh( data, new Float32Array( vertices ).buffer, geometryData, null, new MeshBasicMaterial() );
+		const report = validate( data );
+
+		mesh.addAttributeByProperty( report );
+
+		const values = mesh.geometry.attributes.attributevalue.array;
+		const objectIds = mesh.geometry.attributes.objectid.array;
+
+		values.forEach( ( value, i ) => expect( value ).toBe( objectIds[ i ] == 0 ? 0 : 1 ) );
+		expect( Object.keys( report.createColors() ) ).toEqual( report.getUniqueValues() );
+
+	} );
+
+} );
@@ -0,0 +1,316 @@
+import { CityJSONWorkerParser } from '../src/parsers/CityJSONWorkerParser';
+import { WorkerPool } from '../src/parsers/helpers/WorkerPool';
+import { ParserWorkerTasks } from '../src/parsers/helpers/ParserWorkerTasks';
+import { getCellBounds } from '../src/parsers/helpers/ChunkParser';
+import { TRIANGLES } from '../src/parsers/geometry/GeometryData';
+import { Group } from 'three';
+import { TextDecoder, TextEncoder } from 'util';
+
+global.TextDecoder = TextDecoder;
+global.TextEncoder = TextEncoder;
+
+// The tests give the parser workers of their own
+jest.mock( '../src/parsers/helpers/ParserWorkerFactory', () => ( { createParserWorker: null } ) );
+
+// A chunk of one triangle of the first object of a partition
+function createChunk( objectOffset ) {
+
+	const fill = value => [ value, value, value ];
+
+	return {
+		type: 'chunkLoaded',
+		v_buffer: new Float32Array( 9 ).buffer,
+		geometryData: {
+			geometryType: TRIANGLES,
+			objectIds: fill( objectOffset ),
+			objectType: fill( 0 ),
+			semanticSurfaces: fill( - 1 ),
+			geometryIds: fill( 0 ),
+			boundaryIds: fill( 0 ),
+			lodIds: fill( 0 ),
+			materials: {},
+			textures: {}
+		},
+		lods: [ '1' ],
+		objectColors: { Building: 0xff0000 },
+		surfaceColors: {},
+		objectCount: 1
+	};
+
+}
+
+// A worker that answers a partition by following a script: "slow" sends a
+// chunk every few milliseconds, "fail" fails after a while and "quick" sends
+// one chunk and is done
+class ScriptedWorker {
+
+	constructor( script ) {
+
+		this.script = script;
+		this.terminated = false;
+		this.messages = [];
+
+	}
+
+	postMessage( message ) {
+
+		this.messages.push( message );
+
+		const objectOffset = message[ 1 ].objectOffset;
+
+		if ( this.script === 'slow' ) {
+
+			for ( let i = 1; i <= 5; i ++ ) {
+
+				this.post( createChunk( objectOffset ), i * 5 );
+
+			}
+
+			this.post( { type: 'done', objectCount: 1, skippedObjects: [], skippedGeometryCount: 0, diagnostics: [] }, 30 );
+
+		} else if ( this.script === 'fail' ) {
+
+			this.post( { type: 'error', message: 'Invalid partition' }, 8 );
+
+		} else {
+
+			this.post( createChunk( objectOffset ), 0 );
+			this.post( { type: 'done', objectCount: 1, skippedObjects: [], skippedGeometryCount: 0, diagnostics: [] }, 1 );
+
+		}
+
+	}
+
+	post( data, delay ) {
+
+		// Terminated workers do not post anything anymore
+		setTimeout( () => ! this.terminated && this.onmessage( { data } ), delay );
+
+	}
+
+	terminate() {
+
+		this.terminated = true;
+
+	}
+
+}
+
+// A worker that runs the tasks of the parser worker, on this thread but
+// asynchronously
+class TaskWorker {
+
+	constructor() {
+
+		this.terminated = false;
+		this.messages = [];
+
+		this.tasks = new ParserWorkerTasks( data => {
+
+			setTimeout( () => ! this.terminated && this.onmessage( { data } ), 0 );
+
+		} );
+
+	}
+
+	postMessage( message ) {
+
+		this.messages.push( message );
+
+		setTimeout( () => ! this.terminated && this.tasks.onMessage( message ), 0 );
+
+	}
+
+	terminate() {
+
+		this.terminated = true;
+
+	}
+
+}
+
+// The workers follow the `scripts`, or run the real tasks for "tasks"
+function createParser( scripts ) {
+
+	const parser = new CityJSONWorkerParser();
+	const workers = [];
+
+	parser.chunkSize = 1;
+	parser.workerCount = scripts.length;
+	parser.workerPool = new WorkerPool( () => {
+
+		const script = scripts[ workers.length ];
+		const worker = script === 'tasks' ? new TaskWorker() : new ScriptedWorker( script );
+		workers.push( worker );
+		return worker;
+
+	} );
+
+	return { parser, workers };
+
+}
+
+function createCityModel( count ) {
+
+	const citymodel = { type: 'CityJSON', CityObjects: {}, vertices: [] };
+
+	for ( let i = 0; i < count; i ++ ) {
+
+		citymodel.CityObjects[ `building-${i}` ] = { type: 'Building' };
+
+	}
+
+	return citymodel;
+
+}
+
+// A triangle for every building
+function createTriangles( citymodel ) {
+
+	Object.values( citymodel.CityObjects ).forEach( ( cityObject, i ) => {
+
+		citymodel.vertices.push( [ i, 0, 0 ], [ i + 1, 0, 0 ], [ i, 1, 0 ] );
+		cityObject.geometry = [ { type: 'MultiSurface', lod: '1', boundaries: [ [ [ 3 * i, 3 * i + 1, 3 * i + 2 ] ] ] } ];
+
+	} );
+
+	return citymodel;
+
+}
+
+const wait = delay => new Promise( resolve => setTimeout( resolve, delay ) );
+
+describe( 'CityJSONWorkerParser', () => {
+
+	test( 'stops the other partitions when one fails', async () => {
+
+		const { parser, workers } = createParser( [ 'slow', 'fail' ] );
+		const scene = new Group();
+
+		await expect( parser.parse( createCityModel( 2 ), scene ) ).rejects.toThrow( 'Invalid partition' );
+
+		// The chunks the slow partition would still send are not added
+		await wait( 50 );
+
+		expect( scene.children ).toHaveLength( 0 );
+		expect( workers[ 0 ].terminated ).toBe( true );
+		expect( parser.workerPool.activeTasks.size ).toBe( 0 );
+		expect( parser.loading ).toBe( false );
+
+	} );
+
+	test( 'fails the parse if onComplete throws', async () => {
+
+		const { parser } = createParser( [ 'quick' ] );
+		const scene = new Group();
+
+		parser.onComplete = () => {
+
+			throw new Error( 'Callback failed' );
+
+		};
+
+		await expect( parser.parse( createCityModel( 1 ), scene ) ).rejects.toThrow( 'Callback failed' );
+
+		expect( scene.children ).toHaveLength( 0 );
+
+	} );
+
+	test( 'parses the templates in the first partition only', async () => {
+
+		const { parser, workers } = createParser( [ 'quick', 'quick' ] );
+
+		await parser.parse( createCityModel( 2 ), new Group() );
+
+		expect( workers.map( worker => worker.messages[ 0 ][ 1 ].templateGeometry ) ).toEqual( [ true, false ] );
+
+	} );
+
+	test( 'keeps the objects of a complete parse when it is cancelled', async () => {
+
+		const { parser } = createParser( [ 'quick' ] );
+		const scene = new Group();
+
+		const objects = await parser.parse( createCityModel( 1 ), scene );
+		parser.cancel();
+
+		expect( objects ).toHaveLength( 1 );
+		expect( scene.children ).toEqual( objects );
+
+	} );
+
+	test( 'stops listening to the signal once the parse is over', async () => {
+
+		const { parser } = createParser( [ 'quick' ] );
+		const controller = new AbortController();
+
+		jest.spyOn( controller.signal, 'addEventListener' );
+		jest.spyOn( controller.signal, 'removeEventListener' );
+
+		const scene = new Group();
+		const objects = await parser.parse( createCityModel( 1 ), scene, undefined, controller.signal );
+
+		const listener = controller.signal.addEventListener.mock.calls[ 0 ][ 1 ];
+		expect( controller.signal.removeEventListener ).toHaveBeenCalledWith( 'abort', listener );
+
+		// Aborting later does not touch the finished parse
+		controller.abort();
+
+		expect( scene.children ).toEqual( objects );
+
+	} );
+
+	test( 'splits a file read by a worker across the pool', async () => {
+
+		const { parser, workers } = createParser( [ 'tasks', 'tasks' ] );
+		const scene = new Group();
+		const source = JSON.stringify( createTriangles( createCityModel( 2 ) ) );
+
+		const objects = await parser.parse( source, scene );
+
+		// The worker that read the file parses the first building, and the
+		// second one is parsed by the other worker
+		expect( workers ).toHaveLength( 2 );
+		expect( workers[ 1 ].messages[ 0 ][ 1 ] ).toMatchObject( { partition: true, objectOffset: 1, templateGeometry: false } );
+		expect( objects ).toHaveLength( 2 );
+		expect( objects.map( object => object.geometry.getAttribute( 'objectid' ).getX( 0 ) ) ).toEqual( [ 0, 1 ] );
+
+	} );
+
+	test( 'gives every partition the quadtree of the whole model', async () => {
+
+		const citymodel = createTriangles( createCityModel( 2 ) );
+		const cellBounds = getCellBounds( citymodel );
+
+		const { parser, workers } = createParser( [ 'tasks', 'tasks' ] );
+		parser.chunkStrategy = 'quadtree';
+
+		await parser.parse( citymodel, new Group() );
+
+		expect( workers.map( worker => worker.messages[ 0 ][ 1 ].cellBounds ) ).toEqual( [ cellBounds, cellBounds ] );
+
+		// The worker that reads a file computes it for the others
+		const source = createParser( [ 'tasks', 'tasks' ] );
+		source.parser.chunkStrategy = 'quadtree';
+
+		await source.parser.parse( JSON.stringify( citymodel ), new Group() );
+
+		expect( source.workers[ 1 ].messages[ 0 ][ 1 ].cellBounds ).toEqual( cellBounds );
+
+	} );
+
+	test( 'fails the parse if a worker throws', async () => {
+
+		const { parser } = createParser( [ 'tasks', 'tasks' ] );
+		const citymodel = createCityModel( 1 );
+
+		// The boundary points past the only vertex
+		citymodel.vertices.push( [ 0, 0, 0 ] );
+		citymodel.CityObjects[ 'building-0' ].geometry = [ { type: 'MultiLineString', lod: '1', boundaries: [ [ 0, 5 ] ] } ];
+
+		await expect( parser.parse( citymodel, new Group() ) ).rejects.toThrow( 'Cannot parse the CityJSON file' );
+		await expect( parser.parse( JSON.stringify( citymodel ), new Group() ) ).rejects.toThrow( 'Cannot parse the CityJSON file' );
+
+	} );
+
+} );
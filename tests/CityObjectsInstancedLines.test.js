@@ -0,0 +1,84 @@
+import { CityObjectsInstancedLines } from '../src/objects/CityObjectsInstancedLines';
+import { CityObjectsLineMaterial } from '../src/materials/CityObjectsLineMaterial';
+import { LINES } from '../src/parsers/geometry/GeometryData';
+import { Matrix4, Raycaster, Vector3 } from 'three';
+
+const citymodel = {
+	CityObjects: {
+		road: { type: 'Road' },
+		sign1: { type: 'CityFurniture' },
+		sign2: { type: 'CityFurniture' }
+	}
+};
+
+// A template of two segments, the pole and the arm of a sign
+const vertices = new Float32Array( [ 0, 0, 0, 0, 0, 4, 0, 0, 4, 1, 0, 4 ] ).buffer;
+
+const geometryData = {
+	geometryType: LINES,
+	objectIds: [ - 1, - 1, - 1, - 1 ],
+	objectType: [ - 1, - 1, - 1, - 1 ],
+	semanticSurfaces: [ - 1, - 1, 0, 0 ],
+	geometryIds: [ - 1, - 1, - 1, - 1 ],
+	boundaryIds: [ 0, 0, 1, 1 ],
+	lodIds: [ 0, 0, 0, 0 ]
+};
+
+const instanceData = {
+	matrices: [ new Matrix4().makeTranslation( 10, 0, 0 ), new Matrix4().makeTranslation( 20, 0, 0 ) ],
+	objectIds: [ 1, 2 ],
+	objectType: [ 3, 3 ],
+	geometryIds: [ 0, 1 ]
+};
+
+describe( 'CityObjectsInstancedLines', () => {
+
+	test( 'should store the segments of the template once', () => {
+
+		const lines = new CityObjectsInstancedLines( citymodel, vertices, geometryData, instanceData, null, new CityObjectsLineMaterial() );
+
+		expect( lines.isInstancedMesh ).toBe( true );
+		expect( lines.count ).toBe( 2 );
+
+		// The quad of every segment, with 8 vertices and 18 indices
+		expect( lines.geometry.getAttribute( 'instanceStart' ).count ).toBe( 16 );
+		expect( lines.geometry.getAttribute( 'instanceEnd' ).getZ( 8 ) ).toBe( 4 );
+		expect( lines.geometry.getIndex().count ).toBe( 36 );
+		expect( lines.geometry.getAttribute( 'boundaryid' ).getX( 15 ) ).toBe( 1 );
+
+		expect( Array.from( lines.geometry.getAttribute( 'objectid' ).array ) ).toEqual( [ 1, 2 ] );
+		expect( lines.geometry.getAttribute( 'objectstate' ).count ).toBe( 2 );
+
+		expect( lines.boundingBox.min.toArray() ).toEqual( [ 10, 0, 0 ] );
+		expect( lines.boundingBox.max.toArray() ).toEqual( [ 21, 0, 4 ] );
+
+	} );
+
+	test( 'should resolve the intersections of every instance', () => {
+
+		const lines = new CityObjectsInstancedLines( citymodel, vertices, geometryData, instanceData, null, new CityObjectsLineMaterial( { worldUnits: true, linewidth: 0.2 } ) );
+		lines.updateMatrixWorld();
+
+		const raycaster = new Raycaster( new Vector3( 20.5, - 10, 4 ), new Vector3( 0, 1, 0 ) );
+		const intersects = raycaster.intersectObject( lines );
+
+		expect( intersects.length ).toBe( 1 );
+
+		const info = lines.resolveIntersectionInfo( intersects[ 0 ] );
+
+		expect( info.objectId ).toBe( 'sign2' );
+		expect( info.instanceIndex ).toBe( 1 );
+		expect( info.boundaryIndex ).toBe( 1 );
+		expect( info.surfaceTypeIndex ).toBe( 0 );
+
+	} );
+
+	test( 'should transform the segments by the matrix of their instance', () => {
+
+		const material = new CityObjectsLineMaterial();
+
+		expect( material.vertexShader ).toContain( 'modelViewMatrix * instanceMatrix * vec4( instanceStart, 1.0 )' );
+
+	} );
+
+} );
@@ -0,0 +1,85 @@
+import { CityObjectsInstancedMesh } from '../src/objects/CityObjectsInstancedMesh';
+import { TRIANGLES } from '../src/parsers/geometry/GeometryData';
+import { Matrix4, MeshBasicMaterial } from 'three';
+
+const citymodel = {
+	CityObjects: {
+		tree1: { type: 'SolitaryVegetationObject' },
+		tree2: { type: 'SolitaryVegetationObject' }
+	}
+};
+
+// A template of two triangles, the trunk and the crown of a tree
+const vertices = [
+	0, 0, 0, 1, 0, 0, 0, 0, 1,
+	0, 0, 1, 1, 0, 1, 0, 0, 2
+];
+
+const geometryData = {
+	geometryType: TRIANGLES,
+	objectIds: [ - 1, - 1, - 1, - 1, - 1, - 1 ],
+	objectType: [ - 1, - 1, - 1, - 1, - 1, - 1 ],
+	semanticSurfaces: [ - 1, - 1, - 1, - 1, - 1, - 1 ],
+	geometryIds: [ - 1, - 1, - 1, - 1, - 1, - 1 ],
+	boundaryIds: [ 0, 0, 0, 1, 1, 1 ],
+	lodIds: [ 0, 0, 0, 0, 0, 0 ],
+	materials: {
+		'summer-2024': [ 0, 0, 0, 1, 1, 1 ]
+	},
+	textures: {
+		'bark & leaves': {
+			index: [ - 1, - 1, - 1, 0, 0, 0 ],
+			uvs: [ [ 0, 0 ], [ 0, 0 ], [ 0, 0 ], [ 0, 0 ], [ 1, 0 ], [ 0, 1 ] ]
+		}
+	}
+};
+
+const instanceData = {
+	matrices: [ new Matrix4(), new Matrix4().makeTranslation( 10, 0, 0 ) ],
+	objectIds: [ 0, 1 ],
+	objectType: [ 0, 0 ],
+	geometryIds: [ 0, 0 ]
+};
+
+function createTextureManager() {
+
+	return {
+		getMaterials: jest.fn( baseMaterial => [ { name: 'leaves', textureTheme: null }, baseMaterial ] )
+	};
+
+}
+
+describe( 'CityObjectsInstancedMesh', () => {
+
+	test( 'should add the attributes of material and texture themes', () => {
+
+		const mesh = new CityObjectsInstancedMesh( citymodel, vertices, geometryData, instanceData, null, new MeshBasicMaterial() );
+
+		expect( Array.from( mesh.geometry.getAttribute( 'matsummer2024' ).array ) ).toEqual( [ 0, 0, 0, 1, 1, 1 ] );
+		expect( Array.from( mesh.geometry.getAttribute( 'texbarkleaves' ).array ) ).toEqual( [ - 1, - 1, - 1, 0, 0, 0 ] );
+		expect( mesh.geometry.getAttribute( 'texbarkleavesuv' ).getX( 4 ) ).toBe( 1 );
+
+	} );
+
+	test( 'should use the textures of a theme', () => {
+
+		const material = new MeshBasicMaterial();
+		const mesh = new CityObjectsInstancedMesh( citymodel, vertices, geometryData, instanceData, null, material );
+
+		mesh.setTextureTheme( 'bark & leaves', createTextureManager() );
+
+		// Vertices without a texture use the base material (the last one)
+		expect( mesh.geometry.groups ).toEqual( [
+			{ start: 0, count: 3, materialIndex: 1 },
+			{ start: 3, count: 3, materialIndex: 0 }
+		] );
+		expect( mesh.material[ 0 ].textureTheme ).toBe( 'bark & leaves' );
+
+		mesh.setTextureTheme( 'undefined' );
+
+		expect( mesh.material ).toBe( material );
+		expect( mesh.geometry.groups ).toEqual( [] );
+
+	} );
+
+} );
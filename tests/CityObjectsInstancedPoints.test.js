@@ -0,0 +1,72 @@
+import { CityObjectsInstancedPoints } from '../src/objects/CityObjectsInstancedPoints';
+import { POINTS } from '../src/parsers/geometry/GeometryData';
+import { Matrix4, PointsMaterial, Raycaster, Vector3 } from 'three';
+
+const citymodel = {
+	CityObjects: {
+		building: { type: 'Building' },
+		lamp1: { type: 'CityFurniture' },
+		lamp2: { type: 'CityFurniture' }
+	}
+};
+
+// A template of two points, the light and the base of a lamp
+const vertices = new Float32Array( [ 0, 0, 5, 0, 0, 0 ] ).buffer;
+
+const geometryData = {
+	geometryType: POINTS,
+	objectIds: [ - 1, - 1 ],
+	objectType: [ - 1, - 1 ],
+	semanticSurfaces: [ 0, - 1 ],
+	geometryIds: [ - 1, - 1 ],
+	boundaryIds: [ 0, 1 ],
+	lodIds: [ 0, 0 ]
+};
+
+const instanceData = {
+	matrices: [ new Matrix4().makeTranslation( 10, 0, 0 ), new Matrix4().makeTranslation( 20, 0, 0 ) ],
+	objectIds: [ 1, 2 ],
+	objectType: [ 3, 3 ],
+	geometryIds: [ 0, 1 ]
+};
+
+describe( 'CityObjectsInstancedPoints', () => {
+
+	test( 'should store the template once and the matrix of every instance', () => {
+
+		const points = new CityObjectsInstancedPoints( citymodel, vertices, geometryData, instanceData, null, new PointsMaterial() );
+
+		expect( points.isInstancedMesh ).toBe( true );
+		expect( points.count ).toBe( 2 );
+		expect( points.geometry.getAttribute( 'position' ).count ).toBe( 2 );
+		expect( Array.from( points.geometry.getAttribute( 'objectid' ).array ) ).toEqual( [ 1, 2 ] );
+		expect( points.geometry.getAttribute( 'objectstate' ).count ).toBe( 2 );
+
+		expect( Array.from( points.instanceMatrix.array.slice( 16, 32 ) ) ).toEqual( instanceData.matrices[ 1 ].elements );
+
+		expect( points.boundingBox.min.toArray() ).toEqual( [ 10, 0, 0 ] );
+		expect( points.boundingBox.max.toArray() ).toEqual( [ 20, 0, 5 ] );
+
+	} );
+
+	test( 'should resolve the intersections of every instance', () => {
+
+		const points = new CityObjectsInstancedPoints( citymodel, vertices, geometryData, instanceData, null, new PointsMaterial() );
+		points.updateMatrixWorld();
+
+		const raycaster = new Raycaster( new Vector3( 20, - 10, 5 ), new Vector3( 0, 1, 0 ) );
+		const intersects = raycaster.intersectObject( points );
+
+		expect( intersects.length ).toBe( 1 );
+		expect( intersects[ 0 ].object ).toBe( points );
+
+		const info = points.resolveIntersectionInfo( intersects[ 0 ] );
+
+		expect( info.objectId ).toBe( 'lamp2' );
+		expect( info.instanceIndex ).toBe( 1 );
+		expect( info.geometryIndex ).toBe( 1 );
+		expect( info.boundaryIndex ).toBe( 0 );
+
+	} );
+
+} );
@@ -0,0 +1,94 @@
+import { CityObjectsMesh } from '../src/objects/CityObjectsMesh';
+import { CityObjectsPoints } from '../src/objects/CityObjectsPoints';
+import { CityObjectsInstancedMesh } from '../src/objects/CityObjectsInstancedMesh';
+import { TRIANGLES, POINTS } from '../src/parsers/geometry/GeometryData';
+import { ShaderChunk, Matrix4, MeshBasicMaterial } from 'three';
+import '../src/materials/CityObjectsBaseMaterial';
+
+// More city objects than a 16-bit index can count
+const objectCount = 400000;
+const lastIndex = objectCount - 1;
+
+const citymodel = { CityObjects: {} };
+
+for ( let i = 0; i < objectCount; i ++ ) {
+
+	citymodel.CityObjects[ `building${i}` ] = { type: 'Building' };
+
+}
+
+function createGeometryData( geometryType, objectIds ) {
+
+	const fill = value => objectIds.map( () => value );
+
+	return {
+		geometryType,
+		objectIds,
+		objectType: fill( 0 ),
+		semanticSurfaces: fill( - 1 ),
+		geometryIds: fill( 0 ),
+		boundaryIds: fill( 0 ),
+		lodIds: fill( 0 ),
+		materials: {},
+		textures: {}
+	};
+
+}
+
+describe( 'Object indices beyond 16 bits', () => {
+
+	test( 'meshes resolve intersections to the right object', () => {
+
+		const vertices = new Float32Array( [ 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 1, 1, 0, 1, 0, 1, 1 ] ).buffer;
+		const geometryData = createGeometryData( TRIANGLES, [ 70000, 70000, 70000, lastIndex, lastIndex, lastIndex ] );
+
+		const mesh = new CityObjectsMesh( citymodel, vertices, geometryData, null, new MeshBasicMaterial() );
+
+		expect( mesh.geometry.getAttribute( 'objectid' ).array ).toBeInstanceOf( Int32Array );
+		expect( mesh.resolveIntersectionInfo( { face: { a: 0 } } ).objectId ).toBe( 'building70000' );
+
+		const info = mesh.resolveIntersectionInfo( { face: { a: 3 } } );
+		expect( info.objectIndex ).toBe( lastIndex );
+		expect( info.objectId ).toBe( `building${lastIndex}` );
+
+	} );
+
+	test( 'points resolve intersections to the right object', () => {
+
+		const vertices = new Float32Array( [ 0, 0, 0, 1, 0, 0 ] ).buffer;
+		const geometryData = createGeometryData( POINTS, [ 65536, lastIndex ] );
+
+		const points = new CityObjectsPoints( citymodel, vertices, geometryData, null, new MeshBasicMaterial() );
+
+		expect( points.resolveIntersectionInfo( { index: 0 } ).objectId ).toBe( 'building65536' );
+		expect( points.resolveIntersectionInfo( { index: 1 } ).objectId ).toBe( `building${lastIndex}` );
+
+	} );
+
+	test( 'instanced meshes resolve intersections to the right object', () => {
+
+		const vertices = new Float32Array( [ 0, 0, 0, 1, 0, 0, 0, 1, 0 ] ).buffer;
+		const geometryData = createGeometryData( TRIANGLES, [ - 1, - 1, - 1 ] );
+		const instanceData = {
+			matrices: [ new Matrix4(), new Matrix4() ],
+			objectIds: [ 65535, lastIndex ],
+			objectType: [ 0, 0 ],
+			geometryIds: [ 0, 0 ]
+		};
+
+		const mesh = new CityObjectsInstancedMesh( citymodel, vertices, geometryData, instanceData, null, new MeshBasicMaterial() );
+
+		expect( mesh.resolveIntersectionInfo( { face: { a: 0 }, instanceId: 0 } ).objectId ).toBe( 'building65535' );
+		expect( mesh.resolveIntersectionInfo( { face: { a: 0 }, instanceId: 1 } ).objectId ).toBe( `building${lastIndex}` );
+
+	} );
+
+	test( 'the shaders compare object indices as integers', () => {
+
+		expect( ShaderChunk.cityobjectinclude_vertex ).toMatch( /attribute int objectid;/ );
+		expect( ShaderChunk.cityobjectinclude_vertex ).toMatch( /uniform int highlightedObjId;/ );
+		expect( ShaderChunk.cityobjectdiffuse_vertex ).not.toMatch( /abs\( objectid/ );
+
+	} );
+
+} );
@@ -34,6 +34,8 @@ jest.mock('three', () => {
 			this.groups = [];
 		}
 		computeVertexNormals() {}
+		computeBoundingBox() {}
+		computeBoundingSphere() {}
 		applyMatrix4() {}
 		dispose() {}
 	}
@@ -0,0 +1,162 @@
+import { GeometryData, TRIANGLES } from '../src/parsers/geometry/GeometryData';
+import { CityObjectsMesh } from '../src/objects/CityObjectsMesh';
+import { parseChunks } from './helpers/parseChunks';
+
+function createCityModel() {
+
+	return {
+		type: 'CityJSON',
+		CityObjects: {
+			building: {
+				type: 'Building',
+				geometry: [ {
+					type: 'MultiSurface',
+					lod: '2',
+					boundaries: [
+						[ [ 0, 1, 2, 3 ] ],
+						[ [ 1, 4, 5, 2 ] ]
+					],
+					texture: {
+						winter: { values: [ [ [ 0, 0, 1, 2, 3 ] ], [ [ null ] ] ] }
+					}
+				} ]
+			}
+		},
+		appearance: {
+			textures: [ { type: 'PNG', image: 'winter.png' } ],
+			'vertices-texture': [ [ 0, 0 ], [ 1, 0 ], [ 1, 1 ], [ 0, 1 ] ]
+		},
+		vertices: [ [ 0, 0, 0 ], [ 1, 0, 0 ], [ 1, 1, 0 ], [ 0, 1, 0 ], [ 2, 0, 0 ], [ 2, 1, 0 ] ]
+	};
+
+}
+
+describe( 'GeometryData in indexed mode', () => {
+
+	test( 'merges the corners that share their vertex, surface and UVs', () => {
+
+		const data = new GeometryData( TRIANGLES, true );
+
+		for ( const vertexId of [ 0, 1, 2, 0, 2, 3 ] ) {
+
+			data.addVertex( vertexId, 0, 0, - 1, 0, 0, 0 );
+
+		}
+
+		// The same vertex on another surface stays a vertex of its own
+		data.addVertex( 2, 0, 0, - 1, 0, 1, 0 );
+
+		// And so does one with other UVs
+		data.addVertex( 2, 0, 0, - 1, 0, 0, 0, null, { winter: { index: 0, uvs: [ 1, 1 ] } } );
+
+		expect( data.count() ).toBe( 6 );
+		expect( data.vertexIds ).toEqual( [ 0, 1, 2, 3, 2, 2 ] );
+		expect( data.indices ).toEqual( [ 0, 1, 2, 0, 2, 3, 4, 5 ] );
+
+		const object = data.toObject();
+		expect( object.indices ).toEqual( [ 0, 1, 2, 0, 2, 3, 4, 5 ] );
+		expect( object.textures.winter.index ).toEqual( [ - 1, - 1, - 1, - 1, - 1, 0 ] );
+
+	} );
+
+	test( 'is not indexed by default', () => {
+
+		const data = new GeometryData( TRIANGLES );
+
+		data.addVertex( 0, 0, 0, - 1, 0, 0, 0 );
+		data.addVertex( 0, 0, 0, - 1, 0, 0, 0 );
+
+		expect( data.count() ).toBe( 2 );
+		expect( data.toObject().indices ).toBeNull();
+
+	} );
+
+} );
+
+describe( 'ChunkParser with indexed triangles', () => {
+
+	test( 'returns the unique vertices of every surface and their indices', () => {
+
+		const [ { vertices, geometryData } ] = parseChunks( createCityModel(), { indexed: true } ).chunks;
+
+		// Two quads, which only share vertices across surfaces
+		expect( vertices.length ).toBe( 8 * 3 );
+		expect( geometryData.objectIds.length ).toBe( 8 );
+		expect( geometryData.boundaryIds ).toEqual( [ 0, 0, 0, 0, 1, 1, 1, 1 ] );
+		expect( geometryData.indices.length ).toBe( 12 );
+		expect( Math.max( ...geometryData.indices ) ).toBe( 7 );
+
+	} );
+
+	test( 'keeps the triangles of a non-indexed parse', () => {
+
+		const [ indexedChunk ] = parseChunks( createCityModel(), { indexed: true } ).chunks;
+		const [ { vertices, geometryData } ] = parseChunks( createCityModel() ).chunks;
+
+		expect( geometryData.indices ).toBeNull();
+		expect( vertices.length ).toBe( 12 * 3 );
+
+		const corners = indexedChunk.geometryData.indices.map( i => indexedChunk.vertices.slice( i * 3, i * 3 + 3 ) );
+		const expected = [];
+
+		for ( let i = 0; i < vertices.length; i += 3 ) {
+
+			expected.push( vertices.slice( i, i + 3 ) );
+
+		}
+
+		expect( corners ).toEqual( expected );
+
+	} );
+
+} );
+
+describe( 'CityObjectsMesh with indexed geometry', () => {
+
+	function createMesh() {
+
+		const citymodel = createCityModel();
+		const [ { vertices, geometryData } ] = parseChunks( createCityModel(), { indexed: true } ).chunks;
+
+		return new CityObjectsMesh( citymodel, new Float32Array( vertices ).buffer, geometryData, null, { dispose() {} } );
+
+	}
+
+	test( 'draws the triangles through a Uint32 index', () => {
+
+		const mesh = createMesh();
+
+		expect( mesh.geometry.index.array ).toBeInstanceOf( Uint32Array );
+		expect( mesh.geometry.index.count ).toBe( 12 );
+		expect( mesh.geometry.attributes.position.count ).toBe( 8 );
+
+	} );
+
+	test( 'resolves intersections to the vertices of the index', () => {
+
+		const mesh = createMesh();
+		const a = mesh.geometry.index.getX( 9 );
+
+		const info = mesh.resolveIntersectionInfo( { face: { a } } );
+
+		expect( info.objectId ).toBe( 'building' );
+		expect( info.boundaryIndex ).toBe( 1 );
+
+	} );
+
+	test( 'groups the textures by the ranges of the index', () => {
+
+		const mesh = createMesh();
+		const baseMaterial = mesh.material;
+		const textureMaterial = {};
+
+		mesh.setTextureTheme( 'winter', { getMaterials: () => [ textureMaterial, baseMaterial ] } );
+
+		expect( mesh.geometry.groups ).toEqual( [
+			{ start: 0, count: 6, materialIndex: 0 },
+			{ start: 6, count: 6, materialIndex: 1 }
+		] );
+
+	} );
+
+} );
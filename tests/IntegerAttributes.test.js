@@ -0,0 +1,88 @@
+import { createIntegerArray, createIntegerAttribute } from '../src/helpers/IntegerAttributes';
+import { CityObjectsMesh } from '../src/objects/CityObjectsMesh';
+import { TRIANGLES } from '../src/parsers/geometry/GeometryData';
+import { InstancedBufferAttribute, IntType, MeshBasicMaterial } from 'three';
+
+describe( 'createIntegerArray', () => {
+
+	test( 'picks the narrowest signed type for the range of the values', () => {
+
+		expect( createIntegerArray( [ - 1, 0, 127 ] ) ).toBeInstanceOf( Int8Array );
+		expect( createIntegerArray( [ - 129, 0 ] ) ).toBeInstanceOf( Int16Array );
+		expect( createIntegerArray( [ 0, 128 ] ) ).toBeInstanceOf( Int16Array );
+		expect( createIntegerArray( [ - 1, 32767 ] ) ).toBeInstanceOf( Int16Array );
+		expect( createIntegerArray( [ 0, 32768 ] ) ).toBeInstanceOf( Int32Array );
+		expect( createIntegerArray( [] ) ).toBeInstanceOf( Int8Array );
+
+	} );
+
+	test( 'keeps the values', () => {
+
+		expect( Array.from( createIntegerArray( [ - 1, 300, 2 ] ) ) ).toEqual( [ - 1, 300, 2 ] );
+		expect( Array.from( createIntegerArray( new Int32Array( [ 5, - 7 ] ) ) ) ).toEqual( [ 5, - 7 ] );
+
+	} );
+
+} );
+
+describe( 'createIntegerAttribute', () => {
+
+	test( 'creates integer attributes of the given class', () => {
+
+		const attribute = createIntegerAttribute( [ 1, 2, 3 ], InstancedBufferAttribute );
+
+		expect( attribute ).toBeInstanceOf( InstancedBufferAttribute );
+		expect( attribute.itemSize ).toBe( 1 );
+		expect( attribute.gpuType ).toBe( IntType );
+
+	} );
+
+} );
+
+describe( 'CityObjectsMesh attributes', () => {
+
+	const citymodel = { CityObjects: { building: {} } };
+	const vertices = new Float32Array( [ 0, 0, 0, 1, 0, 0, 0, 1, 0 ] ).buffer;
+
+	const geometryData = {
+		geometryType: TRIANGLES,
+		objectIds: [ 0, 0, 0 ],
+		objectType: [ 2, 2, 2 ],
+		semanticSurfaces: [ - 1, - 1, 4 ],
+		geometryIds: [ 1, 1, 1 ],
+		boundaryIds: [ 0, 500, 500 ],
+		lodIds: [ 0, 0, 0 ],
+		materials: { summer: [ - 1, 3, 3 ] },
+		textures: {}
+	};
+
+	test( 'are stored in one or two bytes per vertex', () => {
+
+		const mesh = new CityObjectsMesh( citymodel, vertices, geometryData, null, new MeshBasicMaterial() );
+		const attributes = mesh.geometry.attributes;
+
+		for ( const name of [ 'objectid', 'type', 'surfacetype', 'geometryid', 'lodid', 'matsummer' ] ) {
+
+			expect( attributes[ name ].array ).toBeInstanceOf( Int8Array );
+			expect( attributes[ name ].gpuType ).toBe( IntType );
+
+		}
+
+		expect( attributes.boundaryid.array ).toBeInstanceOf( Int16Array );
+
+	} );
+
+	test( 'keep the values used for selection', () => {
+
+		const mesh = new CityObjectsMesh( citymodel, vertices, geometryData, null, new MeshBasicMaterial() );
+		const info = mesh.resolveIntersectionInfo( { face: { a: 2 } } );
+
+		expect( info.objectId ).toBe( 'building' );
+		expect( info.geometryIndex ).toBe( 1 );
+		expect( info.boundaryIndex ).toBe( 500 );
+		expect( info.surfaceTypeIndex ).toBe( 4 );
+		expect( mesh.geometry.attributes.matsummer.getX( 0 ) ).toBe( - 1 );
+
+	} );
+
+} );
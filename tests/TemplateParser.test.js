@@ -0,0 +1,148 @@
+import { TemplateParser } from '../src/parsers/helpers/TemplateParser';
+import { ChunkParser } from '../src/parsers/helpers/ChunkParser';
+import { TRIANGLES } from '../src/parsers/geometry/GeometryData';
+import { parseChunks } from './helpers/parseChunks';
+
+const identity = [
+	1, 0, 0, 0,
+	0, 1, 0, 0,
+	0, 0, 1, 0,
+	0, 0, 0, 1
+];
+
+function createCityModel() {
+
+	return {
+		type: 'CityJSON',
+		version: '2.0',
+		CityObjects: {
+			building: {
+				type: 'Building',
+				geometry: [ { type: 'MultiSurface', lod: '1', boundaries: [ [ [ 0, 1, 2 ] ] ] } ]
+			},
+			tree: {
+				type: 'SolitaryVegetationObject',
+				geometry: [
+					{ type: 'MultiPoint', lod: '0', boundaries: [ 3 ] },
+					{ type: 'GeometryInstance', template: 0, boundaries: [ 3 ], transformationMatrix: identity }
+				]
+			},
+			bench: {
+				type: 'CityFurniture',
+				geometry: [ { type: 'GeometryInstance', template: 0, boundaries: [ 0 ], transformationMatrix: identity } ]
+			}
+		},
+		'geometry-templates': {
+			templates: [ { type: 'MultiSurface', lod: '2', boundaries: [ [ [ 0, 1, 2 ] ] ] } ],
+			'vertices-templates': [ [ 0, 0, 0 ], [ 1, 0, 0 ], [ 0, 0, 1 ] ]
+		},
+		vertices: [ [ 0, 0, 0 ], [ 10, 0, 0 ], [ 10, 10, 0 ], [ 5, 5, 0 ] ]
+	};
+
+}
+
+describe( 'TemplateParser', () => {
+
+	test( 'should parse the templates and their instances', () => {
+
+		const objectColors = { Building: 0, SolitaryVegetationObject: 1 };
+		const parser = new TemplateParser( createCityModel(), objectColors );
+
+		const templates = parser.parseTemplates();
+
+		expect( templates.length ).toBe( 1 );
+		expect( templates[ 0 ].template ).toBe( 0 );
+		expect( templates[ 0 ].geometryData.geometryType ).toBe( TRIANGLES );
+		expect( Array.from( new Float32Array( templates[ 0 ].vertices ) ) ).toEqual( [ 0, 0, 0, 1, 0, 0, 0, 0, 1 ] );
+		expect( parser.lods ).toEqual( [ '2' ] );
+
+		const instances = parser.parseInstances( 10 );
+
+		expect( instances.length ).toBe( 1 );
+		expect( instances[ 0 ].anchors ).toEqual( [ 5, 5, 0, 0, 0, 0 ] );
+		expect( instances[ 0 ].transformations ).toEqual( [ ...identity, ...identity ] );
+		expect( instances[ 0 ].objectIds ).toEqual( [ 11, 12 ] );
+		expect( instances[ 0 ].geometryIds ).toEqual( [ 1, 0 ] );
+
+		// Object types that are not in the lookup yet are added to it
+		expect( instances[ 0 ].objectType ).toEqual( [ 1, 2 ] );
+		expect( Object.keys( parser.objectColors ) ).toContain( 'CityFurniture' );
+
+	} );
+
+	test( 'should parse line and point templates', () => {
+
+		const data = createCityModel();
+		data[ 'geometry-templates' ].templates = [
+			{ type: 'MultiLineString', lod: '1', boundaries: [ [ 0, 1, 2 ] ] },
+			{ type: 'MultiPoint', lod: '1', boundaries: [ 2 ] }
+		];
+
+		const templates = new TemplateParser( data, {} ).parseTemplates();
+
+		expect( templates.map( template => template.template ) ).toEqual( [ 0, 1 ] );
+		expect( templates[ 0 ].geometryData.objectIds ).toEqual( [ - 1, - 1, - 1, - 1 ] );
+		expect( templates[ 1 ].geometryData.boundaryIds ).toEqual( [ 0 ] );
+
+	} );
+
+	test( 'should keep the semantics and themes of solid templates', () => {
+
+		const data = createCityModel();
+		const template = {
+			type: 'Solid',
+			lod: '2',
+			boundaries: [ [ [ [ 0, 1, 2 ] ], [ [ 0, 2, 1 ] ] ] ],
+			semantics: { surfaces: [ { type: 'RoofSurface' } ], values: [ [ 0, null ] ] },
+			material: { summer: { value: 3 }, winter: { values: [ [ 1, 2 ] ] } }
+		};
+
+		data[ 'geometry-templates' ].templates = [ template ];
+
+		const parser = new TemplateParser( data, {} );
+		const { geometryData } = parser.parseTemplates()[ 0 ];
+
+		const roof = Object.keys( parser.surfaceColors ).indexOf( 'RoofSurface' );
+
+		expect( geometryData.semanticSurfaces ).toEqual( [ roof, roof, roof, - 1, - 1, - 1 ] );
+		expect( geometryData.materials.summer ).toEqual( [ 3, 3, 3, 3, 3, 3 ] );
+		expect( geometryData.materials.winter ).toEqual( [ 1, 1, 1, 2, 2, 2 ] );
+
+		// The template can be parsed again
+		expect( template.semantics.values ).toEqual( [ [ 0, null ] ] );
+		expect( template.material.winter.values ).toEqual( [ [ 1, 2 ] ] );
+
+	} );
+
+	test( 'should be reported by the chunk parser after the city objects', () => {
+
+		const parser = new ChunkParser();
+		const events = [];
+
+		parser.onchunkload = () => events.push( 'chunk' );
+		parser.ontemplatesload = ( templates, instances, lods ) => {
+
+			events.push( 'templates' );
+
+			expect( instances[ 0 ].objectIds ).toEqual( [ 1, 2 ] );
+			expect( lods ).toEqual( [ '1', '0', '2' ] );
+
+		};
+
+		parser.parse( createCityModel() );
+
+		expect( events[ events.length - 1 ] ).toBe( 'templates' );
+		expect( events.filter( event => event == 'templates' ).length ).toBe( 1 );
+
+	} );
+
+	test( 'should only find the instances if the templates are parsed elsewhere', () => {
+
+		const { templates, instances } = parseChunks( createCityModel(), { templateGeometry: false } );
+
+		expect( templates ).toEqual( [] );
+		expect( instances[ 0 ].objectIds ).toEqual( [ 1, 2 ] );
+
+	} );
+
+} );
@@ -0,0 +1,123 @@
+import { TriangleParser } from '../src/parsers/geometry/TriangleParser';
+
+const vertices = [
+	[ 0, 0, 0 ], [ 10, 0, 0 ], [ 10, 10, 0 ], [ 0, 10, 0 ],
+	[ 20, 0, 0 ], [ 30, 0, 0 ],
+	[ 5, 5, 8 ],
+	[ 4, 4, 0 ], [ 6, 4, 0 ], [ 6, 6, 0 ], [ 4, 6, 0 ]
+];
+
+function parse( boundaries, texture ) {
+
+	const citymodel = {
+		CityObjects: {
+			building: {
+				type: 'Building',
+				geometry: [ { type: 'MultiSurface', lod: '2', boundaries, texture } ]
+			}
+		},
+		appearance: {
+			textures: [ { type: 'PNG', image: 'facade.png' } ],
+			'vertices-texture': [ [ 0, 0 ], [ 1, 0 ], [ 1, 1 ], [ 0, 1 ], [ 0.5, 0.5 ] ]
+		},
+		vertices
+	};
+
+	const parser = new TriangleParser( citymodel, [ 'building' ], {} );
+	parser.parseGeometry( citymodel.CityObjects.building.geometry[ 0 ], 'building', 0 );
+
+	return parser;
+
+}
+
+function reasons( parser ) {
+
+	return parser.diagnostics.map( diagnostic => diagnostic.reason );
+
+}
+
+describe( 'TriangleParser diagnostics', () => {
+
+	test( 'records nothing for valid polygons', () => {
+
+		const parser = parse( [ [ [ 0, 1, 2, 3 ], [ 7, 10, 9, 8 ] ] ] );
+
+		expect( parser.diagnostics ).toEqual( [] );
+		expect( parser.geomData.count() ).toBe( 8 * 3 );
+
+	} );
+
+	test( 'skips surfaces with missing vertices instead of throwing', () => {
+
+		const parser = parse( [ [ [ 0, 1, 2, 3 ] ], [ [ 0, 1, 99 ] ] ] );
+
+		expect( parser.diagnostics ).toEqual( [
+			{ objectId: 'building', geometryIndex: 0, boundaryIndex: 1, reason: 'missing-vertex' }
+		] );
+		expect( parser.geomData.count() ).toBe( 6 );
+
+	} );
+
+	test( 'drops duplicate closing points and repeated points', () => {
+
+		const parser = parse( [ [ [ 0, 1, 1, 2, 3, 0 ] ] ] );
+
+		expect( reasons( parser ) ).toEqual( [ 'duplicate-closing-point', 'duplicate-point' ] );
+		expect( parser.geomData.count() ).toBe( 6 );
+
+	} );
+
+	test( 'keeps the texture coordinates of the remaining points', () => {
+
+		const texture = { facade: { values: [ [ [ 0, 0, 1, 4, 2, 3 ] ] ] } };
+		const parser = parse( [ [ [ 0, 1, 1, 2, 3 ] ] ], texture );
+
+		const uvs = parser.geomData.textures.facade.uvs;
+		const byVertex = {};
+		parser.geomData.vertexIds.forEach( ( vertexId, i ) => byVertex[ vertexId ] = uvs[ i ] );
+
+		expect( byVertex ).toEqual( { 0: [ 0, 0 ], 1: [ 1, 0 ], 2: [ 1, 1 ], 3: [ 0, 1 ] } );
+
+	} );
+
+	test( 'skips polygons without area', () => {
+
+		const parser = parse( [ [ [ 0, 1, 4, 5 ] ], [ [ 0, 1, 0 ] ] ] );
+
+		expect( parser.diagnostics ).toEqual( [
+			{ objectId: 'building', geometryIndex: 0, boundaryIndex: 0, reason: 'collinear' },
+			{ objectId: 'building', geometryIndex: 0, boundaryIndex: 1, reason: 'duplicate-closing-point' },
+			{ objectId: 'building', geometryIndex: 0, boundaryIndex: 1, reason: 'too-few-points' }
+		] );
+		expect( parser.geomData.count() ).toBe( 0 );
+
+	} );
+
+	test( 'reports non-planar polygons but triangulates them', () => {
+
+		const parser = parse( [ [ [ 0, 1, 6, 3 ] ] ] );
+
+		expect( reasons( parser ) ).toEqual( [ 'non-planar' ] );
+		expect( parser.geomData.count() ).toBe( 6 );
+
+	} );
+
+	test( 'reports self-intersecting polygons', () => {
+
+		// A bow tie with lobes of different sizes
+		const parser = parse( [ [ [ 0, 4, 3, 2 ] ] ] );
+
+		expect( reasons( parser ) ).toEqual( [ 'self-intersecting' ] );
+
+	} );
+
+	test( 'skips holes of less than three points', () => {
+
+		const parser = parse( [ [ [ 0, 1, 2, 3 ], [ 7, 8 ] ] ] );
+
+		expect( reasons( parser ) ).toEqual( [ 'too-few-points' ] );
+		expect( parser.geomData.count() ).toBe( 6 );
+
+	} );
+
+} );
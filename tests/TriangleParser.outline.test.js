@@ -0,0 +1,86 @@
+import { parseChunks } from './helpers/parseChunks';
+import { LINES, TRIANGLES } from '../src/parsers/geometry/GeometryData';
+
+// A wall with a window (a hole) and a roof, as a Solid
+function createCityModel() {
+
+	return {
+		type: 'CityJSON',
+		CityObjects: {
+			house: {
+				type: 'Building',
+				geometry: [ {
+					type: 'Solid',
+					lod: '2',
+					boundaries: [ [
+						[ [ 0, 1, 2, 3 ], [ 4, 5, 6, 7 ] ],
+						[ [ 3, 2, 8 ] ]
+					] ],
+					semantics: {
+						surfaces: [ { type: 'WallSurface' }, { type: 'RoofSurface' } ],
+						values: [ [ 0, 1 ] ]
+					}
+				} ]
+			}
+		},
+		vertices: [
+			[ 0, 0, 0 ], [ 10, 0, 0 ], [ 10, 0, 10 ], [ 0, 0, 10 ],
+			[ 4, 0, 4 ], [ 6, 0, 4 ], [ 6, 0, 6 ], [ 4, 0, 6 ],
+			[ 5, 5, 15 ]
+		]
+	};
+
+}
+
+// The geometry data of the chunks
+function parse( outlines ) {
+
+	return parseChunks( createCityModel(), { outlines } ).chunks.map( chunk => chunk.geometryData );
+
+}
+
+describe( 'TriangleParser outlines', () => {
+
+	test( 'are returned as a chunk of lines after the triangles', () => {
+
+		const chunks = parse( true );
+
+		expect( chunks.map( chunk => chunk.geometryType ) ).toEqual( [ TRIANGLES, LINES ] );
+		expect( chunks[ 0 ].outline ).toBe( false );
+		expect( chunks[ 1 ].outline ).toBe( true );
+
+	} );
+
+	test( 'follow the exterior and interior rings, without diagonals', () => {
+
+		const outline = parse( true )[ 1 ];
+
+		// Four edges for the wall, four for its window and three for the roof,
+		// with two vertices per edge
+		expect( outline.objectIds.length ).toBe( 22 );
+		expect( outline.boundaryIds ).toEqual( [ ...Array( 16 ).fill( 0 ), ...Array( 6 ).fill( 1 ) ] );
+
+	} );
+
+	test( 'carry the attributes of their surfaces', () => {
+
+		const [ triangles, outline ] = parse( true );
+
+		const wallType = triangles.semanticSurfaces[ 0 ];
+		const roofType = triangles.semanticSurfaces[ triangles.semanticSurfaces.length - 1 ];
+
+		expect( wallType ).not.toBe( roofType );
+		expect( outline.semanticSurfaces[ 0 ] ).toBe( wallType );
+		expect( outline.semanticSurfaces[ 21 ] ).toBe( roofType );
+		expect( new Set( outline.objectIds ) ).toEqual( new Set( triangles.objectIds ) );
+		expect( new Set( outline.lodIds ) ).toEqual( new Set( triangles.lodIds ) );
+
+	} );
+
+	test( 'are not returned by default', () => {
+
+		expect( parse( false ).map( chunk => chunk.geometryType ) ).toEqual( [ TRIANGLES ] );
+
+	} );
+
+} );
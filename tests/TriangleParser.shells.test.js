@@ -0,0 +1,182 @@
+import { TriangleParser } from '../src/parsers/geometry/TriangleParser';
+import { CityObjectsMesh } from '../src/objects/CityObjectsMesh';
+import { CityObjectsMaterial } from '../src/materials/CityObjectsMaterial';
+import { MeshBasicMaterial, ShaderLib } from 'three';
+
+// The faces of a cube of the given size, facing outwards or inwards
+function createShell( offset, inwards = false ) {
+
+	const faces = [
+		[ 0, 3, 2, 1 ], [ 4, 5, 6, 7 ], [ 0, 1, 5, 4 ],
+		[ 1, 2, 6, 5 ], [ 2, 3, 7, 6 ], [ 3, 0, 4, 7 ]
+	];
+
+	return faces.map( face => [ ( inwards ? face.slice().reverse() : face ).map( i => i + offset ) ] );
+
+}
+
+function createCube( size, origin = 0 ) {
+
+	return [
+		[ 0, 0, 0 ], [ 1, 0, 0 ], [ 1, 1, 0 ], [ 0, 1, 0 ],
+		[ 0, 0, 1 ], [ 1, 0, 1 ], [ 1, 1, 1 ], [ 0, 1, 1 ]
+	].map( v => v.map( c => origin + c * size ) );
+
+}
+
+function createCityModel( geometry ) {
+
+	return {
+		type: 'CityJSON',
+		CityObjects: {
+			building: { type: 'Building', geometry: [ geometry ] }
+		},
+		vertices: createCube( 10 ).concat( createCube( 2, 4 ), createCube( 10, 20 ) )
+	};
+
+}
+
+// A solid with a void, whose surfaces are walls outside and rooms inside
+function createSolid() {
+
+	return {
+		type: 'Solid',
+		lod: '2',
+		boundaries: [ createShell( 0 ), createShell( 8, true ) ],
+		semantics: {
+			surfaces: [ { type: 'WallSurface' }, { type: 'InteriorWallSurface' } ],
+			values: [ [ 0, 0, 0, 0, 0, 0 ], [ 1, 1, 1, 1, 1, 1 ] ]
+		}
+	};
+
+}
+
+function parse( citymodel, interiorShells = true ) {
+
+	const parser = new TriangleParser( citymodel, Object.keys( citymodel.CityObjects ), {} );
+	parser.interiorShells = interiorShells;
+	parser.parseGeometry( citymodel.CityObjects.building.geometry[ 0 ], 'building', 0 );
+
+	return parser.geomData;
+
+}
+
+// The distinct values of `values` for the vertices of every boundary
+function byBoundary( geomData, values ) {
+
+	const result = {};
+
+	geomData.boundaryIds.forEach( ( boundaryId, i ) => {
+
+		result[ boundaryId ] = result[ boundaryId ] || new Set();
+		result[ boundaryId ].add( values[ i ] );
+
+	} );
+
+	return Object.fromEntries( Object.entries( result ).map( ( [ k, v ] ) => [ k, [ ...v ] ] ) );
+
+}
+
+describe( 'TriangleParser with solids', () => {
+
+	test( 'records the shell of every surface', () => {
+
+		const geomData = parse( createCityModel( createSolid() ) );
+		const shells = byBoundary( geomData, geomData.shellIds );
+
+		for ( let i = 0; i < 12; i ++ ) {
+
+			expect( shells[ i ] ).toEqual( [ i < 6 ? 0 : 1 ] );
+
+		}
+
+		expect( new Set( geomData.solidIds ) ).toEqual( new Set( [ 0 ] ) );
+
+	} );
+
+	test( 'records the solid of every surface of multi solids', () => {
+
+		const geometry = { type: 'MultiSolid', lod: '2', boundaries: [ [ createShell( 0 ), createShell( 8, true ) ], [ createShell( 16 ) ] ] };
+		const geomData = parse( createCityModel( geometry ) );
+
+		const solids = byBoundary( geomData, geomData.solidIds );
+		const shells = byBoundary( geomData, geomData.shellIds );
+
+		expect( solids[ 5 ] ).toEqual( [ 0 ] );
+		expect( shells[ 11 ] ).toEqual( [ 1 ] );
+		expect( solids[ 12 ] ).toEqual( [ 1 ] );
+		expect( shells[ 12 ] ).toEqual( [ 0 ] );
+
+	} );
+
+	test( 'has no solids or shells for surfaces', () => {
+
+		const geometry = { type: 'MultiSurface', lod: '2', boundaries: createShell( 0 ) };
+		const geomData = parse( createCityModel( geometry ) );
+
+		expect( new Set( geomData.solidIds ) ).toEqual( new Set( [ - 1 ] ) );
+		expect( new Set( geomData.shellIds ) ).toEqual( new Set( [ - 1 ] ) );
+		expect( geomData.toObject().shellIds.length ).toBe( geomData.count() );
+
+	} );
+
+	test( 'can skip the interior shells', () => {
+
+		const geomData = parse( createCityModel( createSolid() ), false );
+
+		expect( new Set( geomData.shellIds ) ).toEqual( new Set( [ 0 ] ) );
+		expect( new Set( geomData.boundaryIds ) ).toEqual( new Set( [ 0, 1, 2, 3, 4, 5 ] ) );
+
+		// The semantics of the exterior shell are left as they are
+		expect( new Set( geomData.semanticSurfaces ).size ).toBe( 1 );
+
+	} );
+
+} );
+
+describe( 'Meshes of solids', () => {
+
+	function createMesh() {
+
+		const citymodel = createCityModel( createSolid() );
+		const geometryData = parse( citymodel ).toObject();
+		const vertices = new Float32Array( geometryData.objectIds.length * 3 ).buffer;
+
+		return new CityObjectsMesh( citymodel, vertices, geometryData, null, new MeshBasicMaterial() );
+
+	}
+
+	test( 'resolve intersections to the solid and shell that was hit', () => {
+
+		const mesh = createMesh();
+		const shellIds = mesh.geometry.attributes.shellid.array;
+
+		const info = mesh.resolveIntersectionInfo( { face: { a: shellIds.indexOf( 1 ) } } );
+
+		expect( info.solidIndex ).toBe( 0 );
+		expect( info.shellIndex ).toBe( 1 );
+		expect( info.boundaryIndex ).toBeGreaterThan( 5 );
+
+		expect( mesh.resolveIntersectionInfo( { face: { a: 0 } } ).shellIndex ).toBe( 0 );
+
+	} );
+
+	test( 'can draw the interior shells in their own color', () => {
+
+		const material = new CityObjectsMaterial( ShaderLib.lambert, {} );
+
+		expect( material.interiorShellColor ).toBeNull();
+
+		material.interiorShellColor = '#ff0000';
+
+		expect( 'INTERIOR_SHELL_COLOR' in material.defines ).toBe( true );
+		expect( material.interiorShellColor.r ).toBe( 1 );
+		expect( material.interiorShellColor.g ).toBe( 0 );
+
+		material.interiorShellColor = null;
+
+		expect( 'INTERIOR_SHELL_COLOR' in material.defines ).toBe( false );
+
+	} );
+
+} );
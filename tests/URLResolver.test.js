@@ -0,0 +1,51 @@
+import { URLResolver } from '../src/helpers/URLResolver';
+
+describe( 'URLResolver', () => {
+
+	test( 'should resolve relative URLs against the base path', () => {
+
+		const resolver = new URLResolver( 'https://example.com/textures/' );
+
+		expect( resolver.resolve( 'roof.jpg' ) ).toBe( 'https://example.com/textures/roof.jpg' );
+		expect( resolver.resolve( 'appearance/roof.jpg' ) ).toBe( 'https://example.com/textures/appearance/roof.jpg' );
+
+	} );
+
+	test( 'should leave URLs unchanged without a base path', () => {
+
+		expect( new URLResolver().resolve( 'roof.jpg' ) ).toBe( 'roof.jpg' );
+
+	} );
+
+	test( 'should resolve against the directory of a file', () => {
+
+		const resolver = URLResolver.fromFileUrl( '/data/city.json' );
+
+		expect( resolver.basePath ).toBe( '/data/' );
+		expect( resolver.resolve( 'roof.jpg' ) ).toBe( '/data/roof.jpg' );
+
+	} );
+
+	test( 'should not modify URLs with a scheme', () => {
+
+		const resolver = new URLResolver( '/data/' );
+
+		expect( resolver.resolve( 'data:image/png;base64,AAAA' ) ).toBe( 'data:image/png;base64,AAAA' );
+		expect( resolver.resolve( 'blob:https://example.com/1234' ) ).toBe( 'blob:https://example.com/1234' );
+		expect( resolver.resolve( 'procedural://brick' ) ).toBe( 'procedural://brick' );
+		expect( resolver.resolve( 'https://cdn.com/roof.jpg' ) ).toBe( 'https://cdn.com/roof.jpg' );
+
+	} );
+
+	test( 'should prefer a custom resolver and fall back when it returns null', () => {
+
+		const custom = jest.fn( ( url, basePath ) => url.startsWith( 'cdn/' ) ? 'https://cdn.com/' + url.slice( 4 ) : null );
+		const resolver = new URLResolver( '/data/', custom );
+
+		expect( resolver.resolve( 'cdn/roof.jpg' ) ).toBe( 'https://cdn.com/roof.jpg' );
+		expect( resolver.resolve( 'roof.jpg' ) ).toBe( '/data/roof.jpg' );
+		expect( custom ).toHaveBeenCalledWith( 'roof.jpg', '/data/' );
+
+	} );
+
+} );
@@ -0,0 +1,224 @@
+import { WorkerPool } from '../src/parsers/helpers/WorkerPool';
+
+// A fake worker that answers every message with a chunk and a "done" message
+// after `delay` milliseconds
+class FakeWorker {
+
+	constructor( delay ) {
+
+		this.delay = delay;
+		this.terminated = false;
+		this.messages = [];
+
+	}
+
+	postMessage( message ) {
+
+		this.messages.push( message );
+
+		setTimeout( () => {
+
+			if ( message === 'fail' ) {
+
+				this.onerror( { message: 'Failed' } );
+				return;
+
+			}
+
+			if ( message === 'invalid' ) {
+
+				this.onmessage( { data: { type: 'error', message: 'Invalid' } } );
+				return;
+
+			}
+
+			if ( message === 'ask' ) {
+
+				this.onmessage( { data: { type: 'question' } } );
+				return;
+
+			}
+
+			if ( message.type === 'answer' ) {
+
+				this.onmessage( { data: { type: 'done', value: message.value } } );
+				return;
+
+			}
+
+			this.onmessage( { data: { type: 'chunkLoaded', value: message } } );
+			this.onmessage( { data: { type: 'done', value: message } } );
+
+		}, this.delay );
+
+	}
+
+	terminate() {
+
+		this.terminated = true;
+
+	}
+
+}
+
+describe( 'WorkerPool', () => {
+
+	test( 'should not create more workers than its size', async () => {
+
+		const workers = [];
+		const pool = new WorkerPool( () => {
+
+			const worker = new FakeWorker( 5 );
+			workers.push( worker );
+			return worker;
+
+		}, 2 );
+
+		const results = await Promise.all( [ 1, 2, 3, 4, 5 ].map( i => pool.run( i ) ) );
+
+		expect( results.map( r => r.value ) ).toEqual( [ 1, 2, 3, 4, 5 ] );
+		expect( workers ).toHaveLength( 2 );
+		expect( workers[ 0 ].messages.length + workers[ 1 ].messages.length ).toBe( 5 );
+
+	} );
+
+	test( 'should reuse its workers across runs', async () => {
+
+		const createWorker = jest.fn( () => new FakeWorker( 0 ) );
+		const pool = new WorkerPool( createWorker, 4 );
+
+		await pool.run( 1 );
+		await pool.run( 2 );
+
+		expect( createWorker ).toHaveBeenCalledTimes( 1 );
+
+	} );
+
+	test( 'should forward every message of a task', async () => {
+
+		const pool = new WorkerPool( () => new FakeWorker( 0 ), 1 );
+		const onMessage = jest.fn();
+
+		await pool.run( 'a', onMessage );
+
+		expect( onMessage.mock.calls.map( c => c[ 0 ].type ) ).toEqual( [ 'chunkLoaded', 'done' ] );
+
+	} );
+
+	test( 'should reject failed tasks and replace their worker', async () => {
+
+		const workers = [];
+		const pool = new WorkerPool( () => {
+
+			const worker = new FakeWorker( 0 );
+			workers.push( worker );
+			return worker;
+
+		}, 1 );
+
+		await expect( pool.run( 'fail' ) ).rejects.toThrow( 'Failed' );
+		await expect( pool.run( 'ok' ) ).resolves.toMatchObject( { value: 'ok' } );
+
+		expect( workers ).toHaveLength( 2 );
+		expect( workers[ 0 ].terminated ).toBe( true );
+
+	} );
+
+	test( 'should reject tasks that report an error but keep their worker', async () => {
+
+		const workers = [];
+		const pool = new WorkerPool( () => {
+
+			const worker = new FakeWorker( 0 );
+			workers.push( worker );
+			return worker;
+
+		}, 1 );
+
+		await expect( pool.run( 'invalid' ) ).rejects.toThrow( 'Invalid' );
+		await expect( pool.run( 'ok' ) ).resolves.toMatchObject( { value: 'ok' } );
+
+		expect( workers ).toHaveLength( 1 );
+		expect( workers[ 0 ].terminated ).toBe( false );
+
+	} );
+
+	test( 'should let a task reply to its worker', async () => {
+
+		const pool = new WorkerPool( () => new FakeWorker( 0 ), 1 );
+
+		const result = await pool.run( 'ask', ( data, reply ) => {
+
+			if ( data.type === 'question' ) reply( { type: 'answer', value: 42 } );
+
+		} );
+
+		expect( result.value ).toBe( 42 );
+
+	} );
+
+	test( 'should terminate its workers and reject pending tasks on dispose', async () => {
+
+		const workers = [];
+		const pool = new WorkerPool( () => {
+
+			const worker = new FakeWorker( 50 );
+			workers.push( worker );
+			return worker;
+
+		}, 1 );
+
+		const running = pool.run( 1 );
+		const queued = pool.run( 2 );
+
+		pool.dispose();
+
+		await expect( running ).rejects.toThrow( 'disposed' );
+		await expect( queued ).rejects.toThrow( 'disposed' );
+		expect( workers[ 0 ].terminated ).toBe( true );
+
+	} );
+
+	test( 'should terminate the worker of an aborted task', async () => {
+
+		const workers = [];
+		const pool = new WorkerPool( () => {
+
+			const worker = new FakeWorker( 50 );
+			workers.push( worker );
+			return worker;
+
+		}, 1 );
+
+		const controller = new AbortController();
+
+		const aborted = pool.run( 1, undefined, [], controller.signal );
+		const next = pool.run( 2 );
+
+		controller.abort();
+
+		await expect( aborted ).rejects.toMatchObject( { name: 'AbortError' } );
+		await expect( next ).resolves.toMatchObject( { value: 2 } );
+
+		expect( workers[ 0 ].terminated ).toBe( true );
+		expect( workers ).toHaveLength( 2 );
+
+	} );
+
+	test( 'should dequeue an aborted task', async () => {
+
+		const pool = new WorkerPool( () => new FakeWorker( 5 ), 1 );
+		const controller = new AbortController();
+
+		const running = pool.run( 1 );
+		const aborted = pool.run( 2, undefined, [], controller.signal );
+
+		controller.abort();
+
+		await expect( aborted ).rejects.toMatchObject( { name: 'AbortError' } );
+		await expect( running ).resolves.toMatchObject( { value: 1 } );
+		expect( pool.queue ).toHaveLength( 0 );
+
+	} );
+
+} );
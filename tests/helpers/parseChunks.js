@@ -0,0 +1,38 @@
+import { ChunkParser } from '../../src/parsers/helpers/ChunkParser';
+
+/**
+ * Parses `data` with a `ChunkParser` that has the given `options` (e.g.
+ * `{ indexed: true }`). Returns the parser, the chunks it loaded as
+ * `{ vertices, geometryData, lods }`, and the templates and instances it
+ * found (or null if the data has none).
+ */
+export function parseChunks( data, options = {} ) {
+
+	const parser = Object.assign( new ChunkParser(), options );
+	const chunks = [];
+	let templates = null;
+	let instances = null;
+
+	// The lods of the parser grow as it goes, so every chunk gets a copy
+	parser.onchunkload = ( vertices, geometryData, lods ) => chunks.push( { vertices, geometryData, lods: lods.slice() } );
+	parser.ontemplatesload = ( parsedTemplates, parsedInstances ) => {
+
+		templates = parsedTemplates;
+		instances = parsedInstances;
+
+	};
+
+	parser.parse( data );
+
+	return { parser, chunks, templates, instances };
+
+}
+
+/**
+ * Returns the object ids of the vertices of all `chunks`, in order.
+ */
+export function getObjectIds( chunks ) {
+
+	return [].concat( ...chunks.map( chunk => Array.from( chunk.geometryData.objectIds ) ) );
+
+}